@@ -2,6 +2,17 @@ const DB_NAME = process.env.DB_NAME
 const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET
 const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 7
+//httpOnly cookie holding the refresh token, only sent to the auth routes
+const REFRESH_TOKEN_COOKIE = "refreshToken"
+const REFRESH_TOKEN_COOKIE_PATH = "/api/v1/auth"
+//OpenID Connect sign in : state / nonce / PKCE verifier kept between the redirect to the provider and its callback
+const SSO_STATE_COOKIE = "ssoState"
+const SSO_STATE_COOKIE_PATH = "/api/v1/auth/sso"
+const SSO_STATE_EXPIRY_MINUTES = 10
+const SSO_DEFAULT_SCOPES = "openid email profile"
+//roles of the platform staff (comma separated ids), an identity provider never gives them to the users it creates
+const SSO_PLATFORM_ROLE_IDS = String(process.env.PLATFORM_ROLE_IDS || '').split(',').map(roleId => roleId.trim()).filter(Boolean)
 
 const TIMESHEET_FILE_FORMAT = ['csv', 'xlsx'];
 const TIMESHEET_FILE_SIZE = 1024 * 1024 * 500;
@@ -59,6 +70,140 @@ const PROJECT_SHEET_VALUE_DATA_TYPES = {
     s_claims_form_status: "OPTIONS",
     s_final_review_status: "OPTIONS"
 };
+const EMPLOYEE_SHEET_VALUE_DATA_TYPES = {
+    employementType: "OPTIONS"
+};
+const PROJECT_TEAM_SHEET_VALUE_DATA_TYPES = {
+    employementType: "OPTIONS",
+    s_total_cost: "NUMBER"
+};
+const CONTACT_EMPLOYEMENT_TYPES = ["FTE", "Subcon"];
+//timesheet task classifications whose effort counts as R&D expense (Routine and Uncertain do not)
+const RND_TASK_CLASSIFICATIONS = ["Non-Routine"];
+//default company mapper per sheet type : { dbColumnName: "Sheet Column Name" }
+const DEFAULT_SHEET_MAPPER_COLUMNS = {
+    projects: {
+        projectCode: "Project ID",
+        projectName: "Project Name",
+        spocName: "SPOC Name",
+        spocEmail: "SPOC Email",
+        s_project_status: "Project Status",
+        s_fte_cost: "Project Cost - FTE",
+        s_subcon_cost: "Project Cost - Subcon",
+        s_total_project_cost: "Project Cost - Total",
+        s_fte_hours: "Project Hours - FTE",
+        s_subcon_hours: "Project Hours - Subcon",
+        s_total_hours: "Project Hours - Total",
+        s_rnd_adjustment: "QRE(%) - Adjustment",
+        s_fte_qre_cost: "QRE - FTE",
+        s_subcon_qre_cost: "QRE - Subcon",
+        s_qre_cost: "QRE - Total",
+        s_rd_credits: "R&D Credits",
+        s_data_gathering: "Data Gathering",
+        s_pending_data: "Pending Data",
+        s_timesheet_status: "Timesheet Status",
+        s_fte_cost_status: "Cost Status - Employee",
+        s_subcon_cost_status: "Cost Status - Subcon",
+        s_interaction_status: "Interaction - Status",
+        s_technical_interview_status: "Technical Interview Status",
+        s_technical_summary_status: "Technical Summary Status",
+        s_financial_summary_status: "Financial Summary Status",
+        s_claims_form_status: "Claims Form Status",
+        s_final_review_status: "Final Review Status",
+        s_notes: "Notes",
+
+
+        oldSpocName: "Old SPOC Name",
+        oldSpocEmail: "Old SPOC Email",
+        s_rnd_status: "R&D Status",
+        projectType: "Project Type",
+        description: "Description",
+        startDate: "Start Date",
+        endDate: "End Date",
+        plannedDuration: "Planned Duration",
+        actualStartDate: "Actual Start Date",
+        actualEndDate: "Actual End Date",
+        actualDuration: "Actual Duration",
+        projectsIndustry: "Project Industry",
+        natureofProject: "Nature Of Project",
+        successCriteria: "Success Criteria",
+        techStack: "Tech Stack",
+        projectManager: "Project Manager",
+        technicalContact: "Technical Contact"
+    },
+    employee: {
+        employeeId: "Employee ID",
+        employementType: "Type",
+        employeeTitle: "Designation",
+        firstName: "Name",
+        email: "Email",
+
+        phone: "Phone",
+        Address: "Address",
+        Language: "Language",
+        status: "Status",
+        city: "City",
+        state: "State"
+    },
+    "project team": {
+        employeeid: "Employee ID",
+        employementType: "Type",
+        employeeTitle: "Designation",
+        firstName: "Name",
+        email: "Email",
+
+        phone: "Phone",
+        Address: "Address",
+        Language: "Language",
+        status: "Status",
+        city: "City",
+        state: "State",
+        projectCode: "Project ID",
+        projectRole: "Project Role",
+        s_total_cost: "Total Cost"
+    },
+    payroll: {
+        employeeId: "Employee ID",
+        hourlyRate: "Hourly Rate",
+        startDate: "Start Date",
+        endDate: "End Date",
+        annualRate: "Annual Rate"
+    }
+};
+//timesheet columns read by the native timesheet parser : { TimesheetTasks attribute: [accepted headers] }
+const TIMESHEET_COLUMN_ALIASES = {
+    employeeId: ["Employee ID", "Emp ID", "Employee Number", "Employee Code"],
+    projectCode: ["Project ID", "Project Code", "Project Number"],
+    taskDate: ["Date", "Task Date", "Work Date", "Entry Date"],
+    taskDescription: ["Description", "Task Description", "Task", "Activity", "Notes"],
+    taskEffort: ["Hours", "Effort", "Task Effort", "Time Spent", "Duration"],
+    taskClassification: ["Classification", "Task Classification", "Category"],
+    taskHourlyRate: ["Hourly Rate", "Rate", "Bill Rate", "Rate Per Hour"]
+};
+const TIMESHEET_MANDATORY_COLUMNS = ['employeeId', 'projectCode', 'taskDate', 'taskEffort'];
+//tasks not classified in the sheet wait for classification
+const TIMESHEET_DEFAULT_CLASSIFICATION = "Pending";
+//timesheet anomaly rules : hours one person can book on a day, allowed share between a timesheet rate and the payroll rate
+const TIMESHEET_MAX_DAILY_HOURS = 24;
+const TIMESHEET_RATE_TOLERANCE = 0.2;
+//reconciliation statuses, Submitted waits for a reviewer when the company asks for reviews
+const RECONCILE_STATUS = {
+    open: "Open",
+    submitted: "Submitted",
+    closed: "Closed"
+};
+//reconciliation fields kept in the revision log
+const RECONCILE_REVISION_FIELDS = ['reconcileStatus', 'reconcileRevision', 'reconcileRnDHoursOverride', 'reconcileNonRnDHoursOverride', 'reconcileSummary', 'preparedBy', 'reviewedBy'];
+//rules between two cells of the same row, checked after the types are converted
+const SHEET_CROSS_FIELD_RULES = {
+    projects: [
+        { column: "endDate", rule: "ON_OR_AFTER", compareTo: "startDate" },
+        { column: "actualEndDate", rule: "ON_OR_AFTER", compareTo: "actualStartDate" }
+    ],
+    payroll: [
+        { column: "endDate", rule: "ON_OR_AFTER", compareTo: "startDate" }
+    ]
+};
 
 //mail configurations
 const companyDefaultMailConfigurations = {
@@ -99,8 +244,7 @@ const companyDefaultMailConfigurations = {
                 "    <br><b>OR</b><br><br>\n" +
                 "    <p>2. Fill the answers in the attached excel template and simply reply back to this email.</p>\n" +
                 "    <p>Your responses are invaluable to us and will contribute significantly to our efforts. Upon completion, submit the survey, and your responses will be securely forwarded to us for further processing.</p>\n" +
-                "    <p>ResDev Tax Consultants</p>\n" +
-                "    <p>Powered By Certainti.ai</p>\n" +
+                "    <p>${signature}</p>\n" +
                 "    <br><br>\n" +
                 "</body>\n" +
                 "</html>"
@@ -122,8 +266,7 @@ const companyDefaultMailConfigurations = {
                 "    2. Fill in your responses in the attached Excel template and simply reply back to this email.<br>\n" +
                 "    <p>We value your cooperation, and your responses will significantly contribute to our efforts. Please let us know if you need any assistance or have any questions. Thank you again for your time and support.</p>\n" +
                 "    Best regards,<br>\n" +
-                "    ResDev Tax Consultants<br>\n" +
-                "    Powered by Certainti.ai<br><br>\n" +
+                "    ${signature}<br><br>\n" +
                 "</body>\n" +
                 "</html>"
         },
@@ -167,6 +310,58 @@ const companyDefaultMailConfigurations = {
                 "    Customer Success Team<br><br>\n" +
                 "</body>\n" +
                 "</html>"
+        },
+        "DELEGATE": {
+            subject: "Survey for ${accountName} || ${projectCode} || ${projectName} forwarded to you by ${delegatorName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Survey Invitation</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${delegateName},</p>\n" +
+                "    <p>${delegatorName} forwarded you the R&D Credits Claims survey of <b>${accountName}</b> for the project <b>${projectName} (Project ID: ${projectCode})</b> to complete.</p>\n" +
+                "    <p>${message}</p>\n" +
+                "    <p><b><a href=\"${url}\">Please Click on this Link to complete the survey.</a></b> A One-Time Password will be sent to this email when you open it.</p>\n" +
+                "    <p>${signature}</p>\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "DELEGATED": {
+            subject: "Survey for ${accountName} || ${projectCode} || ${projectName} forwarded to ${delegateName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Survey Forwarded</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${spocName},</p>\n" +
+                "    <p>The R&D Credits Claims survey for the project <b>${projectName} (Project ID: ${projectCode})</b> was forwarded by ${delegatorName} to <b>${delegateName} (${delegateEmail})</b>, who will complete it. Earlier links to the survey no longer open it.</p>\n" +
+                "    <p>You will be copied on the reminders and the confirmation once it is submitted.</p>\n" +
+                "    <p>${signature}</p>\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "REVOKED": {
+            subject: "Survey Withdrawn for ${accountName} || ${projectId} || ${projectName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Survey Withdrawn</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${spocName},</p>\n" +
+                "    <p>The R&D Credits Claims survey of <b>${accountName}</b> for the project <b>${projectName} (Project ID: ${projectId})</b> has been withdrawn. There is no need to complete it and its link no longer opens.</p>\n" +
+                "    <p>Please write to <span style=\"color: #0000EE;\">${support}</span> in case you have any questions.</p>\n" +
+                "    <p>${signature}</p>\n" +
+                "</body>\n" +
+                "</html>"
         }
     },
 
@@ -206,7 +401,7 @@ const companyDefaultMailConfigurations = {
                 "<p>2. Fill the answers in the attached excel template and simply reply back to this email.</p>" +
                 "<p>Your responses are invaluable to us and will contribute significantly to our efforts. Upon completion, click on submit, and your responses will be securely forwarded to us for further processing.</p>" +
                 "<p>Thank you for your cooperation and support.</p>" +
-                "<p>ResDev Tax Consultants<br>Powered By Certainti.ai</p>" +
+                "<p>${signature}</p>" +
                 "<br><br>" +
                 "</body>" +
                 "</html>"
@@ -230,7 +425,7 @@ const companyDefaultMailConfigurations = {
                 "<p>2. Fill the answers in the attached excel template and simply reply back to this email.</p>" +
                 "<p>Your responses are invaluable to us and will contribute significantly to our efforts. Upon completion, click on submit, and your responses will be securely forwarded to us for further processing.</p>" +
                 "<p>Thank you for your cooperation and support.</p>" +
-                "<p>ResDev Tax Consultants<br>Powered By Certainti.ai</p>" +
+                "<p>${signature}</p>" +
                 "<br><br>" +
                 "</body>" +
                 "</html>"
@@ -275,10 +470,128 @@ const companyDefaultMailConfigurations = {
                 "Customer Success Team<br><br>" +
                 "</body>" +
                 "</html>"
+        },
+        "DELEGATE": {
+            subject: "Assessment for ${accountName} || ${projectCode} || ${projectName} forwarded to you by ${delegatorName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Assessment Invitation</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${delegateName},</p>\n" +
+                "    <p>${delegatorName} forwarded you the R&D Credits Claims assessment of <b>${accountName}</b> for the project <b>${projectName} (Project ID: ${projectCode})</b> to complete.</p>\n" +
+                "    <p>${message}</p>\n" +
+                "    <p><b><a href=\"${url}\">Please Click on this Link to complete the assessment.</a></b> A One-Time Password will be sent to this email when you open it.</p>\n" +
+                "    <p>${signature}</p>\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "DELEGATED": {
+            subject: "Assessment for ${accountName} || ${projectCode} || ${projectName} forwarded to ${delegateName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Assessment Forwarded</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${spocName},</p>\n" +
+                "    <p>The R&D Credits Claims assessment for the project <b>${projectName} (Project ID: ${projectCode})</b> was forwarded by ${delegatorName} to <b>${delegateName} (${delegateEmail})</b>, who will complete it. Earlier links to the assessment no longer open it.</p>\n" +
+                "    <p>You will be copied on the reminders and the confirmation once it is submitted.</p>\n" +
+                "    <p>${signature}</p>\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "SPOC MISSING": {
+            subject: "IN-${interactionNumber} Interaction for ${projectCode}-${projectName} SPOC email missing",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>SPOC Missing</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ResDev Team,</p>\n" +
+                "    <p>Greetings For The Day!</p>\n" +
+                "    <p>This is regarding the project ${projectName} (Project ID: ${projectCode}) related to R&D Credits Claims Process for fiscal year ${fiscalYear}.</p>\n" +
+                "    <p>The spoc details for the project are missing.</p>\n" +
+                "    <p>Please notify Company: ${accountName} to update the spoc details.</p>\n" +
+                "</body>\n" +
+                "</html>"
         }
     },
 
 
+    SHEETS: {
+        "MISSING COLUMNS": {
+            subject: "Upload Sheet Failed for ${accountName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Upload Sheet Failed</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    The sheet that you have uploaded for the Account : <b>${accountName}</b> has some missing columns.<br>\n" +
+                "    File Name: ${fileName}<br>\n" +
+                "    Missing Columns : ${missingColumns}.<br>\n" +
+                "    Please review the sheet and upload again.<br><br>\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "ROW ERRORS": {
+            subject: "Upload Sheet Failed for ${accountName}",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Upload Sheet Failed</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    The sheet that you have uploaded for the Account : <b>${accountName}</b> has some missing values or incorrect data.<br>\n" +
+                "    File Name: ${fileName}<br>\n" +
+                "    Rejected Rows: ${rejectedRows}<br>\n" +
+                "    The row by row error report can be downloaded from the uploaded sheets page.<br>\n" +
+                "    Please review the sheet and upload again.\n" +
+                "    ${errorTable}\n" +
+                "</body>\n" +
+                "</html>"
+        },
+        "UPLOAD SUMMARY": {
+            subject: "Survey Sheets Upload Status",
+            body: "<!DOCTYPE html>\n" +
+                "<html lang=\"en\">\n" +
+                "<head>\n" +
+                "    <meta charset=\"UTF-8\">\n" +
+                "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">\n" +
+                "    <title>Sheets Upload Status</title>\n" +
+                "</head>\n" +
+                "<body>\n" +
+                "    <p>Dear ${userName},</p>\n" +
+                "    <p>The sheets you uploaded have been processed. Here is the status of your upload:</p>\n" +
+                "    <p><strong>Accepted Files:</strong></p>\n" +
+                "    <ul>${acceptedFiles}</ul>\n" +
+                "    <p><strong>Rejected Files:</strong></p>\n" +
+                "    <ul>${rejectedFiles}</ul>\n" +
+                "    <p>Please re-upload the rejected files after making the necessary corrections.</p><br><br>\n" +
+                "</body>\n" +
+                "</html>"
+        }
+    },
+    SUPPORT: {
+        "CONTACT SUPPORT": {
+            subject: "USER SUPPORT REQUIRED",
+            body: "<b>User Query</b> :${content}<br><br>" +
+                "<b>User Contact Info</b> : ${phone}<br><br><br><br>"
+        }
+    },
     LOGIN: {
         "OTP LOGIN": {
             subject: "Email verification for Login",
@@ -329,71 +642,146 @@ const companyDefaultMailConfigurations = {
 }
 
 
-const SURVEY_TIER_QUESTIONS = {
-    2: {
-        template: {
-            questionsCount: 8
-        },
-        questions: [
-            {
-                sequence: 1,
-                question: "What is a brief description of the project work completed during the assessment year? (in no less than 50 words)",
-                description: "Provide a concise summary of the overall project, its goals, and activities. Highlight problem areas and innovations."
-            },
-            {
-                sequence: 2,
-                question: "Who were the key technical team members involved in the project, and what improvements were achieved through their work?",
-                description: "Mention names, roles, and contributions of key personnel. Explain how their work added value."
-            },
-            {
-                sequence: 3,
-                question: "What key features, functions, or automation tasks were built, enhanced, or delivered during the project?",
-                description: "Describe modules, tools, or tasks developed or optimized. Include automation-related achievements."
-            },
-            {
-                sequence: 4,
-                question: "What technical challenges did the team face, what research or validation activities were performed to address them, and what new solutions were developed beyond standard practice?",
-                description: "Mention non-trivial challenges, how you researched solutions, and what innovative approaches were implemented."
-            },
-            {
-                sequence: 5,
-                question: "What major technological design choices, architectural decisions, or trade-offs were made during the project?",
-                description: "Explain important architecture or design changes, and any trade-offs made between complexity, performance, and cost."
-            },
-            {
-                sequence: 6,
-                question: "What measurable outcomes or benefits were delivered by the project, such as efficiency gains, cost savings, user experience improvements, or business process optimizations?",
-                description: "Focus on quantifiable results (time saved, accuracy, cost reduction, etc.) or business improvements."
-            },
-            {
-                sequence: 7,
-                question: "What reusable technical knowledge, methods, frameworks, or best practices were created during the project?",
-                description: "List items that could benefit other teams or future projects: frameworks, documentation, libraries, etc."
-            },
-            {
-                sequence: 8,
-                question: "Is there any additional technical information you would like to highlight about this project?",
-                description: "Add specific technical insights, experiments, or performance metrics that demonstrate depth."
-            },
-            {
-                sequence: 9,
-                question: "Any Additional Information you could provide regarding the project?",
-                description: "Share organizational impact, stakeholder feedback, innovation culture, or roadmap hints."
-            }
-        ]
-    }
+//survey question types : free text, yes / no, single and multi choice from options, numbers and dates
+const SURVEY_QUESTION_TYPES = ['text', 'yesno', 'single', 'multi', 'number', 'date'];
+const SURVEY_CHOICE_QUESTION_TYPES = ['single', 'multi'];
+//draft templates can be edited, published ones are sent and never change, retired ones are no longer sent
+const SURVEY_TEMPLATE_STATUS = {
+    draft: "draft",
+    published: "published",
+    retired: "retired"
+};
+//variables a question text can use as ${name}, filled when the survey is served
+const SURVEY_TEMPLATE_VARIABLES = ['year1', 'year2', 'companyName', 'projectName', 'projectCode'];
+//branching rules on a question's answer : skip hides the target questions when the condition holds, show hides them unless it holds
+const SURVEY_BRANCHING_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'answered', 'unanswered'];
+const SURVEY_BRANCHING_ACTIONS = ['skip', 'show'];
+//automatic reminders of a company that has not set its own : none until a cadence is set, open surveys still expire
+const DEFAULT_REMINDER_SETTINGS = {
+    reminderDays: [],
+    maxReminders: 3,
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    timeZone: "UTC"
+};
+//branding of the mails of a company that has not set its own, signature and footer are html
+const DEFAULT_MAIL_BRANDING = {
+    logoUrl: null,
+    primaryColor: null,
+    signature: "ResDev Tax Consultants<br>Powered By Certainti.ai",
+    footer: null
 };
+//language of the mails of a company that has not chosen one, the default mails are written in it
+const DEFAULT_MAIL_LANGUAGE = "en";
 
+//times a survey / interaction can be forwarded from its public page
+const MAX_DELEGATIONS = 5;
 
+//features and permissions of roleFeatures the route policies can ask for, see middlewares/policy.middleware.js
+const POLICY_FEATURES = [
+    'client', 'users', 'projects', 'timesheets', 'reconciliations', 'documents', 'notes', 'portfolios',
+    'interactions', 'cases', 'alerts', 'sheets',
+    'contacts', 'contactsdetails', 'contactsprojects', 'contactsalary', 'contactsrdexpense'
+];
+const POLICY_ACTIONS = ['read', 'create', 'update', 'delete'];
 
+//response fields only roles with contactsalary read see, matched without case, other roles get null
+const SALARY_FIELDS = [
+    'salary', 'annualSalary', 'minAnnualSalary', 'maxAnnualSalary', 'annualRate', 'annual_rate',
+    'hourlyRate', 'hourly_rate', 'minHourlyRate', 'maxHourlyRate', 'taskHourlyRate', 'reportedHourlyRate',
+    'wage', 'wages'
+];
 
+//features whose reads are recorded in the audit log
+const AUDITED_READ_FEATURES = ['contactsalary', 'contactsrdexpense'];
+
+//questions of the template a company starts with when it has none
+const DEFAULT_SURVEY_TEMPLATE = {
+    name: "R&D Project Survey",
+    questions: [
+        {
+            sequence: 1,
+            question: "What is a brief description of the project work completed during the assessment year? (in no less than 50 words)",
+            description: "Provide a concise summary of the overall project, its goals, and activities. Highlight problem areas and innovations.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 2,
+            question: "Who were the key technical team members involved in the project, and what improvements were achieved through their work?",
+            description: "Mention names, roles, and contributions of key personnel. Explain how their work added value.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 3,
+            question: "What key features, functions, or automation tasks were built, enhanced, or delivered during the project?",
+            description: "Describe modules, tools, or tasks developed or optimized. Include automation-related achievements.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 4,
+            question: "What technical challenges did the team face, what research or validation activities were performed to address them, and what new solutions were developed beyond standard practice?",
+            description: "Mention non-trivial challenges, how you researched solutions, and what innovative approaches were implemented.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 5,
+            question: "What major technological design choices, architectural decisions, or trade-offs were made during the project?",
+            description: "Explain important architecture or design changes, and any trade-offs made between complexity, performance, and cost.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 6,
+            question: "What measurable outcomes or benefits were delivered by the project, such as efficiency gains, cost savings, user experience improvements, or business process optimizations?",
+            description: "Focus on quantifiable results (time saved, accuracy, cost reduction, etc.) or business improvements.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 7,
+            question: "What reusable technical knowledge, methods, frameworks, or best practices were created during the project?",
+            description: "List items that could benefit other teams or future projects: frameworks, documentation, libraries, etc.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 8,
+            question: "Is there any additional technical information you would like to highlight about this project?",
+            description: "Add specific technical insights, experiments, or performance metrics that demonstrate depth.",
+            questiontype: "text",
+            required: false
+        },
+        {
+            sequence: 9,
+            question: "Any Additional Information you could provide regarding the project?",
+            description: "Share organizational impact, stakeholder feedback, innovation culture, or roadmap hints.",
+            questiontype: "text",
+            required: false
+        }
+    ]
+};
 
 module.exports = {
     DB_NAME, ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, TIMESHEET_FILE_FORMAT, TIMESHEET_FILE_SIZE,
     OTP_EXPIRY_DAYS, OTP_EXPIRY_HOURS, OTP_EXPIRY_MINUTES,
     OTP_CIPHER_KEY, OTP_LENGTH, OTP_ALPHANUMERIC, USER_ID_KEY, ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_EXPIRY_DAYS, REFRESH_TOKEN_COOKIE, REFRESH_TOKEN_COOKIE_PATH,
+    SSO_STATE_COOKIE, SSO_STATE_COOKIE_PATH, SSO_STATE_EXPIRY_MINUTES, SSO_DEFAULT_SCOPES, SSO_PLATFORM_ROLE_IDS,
     PROJECT_SHEETS_MANDATORY_COLUMNS, EMPLOYEE_SHEETS_MANDATORY_COLUMNS, PROJECT_TEAM_SHEETS_MANDATORY_COLUMNS, PAYROLL_SHEETS_MANDATORY_COLUMNS,
     PAYROLL_SHEET_VALUE_DATA_TYPES, PROJECT_SHEET_VALUE_DATA_TYPES,
+    EMPLOYEE_SHEET_VALUE_DATA_TYPES, PROJECT_TEAM_SHEET_VALUE_DATA_TYPES, CONTACT_EMPLOYEMENT_TYPES, SHEET_CROSS_FIELD_RULES,
+    DEFAULT_SHEET_MAPPER_COLUMNS,
+    RND_TASK_CLASSIFICATIONS,
+    TIMESHEET_COLUMN_ALIASES, TIMESHEET_MANDATORY_COLUMNS, TIMESHEET_DEFAULT_CLASSIFICATION,
+    TIMESHEET_MAX_DAILY_HOURS, TIMESHEET_RATE_TOLERANCE,
+    RECONCILE_STATUS, RECONCILE_REVISION_FIELDS,
     companyDefaultMailConfigurations,
-    SURVEY_TIER_QUESTIONS
+    SURVEY_QUESTION_TYPES, SURVEY_CHOICE_QUESTION_TYPES, SURVEY_TEMPLATE_STATUS, SURVEY_TEMPLATE_VARIABLES,
+    SURVEY_BRANCHING_OPERATORS, SURVEY_BRANCHING_ACTIONS, DEFAULT_REMINDER_SETTINGS,
+    DEFAULT_SURVEY_TEMPLATE, MAX_DELEGATIONS, DEFAULT_MAIL_BRANDING, DEFAULT_MAIL_LANGUAGE,
+    POLICY_FEATURES, POLICY_ACTIONS, SALARY_FIELDS, AUDITED_READ_FEATURES
 }
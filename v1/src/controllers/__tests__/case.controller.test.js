@@ -98,7 +98,7 @@ jest.mock('../../models/system-status.model', () => ({
 jest.mock('../../utils/crypto', () => ({
   encryptText: jest.fn(),
 }));
-jest.mock('../../utils/mailGraphApi', () => ({
+jest.mock('../../utils/mailer', () => ({
   sendFile: jest.fn(),
 }));
 jest.mock('../../queries/company.queries', () => ({
@@ -123,7 +123,7 @@ const MasterSurvey = require('../../models/master-survey.model');
 const MasterSurveyControl = require('../../models/master-survey-control.model');
 const MasterSurveyAssignment = require('../../models/master-survey-assignment.model');
 const crypto = require('../../utils/crypto');
-const { sendFile } = require('../../utils/mailGraphApi');
+const { sendFile } = require('../../utils/mailer');
 const companyQueries = require('../../queries/company.queries');
 const { createExcelFile } = require('../../utils/csv');
 const { sendSurveys } = require('../case.controller');
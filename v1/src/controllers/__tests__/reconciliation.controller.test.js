@@ -0,0 +1,226 @@
+jest.mock('../../setups/db', () => ({ transaction: jest.fn(), query: jest.fn() }));
+jest.mock('../../models/reconciliation.model', () => ({ findOne: jest.fn(), findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../../models/reconciliation-revisions.model', () => ({ max: jest.fn(), create: jest.fn(), findAll: jest.fn() }));
+jest.mock('../../models/company.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/interactions.model', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../../models/timesheet-tasks.model', () => ({}));
+jest.mock('../../queries/interactions.queries', () => ({}));
+jest.mock('../../utils/axios', () => ({ axiosRequest: jest.fn() }));
+
+const sequelize = require('../../setups/db');
+const Reconciliations = require('../../models/reconciliation.model');
+const ReconciliationRevisions = require('../../models/reconciliation-revisions.model');
+const Company = require('../../models/company.model');
+const Interactions = require('../../models/interactions.model');
+const { axiosRequest } = require('../../utils/axios');
+const { reconcileHours, bulkReconcileHours, reviewReconciliation } = require('../reconciliation.controller');
+
+//reconciliations and their revisions, as the database would hold them
+let rows;
+let revisions;
+let reviewRequired;
+
+const record = (values) => ({ ...values, dataValues: { ...values }, get: () => ({ ...values }) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  reviewRequired = false;
+  revisions = [];
+  rows = {
+    r1: { reconcileId: 'r1', companyId: 'c1', timesheetId: 't1', projectId: 'p1', reconcileStatus: 'Open' },
+    r2: { reconcileId: 'r2', companyId: 'c1', timesheetId: 't1', projectId: 'p2', reconcileStatus: 'Open' },
+    r9: { reconcileId: 'r9', companyId: 'c2', timesheetId: 't9', projectId: 'p9', reconcileStatus: 'Open' }
+  };
+
+  sequelize.transaction.mockImplementation((run) => run({ LOCK: { UPDATE: 'UPDATE' } }));
+  sequelize.query.mockImplementation(async (sql, { replacements }) => (replacements.reconcileId && rows[replacements.reconcileId] ? [{ ...rows[replacements.reconcileId] }] : []));
+  Reconciliations.findOne.mockImplementation(async ({ where }) => {
+    const row = rows[where.reconcileId];
+    return row && (!where.companyId || row.companyId == where.companyId) ? record(row) : null;
+  });
+  Reconciliations.findAll.mockImplementation(async ({ where }) => where.reconcileId
+    .filter(id => rows[id] && rows[id].companyId == where.companyId)
+    .map(reconcileId => ({ reconcileId })));
+  Reconciliations.update.mockImplementation(async (body, { where }) => {
+    Object.assign(rows[where.reconcileId], body);
+    return [1];
+  });
+  ReconciliationRevisions.max.mockImplementation(async (field, { where }) => {
+    const numbers = revisions.filter(revision => revision.reconcileid == where.reconcileid).map(revision => revision.revisionnumber);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  });
+  ReconciliationRevisions.create.mockImplementation(async (values) => revisions.push(values));
+  Company.findOne.mockImplementation(async () => ({ reconcileReviewRequired: reviewRequired }));
+  Interactions.findOne.mockResolvedValue(null);
+  axiosRequest.mockResolvedValue({ Status: true });
+});
+
+const request = (userId, params, body) => ({
+  params: { user: 'whoever-the-url-names', company: 'c1', ...params },
+  userProfile: { userId, firstName: userId.toUpperCase() },
+  body
+});
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+const hours = { uncertainHours: 10, rndHours: 6, routineHours: 4, rndTaskDescription: 'Prototype' };
+
+const reconcile = async (userId, reconciliationId, body = hours) => {
+  const res = response();
+  await reconcileHours(request(userId, { reconciliationId }, body), res);
+  return res;
+};
+
+const review = async (userId, reconciliationId, body) => {
+  const res = response();
+  await reviewReconciliation(request(userId, { reconciliationId }, body), res);
+  return res;
+};
+
+describe('reconcileHours', () => {
+  it('closes fully reconciled hours and sends them to the ETL when no review is required', async () => {
+    const res = await reconcile('u1', 'r1');
+
+    expect(res.statusCode).toBe(200);
+    expect(rows.r1.reconcileStatus).toBe('Closed');
+    expect(axiosRequest).toHaveBeenCalledWith('post', process.env.RECONCILIATION_ETL_URL, {
+      timesheetId: 't1', projectId: 'p1', companyId: 'c1', routineHours: 4, nonRoutineHours: 6, uncertain: 10
+    });
+    expect(revisions.map(revision => [revision.revisionnumber, revision.action])).toEqual([[1, 'reconcile']]);
+  });
+
+  it('keeps partly reconciled hours open', async () => {
+    await reconcile('u1', 'r1', { ...hours, rndHours: 2 });
+
+    expect(rows.r1.reconcileStatus).toBe('Open');
+  });
+
+  it('does not find a reconciliation of another company', async () => {
+    const res = await reconcile('u1', 'r9');
+
+    expect(res.statusCode).toBe(404);
+    expect(axiosRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('review of reconciliations', () => {
+  beforeEach(() => {
+    reviewRequired = true;
+  });
+
+  it('submits the hours of the signed in user for review without sending them', async () => {
+    const res = await reconcile('u1', 'r1');
+
+    expect(res.body.message).toBe('Uncertain hours submitted for review.');
+    expect(rows.r1).toMatchObject({ reconcileStatus: 'Submitted', preparedBy: 'u1' });
+    expect(axiosRequest).not.toHaveBeenCalled();
+    expect((await reconcile('u1', 'r1')).statusCode).toBe(409);
+  });
+
+  it('sends the hours and closes the reconciliation once another user approves it', async () => {
+    await reconcile('u1', 'r1');
+    rows.r1 = { ...rows.r1, reconcileRnDHoursOverride: '6.00', reconcileNonRnDHoursOverride: '4.00' };
+
+    const res = await review('u2', 'r1', { decision: 'approve' });
+
+    expect(res.statusCode).toBe(200);
+    expect(rows.r1).toMatchObject({ reconcileStatus: 'Closed', reviewedBy: 'u2' });
+    expect(axiosRequest).toHaveBeenCalledWith('post', process.env.RECONCILIATION_ETL_URL, expect.objectContaining({
+      timesheetId: 't1', projectId: 'p1', companyId: 'c1', routineHours: 4, nonRoutineHours: 6, uncertain: 10
+    }));
+    expect(revisions.map(revision => [revision.revisionnumber, revision.action])).toEqual([[1, 'submit'], [2, 'approve']]);
+  });
+
+  it('refuses a review by the preparer', async () => {
+    await reconcile('u1', 'r1');
+
+    const res = await review('u1', 'r1', { decision: 'approve' });
+
+    expect(res.statusCode).toBe(403);
+    expect(rows.r1.reconcileStatus).toBe('Submitted');
+    expect(revisions).toHaveLength(1);
+  });
+
+  it('sets a rejected reconciliation back to open without sending its hours', async () => {
+    await reconcile('u1', 'r1');
+
+    expect((await review('u2', 'r1', { decision: 'reject' })).statusCode).toBe(400);
+    const res = await review('u2', 'r1', { decision: 'reject', reason: 'Hours of March are missing' });
+
+    expect(res.statusCode).toBe(200);
+    expect(rows.r1.reconcileStatus).toBe('Open');
+    expect(axiosRequest).not.toHaveBeenCalled();
+    expect(revisions[1]).toMatchObject({ revisionnumber: 2, action: 'reject', reason: 'Hours of March are missing' });
+  });
+
+  it('only reviews submitted reconciliations', async () => {
+    expect((await review('u2', 'r1', { decision: 'approve' })).statusCode).toBe(409);
+  });
+
+  it('refuses the second of two reviews once the row is locked', async () => {
+    await reconcile('u1', 'r1');
+    const submitted = record(rows.r1);
+    await review('u2', 'r1', { decision: 'approve' });
+
+    //the second review read the row before the first one saved it
+    Reconciliations.findOne.mockResolvedValueOnce(submitted);
+    const res = await review('u3', 'r1', { decision: 'reject', reason: 'late' });
+
+    expect(res.statusCode).toBe(409);
+    expect(rows.r1).toMatchObject({ reconcileStatus: 'Closed', reviewedBy: 'u2' });
+    expect(revisions.map(revision => revision.action)).toEqual(['submit', 'approve']);
+  });
+
+  it('leaves the reconciliation submitted when the ETL refuses the approved hours', async () => {
+    await reconcile('u1', 'r1');
+    axiosRequest.mockResolvedValue({ Status: false, message: 'ETL down' });
+
+    const res = await review('u2', 'r1', { decision: 'approve' });
+
+    expect(res.statusCode).toBe(422);
+    expect(rows.r1.reconcileStatus).toBe('Submitted');
+    expect(revisions).toHaveLength(1);
+  });
+});
+
+describe('bulkReconcileHours', () => {
+  const bulk = async (items) => {
+    const res = response();
+    await bulkReconcileHours(request('u1', {}, { reconciliations: items, reason: 'Month end' }), res);
+    return res;
+  };
+
+  it('reports the result of each reconciliation', async () => {
+    const res = await bulk([
+      { reconciliationId: 'r1', ...hours },
+      { reconciliationId: 'r2', ...hours, rndHours: 8 }
+    ]);
+
+    expect(res.body.data).toEqual({
+      results: [
+        { reconciliationId: 'r1', success: true, message: 'Uncertain hours reconciled successfully.', reconcileStatus: 'Closed' },
+        { reconciliationId: 'r2', success: false, message: 'Sum of rnd and routine hrs. should be less than or equal to uncertain hours.', reconcileStatus: null }
+      ],
+      reconciled: 1,
+      failed: 1
+    });
+    expect(res.body.success).toBe(false);
+    expect(revisions[0]).toMatchObject({ reconcileid: 'r1', reason: 'Month end', createdby: 'u1' });
+  });
+
+  it('refuses a list naming a reconciliation of another company', async () => {
+    const res = await bulk([{ reconciliationId: 'r1', ...hours }, { reconciliationId: 'r9', ...hours }]);
+
+    expect(res.statusCode).toBe(403);
+    expect(rows.r1.reconcileStatus).toBe('Open');
+  });
+
+  it('refuses a reconciliation listed twice', async () => {
+    expect((await bulk([{ reconciliationId: 'r1', ...hours }, { reconciliationId: 'r1', ...hours }])).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../queries/survey.queries', () => ({
+  getSurveyDetails: jest.fn(),
+  getAnswerHistory: jest.fn(),
+  getAnswerVersion: jest.fn(),
+  saveSurveyAnswers: jest.fn()
+}));
+jest.mock('../../utils/mailer', () => ({ sendTemplateMail: jest.fn() }));
+jest.mock('../../utils/reminderMails', () => ({ sendDelegationMails: jest.fn() }));
+
+const crypto = require('../../utils/crypto');
+const surveyQueries = require('../../queries/survey.queries');
+const MasterSurveyAssignment = require('../../models/master-survey-assignment.model');
+const { getAnswerHistory, restoreAnswer } = require('../survey.controller');
+
+//the link mailed to the SPOC, and the cipher /authenticate hands out before the OTP
+const encryption = crypto.encryptText('s1');
+const cipher = crypto.encryptText('a1');
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = response();
+  await handler({ params: { encryption }, body }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(MasterSurveyAssignment, 'findOne');
+  surveyQueries.getSurveyDetails.mockResolvedValue({ surveyControlStatus: 'OPEN', name: 'Ann', userEmail: 'ann@client.com', delegations: null, companyId: 'c1' });
+  MasterSurveyAssignment.findOne.mockResolvedValue({ dataValues: { id: 'a1', otp: '123456' } });
+  surveyQueries.getAnswerHistory.mockResolvedValue([{ version: 2, answer: 'now' }, { version: 1, answer: 'before' }]);
+  surveyQueries.getAnswerVersion.mockResolvedValue({ version: 1, answer: 'before' });
+  surveyQueries.saveSurveyAnswers.mockResolvedValue({ conflicts: [], versions: { q1: 3 } });
+});
+
+describe('answer history of the survey link', () => {
+  it('reads the versions of an answer once the OTP is checked', async () => {
+    const res = await call(getAnswerHistory, { cipher, otp: '123456', questionId: 'q1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ questionId: 'q1', version: 2 }));
+  });
+
+  it('refuses the cipher without the OTP, or with a wrong one', async () => {
+    const withoutOtp = await call(getAnswerHistory, { cipher, questionId: 'q1' });
+    const wrongOtp = await call(getAnswerHistory, { cipher, otp: '000000', questionId: 'q1' });
+
+    expect([withoutOtp.statusCode, wrongOtp.statusCode]).toEqual([400, 400]);
+    expect(wrongOtp.body.message).toBe('Invalid Otp.');
+    expect(surveyQueries.getAnswerHistory).not.toHaveBeenCalled();
+  });
+
+  it('only restores an answer with the OTP', async () => {
+    const refused = await call(restoreAnswer, { cipher, questionId: 'q1', version: 1, currentVersion: 2 });
+    const restored = await call(restoreAnswer, { cipher, otp: '123456', questionId: 'q1', version: 1, currentVersion: 2 });
+
+    expect(refused.statusCode).toBe(400);
+    expect(restored.statusCode).toBe(200);
+    expect(surveyQueries.saveSurveyAnswers).toHaveBeenCalledTimes(1);
+    expect(restored.body.data).toEqual({ questionId: 'q1', answer: 'before', version: 3, restoredFrom: 1 });
+  });
+});
@@ -3,7 +3,7 @@ const { ApiResponse } = require("../utils/ApiResponse");
 const { v4: uuidv4 } = require("uuid");
 const Project = require("../models/project.model");
 const assessmentQueries = require("../queries/assessment.queries");
-const { sendMail, sendFile } = require("../utils/mailGraphApi");
+const { sendTemplateMail } = require("../utils/mailer");
 const MasterInteractions = require("../models/master-interactions.model");
 const MasterInteractionsQA = require("../models/master-interactions-qa.model");
 const SystemStatus = require("../models/system-status.model");
@@ -12,10 +12,12 @@ const { generateOtp } = require("../utils/otp");
 const Company = require("../models/company.model");
 const MasterCase = require("../models/master-case.model");
 const { axiosRequest } = require("../utils/axios");
-const { createCSVforInteraction } = require("../utils/csv");
-const fs = require('fs').promises;
-const companyQueries = require("../queries/company.queries");
 const { surveySheetsProcessor, intearctionSheetsProcessor } = require("../utils/fileToDatabase");
+const { applyBranching, normalizeBranching } = require("../utils/surveyBranching");
+const { sendInteractionMail, sendDelegationMails } = require("../utils/reminderMails");
+const { maskEmail, parseDelegations, delegationLinkText, parseDelegationLink, currentResponder, forwardedLinkMessage, checkDelegation, delegationEntry, previousResponders } = require("../utils/delegation");
+
+const questionKey = (question) => question.questionId;
 
 
 const createInteractions = async (req, res) => {
@@ -114,87 +116,20 @@ const createInteractions = async (req, res) => {
 
 
                 if (!interaction.spocEmail) {
-                    const body = `
-                        <!DOCTYPE html>
-                        <html lang="en">
-                        <head>
-                            <meta charset="UTF-8">
-                            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                            <title>Survey Invitation</title>
-                        </head>
-                        <body>
-                            <p>Dear ResDev Team,</p>
-                            <p>Greetings For The Day!</p>
-                            <p></p>This is regarding the project ${interaction.projectName} (Project ID: ${interaction.projectCode}) related to R&D Credits Claims Process for fiscal year ${interaction.accountingYear}. </br></br>
-                            <p>The spoc details for the project are missing.</p>
-                            <p>Please notify Company: ${company.dataValues.companyName} to update the spoc details.</p>
-                        </body>
-                        </html>
-                    `;
-                    const paddedNumber = interaction.interactionsid.toString().padStart(6, '0');
-                    const subject = `IN-${paddedNumber} Interaction for ${interaction.projectCode}-${interaction.projectName} SPOC email missing`;
-                    const supportEmail = process.env.SURVEY_SUPPORT_MAIL;
-
-                    const ccMails = [];
-                    await sendMail(supportEmail, body, subject, ccMails);
+                    await sendTemplateMail('INTERACTION', 'SPOC MISSING', assessmentId.companyId, {
+                        interactionNumber: interaction.interactionsid.toString().padStart(6, '0'),
+                        projectName: interaction.projectName,
+                        projectCode: interaction.projectCode,
+                        accountName: company.dataValues.companyName,
+                        fiscalYear: interaction.accountingYear
+                    }, { to: process.env.SURVEY_SUPPORT_MAIL }, { object: 'master_interactions', objectId: interaction.id });
 
 
                     return res.status(400).json(new ApiResponse(null, "Spoc Mail Missing", false));
                 }
 
-                //body
-                const mailHtml = `
-                <!DOCTYPE html>
-                <html lang="en">
-                <head>
-                    <meta charset="UTF-8">
-                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                    <title>Survey Invitation</title>
-                </head>
-                <body>
-                    <p>Dear ${interaction.spocName},</p>
-                    <p>Greetings For The Day!</p>
-                    <p></p>This is regarding the project ${interaction.projectName} (Project ID: ${interaction.projectCode}) related to R&D Credits Claims Process for fiscal year ${interaction.accountingYear}. </br></br>
-                    <p>Please take a moment to answer the questions related to the project by. </p>
-                    <p>1.Using the link--> <b><a href="${interaction.url}">Interaction Link</a></b></p>
-                    </br></br>
-                    <b>OR</b></br></br>
-                    <p>2. Fill the answers in the attached excel template and simply reply back to this email.</p>
-                    <p>Your responses are invaluable to us and will contribute significantly to our efforts. Upon completion, click on submit, and your responses will be securely forwarded to us for further processing.</p>
-                    <p>Thank you for your cooperation and support.</p>
-                    <p>ResDev Tax Consultants </br>Powered By Certainti.ai</p>
-                </body>
-                </html>`;
-
-                const csvFilePath = await createCSVforInteraction(interaction.id);
-
-                //subject
-                const paddedNumber = interaction.interactionsid.toString().padStart(6, '0');
-                const subject = `IN-${paddedNumber} Interaction for ${interaction.projectCode}-${interaction.projectName}`;
-
-                //send mail
-                const ccMails = [];
-                const responseSendMail = await sendFile(
-                    interaction.spocEmail,
-                    mailHtml,
-                    subject
-                    , csvFilePath,
-                    ccMails
-                );
-
-                await fs.unlink(csvFilePath);
-
-                //update interaction status
-                const interactionsStatus = await SystemStatus.findOne({
-                    where: {
-                        object: 'master_interactions',
-                        status: 'SENT'
-                    }
-                });
-                await MasterInteractions.update(
-                    { statusid: interactionsStatus.dataValues.id },
-                    { where: { id: interaction.id } }
-                );
+                //mail the interaction with its questions attached, status to SENT
+                await sendInteractionMail(interaction, 'SEND');
 
                 console.log(`Interaction | action:Send Interaction By System | projectIdentifier=${interaction.projectidentifier} | interactionId=${interaction.interactionsid} | url=${interaction.url}`);
 
@@ -212,63 +147,15 @@ const sendInteractions = async (req, res) => {
     try {
 
         //find interactions whose status is CREATED
-        const interactions = assessmentQueries.getUnsentInteractions();
+        const unsentInteractions = await assessmentQueries.getUnsentInteractions();
+        const interactions = unsentInteractions.length > 0
+            ? await assessmentQueries.getUnsentInteractionsByUser(unsentInteractions.map(interaction => interaction.id))
+            : [];
 
         for (const interaction of interactions) {
 
-            //send mail to user
-            //prepare mail body
-            const mailHtml = `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>Survey Invitation</title>
-            </head>
-            <body>
-                <p>Dear ${interaction.spocName},</p>
-                <p>Greetings For The Day!</p>
-                <p></p>This is regarding the project ${interaction.projectName} (Project ID: ${interaction.projectCode}) related to R&D Credits Claims Process for fiscal year ${interaction.accountingYear}. </br></br>
-                <p>Please take a moment to answer the questions related to the project by. </p>
-                <p>1.Using the link--> <b><a href="${interaction.url}">Interaction Link</a></b></p>
-                </br></br>
-                <b>OR</b></br></br>
-                <p>2. Fill the answers in the attached excel template and simply reply back to this email.</p>
-                <p>Your responses are invaluable to us and will contribute significantly to our efforts. Upon completion, click on submit, and your responses will be securely forwarded to us for further processing.</p>
-                <p>Thank you for your cooperation and support.</p>
-                <p>ResDev Tax Consultants </br>Powered By Certainti.ai</p>
-            </body>
-            </html>`;
-
-            //subject
-            const paddedNumber = interaction.interactionsid.toString().padStart(6, '0');
-            const subject = `IN-${paddedNumber} Interaction for ${interaction.projectCode}-${interaction.projectName}`;
-
-            const csvFilePath = await createCSVforInteraction(interaction.id);
-
-            //send mail
-            const responseSendMail = await sendSurveyInformation(
-                interaction.spocEmail,
-                mailHtml,
-                subject
-                , csvFilePath
-            );
-
-            await fs.unlink(csvFilePath);
-
-            //update interaction status to SENT
-            const interactionsStatus = await SystemStatus.findOne({
-                where: {
-                    object: 'master_interactions',
-                    status: 'SENT'
-                }
-            });
-            await MasterInteractions.update(
-                { statusid: interactionsStatus.dataValues.id },
-                { where: { id: interaction.id } }
-            );
-
+            //send mail to user, status to SENT
+            await sendInteractionMail(interaction, 'SEND');
 
             console.log(`Interaction | action:Send Interaction By External | projectIdentifier=${interaction.projectidentifier} | interactionId=${interaction.interactionsid} | url=${interaction.url}`);
         }
@@ -289,110 +176,17 @@ const sendInteractionsByUser = async (req, res) => {
         if (!interactionIds) {
             return res.status(400).json(new ApiResponse(null, "Interaction ids not found", false));
         }
+        if (sendReminder != true && sendInteraction != true) {
+            return res.status(400).json(new ApiResponse(null, "sendInteraction or sendReminder is required", false));
+        }
 
         //find interactions whose status is CREATED
         const interactions = await assessmentQueries.getUnsentInteractionsByUser(interactionIds);
 
         for (const interaction of interactions) {
 
-            //send mail to user
-            //prepare mail body
-            let subject = "";
-            let body = "";
-
-            if (sendReminder && sendReminder == true) {
-
-                let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(interaction.companyId, 'INTERACTION', 'REMINDER');
-
-                subject = masterCompanyMailConfiguration.dataValues.subject;
-                body = masterCompanyMailConfiguration.dataValues.body;
-
-                const projectName = interaction.projectName;
-                const projectCode = interaction.projectCode;
-                const accountName = interaction.companyName;
-                const spocName = interaction.spocName;
-                const fiscalYear = interaction.fiscalYear;
-                const url = interaction.url;
-
-                subject = subject.replaceAll('${interactionId}', interaction.interactionsid);
-                subject = subject.replaceAll('${projectName}', projectName);
-                subject = subject.replaceAll('${projectCode}', projectCode);
-                subject = subject.replaceAll('${accountName}', accountName);
-
-                body = body.replaceAll('${spocName}', spocName);
-                body = body.replaceAll('${projectName}', projectName);
-                body = body.replaceAll('${projectCode}', projectCode);
-                body = body.replaceAll('${fiscalYear}', fiscalYear);
-                body = body.replaceAll('${url}', url);
-
-            } else if (sendInteraction && sendInteraction == true) {
-                let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(interaction.companyId, 'INTERACTION', 'SEND');
-
-                subject = masterCompanyMailConfiguration.dataValues.subject;
-                body = masterCompanyMailConfiguration.dataValues.body;
-
-                const projectName = interaction.projectName;
-                const projectCode = interaction.projectCode;
-                const accountName = interaction.companyName;
-                const spocName = interaction.spocName;
-                const fiscalYear = interaction.fiscalYear;
-                const url = interaction.url;
-
-                subject = subject.replaceAll('${interactionId}', interaction.interactionsid);
-                subject = subject.replaceAll('${projectName}', projectName);
-                subject = subject.replaceAll('${projectCode}', projectCode);
-                subject = subject.replaceAll('${accountName}', accountName);
-
-                body = body.replaceAll('${spocName}', spocName);
-                body = body.replaceAll('${projectName}', projectName);
-                body = body.replaceAll('${projectCode}', projectCode);
-                body = body.replaceAll('${fiscalYear}', fiscalYear);
-                body = body.replaceAll('${url}', url);
-            }
-
-            const csvFilePath = await createCSVforInteraction(interaction.id);
-
-            //send mail
-
-            const companyCCMails = interaction.interactionccMails ? interaction.interactionccMails.split(',') : [];
-            const projectCCMails = interaction.interactionCCMails ? interaction.interactionCCMails.split(',') : [];
-            const ccMails = [...companyCCMails, ...projectCCMails];
-
-            const responseSendMail = await sendFile(
-                interaction.spocEmail,
-                body,
-                subject,
-                csvFilePath,
-                ccMails
-            );
-
-            await fs.unlink(csvFilePath);
-
-            //update interaction status to SENT or REMINDER SENT
-            if (sendInteraction && sendInteraction == true) {
-                const interactionsStatus = await SystemStatus.findOne({
-                    where: {
-                        object: 'master_interactions',
-                        status: 'SENT'
-                    }
-                });
-                await MasterInteractions.update(
-                    { statusid: interactionsStatus.dataValues.id },
-                    { where: { id: interaction.id } }
-                );
-            } else if (sendReminder && sendReminder == true) {
-                const interactionsStatus = await SystemStatus.findOne({
-                    where: {
-                        object: 'master_interactions',
-                        status: 'REMINDER SENT'
-                    }
-                });
-                await MasterInteractions.update(
-                    { statusid: interactionsStatus.dataValues.id },
-                    { where: { id: interaction.id } }
-                );
-            }
-
+            //send mail to user and update interaction status to SENT or REMINDER SENT
+            await sendInteractionMail(interaction, sendReminder == true ? 'REMINDER' : 'SEND');
 
             if (sendReminder) {
                 console.log(`Interaction | action:Send Reminder Interaction By User | projectIdentifier=${interaction.projectidentifier} | interactionId=${interaction.interactionsid} | url=${interaction.url}`);
@@ -416,10 +210,10 @@ const authenticateLinkAndSendOtp = async (req, res) => {
     try {
         const { encryption } = req.params;
 
-        const interactionId = crypto.decryptText(
+        const { id: interactionId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.INTERACTIONS_CIPHER_KEY
-        );
+        ));
         //get interaction object
         const interaction = await MasterInteractions.findOne({
             where: {
@@ -455,6 +249,16 @@ const authenticateLinkAndSendOtp = async (req, res) => {
                 .json(new ApiResponse(null, "Response Received", false));
         }
 
+        //links handed on to a delegate no longer open the interaction
+        const forwardedMessage = forwardedLinkMessage(interaction.dataValues.delegations, delegationId, 'interaction');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+        const original = { name: interaction.dataValues.spocname, email: interaction.dataValues.spocemail, url: interaction.dataValues.url };
+        const responder = currentResponder(original, interaction.dataValues.delegations);
+
 
         //otp
         const { genarateotp } = req.query;
@@ -470,25 +274,13 @@ const authenticateLinkAndSendOtp = async (req, res) => {
             );
 
             //mail
-            let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(interaction.companyid, 'INTERACTION', 'OTP');
-
-            subject = masterCompanyMailConfiguration.dataValues.subject;
-            body = masterCompanyMailConfiguration.dataValues.body;
-
-            const projectName = project.dataValues.projectName;
-            const projectCode = project.dataValues.projectCode;
-            const accountName = company.dataValues.companyName;
-            const spocName = interaction.spocname;
-
-            subject = subject.replaceAll('${projectName}', projectName);
-            subject = subject.replaceAll('${projectCode}', projectCode);
-            subject = subject.replaceAll('${accountName}', accountName);
-
-            body = body.replaceAll('${spocName}', spocName);
-            body = body.replaceAll('${otp}', otp);
-
-            const ccMails = [];
-            await sendMail(interaction.dataValues.spocemail, body, subject, ccMails);
+            await sendTemplateMail('INTERACTION', 'OTP', interaction.companyid, {
+                spocName: responder.name,
+                otp,
+                projectName: project.dataValues.projectName,
+                projectCode: project.dataValues.projectCode,
+                accountName: company.dataValues.companyName
+            }, { to: responder.email }, { object: 'master_interactions', objectId: interactionId });
 
             //generate cipher which is encryption for interaction
             const cipher = encryption;
@@ -501,13 +293,11 @@ const authenticateLinkAndSendOtp = async (req, res) => {
                 projectName: project.dataValues.projectName,
                 projectManager: project.dataValues.projectManager,
                 technicalContact: project.dataValues.projectManager,
-                name: interaction.dataValues.spocname,
+                name: responder.name,
                 sentBy: 'system',
                 clientName: company.dataValues.companyName,
-                userEmail: interaction.dataValues.spocemail.replace(
-                    /^(.{2}).*?(@.*)$/,
-                    "$1****$2"
-                ),
+                userEmail: maskEmail(responder.email),
+                delegatedBy: responder.delegatedBy,
                 cipher: cipher,
                 supportEmail: process.env.SURVEY_SUPPORT_MAIL,
                 company: process.env.SURVEY_COMPANY,
@@ -528,13 +318,11 @@ const authenticateLinkAndSendOtp = async (req, res) => {
             projectName: project.dataValues.projectName,
             projectManager: project.dataValues.projectManager,
             technicalContact: project.dataValues.projectManager,
-            name: interaction.dataValues.spocname,
+            name: responder.name,
             sentBy: 'system',
             clientName: company.dataValues.companyName,
-            userEmail: interaction.dataValues.spocemail.replace(
-                /^(.{2}).*?(@.*)$/,
-                "$1****$2"
-            ),
+            userEmail: maskEmail(responder.email),
+            delegatedBy: responder.delegatedBy,
             supportEmail: process.env.SURVEY_SUPPORT_MAIL,
             company: process.env.SURVEY_COMPANY,
         };
@@ -556,10 +344,10 @@ const verifyOtpAndGetInteractionData = async (req, res) => {
 
         const { encryption } = req.params;
 
-        const interactionId = crypto.decryptText(
+        const { id: interactionId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.INTERACTIONS_CIPHER_KEY
-        );
+        ));
         //get interaction object
         const interaction = await MasterInteractions.findOne({
             where: {
@@ -595,6 +383,14 @@ const verifyOtpAndGetInteractionData = async (req, res) => {
                 .json(new ApiResponse(null, "Response Received", false));
         }
 
+        //links handed on to a delegate no longer open the interaction
+        const forwardedMessage = forwardedLinkMessage(interaction.dataValues.delegations, delegationId, 'interaction');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+
         //validate request body
         if (!cipher || !otp) {
             return res
@@ -604,10 +400,10 @@ const verifyOtpAndGetInteractionData = async (req, res) => {
 
         //validate request
         //decrypt cipher and get interaction id
-        const cipherInteraction = crypto.decryptText(
+        const { id: cipherInteraction } = parseDelegationLink(crypto.decryptText(
             cipher,
             process.env.SURVEY_CIPHER_KEY
-        );
+        ));
 
         if (interactionId != cipherInteraction) {
             return res.status(400).json(new ApiResponse(null, "Invalid Request.", false));
@@ -622,9 +418,11 @@ const verifyOtpAndGetInteractionData = async (req, res) => {
         }
 
         //get questions and answers
-        //get questions
-        const questionsAndAnswers =
-            await assessmentQueries.getQuestionsAndAnswers(interactionId);
+        //get questions, marked visible from the branching rules and the answers saved so far
+        const questionsAndAnswers = applyBranching(
+            await assessmentQueries.getQuestionsAndAnswers(interactionId),
+            questionKey
+        );
 
         const data = {
             cipher: cipher,
@@ -649,10 +447,10 @@ const saveAnswer = async (req, res) => {
 
         const { encryption } = req.params;
 
-        const interactionId = crypto.decryptText(
+        const { id: interactionId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.INTERACTIONS_CIPHER_KEY
-        );
+        ));
         //get interaction object
         const interaction = await MasterInteractions.findOne({
             where: {
@@ -687,6 +485,16 @@ const saveAnswer = async (req, res) => {
                 .json(new ApiResponse(null, "Response Received", false));
         }
 
+        //links handed on to a delegate no longer open the interaction
+        const forwardedMessage = forwardedLinkMessage(interaction.dataValues.delegations, delegationId, 'interaction');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+        const original = { name: interaction.dataValues.spocname, email: interaction.dataValues.spocemail, url: interaction.dataValues.url };
+        const responder = currentResponder(original, interaction.dataValues.delegations);
+
 
         if (!cipher) {
             return res
@@ -695,10 +503,10 @@ const saveAnswer = async (req, res) => {
         }
 
         //decrypt cipher and verify
-        const cipherInteraction = crypto.decryptText(
+        const { id: cipherInteraction } = parseDelegationLink(crypto.decryptText(
             cipher,
             process.env.INTERACTIONS_CIPHER_KEY
-        );
+        ));
         if (interactionId != cipherInteraction) {
             return res.status(400).json(new ApiResponse(null, "Invalid Request.", false));
         }
@@ -739,6 +547,18 @@ const saveAnswer = async (req, res) => {
 
         if (submit) {
 
+            //answers left on questions skipped by the branching rules are not part of the response
+            const skippedQuestionIds = applyBranching(await assessmentQueries.getQuestionsAndAnswers(interactionId), questionKey)
+                .filter(question => !question.visible && question.answer !== null)
+                .map(question => question.questionId);
+            if (skippedQuestionIds.length > 0) {
+                await MasterInteractionsQA.update(
+                    { answer: null, modifiedby: 'external' },
+                    { where: { id: skippedQuestionIds, interactionsid: interactionId } }
+                );
+                console.log(`Interaction | action:clear skipped answers | interactionid=${interaction.dataValues.interactionsid} | questions=${skippedQuestionIds.length}`);
+            }
+
             //get statusid for object master_interaction and status=RESPONSE RECEIVED
             const statusRecord = await SystemStatus.findOne({
                 where: {
@@ -758,49 +578,23 @@ const saveAnswer = async (req, res) => {
             );
 
             //send response received mail
-            let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(interaction.companyid, 'INTERACTION', 'RESPONSE RECEIVED - USER');
-
-            let subject = masterCompanyMailConfiguration.dataValues.subject;
-            let body = masterCompanyMailConfiguration.dataValues.body;
-
-            const accountName = company.dataValues.companyName;
-            const projectCode = project.dataValues.projectCode;;
-            const projectName = project.dataValues.projectName;
-            const name = interaction.dataValues.spocname;
-            const date = lastSaved;
-            const support = process.env.SURVEY_SUPPORT_MAIL;;
-
-            subject = subject.replaceAll('${interactionId}', interaction.dataValues.interactionsid);
-            subject = subject.replaceAll('${accountName}', accountName);
-            subject = subject.replaceAll('${projectCode}', projectCode);
-            subject = subject.replaceAll('${projectName}', projectName);
-
-            body = body.replaceAll('${name}', name);
-            body = body.replaceAll('${projectName}', projectName);
-            body = body.replaceAll('${projectCode}', projectCode);
-            body = body.replaceAll('${date}', date);
-            body = body.replaceAll('${support}', support);
+            const values = {
+                name: responder.name,
+                date: lastSaved,
+                support: process.env.SURVEY_SUPPORT_MAIL,
+                interactionId: interaction.dataValues.interactionsid,
+                projectName: project.dataValues.projectName,
+                projectCode: project.dataValues.projectCode,
+                accountName: company.dataValues.companyName
+            };
 
             const ccMails = company.dataValues.interactionccMails ? company.dataValues.interactionccMails.split(',') : [];
-            await sendMail(interaction.dataValues.spocemail, body, subject, ccMails);
+            //the SPOCs who forwarded the interaction are copied
+            const previousMails = previousResponders(original, interaction.dataValues.delegations).map(holder => holder.email);
+            await sendTemplateMail('INTERACTION', 'RESPONSE RECEIVED - USER', interaction.companyid, values, { to: responder.email, cc: [...ccMails, ...previousMails] }, { object: 'master_interactions', objectId: interactionId });
 
             //send mail to the internal team
-            masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(interaction.companyid, 'INTERACTION', 'RESPONSE RECEIVED - SUPPORT TEAM');
-
-            subject = masterCompanyMailConfiguration.dataValues.subject;
-            body = masterCompanyMailConfiguration.dataValues.body;
-
-            subject = subject.replaceAll('${interactionId}', interaction.dataValues.interactionsid);
-            subject = subject.replaceAll('${accountName}', accountName);
-            subject = subject.replaceAll('${projectCode}', projectCode);
-            subject = subject.replaceAll('${projectName}', projectName);
-
-            body = body.replaceAll('${projectName}', projectName);
-            body = body.replaceAll('${projectCode}', projectCode);
-            body = body.replaceAll('${name}', name);
-            body = body.replaceAll('${date}', date);
-
-            await sendMail(process.env.SURVEY_CONFIRM_MAIL, body, subject, ccMails);
+            await sendTemplateMail('INTERACTION', 'RESPONSE RECEIVED - SUPPORT TEAM', interaction.companyid, values, { to: process.env.SURVEY_CONFIRM_MAIL, cc: ccMails }, { object: 'master_interactions', objectId: interactionId });
 
             console.log(`Interaction | action:Response received Thank you mail | projectId=${project.dataValues.projectIdentifier} | interactionid=${interaction.dataValues.interactionsid}`);
 
@@ -853,6 +647,172 @@ const saveAnswer = async (req, res) => {
         return res.status(500).json(new ApiError(error.message, 500, error));
     }
 };
+
+/*
+ * Forward the interaction from the public page to a colleague : body { cipher, otp, name, email, message }.
+ * The delegate gets a link of their own and an OTP when they open it, the earlier links stop working
+ * and the SPOCs who held the interaction before are told who answers it now.
+ */
+const delegateInteraction = async (req, res) => {
+    try {
+        const { cipher, otp, name, email, message } = req.body;
+
+        const { encryption } = req.params;
+        const { id: interactionId, delegationId } = parseDelegationLink(crypto.decryptText(
+            encryption,
+            process.env.INTERACTIONS_CIPHER_KEY
+        ));
+        const interaction = await MasterInteractions.findOne({
+            where: {
+                id: interactionId
+            }
+        });
+        const project = await Project.findOne({
+            where: {
+                projectId: interaction.dataValues.projectidentifier
+            }
+        });
+        const company = await Company.findOne({
+            where: {
+                companyId: project.dataValues.companyId
+            }
+        });
+        const status = await SystemStatus.findOne({
+            where: {
+                id: interaction.dataValues.statusid
+            }
+        });
+
+        if (status.dataValues.status != 'REMINDER SENT' && status.dataValues.status != 'SENT') {
+            return res
+                .status(404)
+                .json(new ApiResponse(null, "Response Received", false));
+        }
+
+        const forwardedMessage = forwardedLinkMessage(interaction.dataValues.delegations, delegationId, 'interaction');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+
+        //only the responder who verified the OTP can hand the interaction on
+        if (!cipher || !otp) {
+            return res
+                .status(400)
+                .json(new ApiResponse(null, "Invalid request.", false));
+        }
+        const { id: cipherInteraction } = parseDelegationLink(crypto.decryptText(
+            cipher,
+            process.env.INTERACTIONS_CIPHER_KEY
+        ));
+        if (interactionId != cipherInteraction) {
+            return res.status(400).json(new ApiResponse(null, "Invalid Request.", false));
+        }
+        if (interaction.dataValues.otp !== otp) {
+            return res.status(400).json(new ApiResponse(null, "Invalid Otp.", false));
+        }
+
+        const original = { name: interaction.dataValues.spocname, email: interaction.dataValues.spocemail, url: interaction.dataValues.url };
+        const delegate = { name, email };
+        const reason = checkDelegation(original, interaction.dataValues.delegations, delegate);
+        if (reason) {
+            return res.status(400).json(new ApiResponse(null, reason, false));
+        }
+
+        //link of the delegate
+        const id = uuidv4();
+        const encryptionOfDelegate = crypto.encryptText(
+            delegationLinkText(interactionId, id),
+            process.env.INTERACTIONS_CIPHER_KEY
+        );
+        const url = `${process.env.INTERACTIONS_LINK}?verifycode=${encryptionOfDelegate}`;
+
+        const entry = delegationEntry(original, interaction.dataValues.delegations, delegate, id, url, message);
+        const delegations = [...parseDelegations(interaction.dataValues.delegations), entry];
+        await assessmentQueries.delegateInteraction(interactionId, delegations);
+
+        await sendDelegationMails(
+            'INTERACTION',
+            interaction.dataValues.companyid,
+            { accountName: company.dataValues.companyName, projectCode: project.dataValues.projectCode, projectName: project.dataValues.projectName },
+            original,
+            delegations,
+            interactionId
+        );
+
+        console.log(`Interaction | action:delegate | interactionid=${interaction.dataValues.interactionsid} | from=${entry.fromEmail} | to=${entry.toEmail} | delegation=${delegations.length}`);
+
+        const data = {
+            delegatedTo: entry.toName,
+            delegateEmail: maskEmail(entry.toEmail),
+            delegatedAt: entry.delegatedAt
+        };
+        return res
+            .status(200)
+            .json(new ApiResponse(data, "Interaction forwarded successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * Set skip / show rules on the questions of an interaction before it is answered.
+ * body : { questions: [{ questionId, branching: [{ operator, value, action, targets: [questionIds] }] }] }
+ * questions not in the list keep their rules, a null branching removes them.
+ */
+const updateInteractionBranching = async (req, res) => {
+    try {
+        const { interactionId } = req.params;
+        const changes = Array.isArray(req.body.questions) ? req.body.questions : [];
+
+        const interaction = await MasterInteractions.findOne({ where: { id: interactionId } });
+        if (!interaction) {
+            return res.status(404).json(new ApiError("Interaction not found.", 404));
+        }
+        if (req.companyAccess && req.companyAccess.length > 0 && !req.companyAccess.includes(interaction.dataValues.companyid)) {
+            return res.status(403).json(new ApiError("No access to this interaction.", 403));
+        }
+
+        const status = await SystemStatus.findOne({ where: { id: interaction.dataValues.statusid } });
+        if (status && status.dataValues.status == 'RESPONSE RECEIVED') {
+            return res.status(409).json(new ApiError("Response received, the questions can no longer change.", 409));
+        }
+
+        const questions = await assessmentQueries.getQuestionsAndAnswers(interactionId);
+        const unknown = changes.filter(change => !questions.some(question => question.questionId == change.questionId));
+        if (changes.length === 0 || unknown.length > 0) {
+            return res.status(400).json(new ApiResponse(
+                { unknownQuestions: unknown.map(change => change.questionId) },
+                changes.length === 0 ? "No questions given." : "Questions are not part of this interaction.",
+                false
+            ));
+        }
+
+        const updated = questions.map(question => {
+            const change = changes.find(item => item.questionId == question.questionId);
+            return change ? { ...question, branching: change.branching } : question;
+        });
+        const normalized = normalizeBranching(updated, questionKey);
+        if (normalized.errors.length > 0) {
+            const errors = normalized.errors.map(error => ({ questionId: updated[error.index].questionId, reason: error.reason }));
+            return res.status(400).json(new ApiResponse({ errors }, "Invalid branching rules.", false));
+        }
+
+        const branching = Object.fromEntries(
+            changes.map(change => [change.questionId, normalized.branching[updated.findIndex(question => question.questionId == change.questionId)]])
+        );
+        await assessmentQueries.updateQuestionBranching(interactionId, branching);
+
+        console.log(`Interaction | action:update branching | interactionid=${interaction.dataValues.interactionsid} | questions=${changes.length}`);
+
+        const data = applyBranching(await assessmentQueries.getQuestionsAndAnswers(interactionId), questionKey);
+        return res.status(200).json(new ApiResponse(data, "Interaction branching updated successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
 //upload interaction
 
 const uploadInteractions = async (req, res) => {
@@ -880,7 +840,9 @@ module.exports = {
     authenticateLinkAndSendOtp,
     verifyOtpAndGetInteractionData,
     saveAnswer,
+    delegateInteraction,
     createInteractions,
     sendInteractionsByUser,
-    uploadInteractions
+    uploadInteractions,
+    updateInteractionBranching
 };
\ No newline at end of file
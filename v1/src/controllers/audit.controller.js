@@ -0,0 +1,82 @@
+const fs = require("fs");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const auditQueries = require("../queries/audit.queries");
+const { AUDIT_ACTIONS } = require("../utils/auditLog");
+const { reportForAuditLog } = require("../utils/csv");
+
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_MAX_PAGE_SIZE = 500;
+const AUDIT_EXPORT_LIMIT = 50000;
+
+const isValidDate = (value) => !value || !isNaN(new Date(value).getTime());
+
+//filter of the query : actorId / entity / entityId / action / companyId / requestId / from / to, null when invalid
+const auditFilterOf = (query) => {
+    const { actorId, entity, entityId, action, companyId, requestId, from, to } = query;
+    if ((action && !AUDIT_ACTIONS.includes(action)) || !isValidDate(from) || !isValidDate(to)) {
+        return null;
+    }
+    return { actorId, entity, entityId, action, companyId, requestId, from, to };
+};
+
+const invalidFilterResponse = (res) => res
+    .status(400)
+    .json(new ApiResponse(null, `action should be one of ${AUDIT_ACTIONS.join(', ')} and from / to dates.`, false));
+
+//audit entries of the companies of the user, newest first, page / limit of the query
+const getAuditLog = async (req, res) => {
+    try {
+        const filter = auditFilterOf(req.query);
+        if (!filter) {
+            return invalidFilterResponse(res);
+        }
+        const limit = Math.min(parseInt(req.query.limit) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const data = await auditQueries.getAuditLog(filter, req.companyAccess || [], limit, (page - 1) * limit);
+
+        return res.status(200).json(new ApiResponse({ entries: data.rows, total: data.count, page, limit }, "Audit log fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//the same entries as an excel sheet, up to AUDIT_EXPORT_LIMIT
+const exportAuditLog = async (req, res) => {
+    try {
+        const filter = auditFilterOf(req.query);
+        if (!filter) {
+            return invalidFilterResponse(res);
+        }
+
+        const data = await auditQueries.getAuditLog(filter, req.companyAccess || [], AUDIT_EXPORT_LIMIT);
+        const filePath = await reportForAuditLog(data.rows);
+        console.log(`Audit | action : export | user : ${req.params.user} | entries : ${data.rows.length} of ${data.count}`);
+
+        // Set headers for Excel file download
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader('Content-Disposition', 'attachment; filename="AuditLog.xlsx"');
+
+        // Read the file and pipe it to the response
+        const fileStream = fs.createReadStream(filePath);
+        fileStream.pipe(res);
+
+        // Clean up the file after download
+        fileStream.on('end', () => {
+            fs.unlink(filePath, (err) => {
+                if (err) console.error("Failed to delete temporary file:", err);
+            });
+        });
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    getAuditLog,
+    exportAuditLog
+};
@@ -1,9 +1,9 @@
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
-const { generateAccessToken, generateRefreshToken } = require("../utils/jwt");
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken, verifyAccessToken, accessTokenSessionId } = require("../utils/jwt");
 const { verifyHashedPassword, createHashedPassword } = require("../utils/bcrypt");
 const authQueries = require("../queries/auth.queries");
-const { sendOtpOverMail, sendMail } = require("../utils/mailGraphApi");
+const { sendOtpOverMail, sendTemplateMail } = require("../utils/mailer");
 const PlatformUsers = require("../models/platform-users.model");
 
 const qrcode = require("qrcode");
@@ -12,7 +12,27 @@ const constants = require("../constants");
 const platformusers = require("../queries/platformusers.queries");
 const crypto = require('../utils/crypto');
 const { generateOtp } = require("../utils/otp");
-const sessionService = require("../utils/sessionService")
+const sessionService = require("../utils/sessionService");
+
+//the refresh token only travels in this cookie, SameSite / Secure can be relaxed for a front end on another site or local http runs
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.REFRESH_COOKIE_SECURE != 'false',
+    sameSite: process.env.REFRESH_COOKIE_SAME_SITE || 'strict',
+    path: constants.REFRESH_TOKEN_COOKIE_PATH
+});
+
+const clearRefreshCookie = (res) => res.clearCookie(constants.REFRESH_TOKEN_COOKIE, refreshCookieOptions());
+
+//access token of the session in the response body, its refresh token in the cookie
+const issueTokens = (res, userId, email, sessionId, refreshTokenId) => {
+    const encrypt_userId = crypto.encryptText(userId, constants.USER_ID_KEY);
+    res.cookie(constants.REFRESH_TOKEN_COOKIE, generateRefreshToken(encrypt_userId, email, sessionId, refreshTokenId), {
+        ...refreshCookieOptions(),
+        maxAge: constants.REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+    });
+    return { accessToken: generateAccessToken(encrypt_userId, email, sessionId) };
+};
 
 
 const loginUser = async (req, res) => {
@@ -47,18 +67,10 @@ const loginUser = async (req, res) => {
 
         if (!user.isMfaRequired) {
             const details = await authQueries.getUserRoleDetails(user.userId);
-            const encrypt_userId = crypto.encryptText(user.userId, constants.USER_ID_KEY);
-            const accessToken = generateAccessToken(encrypt_userId, user.email);
-
-            const sessionId = user.userId + accessToken.substring(accessToken.length - 7);
-
-            // Update session
-            sessionService.createOrUpdateSession(sessionId, { userId: user.userId });
+            const session = await sessionService.startSession(user.userId, req);
 
             const data = {
-                tokens: {
-                    accessToken,
-                },
+                tokens: issueTokens(res, user.userId, user.email, session.sessionid, session.refreshtokenid),
                 userInfo: details.userInfo,
                 rolesInfo: details.rolesInfo,
             };
@@ -169,7 +181,7 @@ const sendOtp = async (req, res) => {
         await platformusers.updateOtpAndExpiry(email, OTP, expiryTimeInDate, cipher);
 
         //send otp to user mail
-        await sendOtpOverMail(email, user.firstName + " " + user.lastName, message, OTP);
+        await sendOtpOverMail(email, user.firstName + " " + user.lastName, message, OTP, { userId: user.userId });
 
         return res.status(200).json(
             new ApiResponse({
@@ -293,17 +305,6 @@ const verifyOtpOrTotp = async (req, res) => {
                 );
             }
 
-            //get user data
-            const details = await authQueries.getUserRoleDetails(user.userId);
-            const data = {
-                tokens: {
-                    accessToken: generateAccessToken(user.userId),
-                    refreshToken: generateRefreshToken(user.userId),
-                },
-                userInfo: details.userInfo,
-                rolesInfo: details.rolesInfo
-            }
-
             //totp
             const verified = authenticator.check(totp, user.MFA_SECRET);
 
@@ -315,6 +316,15 @@ const verifyOtpOrTotp = async (req, res) => {
                     );
             }
 
+            //get user data
+            const details = await authQueries.getUserRoleDetails(user.userId);
+            const session = await sessionService.startSession(user.userId, req);
+            const data = {
+                tokens: issueTokens(res, user.userId, user.email, session.sessionid, session.refreshtokenid),
+                userInfo: details.userInfo,
+                rolesInfo: details.rolesInfo
+            }
+
             //make mfa enabled to true
             await authQueries.updateuserMfaEnabled(user.email, true);
 
@@ -391,6 +401,9 @@ const changePassword = async (req, res) => {
         const hashedPassword = await createHashedPassword(newPassword);
         await platformusers.updatepassword(email, hashedPassword);
 
+        //signed in devices have to log in again with the new password
+        await sessionService.revokeUserSessions(user.userId, user.userId, 'password-changed');
+
         //update otp and expiry date to null
         await platformusers.updateOtpAndExpiry(email, null, null);
 
@@ -430,24 +443,11 @@ const contactSupport = async (req, res) => {
             );
         }
 
-        //subject
-        const subject = "USER SUPPORT REQUIRED";
-        //body
-        const body = `
-            <b>User Query</b> :${content}
-            <br>
-            <br>
-            <b>User Contact Info</b> : ${phone ? phone : "Not Available"}
-            <br>
-            <br>
-            <br>
-            <br>
-        `;
-
-        //ccs
-        const ccs = [email];
-
-        await sendMail(process.env.SURVEY_SUPPORT_MAIL, body, subject, ccs);
+        //the user is copied
+        await sendTemplateMail("SUPPORT", "CONTACT SUPPORT", null, {
+            content,
+            phone: phone ? phone : "Not Available"
+        }, { to: process.env.SURVEY_SUPPORT_MAIL, cc: [email] }, { userId: isUserValid.data.userId });
 
         return res.status(200).json(
             new ApiResponse({
@@ -459,10 +459,101 @@ const contactSupport = async (req, res) => {
     }
 };
 
+const REFRESH_FAILURES = {
+    unknown: "Session not found",
+    revoked: "Session signed out",
+    expired: "Session expired due to inactivity",
+    reused: "Refresh token already used, session signed out"
+};
+
+//new access token and refresh token for the refresh token cookie, the old refresh token stops working
+const refreshTokens = async (req, res) => {
+    const refused = (message) => {
+        clearRefreshCookie(res);
+        return res.status(401).json({
+            message,
+            success: false,
+            logout: true,
+        });
+    };
+
+    try {
+        const refreshToken = req.cookies[constants.REFRESH_TOKEN_COOKIE];
+        if (!refreshToken) {
+            return refused("Refresh token missing");
+        }
+
+        let token;
+        try {
+            token = await verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return refused("Invalid refresh token");
+        }
+
+        const userProfile = await authQueries.getUserProfile(token.userId);
+        if (!userProfile || userProfile.hasPasswordChanged) {
+            return refused("Unauthorized");
+        }
+
+        const rotation = await sessionService.rotateRefreshToken(token.sessionId, token.userId, token.tokenId);
+        if (!rotation.valid) {
+            return refused(REFRESH_FAILURES[rotation.reason]);
+        }
+
+        let data = {
+            tokens: issueTokens(res, token.userId, token.email, token.sessionId, rotation.refreshTokenId)
+        };
+        //after an SSO sign in the front end has no user info yet, it gets the same as a password login
+        if (req.body && req.body.withUserInfo) {
+            const details = await authQueries.getUserRoleDetails(token.userId);
+            data.userInfo = details.userInfo;
+            data.rolesInfo = details.rolesInfo;
+        }
+
+        return res.status(200).json(
+            new ApiResponse(data, "Token refreshed", true)
+        );
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+}
+
+//ends the session of the refresh token cookie, or of the access token when the cookie is gone
+const logoutUser = async (req, res) => {
+    try {
+        let token = null;
+        try {
+            const refreshToken = req.cookies[constants.REFRESH_TOKEN_COOKIE];
+            if (refreshToken) {
+                token = await verifyRefreshToken(refreshToken);
+            } else if (req.headers.authorization) {
+                const accessToken = req.headers.authorization.split(' ')[1];
+                token = { userId: verifyAccessToken(accessToken), sessionId: accessTokenSessionId(accessToken) };
+            }
+        } catch (error) {
+            //expired or invalid token, there is no session left to end
+        }
+
+        if (token && token.sessionId) {
+            await sessionService.revokeSession(token.userId, token.sessionId, token.userId, 'logout');
+        }
+        clearRefreshCookie(res);
+
+        return res.status(200).json(
+            new ApiResponse(null, "Logged out successfully", true)
+        );
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+}
+
 module.exports = {
     loginUser,
     sendOtp,
     verifyOtpOrTotp,
     changePassword,
-    contactSupport
+    contactSupport,
+    refreshTokens,
+    logoutUser,
+    issueTokens
 }
\ No newline at end of file
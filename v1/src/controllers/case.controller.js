@@ -11,8 +11,7 @@ const MasterSurveyControl = require("../models/master-survey-control.model");
 const MasterSurvey = require("../models/master-survey.model");
 const MasterSurveyAssignment = require("../models/master-survey-assignment.model");
 const crypto = require("../utils/crypto");
-const { sendFile, sendMail } = require("../utils/mailGraphApi");
-const SystemSurveyTemplate = require("../models/system-survey-template.model");
+const { sendTemplateMail } = require("../utils/mailer");
 const { Sequelize, Op } = require("sequelize");
 const { literal } = Sequelize;;
 const surveyQueries = require("../queries/survey.queries");
@@ -21,9 +20,10 @@ const { createCSVforSurvey, createExcelFile, objectToDocument } = require("../ut
 const Company = require("../models/company.model");
 const fs = require('fs').promises;
 const { surveySheetsProcessor } = require("../utils/fileToDatabase");
-const companyQueries = require('../queries/company.queries');
-const { SURVEY_TIER_QUESTIONS } = require("../constants");
-const SystemSurveyQuestion = require("../models/system-survey-question.model");
+const surveyTemplateQueries = require("../queries/survey-template.queries");
+const { sendSurveyReminder } = require("../utils/reminderMails");
+const { surveyFunnel, questionStats, spocResponseRates } = require("../utils/surveyAnalytics");
+const { currentResponder, previousResponders } = require("../utils/delegation");
 
 
 const getCaseProjects = async (req, res) => {
@@ -541,63 +541,11 @@ const sendSurveys = async (req, res) => {
             }
         });
 
-        // Find latest template by created time
-        let systemSurveyTemplate = await SystemSurveyTemplate.findOne({
-            attributes: ["id"],
-            where: {
-                companyid: masterCase.dataValues.companyid,
-                tier: process.env.ACTIVE_SURVEY_TEMPLATE,
-                description: '8 Questions' // <-- ADD THIS
-            },
-            order: [['createdtime', 'DESC']]
-        });
-        // add templte and question
+        //template version the surveys are sent with, surveys stay pinned to it
+        const systemSurveyTemplate = await surveyTemplateQueries.getTemplateForSending(masterCase.dataValues.companyid, req.body.templateId);
         if (!systemSurveyTemplate) {
-            const activeTierTemplate = SURVEY_TIER_QUESTIONS[process.env.ACTIVE_SURVEY_TEMPLATE];
-            //create a template for company
-            const templateData = {
-                id: uuidv4(),
-                tier: process.env.ACTIVE_SURVEY_TEMPLATE,
-                description: `${activeTierTemplate.template.questionsCount} Questions`,
-                createdby: 'system',
-                modifiedby: 'system',
-                createdtime: new Date(),
-                modifiedtime: new Date(),
-                sysmodtime: new Date(),
-                companyid: masterCase.dataValues.companyid
-            }
-            await SystemSurveyTemplate.create(templateData);
-
-            //create answers
-            let questionsData = [];
-            for (const defaultQuestion of activeTierTemplate.questions) {
-                const questionData = {
-                    id: uuidv4(),
-                    question: defaultQuestion.question,
-                    sequence: defaultQuestion.sequence,
-                    description: defaultQuestion.description,
-                    surveytemplateid: templateData.id,
-                    createdby: 'system',
-                    modifiedby: 'system',
-                    createdtime: templateData.createdtime,
-                    modifiedtime: templateData.modifiedtime,
-                    sysmodtime: templateData.sysmodtime
-                }
-                if (questionData.sequence == 1) {
-                    questionData.question = questionData.question.replace('${year1}', company.dataValues.fiscalYear - 1);
-                    questionData.question = questionData.question.replace('${year2}', company.dataValues.fiscalYear);
-                }
-                questionsData.push(questionData);
-            }
-            await SystemSurveyQuestion.bulkCreate(questionsData);
+            return res.status(400).json(new ApiResponse(null, "Survey template not found or not published.", false));
         }
-        systemSurveyTemplate = await SystemSurveyTemplate.findOne({
-            attributes: ["id"], // Only select the `id` field
-            where: {
-                companyid: masterCase.dataValues.companyid, // Replace 'CID' with the actual company ID
-                tier: process.env.ACTIVE_SURVEY_TEMPLATE
-            }
-        });
 
         //get cc mails
         let companyCCMails = company.dataValues.ccmails;
@@ -663,7 +611,7 @@ const sendSurveys = async (req, res) => {
                 sentdate: new Date().toISOString().slice(0, 19).replace('T', ' '),
                 surveystatusid: surveyStatus.dataValues.id,
                 surveycontrolid: newMasterSurveyControl.id,
-                surveyquestionstemplateid: systemSurveyTemplate.dataValues.id,
+                surveyquestionstemplateid: systemSurveyTemplate.id,
                 companyid: mastercaseProject.dataValues.companyid,
                 projectid: mastercaseProject.dataValues.projectid,
                 spocname: mastercaseProject.dataValues.spocname,
@@ -698,46 +646,18 @@ const sendSurveys = async (req, res) => {
 
             const newMasterSurveyAssignment = await MasterSurveyAssignment.create(surveyAssignmentData);
 
-            const receiverEmail = mastercaseProject.dataValues.spocemail;
-            const spocName = mastercaseProject.dataValues.spocname;
-            const sentDate = newMasterSurvey.sentdate;
-            const projectName = project.dataValues.projectName;
-            const projectId = project.dataValues.projectCode;
-            const fiscalYear = company.dataValues.fiscalYear;
-
-            //prepare mail body
-            //get mail body
-
-            const masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(company.dataValues.companyId, "SURVEY", "SEND");
-
-            let mailHtml = masterCompanyMailConfiguration.dataValues.body.toString();
-            mailHtml = mailHtml.replace("${spocName}", spocName);
-            mailHtml = mailHtml.replace("${fiscalYear}", fiscalYear);
-            mailHtml = mailHtml.replace("${projectName}", projectName);
-            mailHtml = mailHtml.replace("${projectId}", projectId);
-            mailHtml = mailHtml.replace("${url}", url);
-            mailHtml = mailHtml.replace("${accountName}", company.dataValues.companyName);
-
             const csvFilePath = await createExcelFile(newMasterSurvey.id);
 
-            //subject
-            const paddedNumber = newMasterSurvey.dataValues.surveyid.toString().padStart(6, '0');
-            let subject = masterCompanyMailConfiguration.dataValues.subject.toString();
-            // subject = subject.replace("${paddedNumber}", paddedNumber);
-            subject = subject.replace("${projectName}", projectName);
-            subject = subject.replace("${projectId}", projectId);
-            subject = subject.replace("${accountName}", company.dataValues.companyName);
-            subject = subject.replace("${fiscalYear}", project.dataValues.accountingYear);
-
             //send mail
             const ccMails = [...companyCCMails, ...projectCCMails];
-            const responseSendMail = await sendFile(
-                receiverEmail,
-                mailHtml,
-                subject,
-                csvFilePath,
-                ccMails
-            );
+            await sendTemplateMail("SURVEY", "SEND", company.dataValues.companyId, {
+                spocName: mastercaseProject.dataValues.spocname,
+                url,
+                projectName: project.dataValues.projectName,
+                projectId: project.dataValues.projectCode,
+                accountName: company.dataValues.companyName,
+                fiscalYear: company.dataValues.fiscalYear
+            }, { to: mastercaseProject.dataValues.spocemail, cc: ccMails, filePath: csvFilePath }, { object: "master_survey", objectId: newMasterSurvey.id, userId });
 
             try {
                 await fs.unlink(csvFilePath);
@@ -829,22 +749,6 @@ const controlSurvey = async (req, res) => {
 
         const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
 
-        //get survey
-        const survey = await MasterSurvey.findOne({
-            where: {
-                id: surveyId
-            }
-        });
-
-        //get cc mails
-        let company = await Company.findOne({
-            where: {
-                companyId: survey.dataValues.companyid
-            }
-        })
-        let companyCCMails = company.dataValues.ccmails;
-        companyCCMails = companyCCMails ? companyCCMails.split(',') : [];
-
         const requestSurveyStatus = await SystemStatus.findOne({
             where: {
                 id: surveyStatusId
@@ -861,72 +765,8 @@ const controlSurvey = async (req, res) => {
         if (surveyDetails.surveyControlStatus == 'OPEN') {
             //for sent reminder
             if (requestSurveyStatus.dataValues.status == 'REMINDER SENT') {
-                //get survey details
-                // const survey = await caseQueries.getSurveyById(surveyId);
-                const receiverName = surveyDetails.name; // spoc name
-                const sendDate = surveyDetails.sentDate;
-                const url = surveyDetails.url;
-                const projectName = surveyDetails.projectName;
-                const projectId = surveyDetails.projectId;
-
-                //project cc mails
-                const project = await Project.findOne({ where: { projectCode: projectId, companyId: surveyDetails.companyId } });
-                let projectCCMails = project.dataValues.surveyCCMails;
-                projectCCMails = projectCCMails ? projectCCMails.split(',') : [];
-
-                //prepare mail body
-                const masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(company.dataValues.companyId, "SURVEY", "REMINDER");
-
-                let body = masterCompanyMailConfiguration.dataValues.body.toString();
-                body = body.replace("${receiverName}", receiverName);
-                // body = body.replace("${sendDate}", sendDate);
-                body = body.replace("${projectId}", projectId);
-                body = body.replace("${projectName}", projectName);
-                body = body.replace("${url}", url);
-                body = body.replace("${accountName}", company.dataValues.companyName);
-                body = body.replace("${fiscalYear}", company.dataValues.fiscalYear);
-                // body = body.replace("${sendDate}", sendDate);
-
-                //subject
-                const paddedNumber = surveyDetails.surveyid.toString().padStart(6, '0');
-                let subject = masterCompanyMailConfiguration.dataValues.subject.toString();
-                // subject = subject.replace("${paddedNumber}", paddedNumber);
-                subject = subject.replace("${projectName}", projectName);
-                subject = subject.replace("${projectId}", projectId);
-                subject = subject.replace("${accountName}", company.dataValues.companyName);
-
-                const csvFilePath = await createExcelFile(surveyId);
-
-                const email = surveyDetails.userEmail;
-
-                //send mail
-                const ccMails = [...companyCCMails, ...projectCCMails];
-                const responseSendMail = await sendFile(
-                    email,
-                    body,
-                    subject,
-                    csvFilePath,
-                    ccMails
-                );
-
-                await fs.unlink(csvFilePath);
-
-                // await sendMail(email, body, subject, ccMails);
-
-                //revoke the master survey
-                const surveyStatus = await SystemStatus.findOne({
-                    where: {
-                        object: 'master_survey',
-                        status: 'REMINDER SENT'
-                    }
-                });
-                await MasterSurvey.update(
-                    {
-                        surveystatusid: surveyStatus.id,
-                        modifiedtime: new Date()
-                    },
-                    { where: { id: surveyId } }
-                );
+                await sendSurveyReminder(surveyId);
+                console.log(`Survey | action:Send Reminder | surveyId=${surveyId}`);
             }
             else if (requestSurveyStatus.dataValues.status == 'REVOKED') {
                 //close the master survey control
@@ -952,6 +792,20 @@ const controlSurvey = async (req, res) => {
                     { surveystatusid: surveyStatus.id },
                     { where: { id: surveyId } }
                 );
+
+                //let the SPOC know the link no longer opens, a forwarded survey tells the delegate and copies the SPOCs before
+                const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+                const responder = currentResponder(original, surveyDetails.delegations);
+                if (responder.email) {
+                    await sendTemplateMail("SURVEY", "REVOKED", surveyDetails.companyId, {
+                        spocName: responder.name,
+                        projectName: surveyDetails.projectName,
+                        projectId: surveyDetails.projectId,
+                        accountName: surveyDetails.clientName,
+                        support: process.env.SURVEY_SUPPORT_MAIL
+                    }, { to: responder.email, cc: previousResponders(original, surveyDetails.delegations).map(holder => holder.email) }, { object: "master_survey", objectId: surveyId, userId: req.params.user });
+                }
+                console.log(`Survey | action:Revoke | surveyId=${surveyId}`);
             }
         }//you can grant a survey is the master control is closed
         else if (surveyDetails.surveyControlStatus == 'CLOSED') {
@@ -1003,82 +857,56 @@ const sendReminder = async (req, res) => {
         }
 
         for (const surveyId of surveyIds) {
+            await sendSurveyReminder(surveyId);
+            console.log(`Survey | action:Send Reminder | surveyId=${surveyId}`);
+        }
 
-            const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
-
-            //get cc mails
-            let company = await Company.findOne({
-                where: {
-                    companyId: surveyDetails.companyId
-                }
-            })
-            let companyCCMails = company.dataValues.ccmails;
-            companyCCMails = companyCCMails ? companyCCMails.split(',') : [];
-
-            //project cc mails
-            const project = await Project.findOne({ where: { projectCode: surveyDetails.projectId, companyId: surveyDetails.companyId } });
-            let projectCCMails = project.dataValues.surveyCCMails;
-            projectCCMails = projectCCMails ? projectCCMails.split(',') : [];
-
-            //prepare mail body
-            const masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(company.dataValues.companyId, "SURVEY", "REMINDER");
-
-            let body = masterCompanyMailConfiguration.dataValues.body.toString();
-            body = body.replace("${receiverName}", surveyDetails.name);
-            // body = body.replace("${sendDate}", sendDate);
-            body = body.replace("${projectId}", surveyDetails.projectId);
-            body = body.replace("${projectName}", surveyDetails.projectName);
-            body = body.replace("${url}", surveyDetails.url);
-            body = body.replace("${accountName}", company.dataValues.companyName);
-            body = body.replace("${fiscalYear}", company.dataValues.fiscalYear);
-            // body = body.replace("${sendDate}", sendDate);
-
-            //subject
-            const paddedNumber = surveyDetails.surveyid.toString().padStart(6, '0');
-            let subject = masterCompanyMailConfiguration.dataValues.subject.toString();
-            // subject = subject.replace("${paddedNumber}", paddedNumber);
-            subject = subject.replace("${projectName}", surveyDetails.projectName);
-            subject = subject.replace("${projectId}", surveyDetails.projectId);
-            subject = subject.replace("${accountName}", company.dataValues.companyName);
-
-            const email = surveyDetails.userEmail;
+        return res.status(200).json(new ApiResponse(null, "Reminders sent successfully.", true));
 
-            // await sendMail(email, body, subject, ccMails);
-            const csvFilePath = await createExcelFile(surveyId);
 
-            // const csvFilePath = await createCSVforSurvey(surveyId);
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
 
-            //send mail
-            const ccMails = [...companyCCMails, ...projectCCMails];
-            const responseSendMail = await sendFile(
-                email,
-                body,
-                subject,
-                csvFilePath,
-                ccMails
-            );
 
-            await fs.unlink(csvFilePath);
+//completion funnel, response times and question skip rates of a case's surveys, with how its SPOCs respond across cases
+const getSurveyAnalytics = async (req, res) => {
+    try {
+        const { caseId } = req.params;
 
-            //revoke the master survey
-            const surveyStatus = await SystemStatus.findOne({
-                where: {
-                    object: 'master_survey',
-                    status: 'REMINDER SENT'
-                }
-            });
-            await MasterSurvey.update(
-                {
-                    surveystatusid: surveyStatus.id,
-                    modifiedtime: new Date()
-                },
-                { where: { id: surveyId } }
-            );
+        const masterCase = await MasterCase.findOne({ where: { id: caseId }, attributes: ["id", "companyid"] });
+        if (!masterCase) {
+            return res.status(404).json(new ApiError("Case not found.", 404));
         }
 
-        return res.status(200).json(new ApiResponse(null, "Reminders sent successfully.", true));
+        const surveys = await surveyQueries.getCaseSurveyProgress(caseId);
+        const answers = await surveyQueries.getCaseSubmittedAnswers(caseId);
+        const spocEmails = [...new Set(surveys.map(survey => survey.spocemail).filter(Boolean))];
+        const spocSurveys = await surveyQueries.getSpocSurveys(masterCase.dataValues.companyid, spocEmails);
 
+        const data = {
+            caseId,
+            funnel: surveyFunnel(surveys),
+            questions: questionStats(answers),
+            spocs: spocResponseRates(spocSurveys),
+            nonResponders: surveys
+                .filter(survey => ['SENT', 'REMINDER SENT', 'GRANTED'].includes(survey.status))
+                .map(survey => ({
+                    surveyId: survey.surveyId,
+                    surveyCode: `SV-${String(survey.surveyid).padStart(4, '0')}`,
+                    projectId: survey.projectId,
+                    spocName: survey.spocname,
+                    spocEmail: survey.spocemail,
+                    sentDate: survey.sentdate,
+                    opened: Boolean(survey.otprequestedtime),
+                    answered: Number(survey.answeredcount),
+                    remindersSent: Number(survey.reminderssent) || 0
+                }))
+                .sort((a, b) => new Date(a.sentDate) - new Date(b.sentDate))
+        };
 
+        return res.status(200).json(new ApiResponse(data, "Survey analytics fetched successfully.", true));
     } catch (error) {
         return res.status(500).json(new ApiError(error.message, 500, error));
     }
@@ -1180,6 +1008,7 @@ module.exports = {
     removeCaseProjects,
     sendSurveys,
     getSurvey,
+    getSurveyAnalytics,
     getSurveyById,
     getSurveyStatus,
     controlSurvey,
@@ -8,6 +8,9 @@ const Company = require("../models/company.model");
 const { axiosRequest } = require("../utils/axios");
 const PlatformUsers = require("../models/platform-users.model");
 const SystemCountryCurrency = require("../models/system-country-currency.model");
+const schedulerQueries = require("../queries/scheduler.queries");
+const { parseReminderDays, isValidTime, isValidTimeZone } = require("../utils/reminderSchedule");
+const { isValidLanguage, isValidColor } = require("../utils/mailTemplates");
 
 
 const getCountryData = async (req, res) => {
@@ -23,8 +26,6 @@ const getCountryData = async (req, res) => {
 const getCompanyList = async (req, res) => {
   try {
 
-    // await companyQueries.createDefaultCompanyMailConfigurations();
-
     const {
       sortField,
       sortOrder,
@@ -399,6 +400,205 @@ const updateCCEmails = async (req, res) => {
 };
 
 
+const getHolidays = async (req, res) => {
+  const { companyId } = req.params;
+
+  try {
+    const holidays = await companyQueries.getHolidaysByCompanyId(companyId);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse({ holidays }, "Holidays fetched successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error fetching holidays for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError(error.message, 500));
+  }
+};
+
+const updateHolidays = async (req, res) => {
+  const { companyId } = req.params;
+  const { holidays } = req.body;
+
+  try {
+    if (!Array.isArray(holidays)) {
+      return res.status(400).json(new ApiError("holidays must be a list of dates.", 400));
+    }
+    const invalidDates = holidays.filter(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()));
+    if (invalidDates.length > 0) {
+      return res.status(400).json(new ApiError(`Invalid dates : ${invalidDates.join(', ')}. Dates must be in YYYY-MM-DD format.`, 400));
+    }
+
+    const success = await companyQueries.updateHolidaysByCompanyId(companyId, holidays);
+
+    if (!success) {
+      return res.status(404).json(new ApiError("No changes made", 404));
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse({}, "Holidays updated successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error updating holidays for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError("Internal Server Error", 500));
+  }
+};
+
+const getReminderSettings = async (req, res) => {
+  const { companyId } = req.params;
+
+  try {
+    const settings = await companyQueries.getReminderSettingsByCompanyId(companyId);
+    if (!settings) {
+      return res.status(404).json(new ApiError("Company not found", 404));
+    }
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(settings, "Reminder settings fetched successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error fetching reminder settings for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError(error.message, 500));
+  }
+};
+
+//body : { reminderDays: [3, 7, 14], maxReminders, quietHoursStart: 'HH:mm', quietHoursEnd: 'HH:mm', timeZone }
+const updateReminderSettings = async (req, res) => {
+  const { companyId } = req.params;
+  const { reminderDays, maxReminders, quietHoursStart, quietHoursEnd, timeZone } = req.body;
+
+  try {
+    const days = parseReminderDays(reminderDays || []);
+    let errors = [];
+    if (reminderDays !== undefined && (!Array.isArray(reminderDays) || days.length != reminderDays.length)) {
+      errors.push("reminderDays must be a list of different whole days after sending, e.g. [3, 7, 14]");
+    }
+    if (maxReminders !== undefined && maxReminders !== null && (!Number.isInteger(maxReminders) || maxReminders < 0)) {
+      errors.push("maxReminders must be a whole number, 0 turns automatic reminders off");
+    }
+    if (Boolean(quietHoursStart) != Boolean(quietHoursEnd)) {
+      errors.push("quietHoursStart and quietHoursEnd are set together");
+    }
+    for (const time of [quietHoursStart, quietHoursEnd].filter(Boolean)) {
+      if (!isValidTime(time)) {
+        errors.push(`Invalid time ${time}, quiet hours are in HH:mm format`);
+      }
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      errors.push(`Unknown time zone ${timeZone}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json(new ApiError(errors.join('. '), 400));
+    }
+
+    const success = await companyQueries.updateReminderSettingsByCompanyId(companyId, {
+      reminderDays: days,
+      maxReminders: maxReminders === undefined ? null : maxReminders,
+      quietHoursStart: quietHoursStart || null,
+      quietHoursEnd: quietHoursEnd || null,
+      timeZone: timeZone || null
+    });
+
+    if (!success) {
+      return res.status(404).json(new ApiError("No changes made", 404));
+    }
+
+    console.log(`Company | action : Update Reminder Settings | Company ID : ${companyId} | Days : ${days.join(',')}`);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(await companyQueries.getReminderSettingsByCompanyId(companyId), "Reminder settings updated successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error updating reminder settings for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError("Internal Server Error", 500));
+  }
+};
+
+const getMailSettings = async (req, res) => {
+  const { companyId } = req.params;
+
+  try {
+    const settings = await companyQueries.getMailSettingsByCompanyId(companyId);
+    if (!settings) {
+      return res.status(404).json(new ApiError("Company not found", 404));
+    }
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(settings, "Mail settings fetched successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error fetching mail settings for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError(error.message, 500));
+  }
+};
+
+//body : { language: 'en' | 'fr-CA' ..., logoUrl, primaryColor: '#RRGGBB', signature (html), footer (html) }, empty values go back to the defaults
+const updateMailSettings = async (req, res) => {
+  const { companyId } = req.params;
+  const { language, logoUrl, primaryColor, signature, footer } = req.body;
+
+  try {
+    let errors = [];
+    if (language && !isValidLanguage(language)) {
+      errors.push(`Invalid language ${language}, use a code like en or fr-CA`);
+    }
+    if (primaryColor && !isValidColor(primaryColor)) {
+      errors.push(`Invalid color ${primaryColor}, use #RRGGBB`);
+    }
+    if (logoUrl && !/^https:\/\/\S+$/.test(logoUrl)) {
+      errors.push("logoUrl must be an https url");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json(new ApiError(errors.join('. '), 400));
+    }
+
+    const success = await companyQueries.updateMailSettingsByCompanyId(companyId, {
+      language: language || null,
+      logoUrl: logoUrl || null,
+      primaryColor: primaryColor || null,
+      signature: signature || null,
+      footer: footer || null
+    });
+
+    if (!success) {
+      return res.status(404).json(new ApiError("No changes made", 404));
+    }
+
+    console.log(`Company | action : Update Mail Settings | Company ID : ${companyId} | Language : ${language || 'default'}`);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(await companyQueries.getMailSettingsByCompanyId(companyId), "Mail settings updated successfully", true)
+      );
+  } catch (error) {
+    console.error(`Error updating mail settings for companyId ${companyId}:`, error.message);
+    return res.status(500).json(new ApiError("Internal Server Error", 500));
+  }
+};
+
+//reminders and expiries done by the scheduler for the company's surveys and interactions
+const getSchedulerLog = async (req, res) => {
+  const { companyId } = req.params;
+
+  try {
+    const data = await schedulerQueries.getSchedulerLog(companyId, req.query);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(data, "Scheduler log fetched successfully", true)
+      );
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
 module.exports = {
   createCompany,
   getCompanyList,
@@ -414,5 +614,12 @@ module.exports = {
   getCompanyFilterValues,
   getCCEmails,
   updateCCEmails,
-  getCountryData
+  getCountryData,
+  getHolidays,
+  updateHolidays,
+  getReminderSettings,
+  updateReminderSettings,
+  getSchedulerLog,
+  getMailSettings,
+  updateMailSettings
 }
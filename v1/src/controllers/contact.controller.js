@@ -6,12 +6,15 @@ const updateSpoc = require("../utils/updateSpoc");
 const { uploadFileToAzureStorage } = require('../utils/azureBlobStorage');
 const contactQueries = require("../queries/contact.queries");
 const fileToDatabse = require("../utils/fileToDatabase");
+const { checkWorksheet } = require("../utils/sheetReader");
+const { getRatePeriods, findRatePeriod, toDateOnly } = require("../utils/payrollRates");
 const MasterSheet = require("../models/master-sheets.model");
 const { v4: uuidv4 } = require("uuid");
 const TeamMembers = require("../models/teammembers.model");
 const Contacts = require("../models/contact.model");
 const { reportForEmployeeSheet, reportForEmployeeWagesSheet, reportForTeamMemberSheet } = require("../utils/csv")
 const fs = require('fs');
+const constants = require("../constants");
 
 const getContactFilterValues = async (req, res) => {
     try {
@@ -212,6 +215,33 @@ const getSalaryByContact = async (req, res) => {
     }
 }
 
+const getHourlyRateOnDate = async (req, res) => {
+    try {
+        const { contact } = req.params;
+
+        const date = toDateOnly(req.query.date || new Date());
+        if (!date) {
+            return res.status(400).json(new ApiResponse(null, "Date should be in YYYY-MM-DD format.", false));
+        }
+
+        const period = findRatePeriod(await getRatePeriods(contact), date);
+
+        const data = {
+            contactId: contact,
+            date: date,
+            hourlyRate: period ? period.hourlyRate : null,
+            annualRate: period ? period.annualRate : null,
+            period: period ? { contactSalaryId: period.contactSalaryId, startDate: period.startDate, endDate: period.endDate } : null
+        };
+
+        return res
+            .status(200)
+            .json(new ApiResponse(data, period ? "Hourly rate fetched successfully." : "No rate period covers the date.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+}
+
 const getRnDExpenseByContact = async (req, res) => {
     try {
 
@@ -322,7 +352,7 @@ const getTeamMembers = async (req, res) => {
 
 const getContactFieldOptions = async (req, res) => {
     try {
-        const employementTypes = ["FTE", "Subcon"];
+        const employementTypes = constants.CONTACT_EMPLOYEMENT_TYPES;
         const data = {
             employementTypes
         }
@@ -400,6 +430,14 @@ const uploadEmployeeSheet = async (req, res) => {
             return res.status(400).json(new ApiResponse("File not found.", false));
         }
 
+        //worksheet to read, by name or index, the first one when not given
+        file.worksheet = req.body.worksheet;
+        const worksheetError = checkWorksheet(file);
+        if (worksheetError) {
+            fs.unlinkSync(file.path);
+            return res.status(400).json(new ApiResponse(null, worksheetError, false));
+        }
+
         //upload to azure
         const employeeSheet = await uploadFileToAzureStorage(file);
 
@@ -410,6 +448,7 @@ const uploadEmployeeSheet = async (req, res) => {
             sheetname: file.originalname,
             status: 'uploaded',
             url: employeeSheet.url,
+            worksheet: file.worksheet || null,
             companyid: companyId,
             createdby: userId
         };
@@ -433,6 +472,14 @@ const uploadProjectTeamSheet = async (req, res) => {
             return res.status(400).json(new ApiResponse("File not found.", false));
         }
 
+        //worksheet to read, by name or index, the first one when not given
+        file.worksheet = req.body.worksheet;
+        const worksheetError = checkWorksheet(file);
+        if (worksheetError) {
+            fs.unlinkSync(file.path);
+            return res.status(400).json(new ApiResponse(null, worksheetError, false));
+        }
+
         //upload to azure
         const projectTeamSheet = await uploadFileToAzureStorage(file);
 
@@ -443,6 +490,7 @@ const uploadProjectTeamSheet = async (req, res) => {
             sheetname: file.originalname,
             status: 'uploaded',
             url: projectTeamSheet.url,
+            worksheet: file.worksheet || null,
             companyid: companyId,
             createdby: userId
         };
@@ -468,6 +516,14 @@ const uploadPayrollSheet = async (req, res) => {
             return res.status(400).json(new ApiResponse("File not found.", false));
         }
 
+        //worksheet to read, by name or index, the first one when not given
+        file.worksheet = req.body.worksheet;
+        const worksheetError = checkWorksheet(file);
+        if (worksheetError) {
+            fs.unlinkSync(file.path);
+            return res.status(400).json(new ApiResponse(null, worksheetError, false));
+        }
+
         //upload to azure
         const payrollSheet = await uploadFileToAzureStorage(file);
 
@@ -478,6 +534,7 @@ const uploadPayrollSheet = async (req, res) => {
             sheetname: file.originalname,
             status: 'uploaded',
             url: payrollSheet.url,
+            worksheet: file.worksheet || null,
             companyid: companyId,
             createdby: userId
         };
@@ -585,6 +642,7 @@ module.exports = {
     getContactById,
     getProjectsByContact,
     getSalaryByContact,
+    getHourlyRateOnDate,
     getRnDExpenseByContact,
     updateSpocDetails,
     getContactFilterValues,
@@ -0,0 +1,182 @@
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const mailTemplateQueries = require("../queries/mail-template.queries");
+const companyQueries = require("../queries/company.queries");
+const {
+    PLATFORM,
+    BRANDING_VARIABLES,
+    getTemplate,
+    listTemplates,
+    isValidLanguage,
+    unknownVariables,
+    pickTemplate,
+    renderTemplate,
+    previewValues,
+    mailBranding
+} = require("../utils/mailTemplates");
+const constants = require("../constants");
+
+//companyId 'ALL' holds the platform templates, only users without company restriction change them
+const hasCompanyAccess = (req, companyId) => companyId == PLATFORM
+    ? !req.companyAccess || req.companyAccess.length === 0
+    : !req.companyAccess || req.companyAccess.length === 0 || req.companyAccess.includes(companyId);
+
+//template of the url checked for access and existence, sends the error response and returns null otherwise
+const findTemplate = (req, res) => {
+    const { companyId, feature, purpose } = req.params;
+    if (!hasCompanyAccess(req, companyId)) {
+        res.status(403).json(new ApiError("No access to this company.", 403));
+        return null;
+    }
+    const template = getTemplate(feature, purpose);
+    if (!template) {
+        res.status(404).json(new ApiError(`Mail template ${feature} / ${purpose} not found.`, 404));
+        return null;
+    }
+    return template;
+};
+
+const invalidLanguage = (language) => language && !isValidLanguage(language);
+
+//every template with its variables and the languages the company overrides it in
+const getMailTemplates = async (req, res) => {
+    try {
+        const { companyId } = req.params;
+        if (!hasCompanyAccess(req, companyId)) {
+            return res.status(403).json(new ApiError("No access to this company.", 403));
+        }
+
+        const overrides = await mailTemplateQueries.getCompanyOverrides(companyId);
+        const data = listTemplates().map(template => ({
+            ...template,
+            overrides: overrides
+                .filter(row => row.feature == template.feature && row.purpose == template.purpose)
+                .map(row => ({ language: row.language || constants.DEFAULT_MAIL_LANGUAGE, modifiedBy: row.modifiedby, modifiedTime: row.modifiedtime }))
+        }));
+
+        return res.status(200).json(new ApiResponse(data, "Mail templates fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//text the company mails use in a language, and where it comes from : company, platform or default
+const getMailTemplate = async (req, res) => {
+    try {
+        const { companyId, feature, purpose } = req.params;
+        const { language } = req.query;
+        const template = findTemplate(req, res);
+        if (!template) return;
+        if (invalidLanguage(language)) {
+            return res.status(400).json(new ApiResponse(null, `Invalid language ${language}.`, false));
+        }
+
+        const overrides = await mailTemplateQueries.getTemplateOverrides(companyId, feature, purpose);
+        const picked = pickTemplate(overrides, companyId, language, feature, purpose);
+
+        return res.status(200).json(new ApiResponse({
+            feature,
+            purpose,
+            description: template.description,
+            variables: [...template.variables, ...BRANDING_VARIABLES],
+            ...picked
+        }, "Mail template fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//body : { language, subject, body }, no language is the default one
+const updateMailTemplate = async (req, res) => {
+    try {
+        const { user, companyId, feature, purpose } = req.params;
+        const { subject, body } = req.body;
+        const language = req.body.language || constants.DEFAULT_MAIL_LANGUAGE;
+        if (!findTemplate(req, res)) return;
+
+        if (!isValidLanguage(language)) {
+            return res.status(400).json(new ApiResponse(null, `Invalid language ${language}.`, false));
+        }
+        if (!subject || String(subject).trim() === '' || !body || String(body).trim() === '') {
+            return res.status(400).json(new ApiResponse(null, "Subject and body are required.", false));
+        }
+        const unknown = unknownVariables(feature, purpose, subject, body);
+        if (unknown.length > 0) {
+            return res.status(400).json(new ApiResponse({ unknownVariables: unknown }, `Unknown variables ${unknown.join(', ')}.`, false));
+        }
+
+        const data = await mailTemplateQueries.saveTemplateOverride(companyId, feature, purpose, language, { subject, body }, user);
+        console.log(`Mail Templates | action : Update Template | Company ID : ${companyId} | Template : ${feature} / ${purpose} | Language : ${language}`);
+
+        return res.status(200).json(new ApiResponse(data, "Mail template updated successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//the company goes back to the platform template / default in that language
+const resetMailTemplate = async (req, res) => {
+    try {
+        const { companyId, feature, purpose } = req.params;
+        const language = req.query.language || constants.DEFAULT_MAIL_LANGUAGE;
+        if (!findTemplate(req, res)) return;
+        if (!isValidLanguage(language)) {
+            return res.status(400).json(new ApiResponse(null, `Invalid language ${language}.`, false));
+        }
+
+        const removed = await mailTemplateQueries.deleteTemplateOverride(companyId, feature, purpose, language);
+        if (!removed) {
+            return res.status(404).json(new ApiError("The company does not override this template in this language.", 404));
+        }
+        console.log(`Mail Templates | action : Reset Template | Company ID : ${companyId} | Template : ${feature} / ${purpose} | Language : ${language}`);
+
+        return res.status(200).json(new ApiResponse(null, "Mail template reset successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * Mail as it would be sent, with the company branding.
+ * body : { language, subject, body, values } - subject / body to preview unsaved changes, values replace the samples
+ */
+const previewMailTemplate = async (req, res) => {
+    try {
+        const { companyId, feature, purpose } = req.params;
+        const { language, subject, body, values } = req.body;
+        if (!findTemplate(req, res)) return;
+        if (invalidLanguage(language)) {
+            return res.status(400).json(new ApiResponse(null, `Invalid language ${language}.`, false));
+        }
+        const unknown = unknownVariables(feature, purpose, subject, body);
+        if (unknown.length > 0) {
+            return res.status(400).json(new ApiResponse({ unknownVariables: unknown }, `Unknown variables ${unknown.join(', ')}.`, false));
+        }
+
+        const settings = companyId != PLATFORM ? await companyQueries.getMailSettingsByCompanyId(companyId) : null;
+        const overrides = await mailTemplateQueries.getTemplateOverrides(companyId, feature, purpose);
+        const picked = pickTemplate(overrides, companyId, language || (settings && settings.language), feature, purpose);
+        const template = {
+            subject: subject || picked.subject,
+            body: body || picked.body
+        };
+
+        const rendered = renderTemplate(template, feature, purpose, previewValues(feature, purpose, values || {}), settings ? settings.branding : mailBranding());
+
+        return res.status(200).json(new ApiResponse({
+            ...rendered,
+            language: picked.language,
+            source: subject || body ? 'draft' : picked.source
+        }, "Mail template preview fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    getMailTemplates,
+    getMailTemplate,
+    updateMailTemplate,
+    resetMailTemplate,
+    previewMailTemplate
+};
@@ -0,0 +1,61 @@
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const notificationQueries = require("../queries/notification.queries");
+const { deliverQueuedMails } = require("../utils/mailQueue");
+const { hasCompanyAccess } = require("../utils/tenantScope");
+
+//delivery status of mails, filtered by surveyId / interactionId / userId / companyId / feature / purpose / status / recipient / from / to
+const getOutbox = async (req, res) => {
+    try {
+        const { surveyId, interactionId, userId, companyId, feature, purpose, status, recipient, from, to } = req.query;
+
+        const companyIds = req.companyAccess || [];
+        if (companyId && !hasCompanyAccess(req.companyAccess, companyId)) {
+            return res.status(403).json(new ApiError("No access to this company.", 403));
+        }
+
+        const data = await notificationQueries.getOutbox(
+            { surveyId, interactionId, userId, companyId, feature, purpose, status, recipient, from, to },
+            companyIds
+        );
+
+        return res.status(200).json(new ApiResponse(data, "Outbox fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//a failed mail gets a new round of attempts, starting now
+const retryMessage = async (req, res) => {
+    try {
+        const { user, messageId } = req.params;
+
+        const message = await notificationQueries.getMessage(messageId);
+        if (!message) {
+            return res.status(404).json(new ApiError("Mail not found.", 404));
+        }
+        if (message.companyid && !hasCompanyAccess(req.companyAccess, message.companyid)) {
+            return res.status(403).json(new ApiError("No access to this mail.", 403));
+        }
+        if (message.status != 'failed') {
+            return res.status(400).json(new ApiResponse(null, `Only failed mails can be retried, this mail is ${message.status}.`, false));
+        }
+
+        if (!await notificationQueries.requeueMessage(messageId)) {
+            return res.status(409).json(new ApiResponse(null, "The mail was retried already.", false));
+        }
+        console.log(`Mail | action : retry | id : ${messageId} | user : ${user}`);
+
+        await deliverQueuedMails();
+        const { status, attempts, lasterror } = await notificationQueries.getMessage(messageId);
+
+        return res.status(200).json(new ApiResponse({ id: messageId, status, attempts, lastError: lasterror }, "Mail queued again successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    getOutbox,
+    retryMessage
+};
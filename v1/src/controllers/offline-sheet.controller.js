@@ -0,0 +1,224 @@
+const fs = require("fs");
+const path = require("path");
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const surveyQueries = require("../queries/survey.queries");
+const assessmentQueries = require("../queries/assessment.queries");
+const surveyTemplateQueries = require("../queries/survey-template.queries");
+const MasterSurvey = require("../models/master-survey.model");
+const MasterSurveyAssignment = require("../models/master-survey-assignment.model");
+const MasterInteractions = require("../models/master-interactions.model");
+const Project = require("../models/project.model");
+const SystemStatus = require("../models/system-status.model");
+const { checkSurveyAnswer } = require("../utils/surveyTemplates");
+const { createOfflineWorkbook, readOfflineWorkbook, mergeOfflineAnswers, CONFLICT_RESOLUTIONS } = require("../utils/offlineSheets");
+const { hasCompanyAccess } = require("../utils/tenantScope");
+
+const FILES_DIRECTORY = 'v1/src/files/';
+
+const fileNameOf = (...parts) => parts.join('_').replace(/[\\/:*?"<>|\s]/g, "_") + '.xlsx';
+
+//send the workbook and remove it once it is downloaded
+const downloadWorkbook = (res, filePath) => res.download(filePath, path.basename(filePath), (err) => {
+    if (err) {
+        console.error("Error sending the file:", err);
+    }
+    fs.unlink(filePath, (unlinkErr) => {
+        if (unlinkErr) {
+            console.error("Error deleting the file:", unlinkErr);
+        }
+    });
+});
+
+const exportSurveySheet = async (req, res) => {
+    try {
+        const { user, surveyId } = req.params;
+
+        const survey = await MasterSurvey.findOne({ where: { id: surveyId } });
+        if (!survey) {
+            return res.status(404).json(new ApiError("Survey not found.", 404));
+        }
+        if (!hasCompanyAccess(req.companyAccess, survey.dataValues.companyid)) {
+            return res.status(403).json(new ApiError("No access to this survey.", 403));
+        }
+
+        const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
+        const template = await surveyTemplateQueries.getTemplate(survey.dataValues.surveyquestionstemplateid);
+        const questions = await surveyQueries.getSurveyQuestionAndAnswers(surveyId);
+        const surveyCode = `SV-${String(survey.dataValues.surveyid).padStart(4, '0')}`;
+
+        const filePath = await createOfflineWorkbook({
+            kind: 'survey',
+            id: surveyId,
+            companyId: survey.dataValues.companyid,
+            templateId: survey.dataValues.surveyquestionstemplateid,
+            templateVersion: template ? template.version : null,
+            userId: user,
+            title: 'Survey Data',
+            details: [
+                ['Survey ID', surveyCode],
+                ['Project ID', surveyDetails.projectId],
+                ['Project Name', surveyDetails.projectName],
+                ['Project Description', surveyDetails.description],
+                ['Assessment Year', surveyDetails.assesmentYear]
+            ],
+            questions: questions.map(question => ({ ...question, description: question.info }))
+        }, FILES_DIRECTORY + fileNameOf('survey', surveyDetails.clientName, surveyDetails.projectId, surveyCode));
+
+        console.log(`Survey | action:export offline sheet | surveyId=${surveyId} | user=${user}`);
+
+        return downloadWorkbook(res, filePath);
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const exportInteractionSheet = async (req, res) => {
+    try {
+        const { user, interactionId } = req.params;
+
+        const interaction = await MasterInteractions.findOne({ where: { id: interactionId } });
+        if (!interaction) {
+            return res.status(404).json(new ApiError("Interaction not found.", 404));
+        }
+        if (!hasCompanyAccess(req.companyAccess, interaction.dataValues.companyid)) {
+            return res.status(403).json(new ApiError("No access to this interaction.", 403));
+        }
+
+        const project = await Project.findOne({ where: { projectId: interaction.dataValues.projectidentifier } });
+        const questions = await assessmentQueries.getQuestionsAndAnswers(interactionId);
+
+        const filePath = await createOfflineWorkbook({
+            kind: 'interaction',
+            id: interactionId,
+            companyId: interaction.dataValues.companyid,
+            userId: user,
+            title: 'Interaction',
+            details: [
+                ['Interaction ID', interaction.dataValues.interactionsid],
+                ['Project ID', project ? project.dataValues.projectCode : null],
+                ['Project Name', project ? project.dataValues.projectName : null]
+            ],
+            questions
+        }, FILES_DIRECTORY + fileNameOf('interaction', project ? project.dataValues.projectCode : '', interaction.dataValues.interactionsid));
+
+        console.log(`Interaction | action:export offline sheet | interactionid=${interaction.dataValues.interactionsid} | user=${user}`);
+
+        return downloadWorkbook(res, filePath);
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//open survey the sheet was exported from, with its current questions, or the reason it can not take answers
+async function loadSurveyForImport(metadata) {
+    const survey = await MasterSurvey.findOne({ where: { id: metadata.id } });
+    if (!survey) {
+        return { status: 404, message: "Survey not found." };
+    }
+    if (survey.dataValues.surveyquestionstemplateid != metadata.templateId) {
+        return { status: 409, message: "The survey questions changed since the sheet was exported, download a new sheet." };
+    }
+    const surveyDetails = await surveyQueries.getSurveyDetails(metadata.id);
+    if (surveyDetails.surveyControlStatus != 'OPEN') {
+        return { status: 409, message: `Survey is ${String(surveyDetails.surveyStatus).toLowerCase()}, answers can no longer be uploaded.` };
+    }
+    const assignment = await MasterSurveyAssignment.findOne({ where: { surveyid: metadata.id }, attributes: ['id'] });
+
+    return {
+        companyId: survey.dataValues.companyid,
+        target: { id: metadata.id, surveyAssignmentId: assignment ? assignment.dataValues.id : null, companyId: survey.dataValues.companyid },
+        questions: await surveyQueries.getSurveyQuestionAndAnswers(metadata.id),
+        checkAnswer: (question, answer) => checkSurveyAnswer({ ...question, required: false }, answer),
+        save: (target, updates, userId) => surveyQueries.saveSurveyAnswers(target, updates, { userId, source: 'offline sheet' })
+    };
+}
+
+async function loadInteractionForImport(metadata) {
+    const interaction = await MasterInteractions.findOne({ where: { id: metadata.id } });
+    if (!interaction) {
+        return { status: 404, message: "Interaction not found." };
+    }
+    const status = await SystemStatus.findOne({ where: { id: interaction.dataValues.statusid } });
+    if (status && ['RESPONSE RECEIVED', 'EXPIRED'].includes(status.dataValues.status)) {
+        return { status: 409, message: `Interaction is ${status.dataValues.status.toLowerCase()}, answers can no longer be uploaded.` };
+    }
+
+    return {
+        companyId: interaction.dataValues.companyid,
+        target: metadata.id,
+        questions: await assessmentQueries.getQuestionsAndAnswers(metadata.id),
+        checkAnswer: () => null,
+        save: (target, updates, userId) => assessmentQueries.saveInteractionAnswers(target, updates, userId)
+    };
+}
+
+/*
+ * Upload a sheet exported by this api. The signed metadata decides the survey / interaction and questions,
+ * answers are merged with the ones saved online and every question is reported.
+ * onConflict : 'online' (default) keeps answers changed online since the export, 'sheet' overwrites them
+ */
+const importOfflineSheet = async (req, res) => {
+    try {
+        const { user } = req.params;
+        const onConflict = req.body.onConflict || req.query.onConflict || 'online';
+
+        if (!req.file) {
+            return res.status(400).json(new ApiResponse(null, "No file found", false));
+        }
+        if (!CONFLICT_RESOLUTIONS.includes(onConflict)) {
+            return res.status(400).json(new ApiResponse(null, `onConflict must be one of ${CONFLICT_RESOLUTIONS.join(', ')}`, false));
+        }
+
+        const { metadata, answers, error } = await readOfflineWorkbook(req.file.path);
+        if (error) {
+            console.log(`Offline Sheets | action:rejected upload | file=${req.file.originalname} | user=${user} | reason=${error}`);
+            return res.status(400).json(new ApiResponse(null, error, false));
+        }
+
+        const form = metadata.kind == 'survey' ? await loadSurveyForImport(metadata) : await loadInteractionForImport(metadata);
+        if (form.status) {
+            return res.status(form.status).json(new ApiError(form.message, form.status));
+        }
+        if (form.companyId != metadata.companyId || !hasCompanyAccess(req.companyAccess, form.companyId)) {
+            return res.status(403).json(new ApiError(`No access to this ${metadata.kind}.`, 403));
+        }
+
+        const { updates, report } = mergeOfflineAnswers(form.questions, metadata, answers, onConflict, form.checkAnswer);
+        if (updates.length > 0) {
+            await form.save(form.target, updates, user);
+        }
+
+        const count = (outcome) => report.filter(entry => entry.outcome == outcome).length;
+        const data = {
+            kind: metadata.kind,
+            id: metadata.id,
+            templateVersion: metadata.templateVersion,
+            exportedAt: metadata.exportedAt,
+            onConflict,
+            applied: updates.length,
+            updated: count('updated'),
+            unchanged: count('unchanged'),
+            kept: count('kept'),
+            conflicts: count('conflict'),
+            invalid: count('invalid'),
+            report
+        };
+
+        console.log(`Offline Sheets | action:import | ${metadata.kind}=${metadata.id} | user=${user} | applied=${data.applied} | conflicts=${data.conflicts} | invalid=${data.invalid}`);
+
+        return res.status(200).json(new ApiResponse(data, "Offline sheet uploaded successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    } finally {
+        if (req.file) {
+            fs.unlink(req.file.path, () => { });
+        }
+    }
+};
+
+module.exports = {
+    exportSurveySheet,
+    exportInteractionSheet,
+    importOfflineSheet
+};
@@ -14,6 +14,7 @@ const { uploadFileToAzureStorage } = require('../utils/azureBlobStorage');
 const { v4: uuidv4 } = require("uuid");
 const MasterSheet = require("../models/master-sheets.model");
 const fileToDatabse = require("../utils/fileToDatabase");
+const { checkWorksheet } = require("../utils/sheetReader");
 const sheetQueries = require("../queries/sheets.queries");
 const PlatformUsers = require("../models/platform-users.model");
 const { reportForProjects, projectSampleSheet } = require("../utils/csv");
@@ -684,6 +685,14 @@ const uploadProjects = async (req, res) => {
       )
     }
 
+    //worksheet to read, by name or index, the first one when not given
+    file.worksheet = req.body.worksheet;
+    const worksheetError = checkWorksheet(file);
+    if (worksheetError) {
+      fs.unlinkSync(file.path);
+      return res.status(400).json(new ApiResponse(null, worksheetError, false));
+    }
+
     //upload to azure
     const projectSheet = await uploadFileToAzureStorage(file);
 
@@ -693,6 +702,7 @@ const uploadProjects = async (req, res) => {
       sheettype: "projects",
       sheetname: file.originalname,
       url: projectSheet.url,
+      worksheet: file.worksheet || null,
       companyid: companyId,
       createdby: userId
     };
@@ -708,6 +718,53 @@ const uploadProjects = async (req, res) => {
   }
 }
 
+const previewProjectsUpload = async (req, res) => {
+  try {
+    const { companyId, userId } = req.params;
+
+    const company = await Company.findOne({
+      where: {
+        companyId: companyId
+      }
+    });
+
+    if (!company) {
+      return res.status(400).json(new ApiResponse(null, "Invalid company id", false));
+    }
+
+    //check file
+    const file = req.file;
+    if (!file) {
+      return res.status(422).json(
+        new ApiError(
+          "File not found, Upload again.",
+          422
+        )
+      )
+    }
+
+    file.worksheet = req.body.worksheet;
+    const worksheetError = checkWorksheet(file);
+    if (worksheetError) {
+      fs.unlinkSync(file.path);
+      return res.status(400).json(new ApiResponse(null, worksheetError, false));
+    }
+
+    //dry run, nothing is written to projects or master sheets
+    const preview = await fileToDatabse.previewProjectsSheet(userId, companyId, file);
+
+    if (preview.status == 'failed') {
+      return res.status(422).json(new ApiResponse(preview, preview.message, false));
+    }
+
+    return res.status(200).json(new ApiResponse(preview, "Project sheet preview generated successfully.", true));
+  }
+  catch (error) {
+    console.log(error);
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+}
+
 const getProjectsSheets = async (req, res) => {
   try {
     const { companyId } = req.query;
@@ -1084,6 +1141,7 @@ module.exports = {
   triggerAi,
   triggerRnD,
   uploadProjects,
+  previewProjectsUpload,
   getProjectsSheets,
   updateMapper,
   getProjectMapper,
@@ -2,8 +2,9 @@ const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
 const reconciliations = require("../queries/reconciliations.queries");
 const interactions = require("../queries/interactions.queries");
-const authQueries = require("../queries/auth.queries");
 const { axiosRequest } = require("../utils/axios");
+const Reconciliations = require("../models/reconciliation.model");
+const constants = require("../constants");
 
 const getReconciliations = async (req, res) => {
     try {
@@ -48,67 +49,256 @@ const getReconciliationById = async (req, res) => {
   }
 };
 
-const reconcileHours = async (req, res) => {
-    try {
+//hand reconciled hours to the ETL, its answer has Status false when it refused them
+const postReconciledHours = ({ timesheetId, projectId, companyId, rndHours, routineHours, uncertainHours }) => axiosRequest(
+  "post",
+  process.env.RECONCILIATION_ETL_URL,
+  { timesheetId, projectId, companyId, routineHours, nonRoutineHours: rndHours, uncertain: uncertainHours }
+);
 
-      const {user} = req.params;
-      const userDetails = await authQueries.getUserProfile(user)
-      const userName = userDetails.firstName
-      req.body.createdBy = userName;
-      req.body.modifiedBy = userName;
-      const reconcileId = req.params.reconciliationId;
-      const { uncertainHours, rndHours, routineHours, rndTaskDescription, modifiedBy} = req.body
-      
-      if((parseFloat(rndHours) + parseFloat(routineHours)) > parseFloat(uncertainHours)){
-        return res.status(422).json(
-          new ApiError("Sum of rnd and routine hrs. should be less than or equal to uncertain hours.", 422)
-        )
-      }
+/*
+ * Reconcile the uncertain hours of one reconciliation. Fully reconciled hours close it, or submit it
+ * for review when the company asks for reviews (company.reconcileReviewRequired). The hours go to the ETL
+ * unless they wait for review, approving them sends them then.
+ * Returns { status, message, data } with an http status.
+ */
+const reconcileReconciliation = async (reconcileId, input, user, company) => {
+  const { uncertainHours, rndHours, routineHours, rndTaskDescription, reason } = input;
+
+  if ([uncertainHours, rndHours, routineHours].some(hours => isNaN(parseFloat(hours)))) {
+    return { status: 422, message: "uncertainHours, rndHours and routineHours must be numbers." };
+  }
+  if ((parseFloat(rndHours) + parseFloat(routineHours)) > parseFloat(uncertainHours)) {
+    return { status: 422, message: "Sum of rnd and routine hrs. should be less than or equal to uncertain hours." };
+  }
 
-      const reconcileDetails = await reconciliations.getReconciliationOverview(reconcileId);
+  const reconcileDetails = await reconciliations.getReconciliationOverview(reconcileId);
+  //a reconciliation of another company is not found through this company
+  if (!reconcileDetails.data || reconcileDetails.data.companyId != company) {
+    return { status: 404, message: `Reconciliation ${reconcileId} not found.` };
+  }
 
-      let {timesheetId, projectId, companyId } = reconcileDetails.data;
-      
-      let payload = {
-        timesheetId, projectId, companyId,
-        routineHours: parseFloat(routineHours),
-        nonRoutineHours: parseFloat(rndHours),
-        uncertain: parseFloat(uncertainHours)
-      }
+  let { timesheetId, projectId, companyId, reconcileStatus } = reconcileDetails.data;
+  if (reconcileStatus == constants.RECONCILE_STATUS.submitted) {
+    return { status: 409, message: "Reconciliation is waiting for review." };
+  }
 
-      const triggerETL = await axiosRequest(
-        "post",
-        process.env.RECONCILIATION_ETL_URL,
-        payload
-      );
-      
-      if (!triggerETL.Status) {
+  const reconciled = (parseFloat(rndHours) + parseFloat(routineHours)) == parseFloat(uncertainHours);
+  const reviewRequired = reconciled && await reconciliations.isReviewRequired(companyId);
+
+  if (!reviewRequired) {
+    const triggerETL = await postReconciledHours({
+      timesheetId, projectId, companyId,
+      rndHours: parseFloat(rndHours),
+      routineHours: parseFloat(routineHours),
+      uncertainHours: parseFloat(uncertainHours)
+    });
+    if (!triggerETL.Status) {
+      return { status: 422, message: triggerETL };
+    }
+  }
+
+  let body = {
+    reconcileRevision: parseInt(uncertainHours),
+    reconcileRnDHoursOverride: parseFloat(rndHours),
+    reconcileNonRnDHoursOverride: parseFloat(routineHours),
+    reconcileSummary: rndTaskDescription,
+    createdBy: user.userName,
+    modifiedBy: user.userName,
+    reconcileStatus: !reconciled
+      ? constants.RECONCILE_STATUS.open
+      : reviewRequired ? constants.RECONCILE_STATUS.submitted : constants.RECONCILE_STATUS.closed
+  };
+  if (reviewRequired) {
+    body = { ...body, preparedBy: user.userId, preparedTime: new Date(), reviewedBy: null, reviewedTime: null };
+  }
+
+  const data = await reconciliations.reconcileUncertainHours(body, reconcileId, {
+    action: reviewRequired ? 'submit' : 'reconcile',
+    reason: reason || rndTaskDescription,
+    userId: user.userId,
+    userName: user.userName
+  });
+
+  return {
+    status: 200,
+    message: reviewRequired ? "Uncertain hours submitted for review." : "Uncertain hours reconciled successfully.",
+    data: { reconcileId, reconcileStatus: body.reconcileStatus, result: data }
+  };
+};
+
+//the signed in user, never the :user of the url, so a preparer can not review as someone else
+const actorOf = (req) => ({ userId: req.userProfile.userId, userName: req.userProfile.firstName });
+
+const reconcileHours = async (req, res) => {
+    try {
+      const user = actorOf(req);
+      const result = await reconcileReconciliation(req.params.reconciliationId, req.body, user, req.params.company);
+
+      if (result.status != 200) {
         return res
-          .status(422)
-          .json(new ApiError(triggerETL, 422));
+          .status(result.status)
+          .json(new ApiError(result.message, result.status));
       }
-      
-      const data = await reconciliations.reconcileUncertainHours({
-        reconcileRevision: parseInt(uncertainHours),
-        reconcileRnDHoursOverride: parseFloat(rndHours),
-        reconcileNonRnDHoursOverride: parseFloat(routineHours),
-        reconcileSummary: rndTaskDescription,
-        modifiedBy: modifiedBy,
-        reconcileStatus: (parseFloat(rndHours) + parseFloat(routineHours)) == parseFloat(uncertainHours) ? "Closed": "Open"
-      }, reconcileId);
-
       return res
         .status(200)
         .json(
-          new ApiResponse(data, "Uncertain hours reconciled successfully.")
+          new ApiResponse(result.data, result.message)
         );
     } catch (error) {
       return res.status(500).json(new ApiError(error.message, 500, error));
     }
 };
 
+//reconcile many reconciliations, each one succeeds or fails on its own
+const bulkReconcileHours = async (req, res) => {
+  try {
+    const { reconciliations: items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json(new ApiResponse(null, "reconciliations must be a non empty list.", false));
+    }
+    if (items.some(item => !item || !item.reconciliationId)) {
+      return res.status(400).json(new ApiResponse(null, "Every reconciliation needs a reconciliationId.", false));
+    }
+    const ids = items.map(item => item.reconciliationId);
+    const repeated = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (repeated.length > 0) {
+      return res.status(400).json(new ApiResponse(null, `Reconciliations listed more than once : ${[...new Set(repeated)].join(', ')}`, false));
+    }
+
+    const ofCompany = await Reconciliations.findAll({
+      where: { reconcileId: ids, companyId: req.params.company },
+      attributes: ['reconcileId'],
+      raw: true
+    });
+    const outside = ids.filter(id => !ofCompany.some(row => row.reconcileId == id));
+    if (outside.length > 0) {
+      return res.status(403).json(new ApiError(`Reconciliations not of this company : ${outside.join(', ')}`, 403));
+    }
+
+    const user = actorOf(req);
+    let results = [];
+    for (const item of items) {
+      try {
+        const result = await reconcileReconciliation(item.reconciliationId, { ...item, reason: item.reason || req.body.reason }, user, req.params.company);
+        results.push({
+          reconciliationId: item.reconciliationId,
+          success: result.status == 200,
+          message: result.message,
+          reconcileStatus: result.data ? result.data.reconcileStatus : null
+        });
+      } catch (error) {
+        results.push({ reconciliationId: item.reconciliationId, success: false, message: error.message, reconcileStatus: null });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    console.log(`Reconciliations | action : Bulk Reconcile | User : ${user.userId} | Reconciled : ${results.length - failed} | Failed : ${failed}`);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse({ results, reconciled: results.length - failed, failed }, "Reconciliations processed successfully.", failed === 0)
+      );
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
+/*
+ * Approve or reject a submitted reconciliation, the reviewer can not be the preparer. Approved hours go to the
+ * ETL, the status and preparer are checked again with the row locked so two reviews can not both pass.
+ */
+const reviewReconciliation = async (req, res) => {
+  try {
+    const { reconciliationId } = req.params;
+    const { decision, reason } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json(new ApiResponse(null, "decision must be 'approve' or 'reject'.", false));
+    }
+    if (decision == 'reject' && !reason) {
+      return res.status(400).json(new ApiResponse(null, "A reason is required to reject a reconciliation.", false));
+    }
+
+    const reconciliation = await Reconciliations.findOne({ where: { reconcileId: reconciliationId, companyId: req.params.company } });
+    if (!reconciliation) {
+      return res.status(404).json(new ApiError(`Reconciliation ${reconciliationId} not found.`, 404));
+    }
+    if (reconciliation.reconcileStatus != constants.RECONCILE_STATUS.submitted) {
+      return res.status(409).json(new ApiError(`Only submitted reconciliations can be reviewed, this one is ${reconciliation.reconcileStatus}.`, 409));
+    }
+
+    const user = actorOf(req);
+    if (reconciliation.preparedBy == user.userId) {
+      return res.status(403).json(new ApiError("A reconciliation can not be reviewed by its preparer.", 403));
+    }
+
+    let refusal = null;
+    const data = await reconciliations.saveReconciliation(reconciliationId, {
+      reconcileStatus: decision == 'approve' ? constants.RECONCILE_STATUS.closed : constants.RECONCILE_STATUS.open,
+      reviewedBy: user.userId,
+      reviewedTime: new Date(),
+      modifiedBy: user.userName
+    }, {
+      action: decision,
+      reason,
+      userId: user.userId,
+      userName: user.userName
+    }, {
+      status: constants.RECONCILE_STATUS.submitted,
+      beforeSave: async (current) => {
+        if (current.preparedBy == user.userId) {
+          refusal = { status: 403, message: "A reconciliation can not be reviewed by its preparer." };
+          return false;
+        }
+        if (decision == 'approve') {
+          const hours = {
+            rndHours: Number(current.reconcileRnDHoursOverride),
+            routineHours: Number(current.reconcileNonRnDHoursOverride)
+          };
+          //submitted hours are fully reconciled
+          const triggerETL = await postReconciledHours({ ...current.get({ plain: true }), ...hours, uncertainHours: hours.rndHours + hours.routineHours });
+          if (!triggerETL.Status) {
+            refusal = { status: 422, message: triggerETL };
+            return false;
+          }
+        }
+      }
+    });
+    if (!data) {
+      const { status, message } = refusal || { status: 409, message: "The reconciliation was reviewed in the meantime." };
+      return res.status(status).json(new ApiError(message, status));
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(data, decision == 'approve' ? "Reconciliation approved successfully." : "Reconciliation rejected successfully.")
+      );
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
+const getReconciliationRevisions = async (req, res) => {
+  try {
+    const data = await reconciliations.getReconciliationRevisions(req.params.reconciliationId);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(data, "Reconciliation revisions fetched successfully.")
+      );
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
 module.exports = {
   getReconciliations,
   getReconciliationById,
-  reconcileHours
+  reconcileHours,
+  bulkReconcileHours,
+  reviewReconciliation,
+  getReconciliationRevisions
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const authQueries = require("../queries/auth.queries");
+const sessionService = require("../utils/sessionService");
+
+//an admin limited to some companies only manages the users of those companies
+const sharesCompany = async (req, userId) => {
+    if (!req.companyAccess || req.companyAccess.length === 0) {
+        return true;
+    }
+    const access = await authQueries.getUserAccess(userId);
+    return (access.companyIds || []).some(companyId => req.companyAccess.includes(companyId));
+};
+
+//devices the user is signed in on, the one of this request marked current
+const getMySessions = async (req, res) => {
+    try {
+        const data = await sessionService.listSessions(req.userProfile.userId, req.sessionId);
+
+        return res.status(200).json(new ApiResponse(data, "Sessions fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const signOutSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const userId = req.userProfile.userId;
+
+        if (!await sessionService.revokeSession(userId, sessionId, userId, 'sign-out')) {
+            return res.status(404).json(new ApiError("Session not found.", 404));
+        }
+
+        return res.status(200).json(new ApiResponse({ sessionId, current: sessionId == req.sessionId }, "Session signed out successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//every device but the one of this request
+const signOutOtherSessions = async (req, res) => {
+    try {
+        const userId = req.userProfile.userId;
+
+        const revoked = await sessionService.revokeUserSessions(userId, userId, 'sign-out-others', req.sessionId);
+
+        return res.status(200).json(new ApiResponse({ revoked }, "Other sessions signed out successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const getUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!await authQueries.getUserProfile(userId)) {
+            return res.status(404).json(new ApiError("User not found.", 404));
+        }
+        if (!await sharesCompany(req, userId)) {
+            return res.status(403).json(new ApiError("No access to this user.", 403));
+        }
+
+        const data = await sessionService.listSessions(userId);
+
+        return res.status(200).json(new ApiResponse(data, "Sessions fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//signs the user out of every device, their next request is refused
+const forceLogoutUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!await authQueries.getUserProfile(userId)) {
+            return res.status(404).json(new ApiError("User not found.", 404));
+        }
+        if (!await sharesCompany(req, userId)) {
+            return res.status(403).json(new ApiError("No access to this user.", 403));
+        }
+
+        const revoked = await sessionService.revokeUserSessions(userId, req.userProfile.userId, 'force-logout');
+
+        return res.status(200).json(new ApiResponse({ userId, revoked }, "User logged out successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    getMySessions,
+    signOutSession,
+    signOutOtherSessions,
+    getUserSessions,
+    forceLogoutUser
+};
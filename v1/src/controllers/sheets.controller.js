@@ -1,6 +1,17 @@
 const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
 const sheetsQueries = require("../queries/sheets.queries")
+const MasterSheet = require("../models/master-sheets.model");
+const fileToDatabase = require("../utils/fileToDatabase");
+const { downloadSheetFromAzure, uploadFileToAzureStorage } = require("../utils/azureBlobStorage");
+const { reportForSheetErrors } = require("../utils/csv");
+const { checkWorksheet, listWorksheets } = require("../utils/sheetReader");
+const { rollbackSheet } = require("../utils/sheetChanges");
+const Company = require("../models/company.model");
+const { v4: uuidv4 } = require("uuid");
+const { SHEET_TYPE_MODELS, buildMapperCandidates, suggestMapping, readSheetHeaders } = require("../utils/mapperSuggestions");
+const fs = require('fs');
+const path = require('path');
 
 
 const getUploadedSheets = async (req, res) => {
@@ -62,7 +73,291 @@ const getSheetFilterValues = async (req, res) => {
     }
 };
 
+const getSheetErrorReport = async (req, res) => {
+    try {
+        const { sheetId } = req.params;
+
+        const sheet = await MasterSheet.findOne({ where: { sheetid: sheetId } });
+        if (!sheet) {
+            return res.status(404).json(new ApiError("Sheet not found.", 404));
+        }
+
+        const errors = await sheetsQueries.getSheetErrors(sheet.dataValues.id);
+
+        // Generate the file and get its path
+        const filePath = await reportForSheetErrors(sheet.dataValues.sheetname, errors);
+
+        // Set headers for Excel file download
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
+
+        // Read the file and pipe it to the response
+        const fileStream = fs.createReadStream(filePath);
+        fileStream.pipe(res);
+
+        // Clean up the file after download
+        fileStream.on('end', () => {
+            fs.unlink(filePath, (err) => {
+                if (err) console.error("Failed to delete temporary file:", err);
+            });
+        });
+
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const UPLOAD_DIR = "./v1/public/temp";
+const RESUME_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+const resumeExtension = (sheetName) => {
+    const extension = path.extname(path.basename(String(sheetName || ''))).toLowerCase();
+    return RESUME_EXTENSIONS.includes(extension) ? extension : '.xlsx';
+};
+
+const resumeSheetImport = async (req, res) => {
+    try {
+        const { sheetId } = req.params;
+
+        let sheet = await MasterSheet.findOne({ where: { sheetid: sheetId } });
+        if (!sheet) {
+            return res.status(404).json(new ApiError("Sheet not found.", 404));
+        }
+        sheet = sheet.dataValues;
+
+        if (!['interrupted', 'failed'].includes(sheet.status)) {
+            return res.status(409).json(new ApiResponse(null, `Sheet with status '${sheet.status}' can not be resumed.`, false));
+        }
+
+        if (!fileToDatabase.WORKBOOK_SHEET_TYPE_ORDER.includes(sheet.sheettype)) {
+            return res.status(400).json(new ApiResponse(null, "Sheet type can not be resumed.", false));
+        }
+
+        //the temp upload is gone after a restart, fetch the original file again. The file is named by the
+        //generated id of the sheet, its uploaded name only gives the extension
+        const filePath = path.join(UPLOAD_DIR, path.basename(`${sheet.id}${resumeExtension(sheet.sheetname)}`));
+        await downloadSheetFromAzure(sheet.url, filePath);
+        const file = {
+            path: filePath,
+            originalname: sheet.sheetname,
+            mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            worksheet: sheet.worksheet
+        };
+
+        fileToDatabase.processUploadedSheet(sheet.createdby, sheet.companyid, sheet.id, sheet.sheettype, file);
+
+        console.log(`Sheets | action : Resume Sheet Import | Sheet ID : ${sheet.sheetid} | Last Processed Row : ${sheet.lastprocessedrow}`);
+
+        return res.status(200).json(new ApiResponse(null, "Sheet import resumed successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const suggestMapper = async (req, res) => {
+    const file = req.file;
+    try {
+        const { companyId } = req.params;
+        const { sheetType } = req.body;
+
+        if (!SHEET_TYPE_MODELS[sheetType]) {
+            return res.status(400).json(new ApiResponse(null, `Sheet type should be one of ${Object.keys(SHEET_TYPE_MODELS).join(', ')}.`, false));
+        }
+        if (!file) {
+            return res.status(400).json(new ApiResponse(null, "Sheet file is required.", false));
+        }
+
+        file.worksheet = req.body.worksheet;
+        const headers = readSheetHeaders(file);
+        const companyMapper = await sheetsQueries.getCompanyMapper(companyId, sheetType);
+        const history = await sheetsQueries.getMapperHistory(companyId, sheetType);
+
+        const suggestions = suggestMapping(headers, buildMapperCandidates(sheetType, companyMapper), history);
+
+        console.log(`Sheets | action : Suggest Mapper | Company ID : ${companyId} | Sheet Type : ${sheetType} | Headers : ${headers.length} | Proposals : ${suggestions.proposals.length}`);
+
+        return res.status(200).json(new ApiResponse({ sheetType, headers, ...suggestions }, "Mapper suggestions fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    } finally {
+        if (file && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+};
+
+const acceptMapperSuggestions = async (req, res) => {
+    try {
+        const { companyId } = req.params;
+        const { sheetType, mappings } = req.body;
+        const userId = req.userProfile.userId;
+
+        if (!SHEET_TYPE_MODELS[sheetType]) {
+            return res.status(400).json(new ApiResponse(null, `Sheet type should be one of ${Object.keys(SHEET_TYPE_MODELS).join(', ')}.`, false));
+        }
+        if (!Array.isArray(mappings) || mappings.length == 0 || mappings.some(mapping => !mapping.sheetColumnName || !mapping.columnName)) {
+            return res.status(400).json(new ApiResponse(null, "Mappings should be a list of { sheetColumnName, columnName }.", false));
+        }
+
+        const sheetColumnNames = mappings.map(mapping => String(mapping.sheetColumnName).trim());
+        const columnNames = mappings.map(mapping => mapping.columnName.toLowerCase());
+        if (new Set(sheetColumnNames).size != sheetColumnNames.length || new Set(columnNames).size != columnNames.length) {
+            return res.status(400).json(new ApiResponse(null, "A sheet column or an attribute is mapped more than once.", false));
+        }
+
+        //if mapper does not exist, create the default one before applying the suggestions
+        let companyMapper = await sheetsQueries.getCompanyMapper(companyId, sheetType);
+        if (!companyMapper) {
+            switch (sheetType) {
+                case 'payroll': await sheetsQueries.createCompanyPayrollMapper(companyId);
+                    break;
+                case 'projects': await sheetsQueries.createCompanyProjectMapper(companyId);
+                    break;
+                case 'employee': await sheetsQueries.createCompanyEmployeeMapper(companyId);
+                    break;
+                case 'project team': await sheetsQueries.createCompanyProjectTeamMapper(companyId);
+                    break;
+            }
+            companyMapper = await sheetsQueries.getCompanyMapper(companyId, sheetType);
+        }
+
+        const candidates = buildMapperCandidates(sheetType, companyMapper);
+        const unknownColumns = mappings.filter(mapping =>
+            !candidates.some(candidate => candidate.columnName.toLowerCase() == mapping.columnName.toLowerCase())
+        );
+        if (unknownColumns.length > 0) {
+            return res.status(400).json(new ApiResponse(
+                { unknownColumns: unknownColumns.map(mapping => mapping.columnName) },
+                `Unknown attributes for ${sheetType} sheet.`,
+                false
+            ));
+        }
+
+        await sheetsQueries.acceptMapperSuggestions(
+            companyId,
+            sheetType,
+            mappings.map(mapping => ({ sheetColumnName: String(mapping.sheetColumnName).trim(), columnName: mapping.columnName })),
+            userId
+        );
+
+        console.log(`Sheets | action : Accept Mapper Suggestions | Company ID : ${companyId} | Sheet Type : ${sheetType} | Mappings : ${mappings.length}`);
+
+        const data = await sheetsQueries.getCompanyMapper(companyId, sheetType);
+        return res.status(200).json(new ApiResponse(data, "Mapper updated successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * One workbook feeding several sheet types, e.g. projects on one tab and employees on another.
+ * body.worksheets : [{ worksheet: "Projects" | 0, sheetType: "projects" | "employees" | "project team" | "payroll" }]
+ */
+const uploadWorkbook = async (req, res) => {
+    const file = req.file;
+    try {
+        const { companyId, userId } = req.params;
+
+        if (!file) {
+            return res.status(400).json(new ApiResponse(null, "File not found.", false));
+        }
+
+        const company = await Company.findOne({ where: { companyId: companyId } });
+        if (!company) {
+            fs.unlinkSync(file.path);
+            return res.status(400).json(new ApiResponse(null, "Invalid company id", false));
+        }
+
+        let worksheets = req.body.worksheets;
+        try {
+            worksheets = typeof worksheets == 'string' ? JSON.parse(worksheets) : worksheets;
+        } catch (error) {
+            worksheets = null;
+        }
+        if (!Array.isArray(worksheets) || worksheets.length == 0) {
+            //read before the temp file is removed
+            const available = listWorksheets(file);
+            fs.unlinkSync(file.path);
+            return res.status(400).json(new ApiResponse({ worksheets: available }, "Worksheets should be a list of { worksheet, sheetType }.", false));
+        }
+
+        for (const element of worksheets) {
+            if (!fileToDatabase.WORKBOOK_SHEET_TYPE_ORDER.includes(element.sheetType)) {
+                fs.unlinkSync(file.path);
+                return res.status(400).json(new ApiResponse(null, `Sheet type should be one of ${fileToDatabase.WORKBOOK_SHEET_TYPE_ORDER.join(', ')}.`, false));
+            }
+            const worksheetError = checkWorksheet(file, element.worksheet);
+            if (worksheetError) {
+                fs.unlinkSync(file.path);
+                return res.status(400).json(new ApiResponse(null, worksheetError, false));
+            }
+        }
+
+        //upload to azure once, every worksheet points to the same file
+        const workbook = await uploadFileToAzureStorage(file);
+
+        let sheets = [];
+        for (const element of worksheets) {
+            const masterSheetData = {
+                id: uuidv4(),
+                sheettype: element.sheetType,
+                sheetname: file.originalname,
+                status: 'uploaded',
+                url: workbook.url,
+                worksheet: element.worksheet === undefined || element.worksheet === null ? null : String(element.worksheet),
+                companyid: companyId,
+                createdby: userId
+            };
+            const savedSheet = await MasterSheet.create(masterSheetData);
+            sheets.push({ sheetId: savedSheet.dataValues.id, sheetType: element.sheetType, worksheet: masterSheetData.worksheet });
+        }
+
+        fileToDatabase.workbookSheetsProcessor(userId, companyId, file, sheets)
+            .catch(error => console.error("Error processing workbook:", error.message));
+
+        console.log(`Sheets | action : Upload Workbook | Company ID : ${companyId} | Worksheets : ${sheets.length}`);
+
+        return res.status(200).json(new ApiResponse(sheets, "Workbook uploaded successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const rollbackSheetUpload = async (req, res) => {
+    try {
+        const { sheetId } = req.params;
+        const userId = req.userProfile.userId;
+
+        const sheet = await MasterSheet.findOne({ where: { sheetid: sheetId } });
+        if (!sheet) {
+            return res.status(404).json(new ApiError("Sheet not found.", 404));
+        }
+
+        const rollback = await rollbackSheet(sheet.dataValues.id, userId);
+
+        if (rollback.status == 'invalid') {
+            return res.status(400).json(new ApiResponse(null, rollback.message, false));
+        }
+        if (rollback.status == 'conflict') {
+            return res.status(409).json(new ApiResponse({ conflicts: rollback.conflicts, dependents: rollback.dependents }, rollback.message, false));
+        }
+
+        return res.status(200).json(new ApiResponse(rollback, "Sheet rolled back successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
 module.exports = {
     getUploadedSheets,
     getSheetFilterValues,
+    getSheetErrorReport,
+    resumeSheetImport,
+    suggestMapper,
+    acceptMapperSuggestions,
+    uploadWorkbook,
+    rollbackSheetUpload,
 };
\ No newline at end of file
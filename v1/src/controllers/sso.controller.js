@@ -0,0 +1,349 @@
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const ssoQueries = require("../queries/sso.queries");
+const sessionService = require("../utils/sessionService");
+const { encryptText, decryptText } = require("../utils/crypto");
+const { issueTokens } = require("./auth.controller");
+const constants = require("../constants");
+const {
+    OidcError,
+    normalizeIssuer,
+    emailDomain,
+    parseDomains,
+    domainsOf,
+    verifiedDomainsOf,
+    providerForDomain,
+    domainVerificationRecord,
+    verifyDomain,
+    discover,
+    randomToken,
+    createPkce,
+    authorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    profileOf,
+    signSsoState,
+    readSsoState,
+    sameState
+} = require("../utils/oidc");
+
+//Lax : the provider sends the browser back with a cross site redirect, a Strict cookie would not come with it
+const stateCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.REFRESH_COOKIE_SECURE != 'false',
+    sameSite: 'lax',
+    path: constants.SSO_STATE_COOKIE_PATH
+});
+
+//the redirect uri registered at the provider
+const ssoCallbackUrl = (req) => process.env.SSO_CALLBACK_URL || `${req.protocol}://${req.get('host')}${constants.SSO_STATE_COOKIE_PATH}/callback`;
+
+//login page of the front end with the outcome, sso=success or sso=error&reason=...
+const loginPageUrl = (params) => {
+    const base = process.env.SSO_LOGIN_REDIRECT_URL || '/';
+    return `${base}${base.includes('?') ? '&' : '?'}${new URLSearchParams(params).toString()}`;
+};
+
+const failedSignIn = (res, error) => {
+    const reason = error instanceof OidcError ? error.reason : 'server_error';
+    console.error(`SSO | action : sign in refused | reason : ${reason} |`, error.message);
+    return res.redirect(302, loginPageUrl({ sso: 'error', reason }));
+};
+
+//body : { email }, the identity provider of its domain, the login form then asks no password
+const discoverSso = async (req, res) => {
+    try {
+        const { email } = req.body;
+        const domain = emailDomain(email);
+        if (!domain) {
+            return res.status(400).json(new ApiResponse(null, "Enter a valid email!", false));
+        }
+
+        const provider = providerForDomain(await ssoQueries.getEnabledIdentityProviders(), domain);
+        if (!provider) {
+            return res.status(200).json(new ApiResponse({ sso: false }, "Sign in with password", true));
+        }
+
+        return res.status(200).json(new ApiResponse({
+            sso: true,
+            providerId: provider.id,
+            name: provider.name,
+            loginUrl: `${constants.SSO_STATE_COOKIE_PATH}/${provider.id}/login?loginHint=${encodeURIComponent(email.trim())}`
+        }, "Sign in with your identity provider", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//browser navigation : to the provider, with state / nonce / PKCE kept in the state cookie
+const startSso = async (req, res) => {
+    try {
+        const provider = await ssoQueries.getIdentityProvider(req.params.providerId);
+        if (!provider || !provider.enabled) {
+            return res.status(404).json(new ApiError("Identity provider not found.", 404));
+        }
+
+        const config = await discover(provider.issuer);
+        const { codeVerifier, codeChallenge } = createPkce();
+        const state = randomToken();
+        const nonce = randomToken();
+        const redirectUri = ssoCallbackUrl(req);
+
+        res.cookie(constants.SSO_STATE_COOKIE, signSsoState({ providerId: provider.id, state, nonce, codeVerifier, redirectUri }), {
+            ...stateCookieOptions(),
+            maxAge: constants.SSO_STATE_EXPIRY_MINUTES * 60 * 1000
+        });
+        return res.redirect(302, authorizationUrl(config, provider, { redirectUri, state, nonce, codeChallenge, loginHint: req.query.loginHint }));
+    } catch (error) {
+        return failedSignIn(res, error);
+    }
+};
+
+/*
+ * The provider sends the browser back here with the code. The id token names the user, one signing in for the
+ * first time is created with the default role of the provider (just in time provisioning), none when it has no
+ * default role. An existing user only signs in when they belong to the company of the provider. The session is the one of a password sign in : its refresh token goes in the cookie and the front
+ * end gets the access token and user info from /auth/refresh with { withUserInfo: true }.
+ * The provider does the MFA of its users, no TOTP is asked.
+ */
+const ssoCallback = async (req, res) => {
+    const saved = readSsoState(req.cookies[constants.SSO_STATE_COOKIE]);
+    res.clearCookie(constants.SSO_STATE_COOKIE, stateCookieOptions());
+
+    try {
+        const { code, state, error } = req.query;
+        if (error) {
+            throw new OidcError('provider_refused', `Identity provider answered ${String(error).slice(0, 100)}`);
+        }
+        if (!saved || !sameState(saved.state, state)) {
+            throw new OidcError('invalid_state', 'Sign in expired or not started here');
+        }
+        if (!code) {
+            throw new OidcError('invalid_request', 'No code from the identity provider');
+        }
+
+        const provider = await ssoQueries.getIdentityProvider(saved.providerId);
+        if (!provider || !provider.enabled) {
+            throw new OidcError('provider_disabled', `Identity provider ${saved.providerId} is disabled`);
+        }
+
+        const config = await discover(provider.issuer);
+        const tokens = await exchangeCode(config, provider, provider.clientsecret ? decryptText(provider.clientsecret) : null, {
+            code,
+            codeVerifier: saved.codeVerifier,
+            redirectUri: saved.redirectUri
+        });
+        const profile = profileOf(provider, await verifyIdToken(config, provider, tokens.id_token, saved.nonce));
+
+        let user = await ssoQueries.getUserByEmail(profile.email, provider.companyid);
+        if (user && !user.ofCompany) {
+            throw new OidcError('user_of_another_company', `User ${user.userId} is not of company ${provider.companyid} of provider ${provider.id}`);
+        }
+        if (!user) {
+            if (!provider.defaultroleid) {
+                throw new OidcError('user_not_found', `No user ${profile.email} and provider ${provider.id} does not provision users`);
+            }
+            user = await ssoQueries.provisionUser(provider, profile);
+            if (!user) {
+                throw new OidcError('role_not_allowed', `Provider ${provider.id} can not give role ${provider.defaultroleid}`);
+            }
+            console.log(`SSO | action : provision user | user : ${user.userId} | company : ${provider.companyid} | role : ${provider.defaultroleid}`);
+        }
+        if (user.status == 'inactive') {
+            throw new OidcError('user_inactive', `User ${user.userId} is inactive`);
+        }
+
+        const session = await sessionService.startSession(user.userId, req);
+        issueTokens(res, user.userId, user.email, session.sessionid, session.refreshtokenid);
+        console.log(`SSO | action : sign in | user : ${user.userId} | provider : ${provider.id}`);
+
+        return res.redirect(302, loginPageUrl({ sso: 'success' }));
+    } catch (error) {
+        return failedSignIn(res, error);
+    }
+};
+
+//identity provider as sent to the client, without its secret, with the TXT records its pending domains need
+const providerView = (provider) => {
+    const { clientsecret, verificationtoken, ...view } = provider;
+    const verifiedDomains = verifiedDomainsOf(provider);
+    return {
+        ...view,
+        domains: domainsOf(provider),
+        verifieddomains: verifiedDomains,
+        domainVerification: domainsOf(provider).filter(domain => !verifiedDomains.includes(domain)).map(domain => domainVerificationRecord(provider, domain)),
+        hasClientSecret: !!clientsecret
+    };
+};
+
+//verified domains of the other enabled providers among these, a domain signs in with one provider
+const domainsVerifiedElsewhere = async (providerId, domains) => {
+    const claimed = (await ssoQueries.getEnabledIdentityProviders())
+        .filter(provider => provider.id != providerId)
+        .flatMap(provider => verifiedDomainsOf(provider).filter(domain => domains.includes(domain)));
+    return [...new Set(claimed)];
+};
+
+//only https providers, http for a provider running on this machine (utils/mockOidcProvider) outside production,
+//where it would let the discovery and token requests reach services of the API host
+const isValidIssuer = (issuer) => {
+    try {
+        const url = new URL(issuer);
+        const loopback = process.env.NODE_ENV != 'production' && url.protocol == 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+        return url.protocol == 'https:' || loopback;
+    } catch (error) {
+        return false;
+    }
+};
+
+//identity providers of the company and the callback url to register at them
+const getIdentityProviders = async (req, res) => {
+    try {
+        const providers = await ssoQueries.getCompanyIdentityProviders(req.params.companyId);
+        return res.status(200).json(new ApiResponse({
+            callbackUrl: ssoCallbackUrl(req),
+            providers: providers.map(providerView)
+        }, "Identity providers fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * body : { id (to update one), name, issuer, clientId, clientSecret (kept when left out), domains, scopes, defaultRoleId, enabled }
+ * New domains sign in once verified with verifyIdentityProviderDomains. The default role is one the signed in
+ * user could give themselves.
+ */
+const updateIdentityProvider = async (req, res) => {
+    const { companyId } = req.params;
+    const userId = req.userProfile.userId;
+    const { id, name, issuer, clientId, clientSecret, scopes, defaultRoleId, enabled } = req.body;
+
+    try {
+        const domains = parseDomains(req.body.domains);
+        let errors = [];
+        if (!isValidIssuer(issuer)) {
+            errors.push("issuer must be an https url");
+        }
+        if (!clientId) {
+            errors.push("clientId is required");
+        }
+        if (!id && !clientSecret) {
+            errors.push("clientSecret is required");
+        }
+        if (!domains) {
+            errors.push("domains must be email domains like client.com");
+        }
+        if (scopes && !String(scopes).split(/\s+/).includes('openid')) {
+            errors.push("scopes must include openid");
+        }
+        if (errors.length > 0) {
+            return res.status(400).json(new ApiError(errors.join('. '), 400));
+        }
+        if (defaultRoleId && !(await ssoQueries.isAssignableRole(defaultRoleId, userId))) {
+            return res.status(403).json(new ApiError(`Role ${defaultRoleId} can not be given by this identity provider`, 403));
+        }
+
+        const existing = id ? await ssoQueries.getIdentityProvider(id) : null;
+        if (id && (!existing || existing.companyid != companyId)) {
+            return res.status(404).json(new ApiError("Identity provider not found.", 404));
+        }
+
+        const claimed = await domainsVerifiedElsewhere(id, domains);
+        if (enabled !== false && claimed.length > 0) {
+            return res.status(409).json(new ApiError(`Domain ${claimed.join(', ')} already signs in with another identity provider`, 409));
+        }
+
+        try {
+            await discover(issuer);
+        } catch (error) {
+            return res.status(400).json(new ApiError(error.message, 400));
+        }
+
+        const provider = await ssoQueries.saveIdentityProvider(companyId, id || null, {
+            name: name || null,
+            issuer: normalizeIssuer(issuer),
+            clientid: clientId,
+            ...(clientSecret ? { clientsecret: encryptText(clientSecret) } : {}),
+            domains,
+            //a domain left out loses its verification
+            verifieddomains: existing ? verifiedDomainsOf(existing).filter(domain => domains.includes(domain)) : [],
+            verificationtoken: (existing && existing.verificationtoken) || randomToken(),
+            scopes: scopes || null,
+            defaultroleid: defaultRoleId || null,
+            enabled: enabled !== false
+        }, userId);
+        if (!provider) {
+            return res.status(404).json(new ApiError("Identity provider not found.", 404));
+        }
+
+        console.log(`Company | action : Update Identity Provider | Company ID : ${companyId} | Provider : ${provider.id} | Domains : ${domains.join(', ')}`);
+
+        return res.status(200).json(new ApiResponse(providerView(provider), "Identity provider saved successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//looks up the TXT record of each domain not verified yet, the domains found sign in with the provider
+const verifyIdentityProviderDomains = async (req, res) => {
+    const { companyId, providerId } = req.params;
+
+    try {
+        const provider = await ssoQueries.getIdentityProvider(providerId);
+        if (!provider || provider.companyid != companyId) {
+            return res.status(404).json(new ApiError("Identity provider not found.", 404));
+        }
+
+        const verified = verifiedDomainsOf(provider);
+        const pending = domainsOf(provider).filter(domain => !verified.includes(domain));
+        const claimed = await domainsVerifiedElsewhere(provider.id, pending);
+        let found = [];
+        for (const domain of pending.filter(domain => !claimed.includes(domain))) {
+            if (await verifyDomain(provider, domain)) {
+                found.push(domain);
+            }
+        }
+
+        const saved = found.length > 0
+            ? await ssoQueries.saveIdentityProvider(companyId, provider.id, { verifieddomains: verified.concat(found) }, req.userProfile.userId)
+            : provider;
+
+        console.log(`Company | action : Verify Identity Provider Domains | Company ID : ${companyId} | Provider : ${provider.id} | Verified : ${found.join(', ')}`);
+
+        return res.status(200).json(new ApiResponse({
+            ...providerView(saved),
+            verified: found,
+            claimedElsewhere: claimed
+        }, found.length > 0 ? "Domains verified successfully." : "No new domain verified, publish the TXT records and try again.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const deleteIdentityProvider = async (req, res) => {
+    const { companyId, providerId } = req.params;
+
+    try {
+        const deleted = await ssoQueries.deleteIdentityProvider(companyId, providerId);
+        if (!deleted) {
+            return res.status(404).json(new ApiError("Identity provider not found.", 404));
+        }
+
+        console.log(`Company | action : Delete Identity Provider | Company ID : ${companyId} | Provider : ${providerId}`);
+
+        return res.status(200).json(new ApiResponse(null, "Identity provider deleted successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    discoverSso,
+    startSso,
+    ssoCallback,
+    getIdentityProviders,
+    updateIdentityProvider,
+    verifyIdentityProviderDomains,
+    deleteIdentityProvider
+};
@@ -0,0 +1,219 @@
+const { ApiError } = require("../utils/ApiError");
+const { ApiResponse } = require("../utils/ApiResponse");
+const surveyTemplateQueries = require("../queries/survey-template.queries");
+const { normalizeTemplateQuestions } = require("../utils/surveyTemplates");
+const constants = require("../constants");
+
+const { draft, published, retired } = constants.SURVEY_TEMPLATE_STATUS;
+
+//template of the company in the url, null when it belongs to another company
+const findCompanyTemplate = async (companyId, templateId) => {
+    const template = await surveyTemplateQueries.getTemplate(templateId);
+    return template && template.companyId == companyId ? template : null;
+};
+
+const invalidQuestionsResponse = (res, errors) => res
+    .status(400)
+    .json(new ApiResponse({ errors }, "Invalid template questions.", false));
+
+const getSurveyTemplates = async (req, res) => {
+    try {
+        const { companyId } = req.params;
+        const filter = {
+            status: req.query.status ? JSON.parse(req.query.status.replace(/'/g, '"')) : null,
+            allVersions: req.query.allVersions == 'true'
+        };
+
+        const data = await surveyTemplateQueries.listTemplates(companyId, filter);
+
+        return res.status(200).json(new ApiResponse(data, "Survey templates fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const getSurveyTemplate = async (req, res) => {
+    try {
+        const { companyId, templateId } = req.params;
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+
+        return res.status(200).json(new ApiResponse(template, "Survey template fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const createSurveyTemplate = async (req, res) => {
+    try {
+        const { user, companyId } = req.params;
+        const { name, questions } = req.body;
+
+        if (!name || String(name).trim() === '') {
+            return res.status(400).json(new ApiResponse(null, "Template name is required.", false));
+        }
+        const normalized = normalizeTemplateQuestions(questions);
+        if (normalized.errors.length > 0) {
+            return invalidQuestionsResponse(res, normalized.errors);
+        }
+
+        const template = await surveyTemplateQueries.createTemplate({
+            companyId,
+            name: String(name).trim(),
+            questions: normalized.questions
+        }, user);
+
+        console.log(`Survey Templates | action : Create Template | Company ID : ${companyId} | Template ID : ${template.id}`);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(template.id), "Survey template created successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//only drafts can be edited, sent surveys stay pinned to the published version they were sent with
+const updateSurveyTemplate = async (req, res) => {
+    try {
+        const { user, companyId, templateId } = req.params;
+        const { name, questions } = req.body;
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+        if (template.status != draft) {
+            return res.status(409).json(new ApiError(`A ${template.status} template can not be changed, create a new version instead.`, 409));
+        }
+
+        const normalized = normalizeTemplateQuestions(questions);
+        if (normalized.errors.length > 0) {
+            return invalidQuestionsResponse(res, normalized.errors);
+        }
+
+        await surveyTemplateQueries.updateDraftTemplate(templateId, {
+            name: name && String(name).trim() !== '' ? String(name).trim() : template.name,
+            questions: normalized.questions
+        }, user);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(templateId), "Survey template updated successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//new draft version of a template, from the given questions or a copy of this version's questions
+const createSurveyTemplateVersion = async (req, res) => {
+    try {
+        const { user, companyId, templateId } = req.params;
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+
+        const normalized = normalizeTemplateQuestions(req.body.questions || template.questions);
+        if (normalized.errors.length > 0) {
+            return invalidQuestionsResponse(res, normalized.errors);
+        }
+
+        const version = await surveyTemplateQueries.createTemplate({
+            companyId,
+            name: req.body.name || template.name,
+            questions: normalized.questions,
+            templatekey: template.templatekey,
+            version: await surveyTemplateQueries.getNextVersion(template.templatekey),
+            clonedfrom: template.id
+        }, user);
+
+        console.log(`Survey Templates | action : Create Version | Template ID : ${template.id} | Version ID : ${version.id} | Version : ${version.version}`);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(version.id), "Survey template version created successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//copy a template version into a new template, in the same company or in targetCompanyId
+const cloneSurveyTemplate = async (req, res) => {
+    try {
+        const { user, companyId, templateId } = req.params;
+        const targetCompanyId = req.body.targetCompanyId || companyId;
+
+        if (req.companyAccess && req.companyAccess.length > 0 && !req.companyAccess.includes(targetCompanyId)) {
+            return res.status(403).json(new ApiError("No access to the target company.", 403));
+        }
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+
+        const clone = await surveyTemplateQueries.createTemplate({
+            companyId: targetCompanyId,
+            name: req.body.name || `${template.name} (copy)`,
+            questions: normalizeTemplateQuestions(template.questions).questions,
+            clonedfrom: template.id
+        }, user);
+
+        console.log(`Survey Templates | action : Clone Template | Template ID : ${template.id} | Clone ID : ${clone.id} | Company ID : ${targetCompanyId}`);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(clone.id), "Survey template cloned successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+const publishSurveyTemplate = async (req, res) => {
+    try {
+        const { user, companyId, templateId } = req.params;
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+        if (template.status != draft) {
+            return res.status(409).json(new ApiError(`Only draft templates can be published, this one is ${template.status}.`, 409));
+        }
+
+        await surveyTemplateQueries.setTemplateStatus(templateId, published, user);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(templateId), "Survey template published successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+//retired templates are no longer sent, surveys already sent with them keep working
+const retireSurveyTemplate = async (req, res) => {
+    try {
+        const { user, companyId, templateId } = req.params;
+
+        const template = await findCompanyTemplate(companyId, templateId);
+        if (!template) {
+            return res.status(404).json(new ApiError("Survey template not found.", 404));
+        }
+        if (template.status == retired) {
+            return res.status(409).json(new ApiError("Survey template is already retired.", 409));
+        }
+
+        await surveyTemplateQueries.setTemplateStatus(templateId, retired, user);
+
+        return res.status(200).json(new ApiResponse(await surveyTemplateQueries.getTemplate(templateId), "Survey template retired successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+module.exports = {
+    getSurveyTemplates,
+    getSurveyTemplate,
+    createSurveyTemplate,
+    updateSurveyTemplate,
+    createSurveyTemplateVersion,
+    cloneSurveyTemplate,
+    publishSurveyTemplate,
+    retireSurveyTemplate
+};
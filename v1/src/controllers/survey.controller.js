@@ -4,8 +4,7 @@ const surveyQueries = require("../queries/survey.queries");
 const crypto = require("../utils/crypto");
 const { generateOtp } = require("../utils/otp");
 const MasterSurveyAssignment = require("../models/master-survey-assignment.model");
-const { sendSurveyInformation } = require("../utils/mailGraphApi");
-const { sendMail } = require("../utils/mailGraphApi");
+const { sendTemplateMail } = require("../utils/mailer");
 const { v4: uuidv4 } = require("uuid");
 const MasterSurveyAnswer = require("../models/master-survey-answer.model");
 const MasterSurvey = require("../models/master-survey.model");
@@ -13,23 +12,33 @@ const MasterSurveyControl = require("../models/master-survey-control.model");
 const SystemStatus = require("../models/system-status.model");
 const { axiosRequest } = require("../utils/axios");
 const MasterCompanyMailConfiguration = require("../models/master-company-mail-configuration.model");
-const companyQueries = require("../queries/company.queries");
 const sequelize = require("../setups/db");
+const { checkSurveyAnswer, serializeSurveyAnswer } = require("../utils/surveyTemplates");
+const { applyBranching } = require("../utils/surveyBranching");
+const { maskEmail, parseDelegations, delegationLinkText, parseDelegationLink, currentResponder, forwardedLinkMessage, checkDelegation, delegationEntry, previousResponders } = require("../utils/delegation");
+const { sendDelegationMails } = require("../utils/reminderMails");
 
 //remove after
 const SystemSurveyTemplate = require("../models/system-survey-template.model");
 const SystemSurveyQuestion = require("../models/system-survey-question.model");
 const Company = require("../models/company.model");
 
+//survey details shown on the public page, addressed to whoever answers now
+const publicSurveyDetails = ({ delegations, ...surveyDetails }, responder) => ({
+    ...surveyDetails,
+    name: responder.name,
+    userEmail: maskEmail(responder.email),
+    delegatedBy: responder.delegatedBy
+});
 
 const authenticateLinkAndSendOtp = async (req, res) => {
     try {
         const { encryption } = req.params;
 
-        const surveyId = crypto.decryptText(
+        const { id: surveyId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.SURVEY_CIPHER_KEY
-        );
+        ));
         const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
 
         //check survey status
@@ -44,6 +53,16 @@ const authenticateLinkAndSendOtp = async (req, res) => {
                 .json(new ApiResponse(null, responseMessage, false));
         }
 
+        //links handed on to a delegate no longer open the survey
+        const forwardedMessage = forwardedLinkMessage(surveyDetails.delegations, delegationId, 'survey');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+        const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+        const responder = currentResponder(original, surveyDetails.delegations);
+
         //otp
         const { genarateotp } = req.query;
         if (genarateotp) {
@@ -56,26 +75,19 @@ const authenticateLinkAndSendOtp = async (req, res) => {
                 { otp: otp },
                 { where: { surveyid: surveyId } }
             );
+            await MasterSurveyAssignment.update(
+                { otprequestedtime: new Date() },
+                { where: { surveyid: surveyId, otprequestedtime: null } }
+            );
 
             //mail
-            let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(surveyDetails.companyId, "SURVEY", "OTP");
-            let subject = masterCompanyMailConfiguration.dataValues.subject;
-            let body = masterCompanyMailConfiguration.dataValues.body;
-
-            const projectName = surveyDetails.projectName;
-            const projectCode = surveyDetails.projectId;
-            const accountName = surveyDetails.clientName;
-            const spocName = surveyDetails.name;
-
-            subject = subject.replaceAll('${projectName}', projectName);
-            subject = subject.replaceAll('${projectCode}', projectCode);
-            subject = subject.replaceAll('${accountName}', accountName);
-
-            body = body.replaceAll('${spocName}', spocName);
-            body = body.replaceAll('${otp}', otp);
-
-            const ccMails = [];
-            await sendMail(surveyDetails.userEmail, body, subject, ccMails);
+            await sendTemplateMail("SURVEY", "OTP", surveyDetails.companyId, {
+                spocName: responder.name,
+                otp,
+                projectName: surveyDetails.projectName,
+                projectCode: surveyDetails.projectId,
+                accountName: surveyDetails.clientName
+            }, { to: responder.email }, { object: "master_survey", objectId: surveyId });
 
             //generate cipher using master assignment table id
             const assignment = await MasterSurveyAssignment.findOne({
@@ -91,11 +103,7 @@ const authenticateLinkAndSendOtp = async (req, res) => {
 
             //generate response data
             const data = {
-                ...surveyDetails,
-                userEmail: surveyDetails.userEmail.replace(
-                    /^(.{2}).*?(@.*)$/,
-                    "$1****$2"
-                ),
+                ...publicSurveyDetails(surveyDetails, responder),
                 cipher: cipher,
                 supportEmail: process.env.SURVEY_SUPPORT_MAIL,
                 company: process.env.SURVEY_COMPANY,
@@ -108,11 +116,7 @@ const authenticateLinkAndSendOtp = async (req, res) => {
 
         //generate response data
         const data = {
-            ...surveyDetails,
-            userEmail: surveyDetails.userEmail.replace(
-                /^(.{2}).*?(@.*)$/,
-                "$1****$2"
-            ),
+            ...publicSurveyDetails(surveyDetails, responder),
             supportEmail: process.env.SURVEY_SUPPORT_MAIL,
             company: process.env.SURVEY_COMPANY,
         };
@@ -131,10 +135,10 @@ const verifyOtpAndGetSurveyData = async (req, res) => {
         const { cipher, otp } = req.body;
 
         const { encryption } = req.params;
-        const surveyId = crypto.decryptText(
+        const { id: surveyId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.SURVEY_CIPHER_KEY
-        );
+        ));
         const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
 
         //check survey status
@@ -149,6 +153,14 @@ const verifyOtpAndGetSurveyData = async (req, res) => {
                 .json(new ApiResponse(null, responseMessage, false));
         }
 
+        //links handed on to a delegate no longer open the survey
+        const forwardedMessage = forwardedLinkMessage(surveyDetails.delegations, delegationId, 'survey');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+
         //validate request body
         if (!cipher || !otp) {
             return res
@@ -181,9 +193,10 @@ const verifyOtpAndGetSurveyData = async (req, res) => {
         }
 
         //get questions and answers
-        //get questions
-        const questionsAndAnswers =
-            await surveyQueries.getSurveyQuestionAndAnswers(surveyId);
+        //get questions, marked visible from the branching rules and the answers saved so far
+        const questionsAndAnswers = applyBranching(
+            await surveyQueries.getSurveyQuestionAndAnswers(surveyId)
+        );
         const data = {
             cipher: cipher,
             questionsAndANswers: questionsAndAnswers,
@@ -203,10 +216,10 @@ const saveAnswer = async (req, res) => {
         const { submit, cipher } = req.body;
 
         const { encryption } = req.params;
-        const surveyId = crypto.decryptText(
+        const { id: surveyId, delegationId } = parseDelegationLink(crypto.decryptText(
             encryption,
             process.env.SURVEY_CIPHER_KEY
-        );
+        ));
         const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
 
         //check survey status
@@ -221,63 +234,94 @@ const saveAnswer = async (req, res) => {
                 .json(new ApiResponse(null, responseMessage, false));
         }
 
+        //links handed on to a delegate no longer open the survey
+        const forwardedMessage = forwardedLinkMessage(surveyDetails.delegations, delegationId, 'survey');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+        const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+        const responder = currentResponder(original, surveyDetails.delegations);
+
         //get company id from master survey
-        const survey = await MasterSurvey.findOne({
+        const companyOfSurvey = await MasterSurvey.findOne({
             where: { id: surveyId },
             attributes: ["companyid"], // Select only the companyid column
         });
 
-        //decrypt cipher and get survey assignment id
-        const surveyAssignmentId = crypto.decryptText(
-            cipher,
-            process.env.SURVEY_CIPHER_KEY
-        );
-
         //get answer and question id
-        const answersList = req.body.answers;
+        const answersList = req.body.answers || [];
 
+        //check answers against the question types of the survey's template version
+        const questions = await surveyQueries.getSurveyQuestionAndAnswers(surveyId);
+        const questionsById = Object.fromEntries(questions.map(question => [question.questionId, question]));
+        let invalidAnswers = [];
         for (const answerData of answersList) {
-            const questionId = answerData.questionId;
-            const answer = answerData.answer;
-
-            const answerRecord = await MasterSurveyAnswer.findOne({
-                where: {
-                    surveyassignmentid: surveyAssignmentId,
-                    surveyquestionsid: questionId,
-                },
-            });
-
-            //new entry
-            if (!answerRecord) {
-                const newAnswerData = {
-                    id: uuidv4(),
-                    answer: answer,
-                    surveyassignmentid: surveyAssignmentId,
-                    surveyquestionsid: questionId,
-                    surveyid: surveyId,
-                    companyid: survey.dataValues.companyid,
-                    saveddate: new Date().toISOString().slice(0, 19).replace('T', ' '),
-
-                    createdby: "external",
-                    createdtime: new Date(),
-                    modifiedby: "external",
-                    modifiedtime: new Date(),
-                    sysmodtime: new Date(),
-                };
-
-                //save answer
-                await MasterSurveyAnswer.create(newAnswerData);
-            } else {
-                //update answer
-                answerRecord.answer = answer;
-                answerRecord.saveddate = lastSaved;
-                answerRecord.modifiedtime = new Date();
-
-                await answerRecord.save();
+            const question = questionsById[answerData.questionId];
+            if (!question) {
+                invalidAnswers.push({ questionId: answerData.questionId, reason: "Question is not part of this survey." });
+                continue;
+            }
+            const reason = checkSurveyAnswer({ ...question, required: false }, answerData.answer);
+            if (reason) {
+                invalidAnswers.push({ questionId: answerData.questionId, reason });
             }
         }
+        if (invalidAnswers.length > 0) {
+            return res
+                .status(400)
+                .json(new ApiResponse({ invalidAnswers }, "Invalid answers.", false));
+        }
+
+        //every changed answer is kept as a new version, answers based on an older version are refused
+        const answeredSurvey = {
+            id: surveyId,
+            surveyAssignmentId: crypto.decryptText(cipher, process.env.SURVEY_CIPHER_KEY),
+            companyId: companyOfSurvey.dataValues.companyid
+        };
+        const { conflicts, versions } = await surveyQueries.saveSurveyAnswers(
+            answeredSurvey,
+            answersList.map(answerData => ({
+                questionId: answerData.questionId,
+                answer: serializeSurveyAnswer(answerData.answer),
+                version: answerData.version
+            })),
+            { userId: "external", savedBy: responder.email, source: "survey link" }
+        );
+        if (conflicts.length > 0) {
+            console.log(`Survey | action:save conflict | surveyId=${surveyId} | questions=${conflicts.length} | by=${responder.email}`);
+            return res
+                .status(409)
+                .json(new ApiResponse({ conflicts }, "Answers were changed by someone else since you loaded them, nothing was saved.", false));
+        }
 
         if (submit) {
+            //required questions must be answered before the survey is submitted, questions skipped by the branching rules are not asked
+            const savedAnswers = applyBranching(await surveyQueries.getSurveyQuestionAndAnswers(surveyId));
+            const missingAnswers = savedAnswers
+                .filter(question => question.visible)
+                .map(question => ({ questionId: question.questionId, sequence: question.sequence, reason: checkSurveyAnswer(question, question.answer) }))
+                .filter(question => question.reason);
+            if (missingAnswers.length > 0) {
+                return res
+                    .status(422)
+                    .json(new ApiResponse({ lastSaved: lastSaved, missingAnswers }, "Answer the required questions before submitting.", false));
+            }
+
+            //answers left on skipped questions, e.g. before an earlier answer changed, are not part of the response
+            const skippedQuestionIds = savedAnswers
+                .filter(question => !question.visible && question.answer !== null && question.answer !== undefined)
+                .map(question => question.questionId);
+            if (skippedQuestionIds.length > 0) {
+                await surveyQueries.saveSurveyAnswers(
+                    answeredSurvey,
+                    skippedQuestionIds.map(questionId => ({ questionId, answer: null })),
+                    { userId: "external", savedBy: responder.email, source: "branching" }
+                );
+                console.log(`Survey | action:clear skipped answers | surveyId=${surveyId} | questions=${skippedQuestionIds.length}`);
+            }
+
             //get survey status and survey control status
             const masterSurvey = await MasterSurvey.findOne({
                 where: { id: surveyId },
@@ -326,53 +370,22 @@ const saveAnswer = async (req, res) => {
             await survey.save();
 
 
-            //send mail to the responder
-            //send response received mail
-            let email = surveyDetails.userEmail;
-            const projectId = surveyDetails.projectId;
-            const projectName = surveyDetails.projectName;
-            const name = surveyDetails.name;
-            const date = lastSaved;
-            const support = process.env.SURVEY_SUPPORT_MAIL;
-
-            //get mail body
-            let masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(surveyDetails.companyId, "SURVEY", "RESPONSE RECEIVED - USER");
-
-
-            let body = masterCompanyMailConfiguration.dataValues.body;
-            body = body.replaceAll("${name}", name);
-            body = body.replace("${projectId}", projectId);
-            body = body.replace("${projectName}", projectName);
-            body = body.replace("${date}", date);
-            body = body.replace("${support}", support);
-
-            let subject = masterCompanyMailConfiguration.dataValues.subject;
-            subject = subject.replace("${accountName}", surveyDetails.clientName);
-            subject = subject.replace("${projectId}", projectId);
-            subject = subject.replace("${projectName}", projectName);
-
-            const ccMails = [];
-            await sendMail(email, body, subject, ccMails);
-
+            //send response received mail to the responder
+            const values = {
+                name: responder.name,
+                date: lastSaved,
+                support: process.env.SURVEY_SUPPORT_MAIL,
+                projectId: surveyDetails.projectId,
+                projectName: surveyDetails.projectName,
+                accountName: surveyDetails.clientName
+            };
 
+            //the SPOCs who forwarded the survey are copied
+            const ccMails = previousResponders(original, surveyDetails.delegations).map(holder => holder.email);
+            await sendTemplateMail("SURVEY", "RESPONSE RECEIVED - USER", surveyDetails.companyId, values, { to: responder.email, cc: ccMails }, { object: "master_survey", objectId: surveyId });
 
             //send mail to the internal team
-            email = process.env.SURVEY_CONFIRM_MAIL;
-            //get mail body
-            masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(surveyDetails.companyId, "SURVEY", "RESPONSE RECEIVED - SUPPORT TEAM");
-
-            body = masterCompanyMailConfiguration.dataValues.body;
-            body = body.replace("${name}", name);
-            body = body.replace("${projectId}", projectId);
-            body = body.replace("${projectName}", projectName);
-            body = body.replace("${date}", date);
-
-            subject = masterCompanyMailConfiguration.dataValues.subject;
-            subject = subject.replace("${accountName}", surveyDetails.clientName);
-            subject = subject.replace("${projectId}", projectId);
-            subject = subject.replace("${projectName}", projectName);
-
-            await sendMail(email, body, subject, ccMails);
+            await sendTemplateMail("SURVEY", "RESPONSE RECEIVED - SUPPORT TEAM", surveyDetails.companyId, values, { to: process.env.SURVEY_CONFIRM_MAIL }, { object: "master_survey", objectId: surveyId });
 
             //trigger ai
             //update aistatus to unprocessed
@@ -394,7 +407,8 @@ const saveAnswer = async (req, res) => {
         }
 
         const data = {
-            lastSaved: lastSaved
+            lastSaved: lastSaved,
+            versions: versions
         }
         return res
             .status(200)
@@ -405,6 +419,211 @@ const saveAnswer = async (req, res) => {
     }
 };
 
+//open survey of a public link whose cipher and OTP are valid, or the status and message to refuse the request with.
+//the cipher alone is handed out by /authenticate before the OTP, it does not open the answers
+async function openSurveyOfLink(encryption, cipher, otp) {
+    const { id: surveyId, delegationId } = parseDelegationLink(crypto.decryptText(
+        encryption,
+        process.env.SURVEY_CIPHER_KEY
+    ));
+    const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
+    if (!surveyDetails || surveyDetails.surveyControlStatus !== "OPEN") {
+        return { status: 404, message: "Survey is no longer active." };
+    }
+    const forwardedMessage = forwardedLinkMessage(surveyDetails.delegations, delegationId, 'survey');
+    if (forwardedMessage) {
+        return { status: 403, message: forwardedMessage };
+    }
+    if (!cipher || !otp) {
+        return { status: 400, message: "Invalid request." };
+    }
+    const assignment = await MasterSurveyAssignment.findOne({
+        where: { id: crypto.decryptText(cipher, process.env.SURVEY_CIPHER_KEY), surveyid: surveyId },
+        attributes: ["id", "otp"],
+    });
+    if (!assignment) {
+        return { status: 400, message: "Invalid request." };
+    }
+    if (assignment.dataValues.otp !== otp) {
+        return { status: 400, message: "Invalid Otp." };
+    }
+
+    const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+    return {
+        surveyId,
+        responder: currentResponder(original, surveyDetails.delegations),
+        survey: { id: surveyId, surveyAssignmentId: assignment.dataValues.id, companyId: surveyDetails.companyId }
+    };
+}
+
+//saved versions of one answer, newest first : body { cipher, otp, questionId }
+const getAnswerHistory = async (req, res) => {
+    try {
+        const { cipher, otp, questionId } = req.body;
+        const link = await openSurveyOfLink(req.params.encryption, cipher, otp);
+        if (link.status) {
+            return res.status(link.status).json(new ApiResponse(null, link.message, false));
+        }
+        if (!questionId) {
+            return res.status(400).json(new ApiResponse(null, "questionId is required.", false));
+        }
+
+        const history = await surveyQueries.getAnswerHistory(link.surveyId, questionId);
+        const data = {
+            questionId,
+            version: history.length > 0 ? history[0].version : 0,
+            history
+        };
+        return res.status(200).json(new ApiResponse(data, "Answer history fetched successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * Bring back an earlier text of an answer : body { cipher, otp, questionId, version, currentVersion }.
+ * The text is saved as a new version, currentVersion is the version the responder sees and must still be current.
+ */
+const restoreAnswer = async (req, res) => {
+    try {
+        const { cipher, otp, questionId, version, currentVersion } = req.body;
+        const link = await openSurveyOfLink(req.params.encryption, cipher, otp);
+        if (link.status) {
+            return res.status(link.status).json(new ApiResponse(null, link.message, false));
+        }
+        if (!questionId || version === undefined || currentVersion === undefined || currentVersion === null) {
+            return res.status(400).json(new ApiResponse(null, "questionId, version and currentVersion are required.", false));
+        }
+
+        const previous = await surveyQueries.getAnswerVersion(link.surveyId, questionId, version);
+        if (!previous) {
+            return res.status(404).json(new ApiResponse(null, `Version ${version} of this answer not found.`, false));
+        }
+
+        const { conflicts, versions } = await surveyQueries.saveSurveyAnswers(
+            link.survey,
+            [{ questionId, answer: previous.answer, version: currentVersion }],
+            { userId: "external", savedBy: link.responder.email, source: "restore" }
+        );
+        if (conflicts.length > 0) {
+            return res
+                .status(409)
+                .json(new ApiResponse({ conflicts }, "The answer was changed by someone else since you loaded it, nothing was restored.", false));
+        }
+
+        console.log(`Survey | action:restore answer | surveyId=${link.surveyId} | questionId=${questionId} | version=${version} | by=${link.responder.email}`);
+
+        const data = {
+            questionId,
+            answer: previous.answer,
+            version: versions[questionId],
+            restoredFrom: previous.version
+        };
+        return res.status(200).json(new ApiResponse(data, "Answer restored successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
+/*
+ * Forward the survey from the public page to a colleague : body { cipher, otp, name, email, message }.
+ * The delegate gets a link of their own and an OTP when they open it, the earlier links stop working
+ * and the SPOCs who held the survey before are told who answers it now.
+ */
+const delegateSurvey = async (req, res) => {
+    try {
+        const { cipher, otp, name, email, message } = req.body;
+
+        const { encryption } = req.params;
+        const { id: surveyId, delegationId } = parseDelegationLink(crypto.decryptText(
+            encryption,
+            process.env.SURVEY_CIPHER_KEY
+        ));
+        const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
+
+        //check survey status
+        if (surveyDetails.surveyControlStatus !== "OPEN") {
+            let responseMessage = "";
+            if (surveyDetails.surveyStatus == "RESPONSE RECEIVED") responseMessage = "Response received. Survey no longer active."
+            if (surveyDetails.surveyStatus == "REVOKED") responseMessage = "Survey has been revoked."
+            if (surveyDetails.surveyStatus == "EXPIRED") responseMessage = "Survey has been expired."
+            return res
+                .status(404)
+                .json(new ApiResponse(null, responseMessage, false));
+        }
+
+        const forwardedMessage = forwardedLinkMessage(surveyDetails.delegations, delegationId, 'survey');
+        if (forwardedMessage) {
+            return res
+                .status(403)
+                .json(new ApiResponse(null, forwardedMessage, false));
+        }
+
+        //only the responder who verified the OTP can hand the survey on
+        if (!cipher || !otp) {
+            return res
+                .status(400)
+                .json(new ApiResponse(null, "Invalid request.", false));
+        }
+        const assignment = await MasterSurveyAssignment.findOne({
+            where: {
+                id: crypto.decryptText(cipher, process.env.SURVEY_CIPHER_KEY),
+                surveyid: surveyId
+            },
+            attributes: ["id", "otp"],
+        });
+        if (!assignment) {
+            return res
+                .status(400)
+                .json(new ApiResponse(null, "Invalid request.", false));
+        }
+        if (assignment.dataValues.otp !== otp) {
+            return res.status(400).json(new ApiResponse(null, "Invalid Otp.", false));
+        }
+
+        const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+        const delegate = { name, email };
+        const reason = checkDelegation(original, surveyDetails.delegations, delegate);
+        if (reason) {
+            return res.status(400).json(new ApiResponse(null, reason, false));
+        }
+
+        //link of the delegate
+        const id = uuidv4();
+        const encryptionOfDelegate = crypto.encryptText(
+            delegationLinkText(surveyId, id),
+            process.env.SURVEY_CIPHER_KEY
+        );
+        const url = `${process.env.SURVEY_LINK}?verifycode=${encryptionOfDelegate}`;
+
+        const entry = delegationEntry(original, surveyDetails.delegations, delegate, id, url, message);
+        const delegations = [...parseDelegations(surveyDetails.delegations), entry];
+        await surveyQueries.delegateSurvey(surveyId, delegations);
+
+        await sendDelegationMails(
+            "SURVEY",
+            surveyDetails.companyId,
+            { accountName: surveyDetails.clientName, projectCode: surveyDetails.projectId, projectName: surveyDetails.projectName },
+            original,
+            delegations,
+            surveyId
+        );
+
+        console.log(`Survey | action:delegate | surveyId=${surveyId} | from=${entry.fromEmail} | to=${entry.toEmail} | delegation=${delegations.length}`);
+
+        const data = {
+            delegatedTo: entry.toName,
+            delegateEmail: maskEmail(entry.toEmail),
+            delegatedAt: entry.delegatedAt
+        };
+        return res
+            .status(200)
+            .json(new ApiResponse(data, "Survey forwarded successfully.", true));
+    } catch (error) {
+        return res.status(500).json(new ApiError(error.message, 500, error));
+    }
+};
+
 const updateSurveyQuestions = async (req, res) => {
     try {
         const companies = await Company.findAll({ attributes: ['companyId'] });
@@ -498,5 +717,8 @@ module.exports = {
     authenticateLinkAndSendOtp,
     verifyOtpAndGetSurveyData,
     saveAnswer,
+    getAnswerHistory,
+    restoreAnswer,
+    delegateSurvey,
     updateSurveyQuestions
 };
@@ -2,12 +2,13 @@ const { ApiError } = require("../utils/ApiError");
 const { ApiResponse } = require("../utils/ApiResponse");
 const timesheets = require("../queries/timesheet.queries");
 const { users } = require("../../data/user.data");
-const { uploadOnCloudinary } = require("../utils/cloudinary");
 const { axiosRequest } = require("../utils/axios");
 const { uploadFileToAzureStorage } = require('../utils/azureBlobStorage');
 const authQueries = require("../queries/auth.queries");
 const timesheetQueries = require("../queries/timesheet.queries");
 const TimesheetUploadLog = require("../models/timesheet-upload-log.model");
+const { runTimesheetProcessor } = require("../utils/timesheetProcessors");
+const { detectTimesheetAnomalies } = require("../utils/timesheetAnomalies");
 const fs = require("fs");
 
 const getTimesheetFilterValues = async (req, res) => {
@@ -163,37 +164,32 @@ const uploadTimesheet = async (req, res) => {
     let existingEntry = await timesheets.getExistingTimesheetLog(timesheetId);
     if (existingEntry.length !== 0) {
       const timesheet = await uploadFileToAzureStorage(file);
-      fs.unlinkSync(file.path);
 
       const uTimesheet = await timesheets.updateTimesheet(
         {
-          url: timesheet.url
+          url: timesheet.url,
+          originalFileName: file.originalname
         },
         {
           timesheetId: existingEntry[0].timesheetId
         }
       );
 
-
       if (Array.isArray(uTimesheet)) {
-        const triggerETL = axiosRequest(
-          "post",
-          process.env.WEBHOOK_REUPLOAD_URL,
-          {
-            id: existingEntry[0].timesheetId,
-            timesheetName: timesheet.blobName
-          }
-        );
-
-        if (triggerETL.error) {
-          return res
-            .status(422)
-            .json(new ApiError(triggerETL.error, 422));
-        }
+        runTimesheetProcessor({
+          timesheetId: existingEntry[0].timesheetId,
+          companyId,
+          userId,
+          file,
+          blobName: timesheet.blobName,
+          reupload: true
+        });
+
         return res.status(200).json(
           new ApiResponse(uTimesheet, "Timesheet updated successfully.")
         )
       }
+      fs.unlinkSync(file.path);
       return res
         .status(422)
         .json(new ApiError("Error in updating timesheet", 422));
@@ -213,26 +209,16 @@ const uploadTimesheet = async (req, res) => {
       });
 
       if (createEntry.timesheetId) {
-        const triggerETL = axiosRequest(
-          "post",
-          process.env.WEBHOOK_UPLOAD_URL,
-          {
-            id: createEntry.timesheetId,
-            timesheetName: timesheet.blobName
-          }
-        );
-        if (triggerETL.error) {
-          return res
-            .status(422)
-            .json(
-              new ApiError(triggerETL.error, 422)
-            );
-        }
+        runTimesheetProcessor({
+          timesheetId: createEntry.timesheetId,
+          companyId,
+          userId,
+          file,
+          blobName: timesheet.blobName,
+          reupload: false
+        });
       }
 
-
-
-
       return res.status(200).json(
         new ApiResponse(
           createEntry,
@@ -296,10 +282,11 @@ const reUploadTimesheet = async (req, res) => {
     const existingEntry = await timesheets.getTimesheetLog({ timesheetId });
 
     if (existingEntry.length !== 0) {
-      const timesheet = await uploadOnCloudinary(file.path);
+      const timesheet = await uploadFileToAzureStorage(file);
       const uTimesheet = await timesheets.updateTimesheet(
         {
-          url: timesheet.url
+          url: timesheet.url,
+          originalFileName: file.originalname
         },
         {
           timesheetId: existingEntry[0].timesheetId
@@ -307,17 +294,14 @@ const reUploadTimesheet = async (req, res) => {
       );
 
       if (Array.isArray(uTimesheet)) {
-        const triggerETL = axiosRequest(
-          "post",
-          process.env.WEBHOOK_REUPLOAD_URL,
-          { id: existingEntry[0].timesheetId }
-        );
-
-        if (triggerETL.error) {
-          return res
-            .status(422)
-            .json(new ApiError(triggerETL.error, 422));
-        }
+        runTimesheetProcessor({
+          timesheetId: existingEntry[0].timesheetId,
+          companyId,
+          userId,
+          file,
+          blobName: timesheet.blobName,
+          reupload: true
+        });
 
         return res
           .status(200)
@@ -370,6 +354,42 @@ const triggerAi = async (req, res) => {
   }
 }
 
+const repriceTimesheet = async (req, res) => {
+  try {
+    const { timesheetId } = req.params;
+
+    const data = await timesheets.repriceTimesheetTasks(timesheetId);
+
+    console.log(`Timesheets | action : Reprice Timesheet | Timesheet ID : ${timesheetId} | Repriced : ${data.repriced} | Without Rate : ${data.withoutRate}`);
+
+    return res.status(200).json(new ApiResponse(data, "Timesheet tasks priced successfully.", true));
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
+//rerun the anomaly rules on the stored tasks, for timesheets imported by the webhook processor or after data changes
+const detectAnomalies = async (req, res) => {
+  try {
+    const { userId, companyId, timesheetId } = req.params;
+
+    const timesheet = await TimesheetUploadLog.findOne({ where: { timesheetId, companyId } });
+    if (!timesheet) {
+      return res.status(400).json(new ApiResponse(null, "Invalid timesheet id", false));
+    }
+
+    const data = await detectTimesheetAnomalies({
+      timesheetId,
+      companyId: timesheet.dataValues.companyId,
+      userId
+    });
+
+    return res.status(200).json(new ApiResponse(data, "Timesheet anomalies detected successfully.", true));
+  } catch (error) {
+    return res.status(500).json(new ApiError(error.message, 500, error));
+  }
+};
+
 module.exports = {
   uploadTimesheet,
   fetchTimesheetUploadLogs,
@@ -379,5 +399,7 @@ module.exports = {
   triggerAi,
   getTimesheetFilterValues,
   getTimesheetTasksFilterValues,
-  getTasks
+  getTasks,
+  repriceTimesheet,
+  detectAnomalies
 };
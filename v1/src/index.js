@@ -1,5 +1,9 @@
 require('dotenv').config();
 const { app } = require('./setups/server/app');
+const { markInterruptedImports } = require('./utils/sheetImportJob');
+const { startScheduler } = require('./utils/scheduler');
+const { startMailQueue } = require('./utils/mailQueue');
+const { startSessionCleanup } = require('./utils/sessionService');
 
 const fs = require('fs');
 
@@ -16,6 +20,18 @@ process.on('uncaughtException', (error) => {
 
 app.listen(process.env.PORT || 8081, () => {
     console.log(`Server is running at port : ${process.env.PORT}`);
+
+    // Sheets left in processing by a previous run can be resumed
+    markInterruptedImports();
+
+    // Automatic survey reminders and expiry sweeps
+    startScheduler();
+
+    // Retries of mails the transport did not take
+    startMailQueue();
+
+    // Ended login sessions past their history period
+    startSessionCleanup();
 });
 
 
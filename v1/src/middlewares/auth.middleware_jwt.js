@@ -1,6 +1,7 @@
 const authQueries = require("../queries/auth.queries");
-const { verifyAccessToken } = require("../utils/jwt");
+const { verifyAccessToken, accessTokenSessionId } = require("../utils/jwt");
 const sessionService = require("../utils/sessionService");
+const { setContextUser } = require("../utils/requestContext");
 
 const authorize_jwt = async (req, res, next) => {
     try {
@@ -30,25 +31,23 @@ const authorize_jwt = async (req, res, next) => {
             });
         }
 
-        const sessionId = userId_jwt + jwt_token.substring(jwt_token.length - 7);
-
-        // Check if session is valid
-        if (sessionService.isSessionExpired(sessionId)) {
-            sessionService.deleteSession(sessionId);
+        // Check the session is still open, a revoked session is refused right away
+        const sessionId = accessTokenSessionId(jwt_token);
+        const session = await sessionService.validateSession(sessionId, userId_jwt);
+        if (!session.valid) {
             return res.status(403).json({
-                message: "Session expired due to inactivity",
+                message: session.reason == 'revoked' ? "Session signed out" : "Session expired due to inactivity",
                 success: false,
                 logout: true,
             });
         }
 
-        // Update last activity time
-        sessionService.createOrUpdateSession(sessionId, { userId: userId_jwt });
-
         // Retrieve user access and proceed
         const access = await authQueries.getUserAccess(userId_jwt);
         req.companyAccess = access.companyIds;
         req.userProfile = userExists;
+        req.sessionId = sessionId;
+        setContextUser(userId_jwt);
         next();
     } catch (error) {
         return res.status(403).json({
@@ -0,0 +1,127 @@
+// Access policy of a route, every route declares one in front of its handlers :
+//   policy('contacts', 'read')   signed in, and the role has the permission on the feature
+//   policy.signedIn()            any signed in user, for what every role uses (filter values, own sessions ...)
+//   policy.public('reason')      no sign in, e.g. login or the survey links protected by their OTP
+// Signed in requests get req.permissions ('feature:action' of their role) and, for roles that can not read
+// contactsalary, every salary field of the response masked, and are kept inside the companies of the user
+// (scopeToCompanies). Reads of AUDITED_READ_FEATURES are recorded in the audit log. validateRoutePolicies
+// refuses to start the app when a route has no policy.
+const authQueries = require("../queries/auth.queries");
+const { authorize_jwt } = require("./auth.middleware_jwt");
+const { scopeToCompanies } = require("./tenant.middleware");
+const { maskResponseFields } = require("../utils/fieldMasking");
+const { recordRead } = require("../utils/auditLog");
+const { currentContext } = require("../utils/requestContext");
+const { requestTenantIds } = require("../utils/tenantScope");
+const constants = require("../constants");
+
+const SALARY_PERMISSION = 'contactsalary:read';
+
+//the handler carrying the metadata is made for each route, so routes never share it
+const withPolicy = (routePolicy, middleware) => {
+    middleware.policy = routePolicy;
+    return middleware;
+};
+
+//role permissions of the signed in user, read once per request
+const loadPermissions = async (req, res, next) => {
+    try {
+        req.permissions = new Set(await authQueries.getRolePermissions(req.userProfile.roleId));
+        if (!req.permissions.has(SALARY_PERMISSION)) {
+            maskResponseFields(res, constants.SALARY_FIELDS);
+        }
+        next();
+    } catch (error) {
+        console.error(error);
+        res.sendStatus(500); // Internal Server Error
+    }
+};
+
+//records the read once it is answered, failed reads returned nothing
+const auditRead = (feature) => (req, res, next) => {
+    const context = currentContext();
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            return;
+        }
+        const company = requestTenantIds(req).find(found => found.kind == 'company' && !found.list);
+        recordRead(feature, req.params.contact || null, company ? company.ids[0] : null, { params: req.params, query: req.query }, context);
+    });
+    next();
+};
+
+function policy(feature, action) {
+    if (!constants.POLICY_FEATURES.includes(feature) || !constants.POLICY_ACTIONS.includes(action)) {
+        throw new Error(`Unknown policy ${feature} / ${action}, add it to POLICY_FEATURES / POLICY_ACTIONS.`);
+    }
+    const handlers = [
+        authorize_jwt,
+        loadPermissions,
+        withPolicy({ feature, action }, (req, res, next) => {
+            if (req.permissions.has(`${feature}:${action}`)) {
+                return next();
+            }
+            return res.status(403).json({
+                message: "Forbidden",
+                success: false,
+            });
+        }),
+        scopeToCompanies
+    ];
+    return action == 'read' && constants.AUDITED_READ_FEATURES.includes(feature) ? handlers.concat(auditRead(feature)) : handlers;
+}
+
+policy.signedIn = () => [
+    authorize_jwt,
+    withPolicy({ signedIn: true }, (req, res, next) => loadPermissions(req, res, next)),
+    scopeToCompanies
+];
+
+//after the upload middleware of a multipart route : multer reads the body after policy(), its fields are scoped here
+policy.scopeBody = () => scopeToCompanies;
+
+policy.public = (reason) => {
+    if (!reason || String(reason).trim() === '') {
+        throw new Error("A public route needs the reason it is public.");
+    }
+    return withPolicy({ public: true, reason }, (req, res, next) => next());
+};
+
+//'/api/v1/auth' from the regexp express mounts a router with
+const mountPath = (layer) => layer.regexp.fast_slash
+    ? ''
+    : layer.regexp.source.replace(/^\^/, '').replace(/\\\/\?\(\?=\\\/\|\$\)$/, '').replace(/\\\//g, '/');
+
+//'GET /api/v1/contacts/:user/:company/get-contacts' of every route without policy
+function routesWithoutPolicy(stack, prefix = '', inherited = null) {
+    let missing = [];
+    let routerPolicy = inherited;
+    for (const layer of stack) {
+        if (layer.route) {
+            const covered = routerPolicy || layer.route.stack.some(routeLayer => routeLayer.handle.policy);
+            if (!covered) {
+                const methods = Object.keys(layer.route.methods).map(method => method.toUpperCase()).join(', ');
+                missing.push(`${methods} ${prefix}${layer.route.path}`);
+            }
+        } else if (layer.handle && layer.handle.stack) {
+            missing = missing.concat(routesWithoutPolicy(layer.handle.stack, prefix + mountPath(layer), routerPolicy));
+        } else if (layer.handle && layer.handle.policy) {
+            //router.use(policy...) covers the routes declared after it
+            routerPolicy = layer.handle.policy;
+        }
+    }
+    return missing;
+}
+
+function validateRoutePolicies(app) {
+    const missing = routesWithoutPolicy(app._router ? app._router.stack : []);
+    if (missing.length > 0) {
+        throw new Error(`Routes without access policy, declare one with policy() :\n${missing.join('\n')}`);
+    }
+}
+
+module.exports = {
+    policy,
+    validateRoutePolicies,
+    routesWithoutPolicy
+};
@@ -0,0 +1,58 @@
+// Keeps a user limited to some companies (req.companyAccess) inside them, on every signed in route (policy()) :
+// - an id of a company, or of a record of a company, outside their access is refused wherever it is in the
+//   request : route params, query or body
+// - the list filters of the query (companyIds, projectIds ...) keep only what the user can access, and a
+//   request without companyIds gets the companies of the user as filter
+// Ids nested in the body (lists of records ...) are checked as well. Multipart bodies are only read by the upload
+// middleware after the policy, their routes scope again after it with policy.scopeBody().
+const tenantQueries = require("../queries/tenant.queries");
+const { ApiError } = require("../utils/ApiError");
+const { isUnrestricted, hasCompanyAccess, requestTenantIds } = require("../utils/tenantScope");
+
+//companies of each id, ids not found have none
+const companiesOf = async (kind, ids) => {
+    if (kind == 'company') {
+        return new Map(ids.map(id => [String(id), [id]]));
+    }
+    let companies = new Map();
+    for (const row of await tenantQueries.getRecordCompanies(kind, ids)) {
+        const recordId = String(row.recordId);
+        companies.set(recordId, (companies.get(recordId) || []).concat(row.companyId));
+    }
+    return companies;
+};
+
+const scopeToCompanies = async (req, res, next) => {
+    try {
+        if (isUnrestricted(req.companyAccess)) {
+            return next();
+        }
+        const found = requestTenantIds(req);
+        //one lookup per kind, a list of records in the body names many ids of the same kind
+        let companiesByKind = new Map();
+        for (const kind of new Set(found.map(entry => entry.kind))) {
+            companiesByKind.set(kind, await companiesOf(kind, [...new Set(found.filter(entry => entry.kind == kind).flatMap(entry => entry.ids))]));
+        }
+        for (const { source, field, kind, ids, list } of found) {
+            const companies = companiesByKind.get(kind);
+            const accessible = ids.filter(id => (companies.get(String(id)) || []).every(companyId => hasCompanyAccess(req.companyAccess, companyId)));
+            if (list && source == 'query' && accessible.length > 0 && Object.prototype.hasOwnProperty.call(req.query, field)) {
+                req.query[field] = JSON.stringify(accessible);
+            } else if (accessible.length < ids.length) {
+                console.log(`Tenant | action : refused | user : ${req.userProfile.userId} | ${source}.${field} : ${ids.join(', ')}`);
+                return res.status(403).json(new ApiError("No access to this company.", 403));
+            }
+        }
+        if (!req.query.companyIds) {
+            req.query.companyIds = JSON.stringify(req.companyAccess);
+        }
+        next();
+    } catch (error) {
+        console.error(error);
+        res.sendStatus(500); // Internal Server Error
+    }
+};
+
+module.exports = {
+    scopeToCompanies
+};
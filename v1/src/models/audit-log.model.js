@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//append only audit trail : who changed or read what, when and in which request. Rows are never updated or deleted
+const AuditLog = sequelize.define('master_audit_log', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    //create / update / delete / read
+    action: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    entity: {
+        type: DataTypes.STRING(45),
+        allowNull: false,
+    },
+    entityid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    companyid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    //null for changes made outside a signed in request (schedulers, sign in)
+    actorid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    requestid: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    method: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+    },
+    path: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    ipaddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    //{ field: { before, after } }
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    //what a read returned, e.g. { feature, params }
+    details: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_audit_log',
+    timestamps: false,
+    hooks: {
+        beforeUpdate: () => { throw new Error("Audit log entries can not be changed."); },
+        beforeBulkUpdate: () => { throw new Error("Audit log entries can not be changed."); },
+        beforeDestroy: () => { throw new Error("Audit log entries can not be deleted."); },
+        beforeBulkDestroy: () => { throw new Error("Audit log entries can not be deleted."); }
+    }
+});
+
+module.exports = AuditLog;
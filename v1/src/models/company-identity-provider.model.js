@@ -0,0 +1,77 @@
+const { Sequelize, DataTypes } = require("sequelize");
+const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
+
+//OpenID Connect identity provider a company signs in with, see utils/oidc
+const CompanyIdentityProvider = sequelize.define('master_company_identity_provider', {
+    id: {
+        type: DataTypes.STRING(36),
+        primaryKey: true,
+    },
+    companyid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    //issuer url, its /.well-known/openid-configuration describes the provider
+    issuer: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+    },
+    clientid: {
+        type: DataTypes.STRING(256),
+        allowNull: false,
+    },
+    //encrypted with utils/crypto encryptText, never sent back
+    clientsecret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    //email domains signing in with this provider, e.g. ["client.com"]
+    domains: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    //domains whose DNS TXT record was found (utils/oidc verifyDomain), discovery and sign in only use these
+    verifieddomains: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    //value of the TXT record proving the domains
+    verificationtoken: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    scopes: {
+        type: DataTypes.STRING(256),
+        allowNull: true,
+    },
+    //users signing in for the first time are created with this role, null for no just in time provisioning
+    defaultroleid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+    modifiedby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    modifiedtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'master_company_identity_provider',
+    timestamps: false,
+});
+
+auditModel(CompanyIdentityProvider, { entity: 'identityprovider', companyAttribute: 'companyid' });
+
+module.exports = CompanyIdentityProvider;
@@ -158,6 +158,46 @@ const Company = sequelize.define('Company', {
   subconMultiplier: {
     type: DataTypes.DECIMAL(3, 2),
     defaultValue: 1.0
+  },
+  holidays: {
+    type: DataTypes.TEXT
+  },
+  reconcileReviewRequired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  //automatic survey / interaction reminders : days after sending, as comma separated numbers
+  reminderDays: {
+    type: DataTypes.STRING(255)
+  },
+  maxReminders: {
+    type: DataTypes.INTEGER
+  },
+  //no reminders go out between these 'HH:mm' times of the company time zone
+  quietHoursStart: {
+    type: DataTypes.STRING(5)
+  },
+  quietHoursEnd: {
+    type: DataTypes.STRING(5)
+  },
+  timeZone: {
+    type: DataTypes.STRING(64)
+  },
+  //mails : language of the templates and branding, the defaults are used for what is not set
+  mailLanguage: {
+    type: DataTypes.STRING(10)
+  },
+  mailLogoUrl: {
+    type: DataTypes.STRING(512)
+  },
+  mailPrimaryColor: {
+    type: DataTypes.STRING(7)
+  },
+  mailSignature: {
+    type: DataTypes.TEXT
+  },
+  mailFooter: {
+    type: DataTypes.TEXT
   }
 
 }, {
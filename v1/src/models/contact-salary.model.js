@@ -1,5 +1,7 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const Contact = require("./contact.model");
+const { auditModel } = require("../utils/auditLog");
 
 const ContactSalary = sequelize.define('ContactSalary', {
   contactSalaryId: {
@@ -45,4 +47,13 @@ const ContactSalary = sequelize.define('ContactSalary', {
   timestamps: false
 });
 
+//salaries have no company, it is the one of the contact
+auditModel(ContactSalary, {
+  entity: 'contactsalary',
+  companyOf: async (salary) => {
+    const contact = await Contact.findOne({ where: { contactId: salary.get('contactId', { raw: true }) }, attributes: ['companyId'], raw: true });
+    return contact ? contact.companyId : null;
+  }
+});
+
 module.exports = ContactSalary;
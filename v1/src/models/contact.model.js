@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const { v4: uuidv4 } = require('uuid');
 
 const Contact = sequelize.define('Contact', {
@@ -83,5 +84,7 @@ const Contact = sequelize.define('Contact', {
   timestamps: false, // Set to true if you want Sequelize to manage createdAt and updatedAt fields
 });
 
+auditModel(Contact, { entity: 'contact', idAttribute: 'contactId', companyAttribute: 'companyId' });
+
 // Now you can use the `Contact` model to interact with your database
 module.exports = Contact;
@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const PlatformUser = require("../models/platform-users.model");
 const Company = require("../models/company.model");
 const SystemType = require("../models/system-type.model");
@@ -92,4 +93,6 @@ MasterCase.belongsTo(PlatformUser, { foreignKey: 'platformuserid' });
 MasterCase.belongsTo(Company, { foreignKey: 'companyid' });
 MasterCase.belongsTo(SystemType, { foreignKey: 'casetypeid' });
 
+auditModel(MasterCase, { entity: 'case', companyAttribute: 'companyid' });
+
 module.exports = MasterCase;
@@ -26,6 +26,19 @@ const MasterCompanyMailConfiguration = sequelize.define('master_company_mail_con
         type: DataTypes.TEXT,
         allowNull: true,
     },
+    //'en', 'fr-CA' ... null for rows saved before languages, they are in the default language
+    language: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+    },
+    modifiedby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    modifiedtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
 }, {
     tableName: 'master_company_mail_configuration',
     timestamps: false,
@@ -18,6 +18,11 @@ const MasterInteractionsQA = sequelize.define('master_interactions_qa', {
         type: DataTypes.TEXT,
         allowNull: true,
     },
+    //skip / show rules on this question's answer, targets are question ids of the same interaction
+    branching: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
     aiinteractionid: {
         type: DataTypes.STRING(36),
         allowNull: false,
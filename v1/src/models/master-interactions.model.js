@@ -52,6 +52,25 @@ const MasterInteractions = sequelize.define('master_interaction', {
         type: DataTypes.STRING(36),
         allowNull: false,
     },
+    sentdate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    //reminders sent so far, by users and by the scheduler
+    reminderssent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 0,
+    },
+    lastremindertime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    //forwarding chain from the public page, the last delegate answers now
+    delegations: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
     createdby: {
         type: DataTypes.STRING(36),
         allowNull: true,
@@ -0,0 +1,55 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+const MasterMapperHistory = sequelize.define('master_mapper_history', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    companyid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    sheettype: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    sheetcolumnname: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    columnname: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    acceptedcount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+    },
+    createdby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+        defaultValue: 'system',
+    },
+    createdtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    },
+    modifiedby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    modifiedtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null,
+    }
+}, {
+    tableName: 'master_mapper_history',
+    timestamps: false
+});
+
+module.exports = MasterMapperHistory;
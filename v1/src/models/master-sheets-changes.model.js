@@ -0,0 +1,57 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+const MasterSheetsChanges = sequelize.define('master_sheets_changes', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    sheetid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    companyid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    rownumber: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    tablename: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    recordid: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    action: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    previousvalues: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    newvalues: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    createdby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+        defaultValue: 'system',
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_sheets_changes',
+    timestamps: false
+});
+
+module.exports = MasterSheetsChanges;
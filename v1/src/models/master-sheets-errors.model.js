@@ -0,0 +1,50 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+const MasterSheetsErrors = sequelize.define('master_sheets_errors', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    sheetid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    companyid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    rownumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    columnname: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    stage: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: 'validation',
+    },
+    createdby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+        defaultValue: 'system',
+    },
+    createdtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_sheets_errors',
+    timestamps: false
+});
+
+module.exports = MasterSheetsErrors;
@@ -47,6 +47,20 @@ const MasterSheet = sequelize.define('master_sheet', {
         type: DataTypes.INTEGER,
         allowNull: true
     },
+    processedrecords: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 0
+    },
+    lastprocessedrow: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 0
+    },
+    worksheet: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
     createdby: {
         type: DataTypes.STRING(36),
         allowNull: false,
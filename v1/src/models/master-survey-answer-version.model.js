@@ -0,0 +1,54 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//every saved text of a survey answer, version 1 first. Rows are never changed, a restore saves a new version.
+const MasterSurveyAnswerVersion = sequelize.define('master_survey_answer_version', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    surveyanswerid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    surveyid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    surveyquestionsid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    companyid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    answer: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    //survey link, offline sheet, restore, branching
+    source: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+    },
+    savedby: {
+        type: DataTypes.STRING(128),
+        allowNull: true,
+    },
+    savedtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_survey_answer_version',
+    timestamps: false,
+});
+
+module.exports = MasterSurveyAnswerVersion;
@@ -18,6 +18,12 @@ const MasterSurveyAnswer = sequelize.define('master_survey_answer', {
         type: DataTypes.DATE,
         allowNull: true,
     },
+    //times the answer changed, a save has to be based on the current version
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 0,
+    },
     surveyassignmentid: {
         type: DataTypes.STRING(36),
         allowNull: false,
@@ -18,6 +18,11 @@ const MasterSurveyAssignment = sequelize.define('master_survey_assignment', {
         type: DataTypes.STRING(6),
         allowNull: true,
     },
+    //first time the SPOC asked for an OTP, i.e. opened the survey link
+    otprequestedtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
     url: {
         type: DataTypes.STRING(256),
         allowNull: true,
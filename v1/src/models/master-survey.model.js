@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const SystemStatus = require("../models/system-status.model");
 const MasterSurveyControl = require("../models/master-survey-control.model");
 const SystemSurveyTemplate = require("../models/system-survey-template.model");
@@ -85,6 +86,21 @@ const MasterSurvey = sequelize.define('master_survey', {
         type: DataTypes.STRING(16),
         allowNull: true,
     },
+    //reminders sent so far, by users and by the scheduler
+    reminderssent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 0,
+    },
+    lastremindertime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    //forwarding chain from the public page, the last delegate answers now
+    delegations: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
 }, {
     tableName: 'master_survey',
     timestamps: false,
@@ -96,4 +112,6 @@ MasterSurvey.belongsTo(SystemSurveyTemplate, { foreignKey: 'surveyquestionstempl
 MasterSurvey.belongsTo(Company, { foreignKey: 'companyid' });
 MasterSurvey.belongsTo(Project, { foreignKey: 'projectId' });
 
+auditModel(MasterSurvey, { entity: 'survey', companyAttribute: 'companyid' });
+
 module.exports = MasterSurvey;
@@ -0,0 +1,103 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//every mail the platform sends, queued until its transport accepted it. The queue and the delivery record in one.
+const NotificationOutbox = sequelize.define('master_notification_outbox', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    transport: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    //queued, sending, sent, failed
+    status: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    torecipients: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    ccrecipients: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    subject: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    body: {
+        type: DataTypes.TEXT('long'),
+        allowNull: true,
+    },
+    //[{ name, content }] with the content in base64, files are usually deleted right after queueing
+    attachments: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    //SURVEY, INTERACTION, LOGIN, SHEETS ... and the mail of that feature
+    feature: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+    },
+    purpose: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    //record the mail is about, e.g. master_survey / master_interactions and its id
+    object: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    objectid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    companyid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    userid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    nextattempttime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lasterror: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    //message id / file the transport gave back
+    reference: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    senttime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    },
+    modifiedtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+    }
+}, {
+    tableName: 'master_notification_outbox',
+    timestamps: false,
+});
+
+module.exports = NotificationOutbox;
@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 
 const PlatformUsers = sequelize.define('PlatformUsers', {
   userId: {
@@ -100,4 +101,6 @@ const PlatformUsers = sequelize.define('PlatformUsers', {
   timestamps: false
 });
 
+auditModel(PlatformUsers, { entity: 'user' });
+
 module.exports = PlatformUsers
\ No newline at end of file
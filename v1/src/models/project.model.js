@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const { v4: uuidv4 } = require('uuid');
 
 const Project = sequelize.define('Project', {
@@ -114,4 +115,6 @@ const Project = sequelize.define('Project', {
   timestamps: false, // Set to true if Sequelize should manage createdAt and updatedAt
 });
 
+auditModel(Project, { entity: 'project', idAttribute: 'projectId', companyAttribute: 'companyId' });
+
 module.exports = Project;
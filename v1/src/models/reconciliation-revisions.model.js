@@ -0,0 +1,63 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//append only history of a reconciliation : rows are never updated or deleted
+const ReconciliationRevisions = sequelize.define('master_reconciliation_revisions', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    reconcileid: {
+        type: DataTypes.STRING(45),
+        allowNull: false,
+    },
+    companyid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    revisionnumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    action: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    previousvalues: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    newvalues: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    createdby: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    createdbyname: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_reconciliation_revisions',
+    timestamps: false,
+    hooks: {
+        beforeUpdate: () => { throw new Error("Reconciliation revisions can not be changed."); },
+        beforeBulkUpdate: () => { throw new Error("Reconciliation revisions can not be changed."); },
+        beforeDestroy: () => { throw new Error("Reconciliation revisions can not be deleted."); },
+        beforeBulkDestroy: () => { throw new Error("Reconciliation revisions can not be deleted."); }
+    }
+});
+
+module.exports = ReconciliationRevisions;
@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 
 const Reconciliations = sequelize.define('Reconciliations', {
     reconciliationIdentifier: {
@@ -56,11 +57,28 @@ const Reconciliations = sequelize.define('Reconciliations', {
     },
     projectId: {
       type: DataTypes.STRING(45)
+    },
+    companyId: {
+      type: DataTypes.STRING(45)
+    },
+    preparedBy: {
+      type: DataTypes.STRING(45)
+    },
+    preparedTime: {
+      type: DataTypes.DATE
+    },
+    reviewedBy: {
+      type: DataTypes.STRING(45)
+    },
+    reviewedTime: {
+      type: DataTypes.DATE
     }
     }, {
     tableName: 'Reconciliations', // Replace with your table name
     timestamps: false,
     // Other model options go here
 });
-  
+
+auditModel(Reconciliations, { entity: 'reconciliation', idAttribute: 'reconcileId', companyAttribute: 'companyId' });
+
 module.exports = Reconciliations;
\ No newline at end of file
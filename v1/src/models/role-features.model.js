@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const { v4: uuidv4 } = require('uuid');
 
 const RoleFeatures = sequelize.define('RoleFeatures', {
@@ -51,4 +52,6 @@ const RoleFeatures = sequelize.define('RoleFeatures', {
     timestamps: false // Disable timestamps fields (createdAt, updatedAt)
 });
 
+auditModel(RoleFeatures, { entity: 'rolefeature' });
+
 module.exports = RoleFeatures;
\ No newline at end of file
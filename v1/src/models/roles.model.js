@@ -1,5 +1,6 @@
 const { Sequelize, DataTypes } = require("sequelize");
 const sequelize = require("../setups/db");
+const { auditModel } = require("../utils/auditLog");
 const { v4: uuidv4 } = require('uuid');
 
 const Roles = sequelize.define('Roles', {
@@ -47,4 +48,6 @@ const Roles = sequelize.define('Roles', {
   timestamps: false // Disable timestamps fields (createdAt, updatedAt)
 });
 
+auditModel(Roles, { entity: 'role' });
+
 module.exports = Roles;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//what the scheduled jobs did : one row per reminder, expiry or skipped / failed attempt
+const SchedulerLog = sequelize.define('master_scheduler_log', {
+    id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    job: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    action: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+    },
+    object: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    objectid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    companyid: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    status: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    }
+}, {
+    tableName: 'master_scheduler_log',
+    timestamps: false,
+});
+
+module.exports = SchedulerLog;
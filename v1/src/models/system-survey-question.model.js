@@ -23,6 +23,26 @@ const SystemSurveyQuestion = sequelize.define('system_survey_question', {
         type: DataTypes.STRING(36),
         allowNull: false,
     },
+    questiontype: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        defaultValue: 'text',
+    },
+    required: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+        defaultValue: false,
+    },
+    //choices of single / multi choice questions
+    options: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    //skip / show rules on this question's answer, targets are question sequences
+    branching: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
     createdby: {
         type: DataTypes.STRING(36),
         allowNull: false,
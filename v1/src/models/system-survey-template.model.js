@@ -37,6 +37,31 @@ const SystemSurveyTemplate = sequelize.define('system_survey_template', {
     },
     companyid: {
         type: DataTypes.STRING(26)
+    },
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    //versions of one template share its templatekey
+    templatekey: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    status: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+    },
+    clonedfrom: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    publishedtime: {
+        type: DataTypes.DATE,
+        allowNull: true,
     }
 }, {
     tableName: 'system_survey_template',
@@ -13,6 +13,13 @@ const TimesheetTasks = sequelize.define('TimesheetTasks', {
   teamMemberId: {
     type: DataTypes.STRING(45),
   },
+  //employee of the task, also for one not in the project team (no teamMemberId)
+  contactId: {
+    type: DataTypes.STRING(45),
+  },
+  companyId: {
+    type: DataTypes.STRING(45),
+  },
   taskDate: {
     type: DataTypes.DATE,
   },
@@ -55,6 +55,12 @@ const TimesheetUploadLog = sequelize.define(
     },
     originalFileName: {
       type: DataTypes.STRING(255)
+    },
+    message: {
+      type: DataTypes.STRING(255)
+    },
+    processingErrors: {
+      type: DataTypes.JSON
     }
   },
   {
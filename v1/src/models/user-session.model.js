@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../setups/db');
+
+//login sessions of the platform users, shared by every instance. A session ends when idle or revoked.
+//A session is also a refresh token family : only its current refresh token is accepted, a reused one revokes it.
+const UserSession = sequelize.define('master_user_sessions', {
+    sessionid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+        primaryKey: true,
+    },
+    userid: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    ipaddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    useragent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    //browser and system read from the user agent, e.g. Chrome on Windows
+    device: {
+        type: DataTypes.STRING(128),
+        allowNull: true,
+    },
+    createdtime: {
+        type: DataTypes.DATE(3),
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    lastactivity: {
+        type: DataTypes.DATE(3),
+        allowNull: false,
+    },
+    //jti of the refresh token the session accepts next
+    refreshtokenid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    revokedtime: {
+        type: DataTypes.DATE(3),
+        allowNull: true,
+    },
+    //user who signed the session out, the session owner or an admin
+    revokedby: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+    },
+    //sign-out, sign-out-others, force-logout, password-changed, logout, refresh-reuse
+    revokereason: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+    }
+}, {
+    tableName: 'master_user_sessions',
+    timestamps: false,
+});
+
+module.exports = UserSession;
@@ -3,6 +3,7 @@ const sequelize = require("../setups/db");
 const MasterInteractionsQA = require("../models/master-interactions-qa.model");
 const MasterInteractions = require("../models/master-interactions.model");
 const SystemStatus = require("../models/system-status.model");
+const { parseBranching } = require("../utils/surveyBranching");
 
 const assessmentQueries = {
     getUncreatedInteractions: async function () {
@@ -118,7 +119,8 @@ const assessmentQueries = {
                         company.companyName,
                         company.fiscalYear,
                         company.interactionccMails,
-                        projects.interactionCCMails
+                        projects.interactionCCMails,
+                        master_interactions.delegations
                 FROM
                         master_interactions
                 JOIN
@@ -150,13 +152,16 @@ const assessmentQueries = {
                         master_interactions_qa.id as questionId,
                         master_interactions_qa.question,
                         master_interactions_qa.answer,
-                        master_interactions_qa.modifiedtime as lastSaved
+                        master_interactions_qa.modifiedtime as lastSaved,
+                        master_interactions_qa.branching
                     FROM
                         master_interactions_qa
                     JOIN
                         master_interactions ON master_interactions.id = master_interactions_qa.interactionsid
                     WHERE
-                        master_interactions_qa.interactionsid = :interactionId;
+                        master_interactions_qa.interactionsid = :interactionId
+                    ORDER BY
+                        master_interactions_qa.createdtime, master_interactions_qa.id;
             `;
 
             const questions = await sequelize.query(query, {
@@ -164,7 +169,7 @@ const assessmentQueries = {
                 type: sequelize.QueryTypes.SELECT,
             });
 
-            return questions;
+            return questions.map(question => ({ ...question, branching: parseBranching(question.branching) }));
         } catch (error) {
             console.error("Error fetching questions and answers:", error);
             throw error;
@@ -312,6 +317,55 @@ const assessmentQueries = {
             }
         }
     },
+
+    //answers : [{ questionId, answer }]
+    saveInteractionAnswers: async function (interactionId, answers, userId) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                for (const { questionId, answer } of answers) {
+                    await MasterInteractionsQA.update(
+                        { answer, modifiedby: userId, modifiedtime: new Date() },
+                        { where: { id: questionId, interactionsid: interactionId }, transaction }
+                    );
+                }
+            });
+        } catch (error) {
+            console.error("Error saving interaction answers:", error);
+            throw error;
+        }
+    },
+
+    //replace the branching rules of questions of an interaction, branching : { questionId: rules or null }
+    //modifiedtime is left alone, it is the last time the SPOC saved the answer
+    updateQuestionBranching: async function (interactionId, branching) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                for (const [questionId, rules] of Object.entries(branching)) {
+                    await MasterInteractionsQA.update(
+                        { branching: rules },
+                        { where: { id: questionId, interactionsid: interactionId }, transaction }
+                    );
+                }
+            });
+        } catch (error) {
+            console.error("Error updating interaction branching:", error);
+            throw error;
+        }
+    },
+
+    //record the forwarding chain, the OTP of the previous responder stops working
+    delegateInteraction: async function (interactionId, delegations) {
+        try {
+            const data = await MasterInteractions.update(
+                { delegations, otp: null, modifiedby: 'external', modifiedtime: new Date() },
+                { where: { id: interactionId } }
+            );
+            return data;
+        } catch (error) {
+            console.error("Error delegating interaction:", error);
+            throw error;
+        }
+    },
 };
 
 
@@ -0,0 +1,54 @@
+const { Op } = require("sequelize");
+const AuditLog = require("../models/audit-log.model");
+
+const auditQueries = {
+
+    //written in the transaction of the change when there is one, so both are kept or neither
+    createAuditEntry: async function (entry, transaction = null) {
+        try {
+            const data = await AuditLog.create(entry, { transaction });
+            return data.dataValues;
+        } catch (error) {
+            console.error("Error recording audit entry:", error);
+            throw error;
+        }
+    },
+
+    /*
+     * Audit entries, newest first, filtered by actorId / entity / entityId / action / companyId / requestId / from / to.
+     * companyIds limits them to those companies, entries without company (users, roles) are then left out.
+     */
+    getAuditLog: async function (filter = {}, companyIds = [], limit = 500, offset = 0) {
+        try {
+            let where = {};
+            for (const [field, column] of [['actorId', 'actorid'], ['entity', 'entity'], ['entityId', 'entityid'], ['action', 'action'], ['companyId', 'companyid'], ['requestId', 'requestid']]) {
+                if (filter[field]) {
+                    where[column] = filter[field];
+                }
+            }
+            if (companyIds.length > 0) {
+                where[Op.and] = [{ companyid: { [Op.in]: companyIds } }];
+            }
+            if (filter.from || filter.to) {
+                where.createdtime = {
+                    ...(filter.from ? { [Op.gte]: new Date(filter.from) } : {}),
+                    ...(filter.to ? { [Op.lte]: new Date(filter.to) } : {})
+                };
+            }
+
+            const data = await AuditLog.findAndCountAll({
+                where,
+                order: [['createdtime', 'DESC']],
+                limit,
+                offset,
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching audit log:", error);
+            throw error;
+        }
+    }
+};
+
+module.exports = auditQueries;
@@ -9,54 +9,10 @@ const Features = require("../models/features.model");
 const Permissions = require("../models/permissions.model");
 //const Token = require('../models/token.model');
 const transformData = require("../utils/transformJson");
-const MasterCompanyMailConfiguration = require("../models/master-company-mail-configuration.model");
-const { v4: uuidv4 } = require("uuid");
-const { companyDefaultMailConfigurations } = require("../constants");
 
 
 const authQueries = {
 
-    getOrCreateLoginMailConfiguration: async function (feature, purpose) {
-        try {
-
-            let masterCompanyMailConfiguration = await MasterCompanyMailConfiguration.findOne({
-                where: {
-                    companyid: "ALL",
-                    feature: feature,
-                    purpose: purpose
-                }
-            });
-
-            if (!masterCompanyMailConfiguration) {
-                const subject = companyDefaultMailConfigurations[feature][purpose].subject;
-                const body = companyDefaultMailConfigurations[feature][purpose].body;
-
-                const masterCompanyMailConfigurationData = {
-                    id: uuidv4(),
-                    companyid: "ALL",
-                    feature: feature,
-                    purpose: purpose,
-                    subject: subject,
-                    body: body,
-                }
-
-                await MasterCompanyMailConfiguration.create(masterCompanyMailConfigurationData);
-            }
-
-            masterCompanyMailConfiguration = await MasterCompanyMailConfiguration.findOne({
-                where: {
-                    companyid: "ALL",
-                    feature: feature,
-                    purpose: purpose
-                }
-            });
-
-            return masterCompanyMailConfiguration;
-        } catch (error) {
-            throw error;
-        }
-    },
-
     updateuserMfaSecret: async function (userEmail, mfa_secret) {
         await PlatformUsers.update(
             {
@@ -310,6 +266,23 @@ const authQueries = {
             throw new Error('User not found');
         }
     },
+    //'feature:permission' of everything the role is granted
+    getRolePermissions: async function (roleId) {
+        const data = await sequelize.query(
+            `
+            SELECT f.featureIdentifier, p.permissionIdentifier
+            FROM roleFeatures rf
+            JOIN features f ON rf.featureId = f.featureId
+            JOIN permissions p ON p.permissionId = rf.permissionId
+            WHERE rf.roleId = :roleId AND rf.status = 1
+            `,
+            {
+                replacements: { roleId },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+        return data.map(row => `${row.featureIdentifier}:${row.permissionIdentifier}`);
+    },
     getFeature: async function (featureIdentifier) {
         const [feature] = await sequelize.query(
             `SELECT featureId FROM features WHERE featureIdentifier = :featureIdentifier`,
@@ -6,6 +6,7 @@ const SystemStatus = require("../models/system-status.model");
 const MasterSurveyControl = require("../models/master-survey-control.model");
 const MasterSurvey = require("../models/master-survey.model");
 const MasterSurveyAnswer = require("../models/master-survey-answer.model");
+const surveyQueries = require("./survey.queries");
 const Project = require("../models/project.model");
 
 const caseQueries = {
@@ -734,51 +735,12 @@ const caseQueries = {
 
       const answers = sheet.surveyData;
 
-      //master_survey_answer records
-      let masterSurveyAnswersData = [];
-      for (const key in answers) {
-
-        const answerData = {
-          id: uuidv4(),
-          answer: answers[key].answer,
-          surveyassignmentid: sheet.surveyAssignmentId,
-          surveyquestionsid: answers[key].questionId,
-          surveyid: sheet.surveyId,
-          companyid: sheet.companyId,
-          createdby: 'external',
-          createdtime: new Date(),
-          modifiedby: 'external',
-          modifiedtime: new Date(),
-          sysmodtime: new Date(),
-          savedate: new Date()
-        };
-
-        masterSurveyAnswersData.push(answerData);
-      }
-
-      //check for existing answers and upsert
-      const exitingAnswers = await caseQueries.getExistingSurveyAnswers(sheet.surveyId, sheet.surveyAssignmentId);
-
-      for (const presentAnswer of masterSurveyAnswersData) {
-        let answerExists = false;
-
-        for (const existingAnswer of exitingAnswers) {
-          if (presentAnswer.surveyquestionsid == existingAnswer.questionId) {
-            await MasterSurveyAnswer.update(
-              { answer: presentAnswer.answer },
-              {
-                where: { id: existingAnswer.answerId }
-              }
-            );
-            answerExists = true;
-            break;
-          }
-        }
-
-        if (!answerExists) {
-          await MasterSurveyAnswer.create(presentAnswer);
-        }
-      }
+      //upsert the answers, changed ones are kept as new versions
+      await surveyQueries.saveSurveyAnswers(
+        { id: sheet.surveyId, surveyAssignmentId: sheet.surveyAssignmentId, companyId: sheet.companyId },
+        Object.values(answers).map(answer => ({ questionId: answer.questionId, answer: answer.answer })),
+        { userId: 'external', source: 'mail sheet' }
+      );
 
       //close master_survey_control
       const masterSurveyControlStatus = await SystemStatus.findOne({
@@ -3,9 +3,10 @@ const sequelize = require("../setups/db");
 const Company = require("../models/company.model");
 const Contact = require("../models/contact.model");
 const Project = require("../models/project.model");
-const MasterCompanyMailConfiguration = require("../models/master-company-mail-configuration.model");
 const { v4: uuidv4 } = require("uuid");
-const { companyDefaultMailConfigurations } = require('../constants');
+const { reminderSettings } = require('../utils/reminderSchedule');
+const { mailBranding } = require('../utils/mailTemplates');
+const { DEFAULT_MAIL_LANGUAGE } = require('../constants');
 
 
 const companyQueries = {
@@ -49,88 +50,6 @@ const companyQueries = {
         }
     },
 
-    createDefaultCompanyMailConfigurations: async function () {
-        try {
-
-            //define feature as key and purposes as an array
-            const options = {
-                SURVEY: ['OTP', 'SEND', 'REMINDER', 'RESPONSE RECEIVED - USER', 'RESPONSE RECEIVED - SUPPORT TEAM'],
-                INTERACTION: ['OTP', 'SEND', 'REMINDER', 'RESPONSE RECEIVED - USER', 'RESPONSE RECEIVED - SUPPORT TEAM'],
-                //LOGIN: ['OTP LOGIN', 'OTP FORGOT PASSWORD', 'OTP 2FA RESET']
-            }
-
-            //get companyIds list
-            let companies = await Company.findAll({
-                attributes: ['companyId']
-            });
-            companies = companies.map(company => company.companyId);
-
-            //create default entries for non-existing
-            for (const companyId of companies) {
-                for (const feature in options) {
-                    for (const purpose of options[feature]) {
-
-                        const mailConfig = await MasterCompanyMailConfiguration.findOne({
-                            where: {
-                                companyid: companyId,
-                                feature: feature,
-                                purpose: purpose,
-                            },
-                        });
-
-                        if (!mailConfig) {
-                            await companyQueries.getOrCreateCompanyMailConfiguration(companyId, feature, purpose);
-                        }
-                    }
-                }
-            }
-
-        } catch (error) {
-            console.log("Error creating company mail configuration : ", error);
-        }
-    },
-
-    getOrCreateCompanyMailConfiguration: async function (companyId, feature, purpose) {
-        try {
-
-            let masterCompanyMailConfiguration = await MasterCompanyMailConfiguration.findOne({
-                where: {
-                    companyid: companyId,
-                    feature: feature,
-                    purpose: purpose
-                }
-            });
-
-            if (!masterCompanyMailConfiguration) {
-                const subject = companyDefaultMailConfigurations[feature][purpose].subject;
-                const body = companyDefaultMailConfigurations[feature][purpose].body;
-
-                const masterCompanyMailConfigurationData = {
-                    id: uuidv4(),
-                    companyid: companyId,
-                    feature: feature,
-                    purpose: purpose,
-                    subject: subject,
-                    body: body,
-                }
-
-                await MasterCompanyMailConfiguration.create(masterCompanyMailConfigurationData);
-            }
-
-            masterCompanyMailConfiguration = await MasterCompanyMailConfiguration.findOne({
-                where: {
-                    companyid: companyId,
-                    feature: feature,
-                    purpose: purpose
-                }
-            });
-
-            return masterCompanyMailConfiguration;
-        } catch (error) {
-            throw error;
-        }
-    },
-
     getCompanyFilterValues: async function () {
         try {
 
@@ -665,6 +584,113 @@ const companyQueries = {
             throw new Error("Database error occurred while updating ccEmails.");
         }
     },
+
+    //company holidays, kept as comma separated 'YYYY-MM-DD' dates
+    getHolidaysByCompanyId: async (companyId) => {
+        try {
+            const company = await Company.findOne({
+                attributes: ['holidays'],
+                where: { companyId },
+            });
+
+            if (company && company.holidays) {
+                return company.holidays
+                    .split(',')
+                    .map(date => date.trim())
+                    .filter(Boolean);
+            }
+            return [];
+        } catch (error) {
+            console.error(`Error fetching holidays for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while fetching holidays.");
+        }
+    },
+
+    updateHolidaysByCompanyId: async (companyId, dates) => {
+        try {
+            const updatedRows = await Company.update(
+                { holidays: [...new Set(dates)].sort().join(',') },
+                { where: { companyId } }
+            );
+
+            return updatedRows[0] > 0;
+        } catch (error) {
+            console.error(`Error updating holidays for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while updating holidays.");
+        }
+    },
+
+    //automatic reminder cadence and quiet hours, null when the company does not exist
+    getReminderSettingsByCompanyId: async (companyId) => {
+        try {
+            const company = await Company.findOne({
+                attributes: ['reminderDays', 'maxReminders', 'quietHoursStart', 'quietHoursEnd', 'timeZone'],
+                where: { companyId },
+                raw: true
+            });
+
+            return company ? reminderSettings(company) : null;
+        } catch (error) {
+            console.error(`Error fetching reminder settings for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while fetching reminder settings.");
+        }
+    },
+
+    updateReminderSettingsByCompanyId: async (companyId, settings) => {
+        try {
+            const updatedRows = await Company.update(
+                {
+                    reminderDays: settings.reminderDays.join(','),
+                    maxReminders: settings.maxReminders,
+                    quietHoursStart: settings.quietHoursStart,
+                    quietHoursEnd: settings.quietHoursEnd,
+                    timeZone: settings.timeZone
+                },
+                { where: { companyId } }
+            );
+
+            return updatedRows[0] > 0;
+        } catch (error) {
+            console.error(`Error updating reminder settings for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while updating reminder settings.");
+        }
+    },
+
+    //language and branding of the company mails, null when the company does not exist
+    getMailSettingsByCompanyId: async (companyId) => {
+        try {
+            const company = await Company.findOne({
+                attributes: ['mailLanguage', 'mailLogoUrl', 'mailPrimaryColor', 'mailSignature', 'mailFooter'],
+                where: { companyId },
+                raw: true
+            });
+
+            return company ? { language: company.mailLanguage || DEFAULT_MAIL_LANGUAGE, branding: mailBranding(company) } : null;
+        } catch (error) {
+            console.error(`Error fetching mail settings for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while fetching mail settings.");
+        }
+    },
+
+    updateMailSettingsByCompanyId: async (companyId, settings) => {
+        try {
+            const updatedRows = await Company.update(
+                {
+                    mailLanguage: settings.language,
+                    mailLogoUrl: settings.logoUrl,
+                    mailPrimaryColor: settings.primaryColor,
+                    mailSignature: settings.signature,
+                    mailFooter: settings.footer
+                },
+                { where: { companyId } }
+            );
+
+            return updatedRows[0] > 0;
+        } catch (error) {
+            console.error(`Error updating mail settings for companyId ${companyId}:`, error.message);
+            throw new Error("Database error occurred while updating mail settings.");
+        }
+    },
 };
 
 module.exports = companyQueries
@@ -4,6 +4,7 @@ const sequelize = require("../setups/db");
 const Contact = require("../models/contact.model");
 const TeamMember = require("../models/project-team.model");
 const ContactSalary = require("../models/contact-salary.model");
+const { priceTasksByDate } = require("../utils/payrollRates");
 
 // TODO: getExistingContact, createNewContact, updateExistingData
 const contactQueries = {
@@ -567,21 +568,11 @@ const contactQueries = {
         whereConditions.push(totalHoursCondition);
       }
 
-      if (minHourlyRate || maxHourlyRate) {
-        let hourlyRateCondition = `timesheettasks.taskHourlyRate BETWEEN ${minHourlyRate ? minHourlyRate : 0} AND  ${maxHourlyRate ? maxHourlyRate : Number.MAX_SAFE_INTEGER} `;
-        whereConditions.push(hourlyRateCondition);
-      }
-
-      if (minRnDExpense || maxRnDExpense) {
-        let RnDExpenseCondition = `timesheettasks.RnDExpense BETWEEN ${minRnDExpense ? minRnDExpense : 0} AND  ${maxRnDExpense ? maxRnDExpense : Number.MAX_SAFE_INTEGER} `;
-        whereConditions.push(RnDExpenseCondition);
-      }
-
-      //sort
+      //sort, hourly rate and R&D expense are sorted after the tasks are priced
       const { sortField, sortOrder } = sort;
       let orderCaluse = '';
 
-      if (sortField && sortOrder) {
+      if (sortField && sortOrder && !['rndExpense', 'hourlyRate'].includes(sortField)) {
         orderCaluse = 'ORDER BY';
         switch (sortField) {
           case 'projectId': orderCaluse += ' projects.projectId ';
@@ -590,10 +581,6 @@ const contactQueries = {
             break;
           case 'totalHours': orderCaluse += ' timesheettasks.taskEffort ';
             break;
-          case 'rndExpense': orderCaluse += ' timesheettasks.RnDExpense ';
-            break;
-          case 'hourlyRate': orderCaluse += ' timesheettasks.taskHourlyRate ';
-            break;
         }
 
         orderCaluse = sortOrder == 'dsc' ? orderCaluse + 'DESC' : orderCaluse;
@@ -606,9 +593,12 @@ const contactQueries = {
               projects.projectName,
               projects.projectId,
               projects.projectCode,
-              timesheettasks.RnDExpense AS rndExpense,
-              timesheettasks.taskEffort AS totalHours,
-              timesheettasks.taskHourlyRate AS hourlyRate
+              teammembers.contactId,
+              timesheettasks.taskDate,
+              timesheettasks.taskEffort,
+              timesheettasks.taskClassification,
+              timesheettasks.taskHourlyRate,
+              timesheettasks.RnDExpense
         FROM
               projects
         JOIN
@@ -621,12 +611,38 @@ const contactQueries = {
         ${orderCaluse};
       `;
 
-      const data = await sequelize.query(sqlQuery, {
+      const tasks = await sequelize.query(sqlQuery, {
         replacements: { contactId: contactId },
         type: Sequelize.QueryTypes.SELECT,
         raw: true
       });
 
+      //each task is priced with the hourly rate in effect on its date
+      const pricedTasks = await priceTasksByDate(tasks);
+
+      let data = pricedTasks.map(task => ({
+        projectName: task.projectName,
+        projectId: task.projectId,
+        projectCode: task.projectCode,
+        taskDate: task.taskDate,
+        rndExpense: Number(task.RnDExpense) || 0,
+        totalHours: task.taskEffort,
+        hourlyRate: Number(task.taskHourlyRate) || 0,
+        rateSource: task.rateSource
+      }));
+
+      if (minHourlyRate || maxHourlyRate) {
+        data = data.filter(task => task.hourlyRate >= (minHourlyRate ? Number(minHourlyRate) : 0) && task.hourlyRate <= (maxHourlyRate ? Number(maxHourlyRate) : Number.MAX_SAFE_INTEGER));
+      }
+
+      if (minRnDExpense || maxRnDExpense) {
+        data = data.filter(task => task.rndExpense >= (minRnDExpense ? Number(minRnDExpense) : 0) && task.rndExpense <= (maxRnDExpense ? Number(maxRnDExpense) : Number.MAX_SAFE_INTEGER));
+      }
+
+      if (sortField && sortOrder && ['rndExpense', 'hourlyRate'].includes(sortField)) {
+        data.sort((a, b) => sortOrder == 'dsc' ? b[sortField] - a[sortField] : a[sortField] - b[sortField]);
+      }
+
       return data;
     } catch (error) {
       console.log("Error fetching RnD Details of contact : ", error);
@@ -0,0 +1,85 @@
+const { Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const MasterCompanyMailConfiguration = require("../models/master-company-mail-configuration.model");
+const { DEFAULT_MAIL_LANGUAGE } = require("../constants");
+const { PLATFORM } = require("../utils/mailTemplates");
+
+//rows saved before languages have none and are in the default language
+const languageWhere = (language) => language == DEFAULT_MAIL_LANGUAGE
+    ? { [Op.or]: [{ language }, { language: null }] }
+    : { language };
+
+const mailTemplateQueries = {
+
+    //overrides of a template by the company and by the platform, in every language
+    getTemplateOverrides: async function (companyId, feature, purpose) {
+        try {
+            const data = await MasterCompanyMailConfiguration.findAll({
+                where: {
+                    companyid: { [Op.in]: [...new Set([companyId || PLATFORM, PLATFORM])] },
+                    feature,
+                    purpose
+                },
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching mail template overrides:", error);
+            throw error;
+        }
+    },
+
+    //every template the company overrides, without the bodies
+    getCompanyOverrides: async function (companyId) {
+        try {
+            const data = await MasterCompanyMailConfiguration.findAll({
+                where: { companyid: companyId },
+                attributes: ['feature', 'purpose', 'language', 'modifiedby', 'modifiedtime'],
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching company mail templates:", error);
+            throw error;
+        }
+    },
+
+    saveTemplateOverride: async function (companyId, feature, purpose, language, template, userId) {
+        try {
+            const values = {
+                subject: template.subject,
+                body: template.body,
+                language,
+                modifiedby: userId,
+                modifiedtime: new Date()
+            };
+            const existing = await MasterCompanyMailConfiguration.findOne({
+                where: { companyid: companyId, feature, purpose, ...languageWhere(language) }
+            });
+            if (existing) {
+                await existing.update(values);
+                return existing.dataValues;
+            }
+            const data = await MasterCompanyMailConfiguration.create({ id: uuidv4(), companyid: companyId, feature, purpose, ...values });
+            return data.dataValues;
+        } catch (error) {
+            console.error("Error saving mail template:", error);
+            throw error;
+        }
+    },
+
+    //back to the platform template / default, number of rows removed
+    deleteTemplateOverride: async function (companyId, feature, purpose, language) {
+        try {
+            const data = await MasterCompanyMailConfiguration.destroy({
+                where: { companyid: companyId, feature, purpose, ...languageWhere(language) }
+            });
+            return data;
+        } catch (error) {
+            console.error("Error deleting mail template:", error);
+            throw error;
+        }
+    },
+};
+
+module.exports = mailTemplateQueries;
@@ -0,0 +1,187 @@
+const { Sequelize, Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const NotificationOutbox = require("../models/notification-outbox.model");
+
+//a claim older than this is from a run that died while sending, the mail is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+const notificationQueries = {
+
+    //message : { to, cc, subject, html, attachments }, context : { feature, purpose, object, objectId, companyId, userId }
+    queueMessage: async function (transport, message, context = {}) {
+        try {
+            const data = await NotificationOutbox.create({
+                id: uuidv4(),
+                transport,
+                status: 'queued',
+                torecipients: message.to,
+                ccrecipients: message.cc || [],
+                subject: message.subject,
+                body: message.html,
+                attachments: message.attachments || [],
+                feature: context.feature || null,
+                purpose: context.purpose || null,
+                object: context.object || null,
+                objectid: context.objectId || null,
+                companyid: context.companyId || null,
+                userid: context.userId || null,
+                attempts: 0,
+                nextattempttime: new Date(),
+                createdtime: new Date(),
+                modifiedtime: new Date()
+            });
+            return data.dataValues;
+        } catch (error) {
+            console.error("Error queueing mail:", error);
+            throw error;
+        }
+    },
+
+    //take a queued mail for sending, false when another run took it first
+    claimMessage: async function (id) {
+        try {
+            const [claimed] = await NotificationOutbox.update(
+                { status: 'sending', modifiedtime: new Date() },
+                {
+                    where: {
+                        id,
+                        [Op.or]: [
+                            { status: 'queued' },
+                            { status: 'sending', modifiedtime: { [Op.lt]: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) } }
+                        ]
+                    }
+                }
+            );
+            return claimed > 0;
+        } catch (error) {
+            console.error("Error claiming mail:", error);
+            throw error;
+        }
+    },
+
+    //mails due for a (new) attempt, oldest first
+    getDueMessages: async function (now = new Date(), limit = 50) {
+        try {
+            const data = await NotificationOutbox.findAll({
+                where: {
+                    [Op.or]: [
+                        { status: 'queued', nextattempttime: { [Op.lte]: now } },
+                        { status: 'sending', modifiedtime: { [Op.lt]: new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000) } }
+                    ]
+                },
+                order: [['createdtime', 'ASC']],
+                limit,
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching queued mails:", error);
+            throw error;
+        }
+    },
+
+    markSent: async function (id, attempts, reference) {
+        try {
+            const data = await NotificationOutbox.update(
+                { status: 'sent', attempts, reference: reference ? String(reference).slice(0, 512) : null, lasterror: null, nextattempttime: null, senttime: new Date(), modifiedtime: new Date() },
+                { where: { id } }
+            );
+            return data;
+        } catch (error) {
+            console.error("Error marking mail sent:", error);
+            throw error;
+        }
+    },
+
+    //nextAttemptTime null gives up on the mail
+    markAttemptFailed: async function (id, attempts, lastError, nextAttemptTime) {
+        try {
+            const data = await NotificationOutbox.update(
+                { status: nextAttemptTime ? 'queued' : 'failed', attempts, lasterror: lastError, nextattempttime: nextAttemptTime, modifiedtime: new Date() },
+                { where: { id } }
+            );
+            return data;
+        } catch (error) {
+            console.error("Error marking mail attempt:", error);
+            throw error;
+        }
+    },
+
+    //a failed mail gets a new round of attempts
+    requeueMessage: async function (id) {
+        try {
+            const [requeued] = await NotificationOutbox.update(
+                { status: 'queued', attempts: 0, nextattempttime: new Date(), modifiedtime: new Date() },
+                { where: { id, status: 'failed' } }
+            );
+            return requeued > 0;
+        } catch (error) {
+            console.error("Error requeueing mail:", error);
+            throw error;
+        }
+    },
+
+    getMessage: async function (id) {
+        try {
+            const data = await NotificationOutbox.findOne({ where: { id }, raw: true });
+            return data;
+        } catch (error) {
+            console.error("Error fetching mail:", error);
+            throw error;
+        }
+    },
+
+    /*
+     * Sent and pending mails, newest first, without their body and attachments.
+     * filter : { surveyId, interactionId, userId, companyId, feature, purpose, status, recipient, from, to }
+     * companyIds : companies the caller may see, empty for all
+     */
+    getOutbox: async function (filter = {}, companyIds = [], limit = 500) {
+        try {
+            let where = {};
+            if (filter.surveyId) {
+                where.object = 'master_survey';
+                where.objectid = filter.surveyId;
+            }
+            if (filter.interactionId) {
+                where.object = 'master_interactions';
+                where.objectid = filter.interactionId;
+            }
+            for (const [field, column] of [['userId', 'userid'], ['companyId', 'companyid'], ['feature', 'feature'], ['purpose', 'purpose'], ['status', 'status']]) {
+                if (filter[field]) {
+                    where[column] = filter[field];
+                }
+            }
+            let conditions = [];
+            if (companyIds.length > 0) {
+                conditions.push({ companyid: { [Op.in]: companyIds } });
+            }
+            if (filter.recipient) {
+                conditions.push(Sequelize.where(Sequelize.cast(Sequelize.col('torecipients'), 'CHAR'), { [Op.like]: `%${filter.recipient}%` }));
+            }
+            if (conditions.length > 0) {
+                where[Op.and] = conditions;
+            }
+            if (filter.from || filter.to) {
+                where.createdtime = {
+                    ...(filter.from ? { [Op.gte]: new Date(filter.from) } : {}),
+                    ...(filter.to ? { [Op.lte]: new Date(filter.to) } : {})
+                };
+            }
+
+            const data = await NotificationOutbox.findAll({
+                where,
+                attributes: { exclude: ['body', 'attachments'] },
+                order: [['createdtime', 'DESC']],
+                limit,
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching outbox:", error);
+            throw error;
+        }
+    },
+};
+
+module.exports = notificationQueries;
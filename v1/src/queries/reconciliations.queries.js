@@ -1,9 +1,20 @@
 const { Sequelize } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
 const sequelize = require("../setups/db");
+const constants = require("../constants");
 
 const Reconciliations = require("../models/reconciliation.model");
 const TimesheetTasks = require("../models/timesheet-tasks.model");
 const Interactions = require("../models/interactions.model");
+const ReconciliationRevisions = require("../models/reconciliation-revisions.model");
+const Company = require("../models/company.model");
+
+//revision log values of a reconciliation, decimals as numbers so revisions compare cleanly
+const revisionValues = (source, keys) => keys.reduce((values, key) => {
+  const value = source[key] === undefined ? null : source[key];
+  values[key] = ['reconcileRnDHoursOverride', 'reconcileNonRnDHoursOverride'].includes(key) && value !== null ? Number(value) : value;
+  return values;
+}, {});
 
 const reconciliations = {
     getReconciliationsList: async function (filters={}){
@@ -187,6 +198,10 @@ const reconciliations = {
             }
         );
 
+        if (!data) {
+          return { data: null, uncertainTasks: [] };
+        }
+
         const timesheetId = data.timesheetId ? data.timesheetId : null;
         const projectId = data.projectId ? data.projectId : null;
 
@@ -213,12 +228,65 @@ const reconciliations = {
         })
         return {data, uncertainTasks};
     },
-    reconcileUncertainHours: async function (body,reconcileId){
-      const data = await Reconciliations.update(body, {
-        where: {
-          reconcileId: reconcileId
-        }
+    /*
+     * Update a reconciliation and append a revision with the previous and new values of the changed fields.
+     * revision : { action, reason, userId, userName }
+     * options : the row is locked while they are checked
+     *   status      only saved while the reconciliation still has this status, null otherwise
+     *   beforeSave  async (current row), returning false leaves it unsaved (null)
+     */
+    saveReconciliation: async function (reconcileId, body, revision, options = {}) {
+      try {
+        return await sequelize.transaction(async (transaction) => {
+          const current = await Reconciliations.findOne({ where: { reconcileId }, transaction, lock: transaction.LOCK.UPDATE });
+          if (!current) {
+            throw new Error(`Reconciliation ${reconcileId} not found.`);
+          }
+          if (options.status && current.reconcileStatus != options.status) {
+            return null;
+          }
+          if (options.beforeSave && (await options.beforeSave(current)) === false) {
+            return null;
+          }
+
+          const revisionKeys = Object.keys(body).filter(key => constants.RECONCILE_REVISION_FIELDS.includes(key));
+          const data = await Reconciliations.update(body, { where: { reconcileId }, transaction });
+
+          const revisionnumber = (await ReconciliationRevisions.max('revisionnumber', { where: { reconcileid: reconcileId }, transaction }) || 0) + 1;
+          await ReconciliationRevisions.create({
+            id: uuidv4(),
+            reconcileid: reconcileId,
+            companyid: current.companyId,
+            revisionnumber,
+            action: revision.action,
+            previousvalues: revisionValues(current.dataValues, revisionKeys),
+            newvalues: revisionValues(body, revisionKeys),
+            reason: revision.reason || null,
+            createdby: revision.userId,
+            createdbyname: revision.userName,
+            createdtime: new Date()
+          }, { transaction });
+
+          return data;
+        });
+      } catch (error) {
+        console.error(`Error saving reconciliation ${reconcileId} : `, error);
+        throw error;
+      }
+    },
+    getReconciliationRevisions: async function (reconcileId) {
+      const data = await ReconciliationRevisions.findAll({
+        where: { reconcileid: reconcileId },
+        order: [['revisionnumber', 'ASC']]
       });
+      return data;
+    },
+    isReviewRequired: async function (companyId) {
+      const company = await Company.findOne({ attributes: ['reconcileReviewRequired'], where: { companyId } });
+      return Boolean(company && company.reconcileReviewRequired);
+    },
+    reconcileUncertainHours: async function (body, reconcileId, revision){
+      const data = await this.saveReconciliation(reconcileId, body, revision);
 
       const data1 = await Interactions.findOne({
         where: {
@@ -238,7 +306,7 @@ const reconciliations = {
           interactionTime: new Date(Date.now()),
           interactionActivityType: data1.interactionActivityType,
           interactionSubject: data1.interactionSubject,
-          interactionDesc: `Uncertain Hours Revised: ${body.reconcileRevision} || RnD Hours: ${body.reconcileRnDHoursOverride} || Non RnD Hours: ${body.reconcileNonRnDHoursOverride} || Summary: ${reconcileSummary}`,
+          interactionDesc: `Uncertain Hours Revised: ${body.reconcileRevision} || RnD Hours: ${body.reconcileRnDHoursOverride} || Non RnD Hours: ${body.reconcileNonRnDHoursOverride} || Summary: ${body.reconcileSummary}`,
           relatedTo: data1.relatedTo,
           relationId: data1.relationId,
           createdBy: body.createdBy ? body.createdBy: null,
@@ -0,0 +1,165 @@
+const { Sequelize, Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const sequelize = require("../setups/db");
+const MasterSurvey = require("../models/master-survey.model");
+const MasterSurveyControl = require("../models/master-survey-control.model");
+const MasterInteractions = require("../models/master-interactions.model");
+const SystemStatus = require("../models/system-status.model");
+const SchedulerLog = require("../models/scheduler-log.model");
+
+const COMPANY_SETTINGS_COLUMNS = `
+    company.reminderDays,
+    company.maxReminders,
+    company.quietHoursStart,
+    company.quietHoursEnd,
+    company.timeZone
+`;
+
+const findStatus = async (object, status, transaction) => {
+    const record = await SystemStatus.findOne({ where: { object, status }, attributes: ["id"], transaction });
+    if (!record) {
+        throw new Error(`No ${status} status for ${object}.`);
+    }
+    return record.dataValues.id;
+};
+
+const schedulerQueries = {
+
+    //surveys waiting for an answer, with the reminder settings of their company
+    getOpenSurveys: async function () {
+        try {
+            const query = `
+                SELECT
+                    master_survey.id,
+                    master_survey.surveyid,
+                    master_survey.companyid AS companyId,
+                    master_survey.sentdate,
+                    master_survey.reminderssent,
+                    master_survey.lastremindertime,
+                    master_survey.surveycontrolid AS surveyControlId,
+                    master_survey_control.activedays,
+                    ${COMPANY_SETTINGS_COLUMNS}
+                FROM master_survey
+                JOIN system_status AS survey ON survey.id = master_survey.surveystatusid
+                JOIN master_survey_control ON master_survey_control.id = master_survey.surveycontrolid
+                JOIN system_status AS surveyControl ON surveyControl.id = master_survey_control.surveycontrolstatusid
+                LEFT JOIN company ON company.companyId = master_survey.companyid
+                WHERE survey.status IN ('SENT', 'REMINDER SENT')
+                    AND surveyControl.status = 'OPEN'
+                    AND master_survey.sentdate IS NOT NULL;
+            `;
+
+            const surveys = await sequelize.query(query, {
+                type: Sequelize.QueryTypes.SELECT,
+            });
+
+            return surveys;
+        } catch (error) {
+            console.error("Error fetching open surveys:", error);
+            throw error;
+        }
+    },
+
+    //interactions waiting for an answer, interactions sent before sentdate was kept count from their creation
+    getOpenInteractions: async function () {
+        try {
+            const query = `
+                SELECT
+                    master_interactions.id,
+                    master_interactions.interactionsid,
+                    master_interactions.companyid AS companyId,
+                    COALESCE(master_interactions.sentdate, master_interactions.createdtime) AS sentdate,
+                    master_interactions.reminderssent,
+                    master_interactions.lastremindertime,
+                    ${COMPANY_SETTINGS_COLUMNS}
+                FROM master_interactions
+                JOIN system_status ON system_status.id = master_interactions.statusid
+                LEFT JOIN company ON company.companyId = master_interactions.companyid
+                WHERE system_status.status IN ('SENT', 'REMINDER SENT');
+            `;
+
+            const interactions = await sequelize.query(query, {
+                type: Sequelize.QueryTypes.SELECT,
+            });
+
+            return interactions;
+        } catch (error) {
+            console.error("Error fetching open interactions:", error);
+            throw error;
+        }
+    },
+
+    //survey to EXPIRED and its control to CLOSED, like a revoke
+    expireSurvey: async function (surveyId, surveyControlId) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                await MasterSurveyControl.update(
+                    { surveycontrolstatusid: await findStatus('master_survey_control', 'CLOSED', transaction), modifiedtime: new Date() },
+                    { where: { id: surveyControlId }, transaction }
+                );
+                await MasterSurvey.update(
+                    { surveystatusid: await findStatus('master_survey', 'EXPIRED', transaction), modifiedtime: new Date(), modifiedby: 'scheduler' },
+                    { where: { id: surveyId }, transaction }
+                );
+            });
+        } catch (error) {
+            console.error("Error expiring survey:", error);
+            throw error;
+        }
+    },
+
+    expireInteraction: async function (interactionId) {
+        try {
+            const data = await MasterInteractions.update(
+                { statusid: await findStatus('master_interactions', 'EXPIRED'), modifiedtime: new Date(), modifiedby: 'scheduler' },
+                { where: { id: interactionId } }
+            );
+            return data;
+        } catch (error) {
+            console.error("Error expiring interaction:", error);
+            throw error;
+        }
+    },
+
+    //entry : { job, action, object, objectid, companyid, status, message }
+    logAction: async function (entry) {
+        try {
+            const data = await SchedulerLog.create({ id: uuidv4(), ...entry, createdtime: new Date() });
+            return data;
+        } catch (error) {
+            console.error("Error saving scheduler log:", error);
+            throw error;
+        }
+    },
+
+    //filter : { job, action, status, objectid, from, to }
+    getSchedulerLog: async function (companyId, filter = {}, limit = 500) {
+        try {
+            let where = { companyid: companyId };
+            for (const field of ['job', 'action', 'status', 'objectid']) {
+                if (filter[field]) {
+                    where[field] = filter[field];
+                }
+            }
+            if (filter.from || filter.to) {
+                where.createdtime = {
+                    ...(filter.from ? { [Op.gte]: new Date(filter.from) } : {}),
+                    ...(filter.to ? { [Op.lte]: new Date(filter.to) } : {})
+                };
+            }
+
+            const data = await SchedulerLog.findAll({
+                where,
+                order: [['createdtime', 'DESC']],
+                limit,
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching scheduler log:", error);
+            throw error;
+        }
+    },
+};
+
+module.exports = schedulerQueries;
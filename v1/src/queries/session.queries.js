@@ -0,0 +1,102 @@
+const { Op } = require("sequelize");
+const UserSession = require("../models/user-session.model");
+
+const sessionQueries = {
+
+    createSession: async function (session) {
+        try {
+            const data = await UserSession.create(session);
+            return data.dataValues;
+        } catch (error) {
+            console.error("Error creating session:", error);
+            throw error;
+        }
+    },
+
+    getSession: async function (sessionId) {
+        try {
+            const data = await UserSession.findOne({ where: { sessionid: sessionId }, raw: true });
+            return data;
+        } catch (error) {
+            console.error("Error fetching session:", error);
+            throw error;
+        }
+    },
+
+    touchSession: async function (sessionId, lastActivity) {
+        try {
+            await UserSession.update(
+                { lastactivity: lastActivity },
+                { where: { sessionid: sessionId, revokedtime: null } }
+            );
+        } catch (error) {
+            console.error("Error updating session activity:", error);
+            throw error;
+        }
+    },
+
+    //replaces the refresh token of an open session, false when the token given is not its current one
+    rotateRefreshToken: async function (sessionId, fromTokenId, toTokenId) {
+        try {
+            const [rotated] = await UserSession.update(
+                { refreshtokenid: toTokenId },
+                { where: { sessionid: sessionId, refreshtokenid: fromTokenId, revokedtime: null } }
+            );
+            return rotated > 0;
+        } catch (error) {
+            console.error("Error rotating refresh token:", error);
+            throw error;
+        }
+    },
+
+    //sessions of a user not revoked yet, the idle ones included
+    getUserSessions: async function (userId) {
+        try {
+            const data = await UserSession.findAll({
+                where: { userid: userId, revokedtime: null },
+                order: [['lastactivity', 'DESC']],
+                raw: true
+            });
+            return data;
+        } catch (error) {
+            console.error("Error fetching user sessions:", error);
+            throw error;
+        }
+    },
+
+    //revocation : { revokedtime, revokedby, revokereason }, number of sessions revoked
+    revokeSessions: async function (sessionIds, revocation) {
+        try {
+            if (sessionIds.length === 0) {
+                return 0;
+            }
+            const [revoked] = await UserSession.update(revocation, {
+                where: { sessionid: { [Op.in]: sessionIds }, revokedtime: null }
+            });
+            return revoked;
+        } catch (error) {
+            console.error("Error revoking sessions:", error);
+            throw error;
+        }
+    },
+
+    //sessions revoked or idle since before the date, number of rows removed
+    deleteSessionsBefore: async function (before) {
+        try {
+            const data = await UserSession.destroy({
+                where: {
+                    [Op.or]: [
+                        { revokedtime: { [Op.lt]: before } },
+                        { lastactivity: { [Op.lt]: before } }
+                    ]
+                }
+            });
+            return data;
+        } catch (error) {
+            console.error("Error deleting old sessions:", error);
+            throw error;
+        }
+    },
+};
+
+module.exports = sessionQueries;
@@ -3,6 +3,7 @@ const sequelize = require("../setups/db");
 const Contact = require("../models/contact.model");
 const { v4: uuidv4 } = require("uuid");
 const MasterCompanyMapper = require("../models/master-company-mapper.model");
+const MasterMapperHistory = require("../models/master-mapper-history.model");
 const constants = require("../constants");
 
 
@@ -19,55 +20,7 @@ const sheetsQueries = {
             //     dbColumnName:"Sheet Column Name"
             // }
 
-            const defaultProjectMapperValues = {
-                projectCode: "Project ID",
-                projectName: "Project Name",
-                spocName: "SPOC Name",
-                spocEmail: "SPOC Email",
-                s_project_status: "Project Status",
-                s_fte_cost: "Project Cost - FTE",
-                s_subcon_cost: "Project Cost - Subcon",
-                s_total_project_cost: "Project Cost - Total",
-                s_fte_hours: "Project Hours - FTE",
-                s_subcon_hours: "Project Hours - Subcon",
-                s_total_hours: "Project Hours - Total",
-                s_rnd_adjustment: "QRE(%) - Adjustment",
-                s_fte_qre_cost: "QRE - FTE",
-                s_subcon_qre_cost: "QRE - Subcon",
-                s_qre_cost: "QRE - Total",
-                s_rd_credits: "R&D Credits",
-                s_data_gathering: "Data Gathering",
-                s_pending_data: "Pending Data",
-                s_timesheet_status: "Timesheet Status",
-                s_fte_cost_status: "Cost Status - Employee",
-                s_subcon_cost_status: "Cost Status - Subcon",
-                s_interaction_status: "Interaction - Status",
-                s_technical_interview_status: "Technical Interview Status",
-                s_technical_summary_status: "Technical Summary Status",
-                s_financial_summary_status: "Financial Summary Status",
-                s_claims_form_status: "Claims Form Status",
-                s_final_review_status: "Final Review Status",
-                s_notes: "Notes",
-
-
-                oldSpocName: "Old SPOC Name",
-                oldSpocEmail: "Old SPOC Email",
-                s_rnd_status: "R&D Status",
-                projectType: "Project Type",
-                description: "Description",
-                startDate: "Start Date",
-                endDate: "End Date",
-                plannedDuration: "Planned Duration",
-                actualStartDate: "Actual Start Date",
-                actualEndDate: "Actual End Date",
-                actualDuration: "Actual Duration",
-                projectsIndustry: "Project Industry",
-                natureofProject: "Nature Of Project",
-                successCriteria: "Success Criteria",
-                techStack: "Tech Stack",
-                projectManager: "Project Manager",
-                technicalContact: "Technical Contact"
-            };
+            const defaultProjectMapperValues = constants.DEFAULT_SHEET_MAPPER_COLUMNS.projects;
 
 
             let sequence = 1;
@@ -123,20 +76,7 @@ const sheetsQueries = {
             const columnType = 'default';
             const mandatoryColumns = constants.EMPLOYEE_SHEETS_MANDATORY_COLUMNS;
 
-            const defaultEmployeeMapperValues = {
-                employeeId: "Employee ID",
-                employementType: "Type",
-                employeeTitle: "Designation",
-                firstName: "Name",
-                email: "Email",
-
-                phone: "Phone",
-                Address: "Address",
-                Language: "Language",
-                status: "Status",
-                city: "City",
-                state: "State"
-            };
+            const defaultEmployeeMapperValues = constants.DEFAULT_SHEET_MAPPER_COLUMNS.employee;
 
 
             let sequence = 1;
@@ -192,23 +132,7 @@ const sheetsQueries = {
             const columnType = 'default';
             const mandatoryColumns = constants.PROJECT_TEAM_SHEETS_MANDATORY_COLUMNS;
 
-            const defaultProjectTeamMapperValues = {
-                employeeid: "Employee ID",
-                employementType: "Type",
-                employeeTitle: "Designation",
-                firstName: "Name",
-                email: "Email",
-
-                phone: "Phone",
-                Address: "Address",
-                Language: "Language",
-                status: "Status",
-                city: "City",
-                state: "State",
-                projectCode: "Project ID",
-                projectRole: "Project Role",
-                s_total_cost: "Total Cost"
-            };
+            const defaultProjectTeamMapperValues = constants.DEFAULT_SHEET_MAPPER_COLUMNS["project team"];
 
 
             let sequence = 1;
@@ -263,13 +187,7 @@ const sheetsQueries = {
             const columnType = 'default';
             const mandatoryColumns = constants.PAYROLL_SHEETS_MANDATORY_COLUMNS;
 
-            const defaultProjectTeamMapperValues = {
-                employeeId: "Employee ID",
-                hourlyRate: "Hourly Rate",
-                startDate: "Start Date",
-                endDate: "End Date",
-                annualRate: "Annual Rate"
-            };
+            const defaultProjectTeamMapperValues = constants.DEFAULT_SHEET_MAPPER_COLUMNS.payroll;
 
 
             let sequence = 1;
@@ -426,6 +344,116 @@ const sheetsQueries = {
         }
     },
 
+    /*
+     * Mappings accepted before by the company for a sheet type. The column names a company accepted are its own :
+     * the ones of every company are only read when SHARED_MAPPER_HISTORY is 'true', the company's own ones are
+     * then flagged as ownCompany.
+     */
+    getMapperHistory: async function (companyId, sheetType) {
+        try {
+            const shared = process.env.SHARED_MAPPER_HISTORY == 'true';
+            const sqlQuery = `
+                SELECT
+                    sheetcolumnname AS sheetColumnName,
+                    columnname AS columnName,
+                    SUM(acceptedcount) AS acceptedCount,
+                    MAX(companyid = :companyId) AS ownCompany
+                FROM
+                    master_mapper_history
+                WHERE
+                    sheettype = :sheetType
+                    ${shared ? '' : 'AND companyid = :companyId'}
+                GROUP BY sheetcolumnname, columnname;
+            `;
+
+            const data = await sequelize.query(sqlQuery, {
+                replacements: { companyId: companyId, sheetType: sheetType },
+                type: Sequelize.QueryTypes.SELECT
+            });
+
+            return data.map(element => ({
+                ...element,
+                acceptedCount: Number(element.acceptedCount),
+                ownCompany: Number(element.ownCompany) == 1
+            }));
+
+        } catch (error) {
+            console.error("Error fetching mapper history:", error);
+            throw error;
+        }
+    },
+
+    /*
+     * Save accepted header suggestions into the company mapper : known attributes get the new sheet column name,
+     * new attributes are added as user columns. Every pair is remembered for later suggestions.
+     */
+    acceptMapperSuggestions: async function (companyId, sheetType, mappings, userId) {
+        try {
+            await sequelize.transaction(async (transaction) => {
+                const mapperRows = await MasterCompanyMapper.findAll({
+                    where: { companyid: companyId, sheettype: sheetType },
+                    transaction
+                });
+
+                let sequence = Math.max(0, ...mapperRows.map(row => row.sequence)) + 1;
+
+                for (const mapping of mappings) {
+                    const mapperRow = mapperRows.find(row => row.columnname.toLowerCase() == mapping.columnName.toLowerCase());
+
+                    if (mapperRow) {
+                        await MasterCompanyMapper.update(
+                            { sheetcolumnname: mapping.sheetColumnName, modifiedby: userId, modifiedtime: new Date() },
+                            { where: { id: mapperRow.id }, transaction }
+                        );
+                    } else {
+                        await MasterCompanyMapper.create({
+                            id: uuidv4(),
+                            sequence: sequence,
+                            companyid: companyId,
+                            sheettype: sheetType,
+                            columnname: mapping.columnName,
+                            sheetcolumnname: mapping.sheetColumnName,
+                            columntype: 'user',
+                            status: 'active',
+                            createdby: userId
+                        }, { transaction });
+                        sequence++;
+                    }
+
+                    const history = await MasterMapperHistory.findOne({
+                        where: {
+                            companyid: companyId,
+                            sheettype: sheetType,
+                            sheetcolumnname: mapping.sheetColumnName,
+                            columnname: mapping.columnName
+                        },
+                        transaction
+                    });
+
+                    if (history) {
+                        await MasterMapperHistory.update(
+                            { acceptedcount: history.acceptedcount + 1, modifiedby: userId, modifiedtime: new Date() },
+                            { where: { id: history.id }, transaction }
+                        );
+                    } else {
+                        await MasterMapperHistory.create({
+                            id: uuidv4(),
+                            companyid: companyId,
+                            sheettype: sheetType,
+                            sheetcolumnname: mapping.sheetColumnName,
+                            columnname: mapping.columnName,
+                            createdby: userId
+                        }, { transaction });
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error("Error accepting mapper suggestions:", error);
+            throw error;
+        }
+    },
+
     getSheetcolumnnamesToColumnnames: async function (companyId, sheetType) {
         try {
             const sqlQuery = `
@@ -521,6 +549,68 @@ const sheetsQueries = {
             throw error;
         }
     },
+    getSheetErrors: async function (sheetId) {
+        try {
+            const sqlQuery = `
+                SELECT
+                    rownumber AS rowNumber,
+                    columnname AS columnName,
+                    reason,
+                    stage
+                FROM
+                    master_sheets_errors
+                WHERE
+                    sheetid = :sheetId
+                ORDER BY rownumber, createdtime;
+            `;
+
+            const data = await sequelize.query(sqlQuery, {
+                replacements: { sheetId: sheetId },
+                type: Sequelize.QueryTypes.SELECT
+            });
+
+            return data;
+
+        } catch (error) {
+            console.error("Error fetching sheet errors:", error);
+            throw error;
+        }
+    },
+    //records of a sheet written again by a later upload that is not rolled back
+    getLaterSheetChanges: async function (sheetId) {
+        try {
+            const sqlQuery = `
+                SELECT DISTINCT
+                    later_sheet.sheetid AS sheetId,
+                    later_sheet.sheetname AS sheetName,
+                    later_sheet.sheettype AS sheetType,
+                    later.tablename AS tableName,
+                    later.recordid AS recordId
+                FROM
+                    master_sheets_changes msc
+                    JOIN master_sheets_changes later ON later.tablename = msc.tablename
+                        AND later.recordid = msc.recordid
+                        AND later.sheetid <> msc.sheetid
+                        AND later.createdtime > msc.createdtime
+                    JOIN master_sheets later_sheet ON later_sheet.id = later.sheetid
+                WHERE
+                    msc.sheetid = :sheetId AND later_sheet.status <> 'rolled back'
+                ORDER BY later_sheet.sheetid;
+            `;
+
+            const data = await sequelize.query(sqlQuery, {
+                replacements: { sheetId: sheetId },
+                type: Sequelize.QueryTypes.SELECT
+            });
+
+            return data;
+
+        } catch (error) {
+            console.error("Error fetching later sheet changes:", error);
+            throw error;
+        }
+    },
+
     getSheetFilterValues: async function () {
         try {
             const sheetDataQuery = `
@@ -649,6 +739,7 @@ const sheetsQueries = {
             SELECT 
                 ms.sheetid AS sheet_id,
                 ms.sheetname AS sheet_name,
+                ms.worksheet AS worksheet,
                 ms.sheettype AS sheet_type,
                 company.companyId AS account_id,
                 company.companyName AS account_name,
@@ -656,7 +747,16 @@ const sheetsQueries = {
                 ms.createdtime AS uploaded_on,
                 ms.status AS status,
                 ms.totalrecords AS Total_records,
-                ms.acceptedrecords AS processed_records
+                ms.acceptedrecords AS processed_records,
+                ms.processedrecords AS imported_records,
+                CASE
+                    WHEN ms.status = 'processed' THEN 100
+                    WHEN ms.acceptedrecords > 0 THEN LEAST(100, ROUND(ms.processedrecords * 100 / ms.acceptedrecords))
+                    ELSE 0
+                END AS progress,
+                (SELECT COUNT(*) FROM master_sheets_errors mse WHERE mse.sheetid = ms.id AND mse.stage <> 'warning') AS error_count,
+                (SELECT COUNT(*) FROM master_sheets_errors mse WHERE mse.sheetid = ms.id AND mse.stage = 'warning') AS warning_count,
+                ms.message AS message
             FROM 
                 master_sheets ms
             LEFT JOIN
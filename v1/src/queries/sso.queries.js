@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require("uuid");
+const sequelize = require("../setups/db");
+const CompanyIdentityProvider = require("../models/company-identity-provider.model");
+const PlatformUsers = require("../models/platform-users.model");
+const User_Company_Relations = require("../models/user-company-relations.model");
+const Roles = require("../models/roles.model");
+const authQueries = require("./auth.queries");
+const constants = require("../constants");
+
+const ssoQueries = {
+
+    getIdentityProvider: async function (providerId) {
+        try {
+            const data = await CompanyIdentityProvider.findOne({ where: { id: providerId }, raw: true });
+            return data;
+        } catch (error) {
+            console.error("Error fetching identity provider:", error);
+            throw error;
+        }
+    },
+
+    getCompanyIdentityProviders: async function (companyId) {
+        try {
+            const data = await CompanyIdentityProvider.findAll({ where: { companyid: companyId }, raw: true });
+            return data;
+        } catch (error) {
+            console.error("Error fetching company identity providers:", error);
+            throw error;
+        }
+    },
+
+    //a few rows, the domains are matched by utils/oidc providerForDomain
+    getEnabledIdentityProviders: async function () {
+        try {
+            const data = await CompanyIdentityProvider.findAll({ where: { enabled: true }, raw: true });
+            return data;
+        } catch (error) {
+            console.error("Error fetching identity providers:", error);
+            throw error;
+        }
+    },
+
+    //providerId null creates it
+    saveIdentityProvider: async function (companyId, providerId, values, userId) {
+        try {
+            values = { ...values, modifiedby: userId, modifiedtime: new Date() };
+            if (providerId) {
+                const existing = await CompanyIdentityProvider.findOne({ where: { id: providerId, companyid: companyId } });
+                if (!existing) {
+                    return null;
+                }
+                await existing.update(values);
+                return existing.get({ plain: true });
+            }
+            const data = await CompanyIdentityProvider.create({ id: uuidv4(), companyid: companyId, ...values });
+            return data.get({ plain: true });
+        } catch (error) {
+            console.error("Error saving identity provider:", error);
+            throw error;
+        }
+    },
+
+    deleteIdentityProvider: async function (companyId, providerId) {
+        try {
+            const data = await CompanyIdentityProvider.destroy({ where: { id: providerId, companyid: companyId } });
+            return data > 0;
+        } catch (error) {
+            console.error("Error deleting identity provider:", error);
+            throw error;
+        }
+    },
+
+    /*
+     * Whether the user can make the role the default role of an identity provider : a company role, none of
+     * SSO_PLATFORM_ROLE_IDS, with no permission the user does not have themselves.
+     */
+    isAssignableRole: async function (roleId, userId) {
+        try {
+            const role = await Roles.findOne({ where: { roleId }, attributes: ['roleId'], raw: true });
+            const user = await PlatformUsers.findOne({ where: { userId }, attributes: ['roleId'], raw: true });
+            if (!role || !user || constants.SSO_PLATFORM_ROLE_IDS.includes(roleId)) {
+                return false;
+            }
+            const granted = new Set(await authQueries.getRolePermissions(user.roleId));
+            return (await authQueries.getRolePermissions(roleId)).every(permission => granted.has(permission));
+        } catch (error) {
+            console.error("Error checking role:", error);
+            throw error;
+        }
+    },
+
+    //ofCompany : the user has a relation to the company, only those sign in with its provider
+    getUserByEmail: async function (email, companyId) {
+        try {
+            const data = await PlatformUsers.findOne({
+                where: { email },
+                attributes: ['userId', 'email', 'status'],
+                raw: true
+            });
+            if (!data) {
+                return null;
+            }
+            const relation = await User_Company_Relations.findOne({ where: { userId: data.userId, companyId }, attributes: ['id'], raw: true });
+            return { ...data, ofCompany: !!relation };
+        } catch (error) {
+            console.error("Error fetching user by email:", error);
+            throw error;
+        }
+    },
+
+    //just in time provisioning : the user of a first SSO sign in, with the default role of the provider and its company
+    //null when the one who set the provider up can not give its default role (anymore)
+    provisionUser: async function (provider, profile) {
+        if (!(await ssoQueries.isAssignableRole(provider.defaultroleid, provider.modifiedby))) {
+            return null;
+        }
+        const transaction = await sequelize.transaction();
+        try {
+            const userId = uuidv4().split('-').join('');
+            const now = new Date();
+            const data = await PlatformUsers.create({
+                userId,
+                UserType: 'SSO',
+                email: profile.email,
+                firstName: profile.firstName,
+                lastName: profile.lastName,
+                roleId: provider.defaultroleid,
+                userBaseRegion: "",
+                userPreferedLanguage: "",
+                userTimezone: "",
+                isPassResetRequired: 0,
+                createdBy: 'SSO',
+                status: 'active',
+                statusDate: now,
+                roleAssignDate: now,
+                //signed in by the identity provider, its own MFA applies
+                isMfaRequired: 0,
+                pin: "CLNT:ALL|CONT:ALL|PORT:ALL|PROJ:ALL|AI:ALL|TIMESHEETS:ALL|WB:OPEN"
+            }, { transaction });
+            await User_Company_Relations.create({
+                companyId: provider.companyid,
+                userId,
+                createdBy: 'SSO',
+            }, { transaction });
+            await transaction.commit();
+            return data.get({ plain: true });
+        } catch (error) {
+            await transaction.rollback();
+            console.error("Error provisioning SSO user:", error);
+            throw error;
+        }
+    }
+};
+
+module.exports = ssoQueries;
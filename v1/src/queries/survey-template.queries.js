@@ -0,0 +1,235 @@
+const { Sequelize } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const sequelize = require("../setups/db");
+const constants = require("../constants");
+
+const SystemSurveyTemplate = require("../models/system-survey-template.model");
+const SystemSurveyQuestion = require("../models/system-survey-question.model");
+const MasterSurvey = require("../models/master-survey.model");
+
+//templates created before versioning have no status, key or version : they are published first versions
+const TEMPLATE_COLUMNS = `
+  t.id,
+  t.companyid AS companyId,
+  COALESCE(t.name, t.description) AS name,
+  COALESCE(t.templatekey, t.id) AS templatekey,
+  COALESCE(t.version, 1) AS version,
+  COALESCE(t.status, '${constants.SURVEY_TEMPLATE_STATUS.published}') AS status,
+  t.clonedfrom,
+  t.createdby,
+  t.createdtime,
+  t.publishedtime
+`;
+
+const surveyTemplateQueries = {
+
+  //templates of a company, latest version of each unless allVersions
+  listTemplates: async function (companyId, filter = {}) {
+    try {
+      const { status, allVersions } = filter;
+
+      const templates = await sequelize.query(
+        `
+        SELECT ${TEMPLATE_COLUMNS},
+          (SELECT COUNT(*) FROM system_survey_question q WHERE q.surveytemplateid = t.id) AS questionsCount,
+          (SELECT COUNT(*) FROM master_survey s WHERE s.surveyquestionstemplateid = t.id) AS surveysCount
+        FROM system_survey_template t
+        WHERE t.companyid = :companyId
+          ${status && status.length > 0 ? `AND COALESCE(t.status, '${constants.SURVEY_TEMPLATE_STATUS.published}') IN (:status)` : ''}
+        ORDER BY COALESCE(t.version, 1) DESC, t.createdtime DESC
+        `,
+        {
+          replacements: { companyId, status },
+          type: Sequelize.QueryTypes.SELECT
+        }
+      );
+
+      if (allVersions) {
+        return templates;
+      }
+      let seen = new Set();
+      return templates.filter(template => {
+        if (seen.has(template.templatekey)) {
+          return false;
+        }
+        seen.add(template.templatekey);
+        return true;
+      });
+    } catch (error) {
+      console.error("Error fetching survey templates : ", error);
+      throw error;
+    }
+  },
+
+  getTemplate: async function (templateId) {
+    try {
+      const [template] = await sequelize.query(
+        `
+        SELECT ${TEMPLATE_COLUMNS},
+          (SELECT COUNT(*) FROM master_survey s WHERE s.surveyquestionstemplateid = t.id) AS surveysCount
+        FROM system_survey_template t
+        WHERE t.id = :templateId
+        `,
+        {
+          replacements: { templateId },
+          type: Sequelize.QueryTypes.SELECT
+        }
+      );
+      if (!template) {
+        return null;
+      }
+
+      const questions = await SystemSurveyQuestion.findAll({
+        where: { surveytemplateid: templateId },
+        attributes: ['id', 'sequence', 'question', 'description', 'questiontype', 'required', 'options', 'branching'],
+        order: [['sequence', 'ASC']],
+        raw: true
+      });
+
+      return {
+        ...template,
+        questions: questions.map(question => ({ ...question, questiontype: question.questiontype || 'text', required: Boolean(question.required) }))
+      };
+    } catch (error) {
+      console.error("Error fetching survey template : ", error);
+      throw error;
+    }
+  },
+
+  /*
+   * Create a template version with its questions.
+   * body : { companyId, name, questions, templatekey, version, clonedfrom, status } - a new template when templatekey is not given
+   */
+  createTemplate: async function (body, userId) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const now = new Date();
+        const status = body.status || constants.SURVEY_TEMPLATE_STATUS.draft;
+        const template = {
+          id: uuidv4(),
+          companyid: body.companyId,
+          name: body.name,
+          description: `${body.questions.length} Questions`,
+          templatekey: body.templatekey || null,
+          version: body.version || 1,
+          status,
+          clonedfrom: body.clonedfrom || null,
+          publishedtime: status == constants.SURVEY_TEMPLATE_STATUS.published ? now : null,
+          createdby: userId,
+          createdtime: now,
+          modifiedby: userId,
+          modifiedtime: now,
+          sysmodtime: now
+        };
+        template.templatekey = template.templatekey || template.id;
+
+        await SystemSurveyTemplate.create(template, { transaction });
+        await SystemSurveyQuestion.bulkCreate(
+          body.questions.map(question => ({
+            ...question,
+            id: uuidv4(),
+            surveytemplateid: template.id,
+            createdby: userId,
+            createdtime: now,
+            modifiedby: userId,
+            modifiedtime: now,
+            sysmodtime: now
+          })),
+          { transaction }
+        );
+
+        return template;
+      });
+    } catch (error) {
+      console.error("Error creating survey template : ", error);
+      throw error;
+    }
+  },
+
+  //replace the name and questions of a draft template
+  updateDraftTemplate: async function (templateId, body, userId) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const now = new Date();
+        await SystemSurveyTemplate.update(
+          { name: body.name, description: `${body.questions.length} Questions`, modifiedby: userId, modifiedtime: now },
+          { where: { id: templateId }, transaction }
+        );
+        await SystemSurveyQuestion.destroy({ where: { surveytemplateid: templateId }, transaction });
+        await SystemSurveyQuestion.bulkCreate(
+          body.questions.map(question => ({
+            ...question,
+            id: uuidv4(),
+            surveytemplateid: templateId,
+            createdby: userId,
+            createdtime: now,
+            modifiedby: userId,
+            modifiedtime: now,
+            sysmodtime: now
+          })),
+          { transaction }
+        );
+      });
+    } catch (error) {
+      console.error("Error updating survey template : ", error);
+      throw error;
+    }
+  },
+
+  setTemplateStatus: async function (templateId, status, userId) {
+    const values = { status, modifiedby: userId, modifiedtime: new Date() };
+    if (status == constants.SURVEY_TEMPLATE_STATUS.published) {
+      values.publishedtime = new Date();
+    }
+    const data = await SystemSurveyTemplate.update(values, { where: { id: templateId } });
+    return data;
+  },
+
+  getNextVersion: async function (templatekey) {
+    const [row] = await sequelize.query(
+      `SELECT MAX(COALESCE(version, 1)) AS version FROM system_survey_template WHERE COALESCE(templatekey, id) = :templatekey`,
+      {
+        replacements: { templatekey },
+        type: Sequelize.QueryTypes.SELECT
+      }
+    );
+    return (row && row.version ? Number(row.version) : 0) + 1;
+  },
+
+  getTemplateUsage: async function (templateId) {
+    const data = await MasterSurvey.count({ where: { surveyquestionstemplateid: templateId } });
+    return data;
+  },
+
+  /*
+   * Template version new surveys of a company are sent with : the given template when it is published,
+   * otherwise the latest published one. Companies without any template get the default one.
+   */
+  getTemplateForSending: async function (companyId, templateId) {
+    try {
+      const published = await surveyTemplateQueries.listTemplates(companyId, {
+        status: [constants.SURVEY_TEMPLATE_STATUS.published],
+        allVersions: true
+      });
+
+      if (templateId) {
+        return published.find(template => template.id == templateId) || null;
+      }
+      if (published.length > 0) {
+        return published.sort((a, b) => new Date(b.publishedtime || b.createdtime) - new Date(a.publishedtime || a.createdtime))[0];
+      }
+
+      return await surveyTemplateQueries.createTemplate({
+        companyId,
+        name: constants.DEFAULT_SURVEY_TEMPLATE.name,
+        questions: constants.DEFAULT_SURVEY_TEMPLATE.questions,
+        status: constants.SURVEY_TEMPLATE_STATUS.published
+      }, 'system');
+    } catch (error) {
+      console.error("Error fetching survey template for sending : ", error);
+      throw error;
+    }
+  }
+};
+
+module.exports = surveyTemplateQueries;
@@ -1,5 +1,26 @@
 const { Sequelize, Op } = require("sequelize");
 const sequelize = require("../setups/db");
+const { surveyVariables, renderSurveyText } = require("../utils/surveyTemplates");
+const { parseBranching } = require("../utils/surveyBranching");
+const { v4: uuidv4 } = require("uuid");
+const MasterSurveyAnswer = require("../models/master-survey-answer.model");
+const MasterSurvey = require("../models/master-survey.model");
+const MasterSurveyAssignment = require("../models/master-survey-assignment.model");
+const MasterSurveyAnswerVersion = require("../models/master-survey-answer-version.model");
+const { sameAnswer, staleAnswers } = require("../utils/answerVersions");
+
+//fill the template variables of the questions of one survey
+const renderQuestions = (questions, fields) => questions.map(question => {
+  const variables = surveyVariables(question);
+  let rendered = { ...question };
+  for (const field of fields) {
+    rendered[field] = renderSurveyText(question[field], variables);
+  }
+  for (const variable of ['fiscalYear', 'companyName', 'projectName', 'projectCode']) {
+    delete rendered[variable];
+  }
+  return rendered;
+});
 
 const surveyQueries = {
 
@@ -8,9 +29,15 @@ const surveyQueries = {
       const query = `
           SELECT
               system_survey_question.question,
-              system_survey_question.description
+              system_survey_question.description,
+              company.fiscalYear,
+              company.companyName,
+              projects.projectName,
+              projects.projectCode
           FROM
 	            master_survey
+          LEFT JOIN company ON company.companyId = master_survey.companyid
+          LEFT JOIN projects ON projects.projectId = master_survey.projectid
           JOIN
               system_survey_template ON master_survey.surveyquestionstemplateid = system_survey_template.id
           JOIN
@@ -26,7 +53,7 @@ const surveyQueries = {
         type: sequelize.QueryTypes.SELECT,
       });
 
-      return questions;
+      return renderQuestions(questions, ['question', 'description']);
     } catch (error) {
       console.error("Error fetching cases with same composition:", error);
       throw error;
@@ -57,7 +84,8 @@ const surveyQueries = {
               company.companyName as clientName,
               company.disclaimer,
               surveyControl.status as surveyControlStatus,
-              survey.status as surveyStatus
+              survey.status as surveyStatus,
+              master_survey.delegations
               FROM master_survey
               LEFT JOIN master_survey_control ON master_survey_control.id = master_survey.surveycontrolid
               LEFT JOIN system_status as surveyControl ON surveyControl.id = master_survey_control.surveycontrolstatusid
@@ -92,8 +120,19 @@ const surveyQueries = {
                   system_survey_question.description as info,
                   master_survey_answer.answer,
                   master_survey_answer.saveddate as lastSaved,
-                  system_survey_question.sequence
+                  COALESCE(master_survey_answer.version, 0) AS version,
+                  system_survey_question.sequence,
+                  COALESCE(system_survey_question.questiontype, 'text') AS questiontype,
+                  system_survey_question.required,
+                  system_survey_question.options,
+                  system_survey_question.branching,
+                  company.fiscalYear,
+                  company.companyName,
+                  projects.projectName,
+                  projects.projectCode
               FROM master_survey
+              LEFT JOIN company ON company.companyId = master_survey.companyid
+              LEFT JOIN projects ON projects.projectId = master_survey.projectid
               JOIN system_survey_template ON system_survey_template.id = master_survey.surveyquestionstemplateid
               JOIN system_survey_question ON system_survey_question.surveytemplateid  = system_survey_template.id
               LEFT JOIN master_survey_answer ON master_survey_answer.surveyquestionsid = system_survey_question.id
@@ -107,13 +146,269 @@ const surveyQueries = {
         type: sequelize.QueryTypes.SELECT,
       });
 
-      return surveyDetails;
+      return renderQuestions(surveyDetails, ['question', 'info']).map(question => ({
+        ...question,
+        required: Boolean(question.required),
+        options: typeof question.options == 'string' ? JSON.parse(question.options) : question.options,
+        branching: parseBranching(question.branching)
+      }));
     } catch (error) {
       console.error("Error fetching cases with same composition:", error);
       throw error;
     }
   },
 
+  //every survey of a case with how far its SPOC got
+  getCaseSurveyProgress: async function (caseId) {
+    try {
+      const query = `
+              SELECT
+                  master_survey.id AS surveyId,
+                  master_survey.surveyid,
+                  master_case_project.caseid,
+                  master_survey.projectid AS projectId,
+                  COALESCE(master_survey.spocemail, master_case_project.spocemail) AS spocemail,
+                  COALESCE(master_survey.spocname, master_case_project.spocname) AS spocname,
+                  survey.status,
+                  master_survey.sentdate,
+                  master_survey.closedate,
+                  master_survey.reminderssent,
+                  master_survey_assignment.otprequestedtime,
+                  (SELECT COUNT(*) FROM master_survey_answer
+                      WHERE master_survey_answer.surveyid = master_survey.id
+                      AND master_survey_answer.answer IS NOT NULL AND TRIM(master_survey_answer.answer) NOT IN ('', '[]')) AS answeredcount
+              FROM master_survey_assignment
+              JOIN master_case_project ON master_case_project.id = master_survey_assignment.caseprojectid
+              JOIN master_survey ON master_survey.id = master_survey_assignment.surveyid
+              LEFT JOIN system_status AS survey ON survey.id = master_survey.surveystatusid
+              WHERE master_case_project.caseid = :caseId;
+            `;
+
+      const surveys = await sequelize.query(query, {
+        replacements: { caseId },
+        type: sequelize.QueryTypes.SELECT,
+      });
+
+      return surveys;
+    } catch (error) {
+      console.error("Error fetching case survey progress:", error);
+      throw error;
+    }
+  },
+
+  //one row per question of each submitted survey of a case, with its answer when there is one
+  getCaseSubmittedAnswers: async function (caseId) {
+    try {
+      const query = `
+              SELECT
+                  master_survey.id AS surveyId,
+                  system_survey_question.id AS questionId,
+                  system_survey_question.sequence,
+                  system_survey_question.question,
+                  master_survey_answer.answer
+              FROM master_survey_assignment
+              JOIN master_case_project ON master_case_project.id = master_survey_assignment.caseprojectid
+              JOIN master_survey ON master_survey.id = master_survey_assignment.surveyid
+              JOIN system_status AS survey ON survey.id = master_survey.surveystatusid AND survey.status = 'RESPONSE RECEIVED'
+              JOIN system_survey_question ON system_survey_question.surveytemplateid = master_survey.surveyquestionstemplateid
+              LEFT JOIN master_survey_answer ON master_survey_answer.surveyquestionsid = system_survey_question.id
+                  AND master_survey_answer.surveyid = master_survey.id
+              WHERE master_case_project.caseid = :caseId
+              ORDER BY system_survey_question.sequence;
+            `;
+
+      const answers = await sequelize.query(query, {
+        replacements: { caseId },
+        type: sequelize.QueryTypes.SELECT,
+      });
+
+      return answers;
+    } catch (error) {
+      console.error("Error fetching case survey answers:", error);
+      throw error;
+    }
+  },
+
+  //surveys of a company sent to the given SPOCs, in every case
+  getSpocSurveys: async function (companyId, spocEmails) {
+    try {
+      if (!spocEmails || spocEmails.length === 0) {
+        return [];
+      }
+      const query = `
+              SELECT
+                  master_survey.id AS surveyId,
+                  master_case_project.caseid,
+                  COALESCE(master_survey.spocemail, master_case_project.spocemail) AS spocemail,
+                  COALESCE(master_survey.spocname, master_case_project.spocname) AS spocname,
+                  survey.status,
+                  master_survey.sentdate,
+                  master_survey.closedate
+              FROM master_survey_assignment
+              JOIN master_case_project ON master_case_project.id = master_survey_assignment.caseprojectid
+              JOIN master_survey ON master_survey.id = master_survey_assignment.surveyid
+              LEFT JOIN system_status AS survey ON survey.id = master_survey.surveystatusid
+              WHERE master_survey.companyid = :companyId
+                  AND LOWER(COALESCE(master_survey.spocemail, master_case_project.spocemail)) IN (:spocEmails);
+            `;
+
+      const surveys = await sequelize.query(query, {
+        replacements: { companyId, spocEmails: spocEmails.map(email => String(email).trim().toLowerCase()) },
+        type: sequelize.QueryTypes.SELECT,
+      });
+
+      return surveys;
+    } catch (error) {
+      console.error("Error fetching SPOC surveys:", error);
+      throw error;
+    }
+  },
+
+  /*
+   * Save answers of a survey, every changed text becomes a new version of the answer.
+   * answers : [{ questionId, answer, version }] - version : the one the answer was based on, optional
+   * options : { userId, savedBy, source } - savedBy : who saved it, source : survey link, offline sheet, restore, branching
+   * Nothing is saved when an answer is stale, returns { conflicts } with the text on the server then,
+   * otherwise { conflicts: [], versions: { questionId: version } }
+   */
+  saveSurveyAnswers: async function (survey, answers, { userId, savedBy = userId, source = 'survey link' }) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const now = new Date();
+        const saveddate = now.toISOString().slice(0, 19).replace('T', ' ');
+
+        const savedAnswers = await MasterSurveyAnswer.findAll({
+          where: { surveyid: survey.id, surveyquestionsid: answers.map(answer => answer.questionId) },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        let current = Object.fromEntries(savedAnswers.map(record => [record.dataValues.surveyquestionsid, record.dataValues]));
+
+        const conflicts = staleAnswers(answers, current);
+        if (conflicts.length > 0) {
+          return { conflicts, versions: null };
+        }
+
+        let versions = {};
+        for (const { questionId, answer } of answers) {
+          const saved = current[questionId];
+          if (sameAnswer(saved ? saved.answer : null, answer)) {
+            versions[questionId] = saved ? Number(saved.version || 0) : 0;
+            continue;
+          }
+
+          const version = saved ? Number(saved.version || 0) + 1 : 1;
+          const answerId = saved ? saved.id : uuidv4();
+          if (saved) {
+            //answers saved before versioning keep their text as version 0
+            if (!saved.version && !sameAnswer(saved.answer, null)) {
+              await MasterSurveyAnswerVersion.create({
+                id: uuidv4(),
+                surveyanswerid: saved.id,
+                surveyid: survey.id,
+                surveyquestionsid: questionId,
+                companyid: survey.companyId,
+                version: 0,
+                answer: saved.answer,
+                source: 'before versioning',
+                savedby: saved.modifiedby,
+                savedtime: saved.saveddate || saved.modifiedtime
+              }, { transaction });
+            }
+            await MasterSurveyAnswer.update(
+              { answer, version, saveddate, modifiedby: userId, modifiedtime: now },
+              { where: { id: saved.id }, transaction }
+            );
+          } else {
+            await MasterSurveyAnswer.create({
+              id: answerId,
+              answer,
+              version,
+              surveyassignmentid: survey.surveyAssignmentId,
+              surveyquestionsid: questionId,
+              surveyid: survey.id,
+              companyid: survey.companyId,
+              saveddate,
+              createdby: userId,
+              createdtime: now,
+              modifiedby: userId,
+              modifiedtime: now,
+              sysmodtime: now
+            }, { transaction });
+          }
+          await MasterSurveyAnswerVersion.create({
+            id: uuidv4(),
+            surveyanswerid: answerId,
+            surveyid: survey.id,
+            surveyquestionsid: questionId,
+            companyid: survey.companyId,
+            version,
+            answer,
+            source,
+            savedby: savedBy,
+            savedtime: now
+          }, { transaction });
+
+          current[questionId] = { ...saved, id: answerId, answer, version, saveddate, modifiedby: userId };
+          versions[questionId] = version;
+        }
+
+        return { conflicts: [], versions };
+      });
+    } catch (error) {
+      console.error("Error saving survey answers:", error);
+      throw error;
+    }
+  },
+
+  //saved texts of an answer, newest first
+  getAnswerHistory: async function (surveyId, questionId) {
+    try {
+      const data = await MasterSurveyAnswerVersion.findAll({
+        where: { surveyid: surveyId, surveyquestionsid: questionId },
+        attributes: ['version', 'answer', 'source', 'savedby', 'savedtime'],
+        order: [['version', 'DESC']],
+        raw: true
+      });
+      return data;
+    } catch (error) {
+      console.error("Error fetching answer history:", error);
+      throw error;
+    }
+  },
+
+  getAnswerVersion: async function (surveyId, questionId, version) {
+    try {
+      const data = await MasterSurveyAnswerVersion.findOne({
+        where: { surveyid: surveyId, surveyquestionsid: questionId, version },
+        raw: true
+      });
+      return data;
+    } catch (error) {
+      console.error("Error fetching answer version:", error);
+      throw error;
+    }
+  },
+
+  //record the forwarding chain, the OTP of the previous responder stops working
+  delegateSurvey: async function (surveyId, delegations) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        await MasterSurvey.update(
+          { delegations, modifiedby: 'external', modifiedtime: new Date() },
+          { where: { id: surveyId }, transaction }
+        );
+        await MasterSurveyAssignment.update(
+          { otp: null },
+          { where: { surveyid: surveyId }, transaction }
+        );
+      });
+    } catch (error) {
+      console.error("Error delegating survey:", error);
+      throw error;
+    }
+  },
+
 };
 
 module.exports = surveyQueries;
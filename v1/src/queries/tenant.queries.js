@@ -0,0 +1,64 @@
+const Project = require("../models/project.model");
+const Contact = require("../models/contact.model");
+const Reconciliations = require("../models/reconciliation.model");
+const Timesheets = require("../models/timesheet.model");
+const MasterCase = require("../models/master-case.model");
+const MasterSurvey = require("../models/master-survey.model");
+const Interactions = require("../models/interactions.model");
+const MasterInteractions = require("../models/master-interactions.model");
+const Notes = require("../models/notes.model");
+const Alerts = require("../models/alerts.model");
+const Portfolios = require("../models/portfolio.model");
+const MasterProjectAISummary = require("../models/master-project-ai-summary.model");
+const MasterSheet = require("../models/master-sheets.model");
+const SystemSurveyTemplate = require("../models/system-survey-template.model");
+const SystemSurveyQuestion = require("../models/system-survey-question.model");
+
+//where the company of each kind of record is, [model, id attribute, company attribute]
+//a fourth entry is the kind of the record the attribute points to, the record is of the company of that one
+//interaction ids are the ones of the activities (Interactions) or of the assessment interactions (master_interactions)
+const TENANT_RECORDS = {
+    project: [[Project, 'projectId', 'companyId']],
+    contact: [[Contact, 'contactId', 'companyId']],
+    reconciliation: [[Reconciliations, 'reconcileId', 'companyId']],
+    timesheet: [[Timesheets, 'timesheetId', 'companyId']],
+    case: [[MasterCase, 'id', 'companyid']],
+    survey: [[MasterSurvey, 'id', 'companyid']],
+    interaction: [[Interactions, 'interactionID', 'companyId'], [MasterInteractions, 'id', 'companyid']],
+    note: [[Notes, 'notesId', 'companyId']],
+    alert: [[Alerts, 'alertId', 'companyId']],
+    portfolio: [[Portfolios, 'portfolioId', 'companyId']],
+    summary: [[MasterProjectAISummary, 'id', 'companyId']],
+    sheet: [[MasterSheet, 'sheetid', 'companyid']],
+    surveyTemplate: [[SystemSurveyTemplate, 'id', 'companyid']],
+    surveyQuestion: [[SystemSurveyQuestion, 'id', 'surveytemplateid', 'surveyTemplate']]
+};
+
+const tenantQueries = {
+
+    //company of each record found, [{ recordId, companyId }], platform records without company are left out
+    getRecordCompanies: async function (kind, recordIds) {
+        try {
+            const rows = await Promise.all(TENANT_RECORDS[kind].map(async ([model, idAttribute, companyAttribute, parentKind]) => {
+                const found = await model.findAll({
+                    attributes: [[idAttribute, 'recordId'], [companyAttribute, 'companyId']],
+                    where: { [idAttribute]: recordIds },
+                    raw: true
+                });
+                if (!parentKind) {
+                    return found;
+                }
+                const parents = await tenantQueries.getRecordCompanies(parentKind, [...new Set(found.map(row => row.companyId))]);
+                return found.flatMap(row => parents
+                    .filter(parent => parent.recordId == row.companyId)
+                    .map(parent => ({ recordId: row.recordId, companyId: parent.companyId })));
+            }));
+            return rows.flat().filter(row => row.companyId !== null && row.companyId !== undefined);
+        } catch (error) {
+            console.error("Error fetching record companies:", error);
+            throw error;
+        }
+    }
+};
+
+module.exports = tenantQueries;
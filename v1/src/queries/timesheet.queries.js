@@ -3,6 +3,7 @@ const sequelize = require("../setups/db");
 
 const TimesheetUploadLog = require("../models/timesheet-upload-log.model");
 const TimesheetTasks = require("../models/timesheet-tasks.model");
+const { priceTasksByDate } = require("../utils/payrollRates");
 
 const timesheetQueries = {
 
@@ -523,6 +524,48 @@ const timesheetQueries = {
     return data;
   },
 
+  //price the tasks of a timesheet with the hourly rate of each member on the task date
+  repriceTimesheetTasks: async function (timesheetId) {
+    try {
+      const tasks = await sequelize.query(
+        `
+        SELECT tt.taskId, tt.timesheetId, tt.taskDate, tt.taskEffort, tt.taskClassification, tm.contactId
+        FROM TimesheetTasks tt
+        JOIN TeamMembers tm ON tm.teamMemberId = tt.teamMemberId
+        WHERE tt.timesheetId = :timesheetId
+        `,
+        {
+          replacements: { timesheetId },
+          type: Sequelize.QueryTypes.SELECT
+        }
+      );
+
+      const pricedTasks = await priceTasksByDate(tasks);
+      const repriced = pricedTasks.filter(task => task.rateSource == 'payroll');
+
+      await sequelize.transaction(async (transaction) => {
+        for (const task of repriced) {
+          await TimesheetTasks.update(
+            {
+              taskHourlyRate: task.taskHourlyRate,
+              taskTotalExpense: task.taskTotalExpense,
+              RnDExpense: task.RnDExpense
+            },
+            {
+              where: { taskId: task.taskId, timesheetId: task.timesheetId },
+              transaction
+            }
+          );
+        }
+      });
+
+      return { repriced: repriced.length, withoutRate: pricedTasks.length - repriced.length };
+    } catch (error) {
+      console.log("Error repricing timesheet tasks : ", error);
+      throw (error);
+    }
+  },
+
   getTasksCount: async function (timesheetId) {
     const data = TimesheetTasks.count({
       where: { timesheetId }
@@ -6,16 +6,15 @@ const {
     getAlertByFilter
 } = require("../controllers/alerts.controller");
 
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 
 const alertRouter = Router();
 
-alertRouter.get("/:user/:company/get-alerts", authorize_jwt, getAlerts);
-alertRouter.post("/:user/:company/create-alert", authorize_jwt, createNewAlert);
+alertRouter.get("/:user/:company/get-alerts", policy('alerts', 'read'), getAlerts);
+alertRouter.post("/:user/:company/create-alert", policy('alerts', 'create'), createNewAlert);
 
-alertRouter.delete("/:user/:company/:alertId", authorize_jwt, deleteAlert);
+alertRouter.delete("/:user/:company/:alertId", policy('alerts', 'delete'), deleteAlert);
 // relations are based on company, projects, workflow, reports, reconcile
-alertRouter.get("/:user/:company/get-alerts-with-filters", authorize_jwt, getAlertByFilter);
+alertRouter.get("/:user/:company/get-alerts-with-filters", policy('alerts', 'read'), getAlertByFilter);
 module.exports = alertRouter;
\ No newline at end of file
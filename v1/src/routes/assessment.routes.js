@@ -4,27 +4,30 @@ const {
     authenticateLinkAndSendOtp,
     verifyOtpAndGetInteractionData,
     saveAnswer,
+    delegateInteraction,
     createInteractions,
     sendInteractionsByUser,
     uploadInteractions,
+    updateInteractionBranching,
 } = require("../controllers/assessment.controller.js");
 
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 const uplaod = require("../middlewares/multer.middleware.js");
 
 const assessmentRouter = Router();
 
 // external assessment
-assessmentRouter.post("/generate-interactions", createInteractions);
+assessmentRouter.post("/generate-interactions", policy.public("called by the AI assessment service once a project is assessed"), createInteractions);
 // assessmentRouter.post("/send-interactions", sendInteractions);
-assessmentRouter.post("/:user/send-interactions", authorize_jwt, sendInteractionsByUser);
-assessmentRouter.get("/:encryption/authenticate", authenticateLinkAndSendOtp);
-assessmentRouter.post("/:encryption/verifyotp", verifyOtpAndGetInteractionData);
-assessmentRouter.post("/:encryption/save", saveAnswer);
+assessmentRouter.post("/:user/send-interactions", policy('interactions', 'update'), sendInteractionsByUser);
+assessmentRouter.get("/:encryption/authenticate", policy.public("interaction link, the SPOC signs in with the OTP mailed to them"), authenticateLinkAndSendOtp);
+assessmentRouter.post("/:encryption/verifyotp", policy.public("interaction link, the SPOC signs in with the OTP mailed to them"), verifyOtpAndGetInteractionData);
+assessmentRouter.post("/:encryption/save", policy.public("interaction link, the SPOC signs in with the OTP mailed to them"), saveAnswer);
+assessmentRouter.post("/:encryption/delegate", policy.public("interaction link, the SPOC signs in with the OTP mailed to them"), delegateInteraction);
+assessmentRouter.put("/:user/interactions/:interactionId/branching", policy('interactions', 'update'), updateInteractionBranching);
 
 //uplaod
-assessmentRouter.post("/:userId/upload-interactions", uplaod.array("files", 100), uploadInteractions);
+assessmentRouter.post("/:userId/upload-interactions", policy('interactions', 'update'), uplaod.array("files", 100), policy.scopeBody(), uploadInteractions);
 
 
 module.exports = assessmentRouter;
@@ -0,0 +1,15 @@
+const { Router } = require("express");
+const {
+    getAuditLog,
+    exportAuditLog
+} = require("../controllers/audit.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+
+const auditRouter = Router();
+
+//who changed or read the sensitive data, filtered, and its export for the SOC 2 evidence
+auditRouter.get("/:user/audit-log", policy('users', 'read'), getAuditLog);
+auditRouter.get("/:user/audit-log/export", policy('users', 'read'), exportAuditLog);
+
+module.exports = auditRouter;
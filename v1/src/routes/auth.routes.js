@@ -5,17 +5,27 @@ const {
     verifyOtpOrTotp,
     changePassword,
     contactSupport,
+    refreshTokens,
+    logoutUser,
 } = require("../controllers/auth.controller");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt");
+const { discoverSso, startSso, ssoCallback } = require("../controllers/sso.controller");
+const { policy } = require("../middlewares/policy.middleware");
 const forgotPasswordLimiter = require("../middlewares/rate-limiter.middleware.js");
 
 const authRouter = Router();
 
-authRouter.post("/login", loginUser);
-authRouter.post("/send-otp", forgotPasswordLimiter, sendOtp);
-authRouter.post("/contact-support", contactSupport);
-authRouter.post("/verify-otp", verifyOtpOrTotp);
-authRouter.post("/change-password", changePassword);
+authRouter.post("/login", policy.public("sign in"), loginUser);
+authRouter.post("/send-otp", policy.public("OTP of a sign in or password reset, before the user is signed in"), forgotPasswordLimiter, sendOtp);
+authRouter.post("/contact-support", policy.public("users who can not sign in ask for help"), contactSupport);
+authRouter.post("/verify-otp", policy.public("OTP of a sign in or password reset, before the user is signed in"), verifyOtpOrTotp);
+authRouter.post("/change-password", policy.public("password reset, checked with the cipher of the verified OTP"), changePassword);
+authRouter.post("/refresh", policy.public("signed in with the refresh token cookie, the access token may have expired"), refreshTokens);
+authRouter.post("/logout", policy.public("ends the session of the refresh token cookie, the access token may have expired"), logoutUser);
+
+//sign in with the OpenID Connect provider of the company of the email domain
+authRouter.post("/sso/discover", policy.public("login form, finds the identity provider of the email domain"), discoverSso);
+authRouter.get("/sso/:providerId/login", policy.public("browser sent to the identity provider to sign in"), startSso);
+authRouter.get("/sso/callback", policy.public("identity provider sends the browser back, checked with the state cookie"), ssoCallback);
 // authRouter.post("/reset-password",authorize_jwt, resetPassword);
 // authRouter.post("/:user/:company/create-contact", createContact);
 // authRouter.put("/:user/:company/update-contact/:contact", updateContact);
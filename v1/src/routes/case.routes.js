@@ -8,6 +8,7 @@ const { getCaseTypes,
     removeCaseProjects,
     sendSurveys,
     getSurvey,
+    getSurveyAnalytics,
     getSurveyById,
     getSurveyStatus,
     controlSurvey,
@@ -19,38 +20,38 @@ const { getCaseTypes,
     getCaseProjects,
     downloadSurvey
 } = require("../controllers/case.controller.js");
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 const caseRouter = Router()
 const upload = require("../middlewares/multer.middleware.js");
 
 //case meta data
-caseRouter.get("/get-cases-filter-values", authorize_jwt, getCaseFilterValues);
-caseRouter.get("/get-surveys-filter-values", authorize_jwt, getSurveysFilterValues);
-caseRouter.get("/:user/casetypes", authorize_jwt, getCaseTypes);
-caseRouter.get("/:user/caseroles", authorize_jwt, getCaseRoles);
+caseRouter.get("/get-cases-filter-values", policy('cases', 'read'), getCaseFilterValues);
+caseRouter.get("/get-surveys-filter-values", policy('cases', 'read'), getSurveysFilterValues);
+caseRouter.get("/:user/casetypes", policy('cases', 'read'), getCaseTypes);
+caseRouter.get("/:user/caseroles", policy('cases', 'read'), getCaseRoles);
 
 //cases
-caseRouter.post("/:user/:companyId/create", authorize_jwt, createCase);
-caseRouter.get("/:user/cases", authorize_jwt, getAllCases);
-caseRouter.get("/:user/:caseId/casedetails", authorize_jwt, getCase);
+caseRouter.post("/:user/:companyId/create", policy('cases', 'create'), createCase);
+caseRouter.get("/:user/cases", policy('cases', 'read'), getAllCases);
+caseRouter.get("/:user/:caseId/casedetails", policy('cases', 'read'), getCase);
 
 //projects
-caseRouter.post("/:user/projects/add", authorize_jwt, addProjectsToCase);
-caseRouter.get("/:user/:caseId/projects", authorize_jwt, getCaseProjects);
+caseRouter.post("/:user/projects/add", policy('cases', 'update'), addProjectsToCase);
+caseRouter.get("/:user/:caseId/projects", policy('cases', 'read'), getCaseProjects);
 // caseRouter.put("/:user/projects/:caseprojectid/remove", authorize_jwt, removeCaseProjects);
 // caseRouter.post("/flag-case-project", authorize_jwt, flagProject);
 
 //surveys
-caseRouter.post("/:user/:caseId/sendsurvey", authorize_jwt, sendSurveys);
-caseRouter.get("/:user/:caseId/surveylist", authorize_jwt, getSurvey);
-caseRouter.get("/:user/:surveyId/surveydetails", authorize_jwt, getSurveyById);
-caseRouter.get("/:user/surveytypes", authorize_jwt, getSurveyStatus);
-caseRouter.post("/:user/:surveyId/updatesurvey", authorize_jwt, controlSurvey);
-caseRouter.post("/send-reminder", authorize_jwt, sendReminder);
-caseRouter.post("/:userId/upload-surveys", upload.array("files", 100), uploadSurveys);
+caseRouter.post("/:user/:caseId/sendsurvey", policy('cases', 'update'), sendSurveys);
+caseRouter.get("/:user/:caseId/surveylist", policy('cases', 'read'), getSurvey);
+caseRouter.get("/:user/:caseId/survey-analytics", policy('cases', 'read'), getSurveyAnalytics);
+caseRouter.get("/:user/:surveyId/surveydetails", policy('cases', 'read'), getSurveyById);
+caseRouter.get("/:user/surveytypes", policy('cases', 'read'), getSurveyStatus);
+caseRouter.post("/:user/:surveyId/updatesurvey", policy('cases', 'update'), controlSurvey);
+caseRouter.post("/send-reminder", policy('cases', 'update'), sendReminder);
+caseRouter.post("/:userId/upload-surveys", policy('cases', 'update'), upload.array("files", 100), policy.scopeBody(), uploadSurveys);
 
 //download
-caseRouter.get("/download-survey", authorize_jwt, downloadSurvey);
+caseRouter.get("/download-survey", policy('cases', 'read'), downloadSurvey);
 
 module.exports = caseRouter
\ No newline at end of file
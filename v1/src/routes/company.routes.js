@@ -13,20 +13,35 @@ const { createCompany,
         getCompanyFilterValues,
         getCCEmails,
         updateCCEmails,
-        getCountryData
+        getCountryData,
+        getHolidays,
+        updateHolidays,
+        getReminderSettings,
+        updateReminderSettings,
+        getSchedulerLog,
+        getMailSettings,
+        updateMailSettings
 } = require("../controllers/company.controller.js");
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const {
+        getIdentityProviders,
+        updateIdentityProvider,
+        verifyIdentityProviderDomains,
+        deleteIdentityProvider
+} = require("../controllers/sso.controller.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 const sequelize = require('../setups/db');
+const { isUnrestricted } = require("../utils/tenantScope");
 const companyRouter = Router()
 
 //meta data api
-companyRouter.get('/get-country-data', authorize_jwt, getCountryData);
+companyRouter.get('/get-country-data', policy.signedIn(), getCountryData);
 
-// Public API routes for database integration (no authentication required)
+// API routes for database integration, signed in like every route : the integration uses a user of its own,
+// kept to the companies of that user
 // Get all companies/accounts
-companyRouter.get('/public/get-companies', async (req, res) => {
+companyRouter.get('/public/get-companies', policy('client', 'read'), async (req, res) => {
     try {
+        const restricted = !isUnrestricted(req.companyAccess);
         const query = `
             SELECT 
                 c.companyId,
@@ -50,6 +65,7 @@ companyRouter.get('/public/get-companies', async (req, res) => {
                 SUM(CAST(COALESCE(p.s_total_hours, 0) AS DECIMAL(19,2))) as totalProjectHours
             FROM company c
             LEFT JOIN projects p ON c.companyId = p.companyId
+            ${restricted ? 'WHERE c.companyId IN (:companyIds)' : ''}
             GROUP BY c.companyId, c.companyIdentifier, c.companyName, c.companyCode, 
                      c.industry, c.primaryCurrency, c.email, c.phone, c.website, 
                      c.companyType, c.projectsCount, c.employeesCount, c.annualRevenue, 
@@ -59,6 +75,7 @@ companyRouter.get('/public/get-companies', async (req, res) => {
         `;
 
         const companies = await sequelize.query(query, {
+            replacements: { companyIds: req.companyAccess },
             type: sequelize.QueryTypes.SELECT
         });
 
@@ -80,7 +97,7 @@ companyRouter.get('/public/get-companies', async (req, res) => {
 });
 
 // Get projects by company ID
-companyRouter.get('/public/:companyId/get-projects', async (req, res) => {
+companyRouter.get('/public/:companyId/get-projects', policy('projects', 'read'), async (req, res) => {
     try {
         const { companyId } = req.params;
 
@@ -119,7 +136,7 @@ companyRouter.get('/public/:companyId/get-projects', async (req, res) => {
 });
 
 // Get company details by ID
-companyRouter.get('/public/:companyId/details', async (req, res) => {
+companyRouter.get('/public/:companyId/details', policy('client', 'read'), async (req, res) => {
     try {
         const { companyId } = req.params;
 
@@ -165,22 +182,41 @@ companyRouter.get('/public/:companyId/details', async (req, res) => {
     }
 });
 
-companyRouter.post("/:user/create-company", authorize_jwt, authorize('client', 'create'), createCompany);
-companyRouter.get("/:user/get-companys-filter-values", authorize_jwt, getCompanyFilterValues);
-companyRouter.get("/:user/get-company-list", authorize_jwt, getCompanyList);
-companyRouter.get("/:user/:company/get-company-kpi", authorize_jwt, getCompanyKPIs);
-companyRouter.get("/:user/:company/get-company-details", authorize_jwt, getDetailsByCompany);
-companyRouter.get("/:user/:company/get-contacts-by-company", authorize_jwt, getContactsByCompany);
-companyRouter.get("/:user/:company/get-projects-by-company", authorize_jwt, getProjectsByCompany);
-companyRouter.get("/:user/:company/get-highlights", authorize_jwt, getCompanyHighlights);
-companyRouter.put("/:user/:company/edit-company", authorize_jwt, authorize('client', 'update'), editCompany);
-companyRouter.get("/:user/:companyId/get-currency", authorize_jwt, getCompanyCurrency);
-companyRouter.post("/:companyId/trigger-ai", authorize_jwt, triggerAi);
-companyRouter.post("/:companyId/:toggle/toggle-auto-interactions", authorize_jwt, toggleAutoInteractions);
+companyRouter.post("/:user/create-company", policy('client', 'create'), createCompany);
+companyRouter.get("/:user/get-companys-filter-values", policy('client', 'read'), getCompanyFilterValues);
+companyRouter.get("/:user/get-company-list", policy('client', 'read'), getCompanyList);
+companyRouter.get("/:user/:company/get-company-kpi", policy('client', 'read'), getCompanyKPIs);
+companyRouter.get("/:user/:company/get-company-details", policy('client', 'read'), getDetailsByCompany);
+companyRouter.get("/:user/:company/get-contacts-by-company", policy('contacts', 'read'), getContactsByCompany);
+companyRouter.get("/:user/:company/get-projects-by-company", policy('projects', 'read'), getProjectsByCompany);
+companyRouter.get("/:user/:company/get-highlights", policy('client', 'read'), getCompanyHighlights);
+companyRouter.put("/:user/:company/edit-company", policy('client', 'update'), editCompany);
+companyRouter.get("/:user/:companyId/get-currency", policy('client', 'read'), getCompanyCurrency);
+companyRouter.post("/:companyId/trigger-ai", policy('client', 'update'), triggerAi);
+companyRouter.post("/:companyId/:toggle/toggle-auto-interactions", policy('client', 'update'), toggleAutoInteractions);
 
 // ccmails
-companyRouter.get("/:companyId/ccmails", authorize_jwt, getCCEmails);
-companyRouter.put("/:companyId/update-ccmails", authorize_jwt, updateCCEmails);
+companyRouter.get("/:companyId/ccmails", policy('client', 'read'), getCCEmails);
+companyRouter.put("/:companyId/update-ccmails", policy('client', 'update'), updateCCEmails);
+
+// holidays, flagged by the timesheet anomaly rules
+companyRouter.get("/:companyId/holidays", policy('client', 'read'), getHolidays);
+companyRouter.put("/:companyId/update-holidays", policy('client', 'update'), updateHolidays);
+
+// automatic survey / interaction reminders and what the scheduler did
+companyRouter.get("/:companyId/reminder-settings", policy('client', 'read'), getReminderSettings);
+companyRouter.put("/:companyId/update-reminder-settings", policy('client', 'update'), updateReminderSettings);
+companyRouter.get("/:companyId/scheduler-log", policy('client', 'read'), getSchedulerLog);
+
+// language and branding of the company mails
+companyRouter.get("/:companyId/mail-settings", policy('client', 'read'), getMailSettings);
+companyRouter.put("/:companyId/update-mail-settings", policy('client', 'update'), updateMailSettings);
+
+// OpenID Connect providers the users of the company sign in with
+companyRouter.get("/:user/:companyId/identity-providers", policy('client', 'read'), getIdentityProviders);
+companyRouter.put("/:user/:companyId/update-identity-provider", policy('client', 'update'), updateIdentityProvider);
+companyRouter.put("/:user/:companyId/verify-identity-provider-domains/:providerId", policy('client', 'update'), verifyIdentityProviderDomains);
+companyRouter.delete("/:user/:companyId/delete-identity-provider/:providerId", policy('client', 'update'), deleteIdentityProvider);
 
 
 module.exports = companyRouter
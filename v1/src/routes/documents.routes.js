@@ -7,9 +7,8 @@ const {
 } = require("../controllers/documents.controller.js");
 
 const upload = require("../middlewares/multer.middleware.js");
-const authorize = require("../middlewares/auth.middleware.js");
 const { validateDocument } = require("../middlewares/timesheet-validator.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 const documentRouter = Router();
 
@@ -29,10 +28,10 @@ const documentRouter = Router();
 //   fetchTimesheetUploadLogs
 // );
 
-documentRouter.get("/get-documents-filter-values", authorize_jwt, getDocumentFilterValues);
-documentRouter.get("/:user/get-docs", authorize_jwt, getAllDocuments);
-documentRouter.post("/:user/upload-doc", authorize_jwt, upload.array("documents", process.env.DOCUMENT_UPLOAD_COUNT_LIMIT), validateDocument, uploadDocuments);
-documentRouter.get("/:user/:filename/download", authorize_jwt, downloadDocument);
+documentRouter.get("/get-documents-filter-values", policy('documents', 'read'), getDocumentFilterValues);
+documentRouter.get("/:user/get-docs", policy('documents', 'read'), getAllDocuments);
+documentRouter.post("/:user/upload-doc", policy('documents', 'create'), upload.array("documents", process.env.DOCUMENT_UPLOAD_COUNT_LIMIT), policy.scopeBody(), validateDocument, uploadDocuments);
+documentRouter.get("/:user/:filename/download", policy('documents', 'read'), downloadDocument);
 // documentRouter.post("/:userId/upload-doc", uploadDocument);
 
 
@@ -2,10 +2,9 @@ const { Router } = require("express");
 const { welcomeAlerts, homePageKpis } = require("../controllers/home.controller");
 
 const homeRouter = Router();
-const authorize = require("../middlewares/auth.middleware");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt");
+const { policy } = require("../middlewares/policy.middleware");
 
-homeRouter.get("/:user/welcome-alerts", authorize_jwt, welcomeAlerts);
-homeRouter.get("/:user/get-kpis", authorize_jwt, homePageKpis);
+homeRouter.get("/:user/welcome-alerts", policy.signedIn(), welcomeAlerts);
+homeRouter.get("/:user/get-kpis", policy.signedIn(), homePageKpis);
 
 module.exports = homeRouter;
@@ -9,22 +9,21 @@ const {
     updateInteractionQADetails
 } = require("../controllers/interactions.controller");
 
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 const interactionRouter = Router();
 
-interactionRouter.get("/:user/:company/get-interactions",authorize_jwt, getInteractions);
-interactionRouter.get("/:user/:company/get-interaction-detail/:interactionId",authorize_jwt, getInteractionDetail);
-interactionRouter.post("/:user/:company/create-activity", authorize_jwt, createNewActivity);
+interactionRouter.get("/:user/:company/get-interactions", policy('interactions', 'read'), getInteractions);
+interactionRouter.get("/:user/:company/get-interaction-detail/:interactionId", policy('interactions', 'read'), getInteractionDetail);
+interactionRouter.post("/:user/:company/create-activity", policy('interactions', 'create'), createNewActivity);
 
-interactionRouter.delete("/:user/:company/:interactionId",authorize_jwt, deleteInteraction);
+interactionRouter.delete("/:user/:company/:interactionId", policy('interactions', 'delete'), deleteInteraction);
 // relations are based on company, projects, workflow, reports, reconcile
-interactionRouter.get("/:user/:company/get-activity-with-filters",authorize_jwt, getInteractionByFilter);
+interactionRouter.get("/:user/:company/get-activity-with-filters", policy('interactions', 'read'), getInteractionByFilter);
 // 
-interactionRouter.put("/:user/:company/:interactionId",authorize_jwt, starInteraction);
+interactionRouter.put("/:user/:company/:interactionId", policy('interactions', 'update'), starInteraction);
 
-interactionRouter.put("/:user/:company/:interactionId/questions", authorize_jwt, updateInteractionQADetails);
+interactionRouter.put("/:user/:company/:interactionId/questions", policy('interactions', 'update'), updateInteractionQADetails);
 
 module.exports = interactionRouter;
 
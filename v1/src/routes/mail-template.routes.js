@@ -0,0 +1,21 @@
+const { Router } = require("express");
+const {
+    getMailTemplates,
+    getMailTemplate,
+    updateMailTemplate,
+    resetMailTemplate,
+    previewMailTemplate
+} = require("../controllers/mail-template.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+
+const mailTemplateRouter = Router();
+
+//texts of the platform mails per company, companyId 'ALL' for every company
+mailTemplateRouter.get("/:user/:companyId/templates", policy('client', 'read'), getMailTemplates);
+mailTemplateRouter.get("/:user/:companyId/templates/:feature/:purpose", policy('client', 'read'), getMailTemplate);
+mailTemplateRouter.put("/:user/:companyId/templates/:feature/:purpose", policy('client', 'update'), updateMailTemplate);
+mailTemplateRouter.delete("/:user/:companyId/templates/:feature/:purpose", policy('client', 'update'), resetMailTemplate);
+mailTemplateRouter.post("/:user/:companyId/templates/:feature/:purpose/preview", policy('client', 'read'), previewMailTemplate);
+
+module.exports = mailTemplateRouter;
@@ -7,14 +7,15 @@ const {
     deleteNote,
     getNotesForProject
 } = require("../controllers/notes.controller");
+const { policy } = require("../middlewares/policy.middleware");
 
 const notesRouter = Router();
 
-notesRouter.get("/:user/get-notes", getNotes);
-notesRouter.get("/:user/:company/get-notes", getNotesForProject);
-notesRouter.put("/:user/:company/:noteId/edit-note", editNote);
-notesRouter.post("/:user/:company/add-new-note", createCompanyNote);
-notesRouter.post("/:user/:company/:projectId/add-new-note", createProjectNote);
-notesRouter.delete("/:user/:company/:noteId", deleteNote);
+notesRouter.get("/:user/get-notes", policy('notes', 'read'), getNotes);
+notesRouter.get("/:user/:company/get-notes", policy('notes', 'read'), getNotesForProject);
+notesRouter.put("/:user/:company/:noteId/edit-note", policy('notes', 'update'), editNote);
+notesRouter.post("/:user/:company/add-new-note", policy('notes', 'create'), createCompanyNote);
+notesRouter.post("/:user/:company/:projectId/add-new-note", policy('notes', 'create'), createProjectNote);
+notesRouter.delete("/:user/:company/:noteId", policy('notes', 'delete'), deleteNote);
 
 module.exports = notesRouter;
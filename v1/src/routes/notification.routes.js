@@ -0,0 +1,15 @@
+const { Router } = require("express");
+const {
+    getOutbox,
+    retryMessage
+} = require("../controllers/notification.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+
+const notificationRouter = Router();
+
+//mails sent by the platform and their delivery status
+notificationRouter.get("/:user/outbox", policy('client', 'read'), getOutbox);
+notificationRouter.post("/:user/outbox/:messageId/retry", policy('client', 'update'), retryMessage);
+
+module.exports = notificationRouter;
@@ -0,0 +1,18 @@
+const { Router } = require("express");
+const {
+    exportSurveySheet,
+    exportInteractionSheet,
+    importOfflineSheet
+} = require("../controllers/offline-sheet.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+const upload = require("../middlewares/multer.middleware.js");
+
+const offlineSheetRouter = Router();
+
+//pre-filled sheets to answer offline, uploaded back with their signed metadata
+offlineSheetRouter.get("/:user/surveys/:surveyId/export", policy('cases', 'read'), exportSurveySheet);
+offlineSheetRouter.get("/:user/interactions/:interactionId/export", policy('interactions', 'read'), exportInteractionSheet);
+offlineSheetRouter.post("/:user/import", policy('cases', 'update'), upload.single("file"), policy.scopeBody(), importOfflineSheet);
+
+module.exports = offlineSheetRouter;
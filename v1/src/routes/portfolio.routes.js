@@ -3,10 +3,10 @@ const {
     getPortfolio,
     createPortfolio
 } = require("../controllers/portfolio.controller");
-const authorize = require("../middlewares/auth.middleware.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 const portfolioRouter = Router();
 
-portfolioRouter.get("/:user/get-portfolios",authorize, getPortfolio);
-portfolioRouter.post("/:user/:company/create-portfolio", createPortfolio);
+portfolioRouter.get("/:user/get-portfolios", policy('portfolios', 'read'), getPortfolio);
+portfolioRouter.post("/:user/:company/create-portfolio", policy('portfolios', 'create'), createPortfolio);
 module.exports = portfolioRouter;
\ No newline at end of file
@@ -7,12 +7,13 @@
 const express = require('express');
 const router = express.Router();
 const ProjectSummaryAgent = require('../agents/projectSummaryAgent');
+const { policy } = require('../middlewares/policy.middleware');
 
 /**
  * GET /api/v1/project-summary/health
  * Health check endpoint for the project summary agent
  */
-router.get('/health', async (req, res) => {
+router.get('/health', policy.public("health check of the agent"), async (req, res) => {
     try {
         const healthStatus = await ProjectSummaryAgent.healthCheck();
         
@@ -36,7 +37,7 @@ router.get('/health', async (req, res) => {
  * GET /api/v1/project-summary/:projectId
  * Get formatted project summary by project ID
  */
-router.get('/:projectId', async (req, res) => {
+router.get('/:projectId', policy('projects', 'read'), async (req, res) => {
     try {
         const { projectId } = req.params;
         
@@ -81,7 +82,7 @@ router.get('/:projectId', async (req, res) => {
  * POST /api/v1/project-summary/query
  * Answer user queries based on project summary
  */
-router.post('/query', async (req, res) => {
+router.post('/query', policy('projects', 'read'), async (req, res) => {
     try {
         const { projectId, question } = req.body;
         
@@ -133,7 +134,7 @@ router.post('/query', async (req, res) => {
  * GET /api/v1/project-summary/raw/:projectId
  * Get raw project summary data (without formatting)
  */
-router.get('/raw/:projectId', async (req, res) => {
+router.get('/raw/:projectId', policy('projects', 'read'), async (req, res) => {
     try {
         const { projectId } = req.params;
         
@@ -177,7 +178,7 @@ router.get('/raw/:projectId', async (req, res) => {
  * GET /api/v1/project-summary/company/:companyId
  * Get all project summaries for a company
  */
-router.get('/company/:companyId', async (req, res) => {
+router.get('/company/:companyId', policy('projects', 'read'), async (req, res) => {
     try {
         const { companyId } = req.params;
         
@@ -222,7 +223,7 @@ router.get('/company/:companyId', async (req, res) => {
  * POST /api/v1/project-summary/chat
  * Smart chat endpoint that detects project context and answers accordingly
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', policy('projects', 'read'), async (req, res) => {
     try {
         const { message, projectId, context } = req.body;
         
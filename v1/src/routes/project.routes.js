@@ -19,6 +19,7 @@ const {
   triggerAi,
   triggerRnD,
   uploadProjects,
+  previewProjectsUpload,
   getProjectsSheets,
   updateMapper,
   getProjectMapper,
@@ -39,18 +40,17 @@ const {
   updateCCEmails
 } = require("../controllers/project.controller");
 
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 const upload = require("../middlewares/multer.middleware.js");
 
 
 const projectRouter = Router();
 
 //projects
-projectRouter.get("/get-projects-filter-values", authorize_jwt, getProjectFilterValues);
-projectRouter.get("/get-project-field-options", getProjectFieldOptions);
+projectRouter.get("/get-projects-filter-values", policy('projects', 'read'), getProjectFilterValues);
+projectRouter.get("/get-project-field-options", policy.signedIn(), getProjectFieldOptions);
 // Public test route for demo purposes (remove in production)
-projectRouter.get("/public/get-projects", async (req, res) => {
+projectRouter.get("/public/get-projects", policy('projects', 'read'), async (req, res) => {
   try {
     const Project = require("../models/project.model");
     const projects = await Project.findAll({
@@ -69,63 +69,64 @@ projectRouter.get("/public/get-projects", async (req, res) => {
     });
   }
 });
-projectRouter.get("/:user/:company/get-projects", authorize_jwt, getProjects);
-projectRouter.get("/:user/:company/projects-kpi", authorize_jwt, getProjectsKpi);
-projectRouter.get("/:user/:company/:project/project-details", authorize_jwt, getProjectDetails);
-projectRouter.get("/:user/:company/:project/get-project-financials", authorize_jwt, getMonthlyFinancialsOfProject);
-projectRouter.post("/:user/:project/edit-project", authorize_jwt, editProject);
-projectRouter.post("/:user/:company/:project/add-new-milestone", authorize_jwt, addMilestone);
-projectRouter.post("/:user/:company/add-project", authorize_jwt, addProject);
-projectRouter.get("/:user/:company/:portfolio/get-project-list", authorize_jwt, getProjectsListFromPortfolio);
+projectRouter.get("/:user/:company/get-projects", policy('projects', 'read'), getProjects);
+projectRouter.get("/:user/:company/projects-kpi", policy('projects', 'read'), getProjectsKpi);
+projectRouter.get("/:user/:company/:project/project-details", policy('projects', 'read'), getProjectDetails);
+projectRouter.get("/:user/:company/:project/get-project-financials", policy('projects', 'read'), getMonthlyFinancialsOfProject);
+projectRouter.post("/:user/:project/edit-project", policy('projects', 'update'), editProject);
+projectRouter.post("/:user/:company/:project/add-new-milestone", policy('projects', 'update'), addMilestone);
+projectRouter.post("/:user/:company/add-project", policy('projects', 'create'), addProject);
+projectRouter.get("/:user/:company/:portfolio/get-project-list", policy('projects', 'read'), getProjectsListFromPortfolio);
 
-projectRouter.get("/:user/projects", authorize_jwt, getProjectsList);
-projectRouter.get("/project-filter-values", authorize_jwt, projectFilterValues);
+projectRouter.get("/:user/projects", policy('projects', 'read'), getProjectsList);
+projectRouter.get("/project-filter-values", policy('projects', 'read'), projectFilterValues);
 
 
 //teammember
-projectRouter.get("/get-team-filter-values", authorize_jwt, getTeamFilterValues);
-projectRouter.get("/:user/:company/:project/get-team-members", authorize_jwt, getTeamMembers);
-projectRouter.post("/:user/:company/:project/add-team-member", authorize_jwt, addNewTeamMember);
+projectRouter.get("/get-team-filter-values", policy('projects', 'read'), getTeamFilterValues);
+projectRouter.get("/:user/:company/:project/get-team-members", policy('projects', 'read'), getTeamMembers);
+projectRouter.post("/:user/:company/:project/add-team-member", policy('projects', 'update'), addNewTeamMember);
 
 //timesheet and tasks
-projectRouter.get("/:user/:company/:project/get-timesheets-by-project", authorize_jwt, getTimesheetsByProject);
-projectRouter.get("/:user/:projectIdentifier/tasks", authorize_jwt, getProjectTasks);
+projectRouter.get("/:user/:company/:project/get-timesheets-by-project", policy('timesheets', 'read'), getTimesheetsByProject);
+projectRouter.get("/:user/:projectIdentifier/tasks", policy('projects', 'read'), getProjectTasks);
 
 //summary
-projectRouter.get("/get-summary-filter-values", authorize_jwt, getSummaryFilterValues);
-projectRouter.get("/:user/summary-list", authorize_jwt, getSummaryList);
-projectRouter.get("/:user/:summaryId/summary", authorize_jwt, getSummaryById);
+projectRouter.get("/get-summary-filter-values", policy('projects', 'read'), getSummaryFilterValues);
+projectRouter.get("/:user/summary-list", policy('projects', 'read'), getSummaryList);
+projectRouter.get("/:user/:summaryId/summary", policy('projects', 'read'), getSummaryById);
 
 //interaction
-projectRouter.get("/get-interaction-filter-values", authorize_jwt, getInteractionFilterValues);
-projectRouter.get("/:user/interaction-list", authorize_jwt, getInteractionList);
-projectRouter.get("/:user/:interactionId/interaction", authorize_jwt, geInteractionById);
+projectRouter.get("/get-interaction-filter-values", policy('interactions', 'read'), getInteractionFilterValues);
+projectRouter.get("/:user/interaction-list", policy('interactions', 'read'), getInteractionList);
+projectRouter.get("/:user/:interactionId/interaction", policy('interactions', 'read'), geInteractionById);
 
 
 //AI trigger
-projectRouter.post("/:projectId/trigger-ai", authorize_jwt, triggerAi);
-projectRouter.post("/:projectId/trigger-rnd", authorize_jwt, triggerRnD);
+projectRouter.post("/:projectId/trigger-ai", policy('projects', 'update'), triggerAi);
+projectRouter.post("/:projectId/trigger-rnd", policy('projects', 'update'), triggerRnD);
 
 //Upload sheets
-projectRouter.post("/:userId/:companyId/projects-upload", upload.single("projects"), authorize_jwt, uploadProjects);
-projectRouter.get("/get-projects-sheets", authorize_jwt, getProjectsSheets);
+projectRouter.post("/:userId/:companyId/projects-upload", policy('projects', 'create'), upload.single("projects"), policy.scopeBody(), uploadProjects);
+projectRouter.post("/:userId/:companyId/projects-upload-preview", policy('projects', 'create'), upload.single("projects"), policy.scopeBody(), previewProjectsUpload);
+projectRouter.get("/get-projects-sheets", policy('projects', 'read'), getProjectsSheets);
 
 //mapper
-projectRouter.post("/:companyId/update-project-mapper", authorize_jwt, updateMapper);
-projectRouter.get("/:companyId/get-project-mapper", authorize_jwt, getProjectMapper);
+projectRouter.post("/:companyId/update-project-mapper", policy('projects', 'update'), updateMapper);
+projectRouter.get("/:companyId/get-project-mapper", policy('projects', 'read'), getProjectMapper);
 
 //download
-projectRouter.get("/download-project-report", authorize_jwt, getProjectReport);
-projectRouter.get("/download-technicalSummary-report", authorize_jwt, getTechnicalSummaryReport);
-projectRouter.get("/download-interactions-report", authorize_jwt, getInteractionsReport);
-projectRouter.get("/download-project-sample-sheet", authorize_jwt, sampleProjectSheet);
+projectRouter.get("/download-project-report", policy('projects', 'read'), getProjectReport);
+projectRouter.get("/download-technicalSummary-report", policy('projects', 'read'), getTechnicalSummaryReport);
+projectRouter.get("/download-interactions-report", policy('interactions', 'read'), getInteractionsReport);
+projectRouter.get("/download-project-sample-sheet", policy('projects', 'read'), sampleProjectSheet);
 
 //RnD history
-projectRouter.get("/getRnDHistory", authorize_jwt, getRnDHistory);
-projectRouter.get("/getRnDContentBySequence", authorize_jwt, getRnDContentBySequence);
+projectRouter.get("/getRnDHistory", policy('projects', 'read'), getRnDHistory);
+projectRouter.get("/getRnDContentBySequence", policy('projects', 'read'), getRnDContentBySequence);
 
 // ccmails
-projectRouter.get("/:projectId/ccmails", authorize_jwt, getCCEmails);
-projectRouter.put("/:projectId/update-ccmails", authorize_jwt, updateCCEmails);
+projectRouter.get("/:projectId/ccmails", policy('projects', 'read'), getCCEmails);
+projectRouter.put("/:projectId/update-ccmails", policy('projects', 'update'), updateCCEmails);
 
 module.exports = projectRouter;
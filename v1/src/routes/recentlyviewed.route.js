@@ -4,12 +4,12 @@ const {
     createRecentlyViewed,
     deleteRecentlyViewed
 } = require("../controllers/recentlyviewed.controller");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt");
+const { policy } = require("../middlewares/policy.middleware");
 
 const recentlyViewedRouter = Router();
 
-recentlyViewedRouter.get("/:user/get-recently-viewed",authorize_jwt, getRecentlyViewed);
-recentlyViewedRouter.post("/:user/create-recently-viewed",authorize_jwt, createRecentlyViewed);
-recentlyViewedRouter.delete("/:user/delete-recently-viewed/:rvId",authorize_jwt, deleteRecentlyViewed);
+recentlyViewedRouter.get("/:user/get-recently-viewed", policy.signedIn(), getRecentlyViewed);
+recentlyViewedRouter.post("/:user/create-recently-viewed", policy.signedIn(), createRecentlyViewed);
+recentlyViewedRouter.delete("/:user/delete-recently-viewed/:rvId", policy.signedIn(), deleteRecentlyViewed);
 
 module.exports = recentlyViewedRouter;
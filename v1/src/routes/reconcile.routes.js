@@ -2,16 +2,22 @@ const { Router } = require("express");
 const {
     getReconciliations,
     getReconciliationById,
-    reconcileHours
+    reconcileHours,
+    bulkReconcileHours,
+    reviewReconciliation,
+    getReconciliationRevisions
 } = require("../controllers/reconciliation.controller");
 
-const authorize = require("../middlewares/auth.middleware.js")
+const { policy } = require("../middlewares/policy.middleware.js");
 
 
 const reconcileRouter = Router();
 
-reconcileRouter.get("/:user/:company/get-reconciliations", authorize, getReconciliations);
-reconcileRouter.get("/:user/:company/:reconciliationId/get-overview", getReconciliationById);
-reconcileRouter.post("/:user/:company/:reconciliationId/reconcile-hours", reconcileHours);
+reconcileRouter.get("/:user/:company/get-reconciliations", policy('reconciliations', 'read'), getReconciliations);
+reconcileRouter.get("/:user/:company/:reconciliationId/get-overview", policy('reconciliations', 'read'), getReconciliationById);
+reconcileRouter.post("/:user/:company/:reconciliationId/reconcile-hours", policy('reconciliations', 'update'), reconcileHours);
+reconcileRouter.post("/:user/:company/bulk-reconcile-hours", policy('reconciliations', 'update'), bulkReconcileHours);
+reconcileRouter.post("/:user/:company/:reconciliationId/review", policy('reconciliations', 'update'), reviewReconciliation);
+reconcileRouter.get("/:user/:company/:reconciliationId/revisions", policy('reconciliations', 'read'), getReconciliationRevisions);
 
 module.exports = reconcileRouter;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const { Router } = require("express");
+const {
+    getMySessions,
+    signOutSession,
+    signOutOtherSessions,
+    getUserSessions,
+    forceLogoutUser
+} = require("../controllers/session.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+
+const sessionRouter = Router();
+
+//sessions of the signed in user
+sessionRouter.get("/:user/my-sessions", policy.signedIn(), getMySessions);
+sessionRouter.post("/:user/my-sessions/sign-out-others", policy.signedIn(), signOutOtherSessions);
+sessionRouter.delete("/:user/my-sessions/:sessionId", policy.signedIn(), signOutSession);
+
+//sessions of any user, for admins
+sessionRouter.get("/:user/users/:userId/sessions", policy('users', 'update'), getUserSessions);
+sessionRouter.post("/:user/users/:userId/force-logout", policy('users', 'update'), forceLogoutUser);
+
+module.exports = sessionRouter;
@@ -2,16 +2,30 @@ const { Router } = require("express");
 const {
     getUploadedSheets,
     getSheetFilterValues,
-
+    getSheetErrorReport,
+    resumeSheetImport,
+    suggestMapper,
+    acceptMapperSuggestions,
+    uploadWorkbook,
+    rollbackSheetUpload,
 } = require("../controllers/sheets.controller.js");
 
-const authorize = require("../middlewares/auth.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
+const upload = require("../middlewares/multer.middleware.js");
 const sheetsRouter = Router();
 
-sheetsRouter.get("/get-upload-sheets",authorize_jwt, getUploadedSheets);
+sheetsRouter.get("/get-upload-sheets", policy('sheets', 'read'), getUploadedSheets);
+
+sheetsRouter.get("/get-sheets-filter-values", policy('sheets', 'read'), getSheetFilterValues);
+
+sheetsRouter.get("/:sheetId/error-report", policy('sheets', 'read'), getSheetErrorReport);
+sheetsRouter.post("/:sheetId/resume", policy('sheets', 'create'), resumeSheetImport);
+sheetsRouter.post("/:sheetId/rollback", policy('sheets', 'delete'), rollbackSheetUpload);
+
+sheetsRouter.post("/:companyId/mapper-suggestions", policy('sheets', 'create'), upload.single("sheet"), policy.scopeBody(), suggestMapper);
+sheetsRouter.post("/:companyId/mapper-suggestions/accept", policy('sheets', 'update'), acceptMapperSuggestions);
 
-sheetsRouter.get("/get-sheets-filter-values", authorize_jwt, getSheetFilterValues);
+sheetsRouter.post("/:userId/:companyId/workbook-upload", policy('sheets', 'create'), upload.single("sheet"), policy.scopeBody(), uploadWorkbook);
 
 
 module.exports = sheetsRouter;
\ No newline at end of file
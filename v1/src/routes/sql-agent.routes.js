@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const AdvancedSqlAgent = require('../agents/advancedSqlAgent');
+const { policy } = require('../middlewares/policy.middleware');
 
 /**
  * Initialize SQL Agent instance
@@ -28,7 +29,7 @@ async function getSqlAgentInstance() {
  * @desc Health check for SQL agent
  * @access Public
  */
-router.get('/health', async (req, res) => {
+router.get('/health', policy.public("health check of the agent"), async (req, res) => {
     try {
         const sqlAgent = await getSqlAgentInstance();
         const healthStatus = await sqlAgent.healthCheck();
@@ -69,7 +70,7 @@ router.get('/health', async (req, res) => {
  *   includeQuery?: boolean
  * }
  */
-router.post('/query', async (req, res) => {
+router.post('/query', policy('projects', 'read'), async (req, res) => {
     try {
         const { question, useCache = true, includeQuery = false } = req.body;
         
@@ -145,7 +146,7 @@ router.post('/query', async (req, res) => {
  *   useCache?: boolean
  * }
  */
-router.post('/direct-sql', async (req, res) => {
+router.post('/direct-sql', policy('users', 'update'), async (req, res) => {
     try {
         const { query, useCache = false } = req.body;
         
@@ -221,7 +222,7 @@ router.post('/direct-sql', async (req, res) => {
  * @desc Get SQL agent analytics and performance metrics
  * @access Admin only
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', policy('users', 'update'), async (req, res) => {
     try {
         // Check if user is admin
         if (!req.user || !req.user.isAdmin) {
@@ -258,7 +259,7 @@ router.get('/analytics', async (req, res) => {
  * @desc Clear SQL agent query cache
  * @access Admin only
  */
-router.post('/clear-cache', async (req, res) => {
+router.post('/clear-cache', policy('users', 'update'), async (req, res) => {
     try {
         // Check if user is admin
         if (!req.user || !req.user.isAdmin) {
@@ -295,7 +296,7 @@ router.post('/clear-cache', async (req, res) => {
  * @desc Get available database tables and their schemas
  * @access Private
  */
-router.get('/tables', async (req, res) => {
+router.get('/tables', policy('projects', 'read'), async (req, res) => {
     try {
         const sqlAgent = await getSqlAgentInstance();
         const categories = sqlAgent.getCategoryMapping();
@@ -344,7 +345,7 @@ router.get('/tables', async (req, res) => {
  *   context?: Object
  * }
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', policy('projects', 'read'), async (req, res) => {
     try {
         const { message, conversationHistory = [], context = {} } = req.body;
         
@@ -0,0 +1,26 @@
+const { Router } = require("express");
+const {
+    getSurveyTemplates,
+    getSurveyTemplate,
+    createSurveyTemplate,
+    updateSurveyTemplate,
+    createSurveyTemplateVersion,
+    cloneSurveyTemplate,
+    publishSurveyTemplate,
+    retireSurveyTemplate
+} = require("../controllers/survey-template.controller.js");
+
+const { policy } = require("../middlewares/policy.middleware.js");
+
+const surveyTemplateRouter = Router();
+
+surveyTemplateRouter.get("/:user/:companyId/templates", policy('cases', 'read'), getSurveyTemplates);
+surveyTemplateRouter.post("/:user/:companyId/templates", policy('cases', 'create'), createSurveyTemplate);
+surveyTemplateRouter.get("/:user/:companyId/templates/:templateId", policy('cases', 'read'), getSurveyTemplate);
+surveyTemplateRouter.put("/:user/:companyId/templates/:templateId", policy('cases', 'update'), updateSurveyTemplate);
+surveyTemplateRouter.post("/:user/:companyId/templates/:templateId/versions", policy('cases', 'update'), createSurveyTemplateVersion);
+surveyTemplateRouter.post("/:user/:companyId/templates/:templateId/clone", policy('cases', 'create'), cloneSurveyTemplate);
+surveyTemplateRouter.post("/:user/:companyId/templates/:templateId/publish", policy('cases', 'update'), publishSurveyTemplate);
+surveyTemplateRouter.post("/:user/:companyId/templates/:templateId/retire", policy('cases', 'update'), retireSurveyTemplate);
+
+module.exports = surveyTemplateRouter;
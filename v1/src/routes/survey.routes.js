@@ -3,14 +3,21 @@ const {
   authenticateLinkAndSendOtp,
   verifyOtpAndGetSurveyData,
   saveAnswer,
+  getAnswerHistory,
+  restoreAnswer,
+  delegateSurvey,
   updateSurveyQuestions
 } = require("../controllers/survey.controller.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 const surveyRouter = Router();
 
-surveyRouter.get("/:encryption/authenticate", authenticateLinkAndSendOtp);
-surveyRouter.post("/:encryption/verifyotp", verifyOtpAndGetSurveyData);
-surveyRouter.post("/:encryption/save", saveAnswer);
+surveyRouter.get("/:encryption/authenticate", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), authenticateLinkAndSendOtp);
+surveyRouter.post("/:encryption/verifyotp", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), verifyOtpAndGetSurveyData);
+surveyRouter.post("/:encryption/save", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), saveAnswer);
+surveyRouter.post("/:encryption/answers/history", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), getAnswerHistory);
+surveyRouter.post("/:encryption/answers/restore", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), restoreAnswer);
+surveyRouter.post("/:encryption/delegate", policy.public("survey link, the SPOC signs in with the OTP mailed to them"), delegateSurvey);
 // surveyRouter.get("/update-survey-questions", updateSurveyQuestions);
 
 
@@ -8,59 +8,74 @@ const {
   triggerAi,
   getTimesheetFilterValues,
   getTimesheetTasksFilterValues,
-  getTasks
+  getTasks,
+  repriceTimesheet,
+  detectAnomalies
 } = require("../controllers/timesheet.controller.js");
 const upload = require("../middlewares/multer.middleware.js");
 
-const authorize = require("../middlewares/auth.middleware.js");
 const { validateTimesheet } = require("../middlewares/timesheet-validator.middleware.js");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt.js");
+const { policy } = require("../middlewares/policy.middleware.js");
 
 const timesheetRouter = Router();
 
-timesheetRouter.get("/get-timesheet-filter-values", authorize_jwt, getTimesheetFilterValues);
+timesheetRouter.get("/get-timesheet-filter-values", policy('timesheets', 'read'), getTimesheetFilterValues);
 
-timesheetRouter.get("/get-timesheettasks-filter-values", getTimesheetTasksFilterValues);
+timesheetRouter.get("/get-timesheettasks-filter-values", policy('timesheets', 'read'), getTimesheetTasksFilterValues);
 
-timesheetRouter.get("/get-tasks", getTasks);
+timesheetRouter.get("/get-tasks", policy('timesheets', 'read'), getTasks);
 
 timesheetRouter.post(
   "/:userId/:companyId/timesheet-upload",
+  policy('timesheets', 'create'),
   upload.single("timesheet"),
-  authorize_jwt,
+  policy.scopeBody(),
   validateTimesheet,
   uploadTimesheet
 );
 
 timesheetRouter.post(
   "/:userId/:companyId/check-timesheet-status",
-  authorize_jwt,
+  policy('timesheets', 'read'),
   checkToUpdate
 );
 
 
 timesheetRouter.get(
   "/:user/:companyId/timesheet-logs",
-  authorize_jwt,
+  policy('timesheets', 'read'),
   fetchTimesheetUploadLogs
 );
 
 timesheetRouter.get(
   "/:userId/:companyId/:timesheetId/get-timesheet-details",
-  authorize_jwt,
+  policy('timesheets', 'read'),
   fetchTimesheetDetails
 );
 
 timesheetRouter.post(
   "/:userId/:companyId/:timesheetId/timesheet-reupload",
-  authorize_jwt,
+  policy('timesheets', 'update'),
   upload.single("timesheet"),
+  policy.scopeBody(),
   reUploadTimesheet
 );
 
+timesheetRouter.post(
+  "/:userId/:companyId/:timesheetId/reprice",
+  policy('timesheets', 'update'),
+  repriceTimesheet
+);
+
+timesheetRouter.post(
+  "/:userId/:companyId/:timesheetId/detect-anomalies",
+  policy('timesheets', 'update'),
+  detectAnomalies
+);
+
 timesheetRouter.post(
   "/:timesheetId/trigger-ai",
-  authorize_jwt,
+  policy('timesheets', 'update'),
   triggerAi
 );
 
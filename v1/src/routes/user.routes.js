@@ -11,19 +11,18 @@ const {
 } = require("../controllers/user.controller");
 const user = require("../queries/user.queries");
 
-const authorize = require("../middlewares/auth.middleware");
-const { authorize_jwt } = require("../middlewares/auth.middleware_jwt");
+const { policy } = require("../middlewares/policy.middleware");
 
 const userRouter = Router();
 
-userRouter.get("/:user/:company/get-user-list", authorize_jwt, getUserList,);
-userRouter.get("/:user/:company/get-user-details", authorize_jwt, getUserDetails);
-userRouter.post("/:user/:company/create-user", authorize_jwt, createUser);
-userRouter.put("/:user/edit-user", authorize_jwt, editUser);
-userRouter.delete("/:user/:company/delete-user/:userId", authorize_jwt, deleteUser);
-userRouter.post("/:user/:company/create-role", authorize_jwt, createRole);
+userRouter.get("/:user/:company/get-user-list", policy('users', 'read'), getUserList);
+userRouter.get("/:user/:company/get-user-details", policy('users', 'read'), getUserDetails);
+userRouter.post("/:user/:company/create-user", policy('users', 'create'), createUser);
+userRouter.put("/:user/edit-user", policy('users', 'update'), editUser);
+userRouter.delete("/:user/:company/delete-user/:userId", policy('users', 'delete'), deleteUser);
+userRouter.post("/:user/:company/create-role", policy('users', 'create'), createRole);
 
-userRouter.get("/settings/get-features-and-permissions", authorize_jwt, getFeaturesAndPermissions);
-userRouter.get("/settings/get-roles-info", authorize_jwt, getRoleInformation);
+userRouter.get("/settings/get-features-and-permissions", policy('users', 'read'), getFeaturesAndPermissions);
+userRouter.get("/settings/get-roles-info", policy('users', 'read'), getRoleInformation);
 
 module.exports = userRouter;
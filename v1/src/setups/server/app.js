@@ -2,15 +2,7 @@ const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const helmet = require('helmet');
-const SESSION_CLEANUP_TIMEOUT = process.env.SESSION_CLEANUP_TIMEOUT || (60 * 24 * 7); // Default 7 days in minutes
-const SESSION_TIMEOUT = process.env.SESSION_TIMEOUT || 15; // Default 15 minutes
-// const passport = require('passport');
-// const fs = require('fs');
-// const path = require('path');
-
-// // Azure AD B2C configuration
-// const configPath = path.join(__dirname, 'config.json');
-// const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const { requestContext } = require('../../utils/requestContext');
 const app = express()
 
 app.use(cors({
@@ -22,6 +14,8 @@ app.use(express.json({ limit: "50mb" }))
 app.use(express.urlencoded({ extended: true, limit: "50mb" }))
 app.use(express.static("public"))
 app.use(cookieParser())
+// request id, actor ... of the request for the audit log
+app.use(requestContext)
 
 app.use(helmet());
 app.use((req, res, next) => {
@@ -57,65 +51,7 @@ app.use(
     })
 );
 
-// // Passport.js initialization
-// app.use(passport.initialize());
-// app.use(passport.session());
-
-// // Passport serialization
-// passport.serializeUser((user, done) => {
-//     done(null, user);
-// });
-
-// passport.deserializeUser((obj, done) => {
-//     done(null, obj);
-// });
-
-// // Azure AD B2C OIDC Strategy for Passport
-// passport.use(
-//     new OIDCStrategy(
-//         {
-//             identityMetadata: `https://${config.credentials.tenantName}.b2clogin.com/${config.credentials.tenantName}.onmicrosoft.com/v2.0/.well-known/openid-configuration?p=${config.policies.policySignUpSignIn}`,
-//             clientID: config.credentials.clientID,
-//             responseType: 'code id_token',
-//             responseMode: 'form_post',
-//             redirectUrl: 'http://localhost:3000/auth/callback', // Update with your callback URL
-//             allowHttpForRedirectUrl: true,
-//             clientSecret: config.credentials.clientSecret,
-//             validateIssuer: false,
-//             passReqToCallback: false,
-//             scope: ['openid', 'profile', 'email'],
-//         },
-//         (iss, sub, profile, accessToken, refreshToken, done) => {
-//             if (!profile) {
-//                 return done(new Error('No profile found'), null);
-//             }
-//             return done(null, profile); // Pass user profile to session
-//         }
-//     )
-// );
-
-// In-memory session storage
-//const sessions = {};
-
-// Function to clean up inactive sessions
-// const cleanupInactiveSessions = () => {
-//     const currentTime = Date.now();
-//     for (const userId in sessions) {
-//         const lastActivity = sessions[userId].lastActivity;
-//         const timeDiff = (currentTime - lastActivity) / (1000 * 60); // in minutes
-
-//         if (timeDiff > SESSION_TIMEOUT) {
-//             if (sessions[userId]) {
-//                 delete sessions[userId]; // Remove inactive sessions
-//             }
-//         }
-//     }
-// };
-// // Run cleanup every SESSION_CLEANUP_TIMEOUT interval (converted to milliseconds)
-
-// setInterval(cleanupInactiveSessions, SESSION_CLEANUP_TIMEOUT * 60 * 1000);
-
-
+// SSO sign in with the OpenID Connect provider of a company : routes/auth.routes /sso, utils/oidc
 
 // Routes import
 const authRouter = require('../../routes/auth.routes');
@@ -134,10 +70,17 @@ const recentlyViewedRouter = require('../../routes/recentlyviewed.route');
 const userRouter = require('../../routes/user.routes');
 const caseRouter = require('../../routes/case.routes');
 const surveyRouter = require('../../routes/survey.routes');
+const surveyTemplateRouter = require('../../routes/survey-template.routes');
 const assessmentRouter = require('../../routes/assessment.routes');
 const sheetsRouter = require('../../routes/sheets.routes');
 const projectSummaryRouter = require('../../routes/project-summary.routes');
 const sqlAgentRouter = require('../../routes/sql-agent.routes');
+const offlineSheetRouter = require('../../routes/offline-sheet.routes');
+const notificationRouter = require('../../routes/notification.routes');
+const mailTemplateRouter = require('../../routes/mail-template.routes');
+const sessionRouter = require('../../routes/session.routes');
+const auditRouter = require('../../routes/audit.routes');
+const { validateRoutePolicies } = require('../../middlewares/policy.middleware');
 // const advancedRAGChatRouter = require('../../routes/advanced-rag-chat.routes');
 
 // Initialize database connection
@@ -160,10 +103,19 @@ app.use("/api/v1/recently-viewed", recentlyViewedRouter);
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/case", caseRouter);
 app.use("/api/v1/survey", surveyRouter);
+app.use("/api/v1/survey-templates", surveyTemplateRouter);
 app.use("/api/v1/assessment", assessmentRouter);
+app.use("/api/v1/offline-sheets", offlineSheetRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/mail-templates", mailTemplateRouter);
+app.use("/api/v1/sessions", sessionRouter);
+app.use("/api/v1/audit", auditRouter);
 app.use("/api/v1/sheets", sheetsRouter);
 app.use("/api/v1/project-summary", projectSummaryRouter);
 app.use("/api/v1/sql-agent", sqlAgentRouter);
 // app.use("/api/v1/advanced-rag", advancedRAGChatRouter);
 
+// every route declares its access policy, refuse to start otherwise
+validateRoutePolicies(app);
+
 module.exports = { app }
@@ -0,0 +1,35 @@
+const { sameAnswer, staleAnswers } = require('../answerVersions');
+
+const current = {
+  q1: { version: 3, answer: 'Third draft', saveddate: '2024-05-01 10:00:00', modifiedby: 'external' },
+  q2: { version: null, answer: 'Saved before versioning', saveddate: null, modifiedby: 'external' },
+};
+
+describe('staleAnswers', () => {
+  it('accepts answers based on the current version', () => {
+    expect(staleAnswers([{ questionId: 'q1', answer: 'Fourth', version: 3 }, { questionId: 'q2', answer: 'New', version: 0 }], current)).toEqual([]);
+  });
+
+  it('accepts the first answer of a question nobody answered yet', () => {
+    expect(staleAnswers([{ questionId: 'q3', answer: 'First', version: 0 }], current)).toEqual([]);
+  });
+
+  it('returns the server text of answers saved on an older version', () => {
+    expect(staleAnswers([{ questionId: 'q1', answer: 'Second draft edited', version: '2' }], current)).toEqual([
+      { questionId: 'q1', version: 3, yourVersion: '2', answer: 'Third draft', lastSaved: '2024-05-01 10:00:00', savedBy: 'external' },
+    ]);
+    expect(staleAnswers([{ questionId: 'q3', answer: 'First', version: 1 }], current)).toHaveLength(1);
+  });
+
+  it('does not check saves without a version or with the same text', () => {
+    expect(staleAnswers([{ questionId: 'q1', answer: 'Anything' }, { questionId: 'q1', answer: 'Third draft', version: 1 }], current)).toEqual([]);
+  });
+});
+
+describe('sameAnswer', () => {
+  it('treats a missing answer as empty text', () => {
+    expect(sameAnswer(null, undefined)).toBe(true);
+    expect(sameAnswer('', null)).toBe(true);
+    expect(sameAnswer(' a', 'a')).toBe(false);
+  });
+});
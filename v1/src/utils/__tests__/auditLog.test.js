@@ -0,0 +1,170 @@
+jest.mock('../../queries/audit.queries', () => ({ createAuditEntry: jest.fn() }));
+
+const auditQueries = require('../../queries/audit.queries');
+const { auditChanges, auditModel, recordRead, REDACTED } = require('../auditLog');
+const { requestContext, currentContext, setContextUser, runWithContext } = require('../requestContext');
+
+//the hooks of a model, run like Sequelize does
+const fakeModel = () => {
+  const hooks = {};
+  return {
+    primaryKeyAttribute: 'id',
+    hooks,
+    addHook: (name, id, fn) => { hooks[name] = fn; },
+    run: async (name, ...args) => hooks[name](...args)
+  };
+};
+
+const fakeInstance = (previous, current) => ({
+  _previousDataValues: { ...previous },
+  dataValues: { ...current },
+  get(key, options) {
+    return typeof key === 'string' ? this.dataValues[key] : { ...this.dataValues };
+  }
+});
+
+const context = { requestId: 'req-12345678', method: 'PUT', path: '/api/v1/projects/p1', ipAddress: '10.0.0.1', userId: 'u1' };
+
+beforeEach(() => {
+  auditQueries.createAuditEntry.mockReset();
+  auditQueries.createAuditEntry.mockResolvedValue({});
+});
+
+describe('auditChanges', () => {
+  it('keeps the before and after of the changed fields', () => {
+    expect(auditChanges(
+      { projectName: 'Old', spocEmail: 'a@x.com', startDate: new Date('2024-01-01'), sysModTime: 1 },
+      { projectName: 'New', spocEmail: 'a@x.com', startDate: '2024-01-01T00:00:00.000Z', sysModTime: 2 }
+    )).toEqual({ projectName: { before: 'Old', after: 'New' } });
+  });
+
+  it('records a create and a delete as every field set or removed', () => {
+    expect(auditChanges({}, { id: 1, name: 'a', note: null })).toEqual({ id: { before: null, after: 1 }, name: { before: null, after: 'a' } });
+    expect(auditChanges({ id: 1 }, {})).toEqual({ id: { before: 1, after: null } });
+  });
+
+  it('never records the value of a secret', () => {
+    expect(auditChanges({ password: 'hash1', MFA_SECRET: null }, { password: 'hash2', MFA_SECRET: 'S3CR3T' })).toEqual({
+      password: { before: REDACTED, after: REDACTED },
+      MFA_SECRET: { before: REDACTED, after: REDACTED }
+    });
+  });
+});
+
+describe('auditModel', () => {
+  it('records an update with the actor and request of the context', async () => {
+    const model = fakeModel();
+    auditModel(model, { entity: 'project', idAttribute: 'projectId', companyAttribute: 'companyId' });
+    const instance = fakeInstance(
+      { projectId: 'p1', companyId: 'c1', projectName: 'Old' },
+      { projectId: 'p1', companyId: 'c1', projectName: 'New' }
+    );
+
+    await runWithContext(context, async () => {
+      await model.run('beforeUpdate', instance, {});
+      await model.run('afterUpdate', instance, {});
+    });
+
+    expect(auditQueries.createAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'update',
+      entity: 'project',
+      entityid: 'p1',
+      companyid: 'c1',
+      actorid: 'u1',
+      requestid: 'req-12345678',
+      path: '/api/v1/projects/p1',
+      changes: { projectName: { before: 'Old', after: 'New' } }
+    }), null);
+  });
+
+  it('does not record an update that changed nothing', async () => {
+    const model = fakeModel();
+    auditModel(model, { entity: 'project' });
+    const instance = fakeInstance({ id: 1, sysModTime: 1 }, { id: 1, sysModTime: 2 });
+
+    await model.run('afterUpdate', instance, {});
+
+    expect(auditQueries.createAuditEntry).not.toHaveBeenCalled();
+  });
+
+  it('records deletes in the transaction of the change', async () => {
+    const model = fakeModel();
+    const companyOf = jest.fn().mockResolvedValue('c9');
+    auditModel(model, { entity: 'contactsalary', companyOf });
+    const transaction = { id: 't1' };
+
+    await model.run('afterDestroy', fakeInstance({}, { id: 7, contactId: 'ct1', annualRate: 1000 }), { transaction });
+
+    expect(auditQueries.createAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'delete',
+      entityid: '7',
+      companyid: 'c9',
+      actorid: null,
+      changes: { id: { before: 7, after: null }, contactId: { before: 'ct1', after: null }, annualRate: { before: 1000, after: null } }
+    }), transaction);
+  });
+
+  it('runs bulk changes row by row so each row is recorded', async () => {
+    const model = fakeModel();
+    auditModel(model, { entity: 'project' });
+    const options = {};
+
+    await model.run('beforeBulkUpdate', options);
+
+    expect(options.individualHooks).toBe(true);
+  });
+
+  it('does not stop the change when the entry can not be written', async () => {
+    const model = fakeModel();
+    auditModel(model, { entity: 'project' });
+    auditQueries.createAuditEntry.mockRejectedValue(new Error('db down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(model.run('afterCreate', fakeInstance({}, { id: 1 }), {})).resolves.toBeUndefined();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('recordRead', () => {
+  it('records who read salaries', async () => {
+    await runWithContext(context, () => recordRead('contactsalary', 'ct1', 'c1', { query: { date: '2024-05-01' } }));
+
+    expect(auditQueries.createAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'read',
+      entity: 'contactsalary',
+      entityid: 'ct1',
+      companyid: 'c1',
+      actorid: 'u1',
+      details: { query: { date: '2024-05-01' } }
+    }), null);
+  });
+});
+
+describe('requestContext', () => {
+  const response = () => ({ headers: {}, setHeader(name, value) { this.headers[name] = value; } });
+
+  it('keeps the request id sent and makes the context reachable', () => {
+    const req = { headers: { 'x-request-id': 'trace-0001-abcd' }, method: 'GET', originalUrl: '/api/v1/audit/u1/audit-log?page=2', ip: '10.0.0.2' };
+    const res = response();
+    let seen = null;
+
+    requestContext(req, res, () => {
+      setContextUser('u1');
+      seen = currentContext();
+    });
+
+    expect(res.headers['X-Request-Id']).toBe('trace-0001-abcd');
+    expect(seen).toEqual({ requestId: 'trace-0001-abcd', method: 'GET', path: '/api/v1/audit/u1/audit-log', ipAddress: '10.0.0.2', userId: 'u1' });
+    expect(currentContext()).toBeNull();
+  });
+
+  it('replaces a request id that is not plain', () => {
+    const req = { headers: { 'x-request-id': 'bad id\n' }, method: 'GET', url: '/', ip: '10.0.0.2' };
+
+    requestContext(req, response(), () => {});
+
+    expect(req.requestId).not.toBe('bad id\n');
+    expect(req.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  delegationLinkText,
+  parseDelegationLink,
+  currentResponder,
+  isActiveLink,
+  forwardedLinkMessage,
+  checkDelegation,
+  delegationEntry,
+  previousResponders,
+} = require('../delegation');
+
+const original = { name: 'Ann', email: 'ann@client.com', url: 'https://link/original' };
+
+const forward = (chain, name, email, id) => [
+  ...chain,
+  delegationEntry(original, chain, { name, email }, id, `https://link/${id}`, null),
+];
+
+describe('delegation links', () => {
+  it('keeps the record id alone for the original link', () => {
+    expect(delegationLinkText('survey-1')).toBe('survey-1');
+    expect(parseDelegationLink('survey-1')).toEqual({ id: 'survey-1', delegationId: null });
+    expect(parseDelegationLink(delegationLinkText('survey-1', 'd-1'))).toEqual({ id: 'survey-1', delegationId: 'd-1' });
+  });
+
+  it('opens the form only from the newest link', () => {
+    const chain = forward(forward([], 'Bob', 'bob@client.com', 'd-1'), 'Cid', 'cid@client.com', 'd-2');
+    expect(isActiveLink([], null)).toBe(true);
+    expect(isActiveLink(chain, 'd-2')).toBe(true);
+    expect(isActiveLink(chain, 'd-1')).toBe(false);
+    expect(isActiveLink(chain, null)).toBe(false);
+    expect(forwardedLinkMessage(chain, null, 'survey')).toBe('This survey was forwarded to ci****@client.com, this link no longer opens it.');
+    expect(forwardedLinkMessage(JSON.stringify(chain), 'd-2', 'survey')).toBeNull();
+  });
+});
+
+describe('delegation chain', () => {
+  it('hands the form to the last delegate and remembers who held it', () => {
+    const chain = forward(forward([], 'Bob', 'bob@client.com', 'd-1'), 'Cid', 'cid@client.com', 'd-2');
+    expect(chain[1]).toMatchObject({ fromName: 'Bob', fromEmail: 'bob@client.com', toName: 'Cid', toEmail: 'cid@client.com' });
+    expect(currentResponder(original, chain)).toMatchObject({ name: 'Cid', email: 'cid@client.com', url: 'https://link/d-2', delegatedBy: 'Bob' });
+    expect(currentResponder(original, null)).toMatchObject({ name: 'Ann', url: 'https://link/original', delegationId: null });
+    expect(previousResponders(original, chain)).toEqual([{ name: 'Ann', email: 'ann@client.com' }, { name: 'Bob', email: 'bob@client.com' }]);
+  });
+
+  it('does not copy the SPOC the form came back to', () => {
+    const chain = forward(forward([], 'Bob', 'bob@client.com', 'd-1'), 'Ann', 'ANN@client.com', 'd-2');
+    expect(previousResponders(original, chain)).toEqual([{ name: 'Bob', email: 'bob@client.com' }]);
+  });
+
+  it('refuses delegations that can not be made', () => {
+    expect(checkDelegation(original, [], { name: '', email: 'bob@client.com' })).toMatch(/Name/);
+    expect(checkDelegation(original, [], { name: 'Bob', email: 'bob' })).toMatch(/valid email/);
+    expect(checkDelegation(original, [], { name: 'Ann', email: ' Ann@Client.com ' })).toMatch(/already assigned/);
+    let chain = [];
+    for (let index = 0; index < 5; index++) {
+      chain = forward(chain, `Delegate ${index}`, `delegate${index}@client.com`, `d-${index}`);
+    }
+    expect(checkDelegation(original, chain, { name: 'Bob', email: 'bob@client.com' })).toMatch(/at most 5 times/);
+    expect(checkDelegation(original, [], { name: 'Bob', email: 'bob@client.com' })).toBeNull();
+  });
+});
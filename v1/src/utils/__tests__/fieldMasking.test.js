@@ -0,0 +1,141 @@
+jest.mock('../../queries/auth.queries', () => ({ getRolePermissions: jest.fn() }));
+jest.mock('../../queries/tenant.queries', () => ({ getRecordCompanies: jest.fn() }));
+jest.mock('../../middlewares/auth.middleware_jwt', () => ({
+  authorize_jwt: (req, res, next) => {
+    req.userProfile = { userId: 'u1', roleId: 2 };
+    next();
+  }
+}));
+
+const { Router } = require('express');
+const express = require('express');
+const authQueries = require('../../queries/auth.queries');
+const { maskFields, maskResponseFields } = require('../fieldMasking');
+const { policy, routesWithoutPolicy, validateRoutePolicies } = require('../../middlewares/policy.middleware');
+const { SALARY_FIELDS } = require('../../constants');
+
+const response = () => {
+  const res = { body: null, statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+//runs the middlewares of a route like express does, until one of them answers
+const run = async (handlers, req, res) => {
+  for (const handler of handlers) {
+    let called = false;
+    await handler(req, res, () => { called = true; });
+    if (!called) {
+      return false;
+    }
+  }
+  return true;
+};
+
+describe('maskFields', () => {
+  it('nulls the fields in nested objects and arrays, without case', () => {
+    const body = {
+      data: {
+        contact: { firstName: 'Ada', annualSalary: 120000, hourlyrate: 60 },
+        projects: [{ projectName: 'P1', HourlyRate: 55, tasks: [{ taskHourlyRate: 40, hours: 3 }] }]
+      }
+    };
+
+    expect(maskFields(body, SALARY_FIELDS)).toEqual({
+      data: {
+        contact: { firstName: 'Ada', annualSalary: null, hourlyrate: null },
+        projects: [{ projectName: 'P1', HourlyRate: null, tasks: [{ taskHourlyRate: null, hours: 3 }] }]
+      }
+    });
+  });
+
+  it('serializes models and keeps dates', () => {
+    const model = { toJSON: () => ({ salary: 10, startDate: new Date('2024-01-01T00:00:00Z') }) };
+
+    expect(maskFields([model], ['salary'])).toEqual([{ salary: null, startDate: new Date('2024-01-01T00:00:00Z') }]);
+  });
+
+  it('masks what the response is sent with', () => {
+    const res = response();
+    maskResponseFields(res, ['wage']);
+
+    res.json({ rows: [{ wage: 12, name: 'a' }] });
+
+    expect(res.body).toEqual({ rows: [{ wage: null, name: 'a' }] });
+  });
+});
+
+describe('policy', () => {
+  it('lets the request through when the role has the permission', async () => {
+    authQueries.getRolePermissions.mockResolvedValue(['contacts:read']);
+    const res = response();
+
+    expect(await run(policy('contacts', 'read'), {}, res)).toBe(true);
+  });
+
+  it('refuses the request when the role does not have the permission', async () => {
+    authQueries.getRolePermissions.mockResolvedValue(['contacts:read']);
+    const res = response();
+
+    expect(await run(policy('contacts', 'delete'), {}, res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('masks salary fields for roles that can not read contactsalary', async () => {
+    authQueries.getRolePermissions.mockResolvedValue(['contacts:read']);
+    const res = response();
+
+    await run(policy('contacts', 'read'), {}, res);
+    res.json({ data: [{ name: 'a', salary: 1000 }] });
+
+    expect(res.body).toEqual({ data: [{ name: 'a', salary: null }] });
+  });
+
+  it('keeps salary fields for roles that can read contactsalary', async () => {
+    authQueries.getRolePermissions.mockResolvedValue(['contacts:read', 'contactsalary:read']);
+    const res = response();
+
+    await run(policy.signedIn(), {}, res);
+    res.json({ data: [{ name: 'a', salary: 1000 }] });
+
+    expect(res.body).toEqual({ data: [{ name: 'a', salary: 1000 }] });
+  });
+
+  it('does not accept unknown features or public routes without reason', () => {
+    expect(() => policy('contact', 'read')).toThrow();
+    expect(() => policy('contacts', 'write')).toThrow();
+    expect(() => policy.public('')).toThrow();
+  });
+});
+
+describe('routesWithoutPolicy', () => {
+  it('lists the routes of nested routers without policy', () => {
+    const app = express();
+    const contacts = Router();
+    contacts.get('/:user/get-contacts', policy('contacts', 'read'), (req, res) => res.end());
+    contacts.post('/update-spoc', (req, res) => res.end());
+    const nested = Router();
+    nested.delete('/:noteId', (req, res) => res.end());
+    contacts.use('/notes', nested);
+    app.use('/api/v1/contacts', contacts);
+    app.post('/api/v1/auth/login', policy.public('sign in'), (req, res) => res.end());
+
+    expect(routesWithoutPolicy(app._router.stack)).toEqual([
+      'POST /api/v1/contacts/update-spoc',
+      'DELETE /api/v1/contacts/notes/:noteId'
+    ]);
+    expect(() => validateRoutePolicies(app)).toThrow(/update-spoc/);
+  });
+
+  it('counts a policy of the router for the routes after it', () => {
+    const app = express();
+    const router = Router();
+    router.get('/open', (req, res) => res.end());
+    router.use(policy.signedIn());
+    router.get('/mine', (req, res) => res.end());
+    app.use('/api/v1/home', router);
+
+    expect(routesWithoutPolicy(app._router.stack)).toEqual(['GET /api/v1/home/open']);
+  });
+});
@@ -0,0 +1,38 @@
+process.env.ACCESS_TOKEN_SECRET = 'access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'refresh-secret';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+const jsonwebtoken = require('jsonwebtoken');
+const { encryptText } = require('../crypto');
+const { generateAccessToken, generateRefreshToken, verifyAccessToken, verifyRefreshToken, accessTokenSessionId } = require('../jwt');
+
+describe('access tokens', () => {
+  it('carry the user and the session', () => {
+    const token = generateAccessToken(encryptText('u1'), 'user@client.com', 's1');
+
+    expect(verifyAccessToken(token)).toBe('u1');
+    expect(accessTokenSessionId(token)).toBe('s1');
+  });
+
+  it('throw for a token signed with another secret', () => {
+    const token = jsonwebtoken.sign({ id: encryptText('u1') }, 'other-secret');
+
+    expect(() => verifyAccessToken(token)).toThrow();
+  });
+});
+
+describe('refresh tokens', () => {
+  it('are verified with the refresh secret', async () => {
+    const token = generateRefreshToken(encryptText('u1'), 'user@client.com', 's1', 't1');
+
+    await expect(verifyRefreshToken(token)).resolves.toEqual({ userId: 'u1', email: 'user@client.com', sessionId: 's1', tokenId: 't1' });
+  });
+
+  it('are not accepted as access tokens', async () => {
+    const refreshToken = generateRefreshToken(encryptText('u1'), 'user@client.com', 's1', 't1');
+    const accessToken = generateAccessToken(encryptText('u1'), 'user@client.com', 's1');
+
+    expect(() => verifyAccessToken(refreshToken)).toThrow();
+    await expect(verifyRefreshToken(accessToken)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../queries/notification.queries', () => ({
+  queueMessage: jest.fn(),
+  claimMessage: jest.fn(),
+  markSent: jest.fn(),
+  markAttemptFailed: jest.fn(),
+  getDueMessages: jest.fn(),
+}));
+jest.mock('../mailTransports', () => ({
+  createTransport: jest.fn(),
+}));
+
+const notificationQueries = require('../../queries/notification.queries');
+const { createTransport } = require('../mailTransports');
+const { createFileTransport } = jest.requireActual('../mailTransports');
+
+const transport = { name: 'test', send: jest.fn() };
+createTransport.mockReturnValue(transport);
+
+const { nextAttemptTime, queueMail, deliverQueuedMails } = require('../mailQueue');
+
+const now = new Date('2024-05-01T10:00:00Z');
+const row = (values) => ({ id: 'm1', status: 'queued', attempts: 0, torecipients: ['spoc@client.com'], ccrecipients: [], subject: 'Survey', body: '<p>Hi</p>', attachments: [], ...values });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  notificationQueries.queueMessage.mockImplementation(async (transportName, message) => row({ torecipients: message.to, ccrecipients: message.cc }));
+  notificationQueries.claimMessage.mockResolvedValue(true);
+});
+
+describe('nextAttemptTime', () => {
+  it('doubles the delay after each failed attempt', () => {
+    expect(nextAttemptTime(1, now, 6)).toEqual(new Date('2024-05-01T10:01:00Z'));
+    expect(nextAttemptTime(2, now, 6)).toEqual(new Date('2024-05-01T10:02:00Z'));
+    expect(nextAttemptTime(4, now, 6)).toEqual(new Date('2024-05-01T10:08:00Z'));
+  });
+
+  it('waits at most 6 hours', () => {
+    expect(nextAttemptTime(20, now, 30)).toEqual(new Date('2024-05-01T16:00:00Z'));
+  });
+
+  it('gives up once the attempts are used', () => {
+    expect(nextAttemptTime(6, now, 6)).toBeNull();
+  });
+});
+
+describe('queueMail', () => {
+  it('stores the mail and sends it right away', async () => {
+    transport.send.mockResolvedValue('ref-1');
+
+    const result = await queueMail({ to: ['spoc@client.com', ''], cc: [null, 'cc@client.com'], subject: 'Survey', html: '<p>Hi</p>' }, { feature: 'SURVEY', purpose: 'SEND' });
+
+    expect(result).toEqual({ id: 'm1', status: 'sent' });
+    expect(notificationQueries.queueMessage).toHaveBeenCalledWith('test', expect.objectContaining({ to: ['spoc@client.com'], cc: ['cc@client.com'] }), { feature: 'SURVEY', purpose: 'SEND' });
+    expect(notificationQueries.markSent).toHaveBeenCalledWith('m1', 1, 'ref-1');
+  });
+
+  it('keeps a refused mail queued for a retry instead of throwing', async () => {
+    transport.send.mockRejectedValue(new Error('server down'));
+
+    const result = await queueMail({ to: ['spoc@client.com'], subject: 'Survey', html: '<p>Hi</p>' });
+
+    expect(result).toEqual({ id: 'm1', status: 'queued' });
+    expect(notificationQueries.markAttemptFailed).toHaveBeenCalledWith('m1', 1, 'server down', expect.any(Date));
+  });
+
+  it('rejects a mail without recipient', async () => {
+    await expect(queueMail({ to: [null], subject: 'Survey', html: '' })).rejects.toThrow('Mail has no recipient.');
+    expect(notificationQueries.queueMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('deliverQueuedMails', () => {
+  it('marks a mail failed on its last attempt', async () => {
+    notificationQueries.getDueMessages.mockResolvedValue([row({ id: 'm2', attempts: 5 })]);
+    transport.send.mockRejectedValue(new Error('mailbox full'));
+
+    expect(await deliverQueuedMails(now)).toEqual({ sent: 0, failed: 1 });
+    expect(notificationQueries.markAttemptFailed).toHaveBeenCalledWith('m2', 6, 'mailbox full', null);
+  });
+
+  it('skips mails claimed by another run', async () => {
+    notificationQueries.getDueMessages.mockResolvedValue([row({ id: 'm3' })]);
+    notificationQueries.claimMessage.mockResolvedValue(false);
+
+    expect(await deliverQueuedMails(now)).toEqual({ sent: 0, failed: 0 });
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('file transport', () => {
+  it('writes one json file per mail', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mails-'));
+    const message = { to: ['spoc@client.com'], cc: [], subject: 'OTP for Survey', html: '<p>1234</p>', attachments: [] };
+
+    const filePath = await createFileTransport(directory).send(message);
+
+    expect(path.dirname(filePath)).toBe(directory);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(message);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  languageChain,
+  pickTemplate,
+  fillTemplate,
+  unknownVariables,
+  applyBranding,
+  renderTemplate,
+  mailBranding,
+  previewValues,
+} = require('../mailTemplates');
+
+const row = (companyid, language, subject) => ({ companyid, feature: 'SURVEY', purpose: 'OTP', language, subject, body: `<p>${subject}</p>` });
+
+describe('languageChain', () => {
+  it('falls back from the region to the language to the default', () => {
+    expect(languageChain('fr-CA')).toEqual(['fr-CA', 'fr', 'en']);
+    expect(languageChain('en')).toEqual(['en']);
+  });
+
+  it('ignores an invalid language', () => {
+    expect(languageChain('french')).toEqual(['en']);
+    expect(languageChain(null)).toEqual(['en']);
+  });
+});
+
+describe('pickTemplate', () => {
+  it('prefers the company override, then the platform one, then the default', () => {
+    const overrides = [row('ALL', 'en', 'platform'), row('c1', 'en', 'company')];
+
+    expect(pickTemplate(overrides, 'c1', 'en', 'SURVEY', 'OTP')).toMatchObject({ subject: 'company', source: 'company' });
+    expect(pickTemplate(overrides, 'c2', 'en', 'SURVEY', 'OTP')).toMatchObject({ subject: 'platform', source: 'platform' });
+    expect(pickTemplate([], 'c2', 'en', 'SURVEY', 'OTP')).toMatchObject({ source: 'default', language: 'en' });
+  });
+
+  it('takes a platform text in the language before a company text in the default language', () => {
+    const overrides = [row('c1', 'en', 'company english'), row('ALL', 'fr', 'plateforme')];
+
+    expect(pickTemplate(overrides, 'c1', 'fr-CA', 'SURVEY', 'OTP')).toMatchObject({ subject: 'plateforme', language: 'fr', source: 'platform' });
+  });
+
+  it('treats overrides saved without a language as the default language', () => {
+    expect(pickTemplate([row('c1', null, 'legacy')], 'c1', 'de', 'SURVEY', 'OTP')).toMatchObject({ subject: 'legacy', language: 'en', source: 'company' });
+  });
+
+  it('returns null for an unknown template', () => {
+    expect(pickTemplate([], 'c1', 'en', 'SURVEY', 'UNKNOWN')).toBeNull();
+  });
+});
+
+describe('fillTemplate', () => {
+  it('escapes values except the html variables', () => {
+    const text = '${name} ${table}';
+    const values = { name: '<b>Tom & Jerry</b>', table: '<table></table>' };
+
+    expect(fillTemplate(text, values, ['table'])).toBe('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt; <table></table>');
+  });
+
+  it('leaves missing values empty', () => {
+    expect(fillTemplate('Dear ${name},', {})).toBe('Dear ,');
+  });
+});
+
+describe('unknownVariables', () => {
+  it('lists the variables the template does not have', () => {
+    expect(unknownVariables('SURVEY', 'OTP', 'OTP ${otp} for ${projectName}', '${signature} ${salary}')).toEqual(['salary']);
+  });
+});
+
+describe('applyBranding', () => {
+  it('adds the logo and footer and colors the links', () => {
+    const html = applyBranding('<html><body><a href="x">link</a></body></html>', { logoUrl: 'https://cdn/logo.png', primaryColor: '#112233', footer: 'Acme Inc.' });
+
+    expect(html).toMatch(/^<html><body><div[^>]*><img src="https:\/\/cdn\/logo.png"/);
+    expect(html).toContain('<a style="color: #112233;" href="x">');
+    expect(html).toMatch(/Acme Inc.<\/div><\/body><\/html>$/);
+  });
+
+  it('reads the company branding with the defaults', () => {
+    expect(mailBranding({ mailPrimaryColor: 'red', mailFooter: 'Acme' })).toMatchObject({ primaryColor: null, footer: 'Acme', logoUrl: null });
+  });
+});
+
+describe('renderTemplate', () => {
+  it('renders a default template with the company signature', () => {
+    const template = pickTemplate([], 'c1', 'en', 'SURVEY', 'SEND');
+    const values = previewValues('SURVEY', 'SEND', { projectName: 'R&D <Lab>' });
+
+    const { subject, html } = renderTemplate(template, 'SURVEY', 'SEND', values, mailBranding({ mailSignature: 'Acme <i>Tax</i>' }));
+
+    expect(subject).toBe('R&D Credits Claims Survey for Sample Account || PRJ-0001 || R&D <Lab>');
+    expect(html).toContain('https://example.com/link');
+    expect(html).toContain('R&amp;D &lt;Lab&gt;');
+    expect(html).toContain('Acme <i>Tax</i>');
+  });
+});
@@ -0,0 +1,58 @@
+const {
+  normalizeHeader,
+  headerSimilarity,
+  buildMapperCandidates,
+  suggestMapping,
+} = require('../mapperSuggestions');
+
+describe('normalizeHeader', () => {
+  it('ignores case, spaces and punctuation', () => {
+    expect(normalizeHeader(' Project-ID ')).toBe('projectid');
+    expect(normalizeHeader('R&D Credits')).toBe('randdcredits');
+  });
+});
+
+describe('headerSimilarity', () => {
+  it('scores typos and abbreviations high', () => {
+    expect(headerSimilarity('Projct Name', 'Project Name')).toBeGreaterThan(0.8);
+    expect(headerSimilarity('Emp ID', 'Employee ID')).toBe(1);
+  });
+
+  it('scores unrelated headers low', () => {
+    expect(headerSimilarity('Hourly Rate', 'Project Name')).toBeLessThan(0.6);
+  });
+});
+
+describe('suggestMapping', () => {
+  const mapper = [
+    { columnName: 'employeeId', sheetColumnName: 'Employee ID', status: 'mandatory' },
+    { columnName: 'hourlyRate', sheetColumnName: 'Hourly Rate', status: 'mandatory' },
+    { columnName: 'startDate', sheetColumnName: 'Start Date', status: 'mandatory' },
+    { columnName: 'extras', sheetColumnName: 'extras', status: 'active' },
+  ];
+  const candidates = buildMapperCandidates('payroll', mapper);
+
+  it('proposes exact, normalized and fuzzy matches with confidence', () => {
+    const { proposals, unmatchedHeaders, missingMandatory } = suggestMapping(
+      ['Employee ID', 'hourly_rate', 'Strat Date', 'Comments'],
+      candidates
+    );
+    expect(proposals.map(({ sheetColumnName, columnName, source }) => [sheetColumnName, columnName, source])).toEqual([
+      ['Employee ID', 'employeeId', 'mapper'],
+      ['hourly_rate', 'hourlyRate', 'normalized'],
+      ['Strat Date', 'startDate', 'fuzzy'],
+    ]);
+    expect(proposals[0].confidence).toBe(1);
+    expect(proposals[2].confidence).toBeLessThan(0.9);
+    expect(unmatchedHeaders).toEqual(['Comments']);
+    expect(missingMandatory).toEqual([]);
+  });
+
+  it('uses previously accepted mappings and never proposes an attribute twice', () => {
+    const history = [{ sheetColumnName: 'Pay / Hr', columnName: 'hourlyRate', acceptedCount: 2, ownCompany: true }];
+    const { proposals, missingMandatory } = suggestMapping(['Pay / Hr', 'Rate Per Hour'], candidates, history);
+    expect(proposals[0]).toMatchObject({ columnName: 'hourlyRate', source: 'history', confidence: 0.97 });
+    expect(proposals.filter(proposal => proposal.columnName === 'hourlyRate')).toHaveLength(1);
+    expect(missingMandatory).toEqual(['employeeId', 'startDate']);
+  });
+});
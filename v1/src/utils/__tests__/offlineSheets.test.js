@@ -0,0 +1,90 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const { createOfflineWorkbook, readOfflineWorkbook, mergeOfflineAnswers, answerFingerprint } = require('../offlineSheets');
+
+process.env.OFFLINE_SHEET_SECRET = 'test-secret';
+
+const filePath = path.join(os.tmpdir(), `offline-sheet-${process.pid}.xlsx`);
+
+const sheet = {
+  kind: 'survey',
+  id: 'survey-1',
+  companyId: 'company-1',
+  templateId: 'template-1',
+  templateVersion: 2,
+  title: 'Survey Data',
+  details: [['Project ID', 'P-1']],
+  questions: [
+    { questionId: 'q1', question: 'What was built?', answer: 'A parser' },
+    { questionId: 'q2', question: 'Hours spent?', answer: null },
+  ],
+};
+
+//answer a cell of the exported sheet like a SPOC would
+async function answer(cells, metaValue) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  for (const [address, value] of Object.entries(cells)) {
+    workbook.getWorksheet('Survey Data').getCell(address).value = value;
+  }
+  if (metaValue) {
+    workbook.getWorksheet('_metadata').getCell('A1').value = metaValue;
+  }
+  await workbook.xlsx.writeFile(filePath);
+}
+
+afterEach(() => fs.existsSync(filePath) && fs.unlinkSync(filePath));
+
+describe('offline workbooks', () => {
+  it('reads back the answers of the rows it wrote', async () => {
+    await createOfflineWorkbook(sheet, filePath);
+    await answer({ B4: 120 });
+
+    const { metadata, answers, error } = await readOfflineWorkbook(filePath);
+    expect(error).toBeUndefined();
+    expect(metadata).toMatchObject({ id: 'survey-1', templateVersion: 2, firstRow: 3, questionIds: ['q1', 'q2'] });
+    expect(answers).toEqual([{ questionId: 'q1', answer: 'A parser' }, { questionId: 'q2', answer: '120' }]);
+  });
+
+  it('refuses changed metadata', async () => {
+    await createOfflineWorkbook(sheet, filePath);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const tampered = workbook.getWorksheet('_metadata').getCell('A1').value.replace('survey-1', 'survey-2');
+    await answer({}, tampered);
+
+    expect((await readOfflineWorkbook(filePath)).error).toMatch(/metadata of the workbook was changed/);
+  });
+});
+
+describe('mergeOfflineAnswers', () => {
+  const metadata = { questionIds: ['q1', 'q2', 'q3', 'q4'], baseline: ['a', 'b', '', 'd'].map(answerFingerprint) };
+  const online = [
+    { questionId: 'q1', sequence: 1, answer: 'a' },
+    { questionId: 'q2', sequence: 2, answer: 'b changed online' },
+    { questionId: 'q3', sequence: 3, answer: 'c online' },
+    { questionId: 'q4', sequence: 4, answer: 'd' },
+  ];
+  const sheetAnswers = [
+    { questionId: 'q1', answer: 'a from sheet' },
+    { questionId: 'q2', answer: 'b' },
+    { questionId: 'q3', answer: 'c from sheet' },
+    { questionId: 'q4', answer: ' d ' },
+  ];
+
+  it('applies sheet changes, keeps online changes and reports conflicts', () => {
+    const { updates, report } = mergeOfflineAnswers(online, metadata, sheetAnswers);
+    expect(report.map(entry => entry.outcome)).toEqual(['updated', 'kept', 'conflict', 'unchanged']);
+    expect(report[2]).toMatchObject({ sheetAnswer: 'c from sheet', onlineAnswer: 'c online', resolution: 'online' });
+    expect(updates).toEqual([{ questionId: 'q1', answer: 'a from sheet' }]);
+  });
+
+  it('lets the sheet win conflicts and refuses invalid answers', () => {
+    const check = (question, value) => question.questionId == 'q1' ? 'Answer must be a number.' : null;
+    const { updates, report } = mergeOfflineAnswers(online, metadata, sheetAnswers, 'sheet', check);
+    expect(report.map(entry => entry.outcome)).toEqual(['invalid', 'kept', 'conflict', 'unchanged']);
+    expect(updates).toEqual([{ questionId: 'q3', answer: 'c from sheet' }]);
+  });
+});
@@ -0,0 +1,392 @@
+process.env.ACCESS_TOKEN_SECRET = 'access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'refresh-secret';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+process.env.SSO_LOGIN_REDIRECT_URL = 'https://app.test/login';
+
+jest.mock('../../queries/sso.queries', () => ({
+  getIdentityProvider: jest.fn(),
+  getEnabledIdentityProviders: jest.fn(),
+  saveIdentityProvider: jest.fn(),
+  isAssignableRole: jest.fn(),
+  getUserByEmail: jest.fn(),
+  provisionUser: jest.fn()
+}));
+jest.mock('../sessionService', () => ({ startSession: jest.fn() }));
+
+const dns = require('dns');
+const axios = require('axios');
+const jsonwebtoken = require('jsonwebtoken');
+const ssoQueries = require('../../queries/sso.queries');
+const sessionService = require('../sessionService');
+const { encryptText } = require('../crypto');
+const { startMockOidcProvider } = require('../mockOidcProvider');
+const {
+  emailDomain,
+  parseDomains,
+  providerForDomain,
+  verifyDomain,
+  discover,
+  createPkce,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  profileOf,
+  clearOidcCache
+} = require('../oidc');
+const { discoverSso, startSso, ssoCallback, updateIdentityProvider, verifyIdentityProviderDomains } = require('../../controllers/sso.controller');
+
+let mock;
+let provider;
+
+beforeAll(async () => {
+  mock = await startMockOidcProvider({
+    clientId: 'certainti',
+    clientSecret: 's3cret',
+    users: {
+      'ann.lee@client.com': {},
+      'unverified@client.com': { email_verified: false },
+      'bob@other.com': {}
+    }
+  });
+  provider = {
+    id: 'idp1',
+    companyid: 'c1',
+    name: 'Client SSO',
+    issuer: mock.issuer,
+    clientid: 'certainti',
+    clientsecret: encryptText('s3cret'),
+    domains: ['client.com'],
+    verifieddomains: ['client.com'],
+    verificationtoken: 'token-1',
+    defaultroleid: 'R00000002',
+    modifiedby: 'admin1',
+    enabled: true
+  };
+});
+
+afterAll(() => mock.stop());
+
+beforeEach(() => {
+  clearOidcCache();
+  jest.clearAllMocks();
+});
+
+//the provider's answer to the authorization request, the browser would follow it to the callback
+const authorize = async (url) => {
+  const response = await axios.get(url, { maxRedirects: 0, validateStatus: () => true });
+  return new URL(response.headers.location);
+};
+
+//code of a sign in at the mock provider
+const signIn = async (email, nonce = 'nonce-1') => {
+  const config = await discover(mock.issuer);
+  const { codeVerifier, codeChallenge } = createPkce();
+  const back = await authorize(authorizationUrl(config, provider, {
+    redirectUri: 'https://api.test/cb', state: 'state-1', nonce, codeChallenge, loginHint: email
+  }));
+  return { config, codeVerifier, code: back.searchParams.get('code'), back };
+};
+
+describe('identity provider of an email', () => {
+  it('reads the domains of the settings', () => {
+    expect(parseDomains('Client.com, client.ca ,client.com')).toEqual(['client.com', 'client.ca']);
+    expect(parseDomains(['client.com'])).toEqual(['client.com']);
+    expect(parseDomains('client')).toBeNull();
+    expect(parseDomains('')).toBeNull();
+  });
+
+  it('finds the enabled provider of the domain', () => {
+    const providers = [
+      { id: 'a', enabled: false, domains: ['client.com'], verifieddomains: ['client.com'] },
+      { id: 'b', enabled: true, domains: '["client.com"]', verifieddomains: '["client.com"]' }
+    ];
+
+    expect(emailDomain('Ann@Client.com')).toBe('client.com');
+    expect(providerForDomain(providers, 'client.com').id).toBe('b');
+    expect(providerForDomain(providers, 'other.com')).toBeNull();
+    expect(providerForDomain(providers, null)).toBeNull();
+  });
+
+  it('only finds a provider for the domains it verified', () => {
+    const providers = [{ id: 'a', enabled: true, domains: ['client.com', 'bank.com'], verifieddomains: ['client.com'] }];
+
+    expect(providerForDomain(providers, 'bank.com')).toBeNull();
+    expect(() => profileOf(providers[0], { sub: 's', email: 'ann@bank.com' })).toThrow(expect.objectContaining({ reason: 'domain_not_allowed' }));
+  });
+
+  it('verifies a domain with the TXT record of the provider', async () => {
+    const resolveTxt = jest.spyOn(dns.promises, 'resolveTxt').mockImplementation(async (name) => {
+      if (name == '_certainti-sso.client.com') {
+        return [['v=spf1 -all'], ['certainti-sso-verification=', 'token-1']];
+      }
+      throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+    });
+
+    expect(await verifyDomain(provider, 'client.com')).toBe(true);
+    expect(await verifyDomain({ ...provider, verificationtoken: 'token-2' }, 'client.com')).toBe(false);
+    expect(await verifyDomain(provider, 'bank.com')).toBe(false);
+    resolveTxt.mockRestore();
+  });
+});
+
+describe('authorization code flow against the mock provider', () => {
+  it('signs in with a verified id token', async () => {
+    const { config, code, codeVerifier, back } = await signIn('ann.lee@client.com');
+    expect(back.searchParams.get('state')).toBe('state-1');
+
+    const tokens = await exchangeCode(config, provider, 's3cret', { code, codeVerifier, redirectUri: 'https://api.test/cb' });
+    const claims = await verifyIdToken(config, provider, tokens.id_token, 'nonce-1');
+
+    expect(claims.iss).toBe(mock.issuer);
+    expect(claims.aud).toBe('certainti');
+    expect(profileOf(provider, claims)).toEqual(expect.objectContaining({ email: 'ann.lee@client.com', firstName: 'ann', lastName: 'lee' }));
+  });
+
+  it('refuses a code used twice or without its PKCE verifier', async () => {
+    const first = await signIn('ann.lee@client.com');
+    await exchangeCode(first.config, provider, 's3cret', { code: first.code, codeVerifier: first.codeVerifier, redirectUri: 'https://api.test/cb' });
+    await expect(exchangeCode(first.config, provider, 's3cret', { code: first.code, codeVerifier: first.codeVerifier, redirectUri: 'https://api.test/cb' }))
+      .rejects.toMatchObject({ reason: 'token_exchange_failed' });
+
+    const second = await signIn('ann.lee@client.com');
+    await expect(exchangeCode(second.config, provider, 's3cret', { code: second.code, codeVerifier: createPkce().codeVerifier, redirectUri: 'https://api.test/cb' }))
+      .rejects.toMatchObject({ reason: 'token_exchange_failed' });
+  });
+
+  it('refuses an id token of another sign in, another client or not signed by the provider', async () => {
+    const { config, code, codeVerifier } = await signIn('ann.lee@client.com');
+    const { id_token } = await exchangeCode(config, provider, 's3cret', { code, codeVerifier, redirectUri: 'https://api.test/cb' });
+    const [header, payload] = id_token.split('.');
+    const forged = jsonwebtoken.sign(jsonwebtoken.decode(id_token), 'shared-secret');
+
+    await expect(verifyIdToken(config, provider, id_token, 'nonce-2')).rejects.toMatchObject({ reason: 'invalid_token' });
+    await expect(verifyIdToken(config, { ...provider, clientid: 'other-app' }, id_token, 'nonce-1')).rejects.toMatchObject({ reason: 'invalid_token' });
+    await expect(verifyIdToken(config, provider, `${header}.${payload}.${'A'.repeat(342)}`, 'nonce-1')).rejects.toMatchObject({ reason: 'invalid_token' });
+    await expect(verifyIdToken(config, provider, forged, 'nonce-1')).rejects.toMatchObject({ reason: 'invalid_token' });
+  });
+
+  it('only signs in verified emails of the domains of the provider', () => {
+    expect(() => profileOf(provider, { sub: 's', email: 'bob@other.com' })).toThrow(expect.objectContaining({ reason: 'domain_not_allowed' }));
+    expect(() => profileOf(provider, { sub: 's', email: 'unverified@client.com', email_verified: false })).toThrow(expect.objectContaining({ reason: 'email_not_verified' }));
+    expect(() => profileOf(provider, { sub: 's' })).toThrow(expect.objectContaining({ reason: 'email_missing' }));
+  });
+});
+
+describe('SSO routes', () => {
+  const request = (values = {}) => ({
+    params: {}, query: {}, body: {}, cookies: {}, headers: {}, protocol: 'https',
+    get: () => 'api.test',
+    ...values
+  });
+  const response = () => ({
+    cookies: {},
+    cleared: [],
+    cookie(name, value, options) { this.cookies[name] = { value, options }; },
+    clearCookie(name) { this.cleared.push(name); },
+    redirect(statusCode, url) { this.statusCode = statusCode; this.location = url; return this; },
+    status(statusCode) { this.statusCode = statusCode; return this; },
+    json(body) { this.body = body; return this; }
+  });
+
+  //start at the app, sign in at the provider, back to the callback with the state cookie
+  const signInThroughApp = async (email) => {
+    ssoQueries.getIdentityProvider.mockResolvedValue(provider);
+    const started = response();
+    await startSso(request({ params: { providerId: 'idp1' }, query: { loginHint: email } }), started);
+    const back = await authorize(started.location);
+
+    const res = response();
+    await ssoCallback(request({
+      query: Object.fromEntries(back.searchParams),
+      cookies: { ssoState: started.cookies.ssoState.value }
+    }), res);
+    return { started, res };
+  };
+
+  beforeEach(() => {
+    sessionService.startSession.mockResolvedValue({ sessionid: 's1', refreshtokenid: 'r1' });
+  });
+
+  it('tells the login form which emails sign in with their provider', async () => {
+    ssoQueries.getEnabledIdentityProviders.mockResolvedValue([provider]);
+    const sso = response();
+    const password = response();
+
+    await discoverSso(request({ body: { email: 'ann.lee@client.com' } }), sso);
+    await discoverSso(request({ body: { email: 'bob@other.com' } }), password);
+
+    expect(sso.body.data).toEqual({ sso: true, providerId: 'idp1', name: 'Client SSO', loginUrl: '/api/v1/auth/sso/idp1/login?loginHint=ann.lee%40client.com' });
+    expect(password.body.data).toEqual({ sso: false });
+  });
+
+  it('provisions a first time user with the default role and starts a session', async () => {
+    ssoQueries.getUserByEmail.mockResolvedValue(null);
+    ssoQueries.provisionUser.mockResolvedValue({ userId: 'u9', email: 'ann.lee@client.com', status: 'active' });
+
+    const { started, res } = await signInThroughApp('ann.lee@client.com');
+
+    expect(started.cookies.ssoState.options).toEqual(expect.objectContaining({ httpOnly: true, sameSite: 'lax', path: '/api/v1/auth/sso' }));
+    expect(ssoQueries.provisionUser).toHaveBeenCalledWith(provider, expect.objectContaining({ email: 'ann.lee@client.com', firstName: 'ann' }));
+    expect(sessionService.startSession).toHaveBeenCalledWith('u9', expect.anything());
+    expect(res.cookies.refreshToken.options).toEqual(expect.objectContaining({ httpOnly: true, path: '/api/v1/auth' }));
+    expect(res.cleared).toContain('ssoState');
+    expect(res.location).toBe('https://app.test/login?sso=success');
+  });
+
+  it('signs in an existing user without provisioning', async () => {
+    ssoQueries.getUserByEmail.mockResolvedValue({ userId: 'u1', email: 'ann.lee@client.com', status: 'active', ofCompany: true });
+
+    const { res } = await signInThroughApp('ann.lee@client.com');
+
+    expect(ssoQueries.getUserByEmail).toHaveBeenCalledWith('ann.lee@client.com', 'c1');
+    expect(ssoQueries.provisionUser).not.toHaveBeenCalled();
+    expect(sessionService.startSession).toHaveBeenCalledWith('u1', expect.anything());
+    expect(res.location).toBe('https://app.test/login?sso=success');
+  });
+
+  it('refuses unknown users when the provider does not provision them, and inactive users', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    provider = { ...provider, defaultroleid: null };
+    ssoQueries.getUserByEmail.mockResolvedValue(null);
+    const unknown = await signInThroughApp('ann.lee@client.com');
+
+    ssoQueries.getUserByEmail.mockResolvedValue({ userId: 'u1', status: 'inactive', ofCompany: true });
+    const inactive = await signInThroughApp('ann.lee@client.com');
+    provider = { ...provider, defaultroleid: 'R00000002' };
+
+    expect(unknown.res.location).toBe('https://app.test/login?sso=error&reason=user_not_found');
+    expect(inactive.res.location).toBe('https://app.test/login?sso=error&reason=user_inactive');
+    expect(sessionService.startSession).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('refuses a user of another company with the same email, and a default role the provider can no longer give', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ssoQueries.getUserByEmail.mockResolvedValue({ userId: 'u7', email: 'ann.lee@client.com', status: 'active', ofCompany: false });
+    const otherCompany = await signInThroughApp('ann.lee@client.com');
+
+    ssoQueries.getUserByEmail.mockResolvedValue(null);
+    ssoQueries.provisionUser.mockResolvedValue(null);
+    const roleRefused = await signInThroughApp('ann.lee@client.com');
+
+    expect(otherCompany.res.location).toBe('https://app.test/login?sso=error&reason=user_of_another_company');
+    expect(roleRefused.res.location).toBe('https://app.test/login?sso=error&reason=role_not_allowed');
+    expect(sessionService.startSession).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('refuses a callback without the state of its sign in', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ssoQueries.getIdentityProvider.mockResolvedValue(provider);
+    const started = response();
+    await startSso(request({ params: { providerId: 'idp1' }, query: { loginHint: 'ann.lee@client.com' } }), started);
+    const back = await authorize(started.location);
+
+    const noCookie = response();
+    await ssoCallback(request({ query: Object.fromEntries(back.searchParams) }), noCookie);
+    const otherState = response();
+    await ssoCallback(request({ query: { ...Object.fromEntries(back.searchParams), state: 'forged' }, cookies: { ssoState: started.cookies.ssoState.value } }), otherState);
+
+    expect(noCookie.location).toBe('https://app.test/login?sso=error&reason=invalid_state');
+    expect(otherState.location).toBe('https://app.test/login?sso=error&reason=invalid_state');
+    expect(sessionService.startSession).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('answers 404 for a disabled provider', async () => {
+    ssoQueries.getIdentityProvider.mockResolvedValue({ ...provider, enabled: false });
+    const res = response();
+
+    await startSso(request({ params: { providerId: 'idp1' } }), res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  describe('identity provider settings', () => {
+    const settings = (body, values = {}) => request({
+      params: { user: 'admin1', companyId: 'c1' },
+      userProfile: { userId: 'admin1' },
+      body: { name: 'Client SSO', issuer: mock.issuer, clientId: 'certainti', clientSecret: 's3cret', domains: 'client.com', ...body },
+      ...values
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ssoQueries.getEnabledIdentityProviders.mockResolvedValue([]);
+      ssoQueries.isAssignableRole.mockResolvedValue(true);
+      ssoQueries.saveIdentityProvider.mockImplementation(async (companyId, providerId, values, userId) => ({ id: providerId || 'idp2', companyid: companyId, ...values, modifiedby: userId }));
+    });
+
+    afterEach(() => console.log.mockRestore());
+
+    it('saves new domains unverified, with the TXT record to publish', async () => {
+      const res = response();
+
+      await updateIdentityProvider(settings({}), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.verifieddomains).toEqual([]);
+      expect(res.body.data.domainVerification).toEqual([expect.objectContaining({ domain: 'client.com', name: '_certainti-sso.client.com' })]);
+      expect(res.body.data.verificationtoken).toBeUndefined();
+    });
+
+    it('refuses a provider on the API host in production', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      const res = response();
+
+      await updateIdentityProvider(settings({}), res);
+      process.env.NODE_ENV = nodeEnv;
+
+      expect(res.statusCode).toBe(400);
+      expect(ssoQueries.saveIdentityProvider).not.toHaveBeenCalled();
+    });
+
+    it('refuses a default role the signed in user can not give, whatever user the url names', async () => {
+      ssoQueries.isAssignableRole.mockResolvedValue(false);
+      const res = response();
+
+      await updateIdentityProvider(settings({ defaultRoleId: 'R00000001' }, { params: { user: 'someone-else', companyId: 'c1' } }), res);
+
+      expect(ssoQueries.isAssignableRole).toHaveBeenCalledWith('R00000001', 'admin1');
+      expect(res.statusCode).toBe(403);
+      expect(ssoQueries.saveIdentityProvider).not.toHaveBeenCalled();
+    });
+
+    it('only lets a domain verified by another provider block the claim', async () => {
+      ssoQueries.getEnabledIdentityProviders.mockResolvedValue([{ ...provider, verifieddomains: [] }]);
+      const unverified = response();
+      await updateIdentityProvider(settings({}), unverified);
+
+      ssoQueries.getEnabledIdentityProviders.mockResolvedValue([provider]);
+      const verified = response();
+      await updateIdentityProvider(settings({}), verified);
+
+      expect([unverified.statusCode, verified.statusCode]).toEqual([200, 409]);
+    });
+
+    it('verifies the domains whose TXT record is published', async () => {
+      const pending = { ...provider, id: 'idp2', domains: ['client.com', 'client.ca'], verifieddomains: [] };
+      ssoQueries.getIdentityProvider.mockResolvedValue(pending);
+      const resolveTxt = jest.spyOn(dns.promises, 'resolveTxt').mockImplementation(async (name) => name == '_certainti-sso.client.ca'
+        ? [['certainti-sso-verification=token-1']]
+        : []);
+      const res = response();
+
+      await verifyIdentityProviderDomains(request({ params: { companyId: 'c1', providerId: 'idp2' }, userProfile: { userId: 'admin1' } }), res);
+
+      expect(ssoQueries.saveIdentityProvider).toHaveBeenCalledWith('c1', 'idp2', { verifieddomains: ['client.ca'] }, 'admin1');
+      expect(res.body.data.verified).toEqual(['client.ca']);
+      resolveTxt.mockRestore();
+    });
+
+    it('does not verify the provider of another company', async () => {
+      ssoQueries.getIdentityProvider.mockResolvedValue({ ...provider, companyid: 'c2' });
+      const res = response();
+
+      await verifyIdentityProviderDomains(request({ params: { companyId: 'c1', providerId: 'idp1' }, userProfile: { userId: 'admin1' } }), res);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const {
+  toDateOnly,
+  findRatePeriod,
+  checkRatePeriod,
+  priceTask,
+} = require('../payrollRates');
+
+const periods = [
+  { contactSalaryId: 'a', startDate: '2024-01-01', endDate: '2024-03-31', hourlyRate: 40 },
+  { contactSalaryId: 'b', startDate: '2024-05-01', endDate: null, hourlyRate: 50 },
+];
+
+describe('toDateOnly', () => {
+  it('normalizes dates and ignores empty cells', () => {
+    expect(toDateOnly(new Date('2024-02-29T00:00:00Z'))).toBe('2024-02-29');
+    expect(toDateOnly('2024-02-29')).toBe('2024-02-29');
+    expect(toDateOnly('-')).toBeNull();
+  });
+});
+
+describe('findRatePeriod', () => {
+  it('returns the period in effect on a date', () => {
+    expect(findRatePeriod(periods, '2024-03-31').hourlyRate).toBe(40);
+    expect(findRatePeriod(periods, '2030-01-01').hourlyRate).toBe(50);
+    expect(findRatePeriod(periods, '2024-04-15')).toBeNull();
+  });
+});
+
+describe('checkRatePeriod', () => {
+  it('closes the open period started earlier and reports gaps', () => {
+    const result = checkRatePeriod(periods, { startDate: '2024-07-01', endDate: null });
+    expect(result.overlaps).toEqual([]);
+    expect(result.toClose.contactSalaryId).toBe('b');
+    expect(result.gapBefore).toBeNull();
+  });
+
+  it('rejects overlaps with closed periods', () => {
+    const result = checkRatePeriod(periods, { startDate: '2024-03-01', endDate: '2024-04-30' });
+    expect(result.overlaps.map(period => period.contactSalaryId)).toEqual(['a']);
+  });
+
+  it('reports gaps on both sides', () => {
+    const result = checkRatePeriod([periods[0]], { startDate: '2024-04-10', endDate: '2024-04-20' });
+    expect(result.gapBefore.contactSalaryId).toBe('a');
+    expect(result.gapAfter).toBeNull();
+
+    const earlier = checkRatePeriod([periods[0]], { startDate: '2023-10-01', endDate: '2023-11-30' });
+    expect(earlier.gapAfter.contactSalaryId).toBe('a');
+  });
+});
+
+describe('priceTask', () => {
+  it('counts R&D expense only for non-routine tasks', () => {
+    expect(priceTask({ taskEffort: 2.5, taskClassification: 'Non-Routine' }, 40)).toEqual({ taskHourlyRate: 40, taskTotalExpense: 100, RnDExpense: 100 });
+    expect(priceTask({ taskEffort: 2.5, taskClassification: 'Routine' }, 40).RnDExpense).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+const { parseReminderDays, reminderSettings, isQuietTime, dueReminder, isOverdue } = require('../reminderSchedule');
+
+const now = new Date('2024-05-15T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('reminderSettings', () => {
+  it('reads the company columns and falls back to no automatic reminders', () => {
+    expect(parseReminderDays('14, 3,7,x,3')).toEqual([3, 7, 14]);
+    expect(reminderSettings({ reminderDays: '3,7', maxReminders: 1, timeZone: 'Asia/Kolkata' }))
+      .toEqual({ reminderDays: [3, 7], maxReminders: 1, quietHoursStart: null, quietHoursEnd: null, timeZone: 'Asia/Kolkata' });
+    expect(reminderSettings({ timeZone: 'Mars/Olympus' })).toMatchObject({ reminderDays: [], timeZone: 'UTC' });
+  });
+});
+
+describe('isQuietTime', () => {
+  it('handles quiet hours over midnight in the company time zone', () => {
+    const settings = reminderSettings({ quietHoursStart: '20:00', quietHoursEnd: '07:00', timeZone: 'America/New_York' });
+    expect(isQuietTime(settings, new Date('2024-05-15T12:00:00Z'))).toBe(false);
+    expect(isQuietTime(settings, new Date('2024-05-16T02:00:00Z'))).toBe(true);
+    expect(isQuietTime(reminderSettings({}), now)).toBe(false);
+  });
+});
+
+describe('dueReminder', () => {
+  const settings = reminderSettings({ reminderDays: '3,7,14', maxReminders: 2 });
+
+  it('follows the cadence after sentdate', () => {
+    expect(dueReminder({ sentdate: daysAgo(2), reminderssent: 0 }, settings, now)).toBeNull();
+    expect(dueReminder({ sentdate: daysAgo(3), reminderssent: 0 }, settings, now)).toBe(1);
+    expect(dueReminder({ sentdate: daysAgo(6), reminderssent: 1, lastremindertime: daysAgo(3) }, settings, now)).toBeNull();
+    expect(dueReminder({ sentdate: daysAgo(8), reminderssent: 1, lastremindertime: daysAgo(5) }, settings, now)).toBe(2);
+  });
+
+  it('stops at the maximum and sends one a day at most', () => {
+    expect(dueReminder({ sentdate: daysAgo(20), reminderssent: 2, lastremindertime: daysAgo(10) }, settings, now)).toBeNull();
+    expect(dueReminder({ sentdate: daysAgo(20), reminderssent: 1, lastremindertime: daysAgo(0.5) }, settings, now)).toBeNull();
+    expect(dueReminder({ sentdate: daysAgo(20), reminderssent: 0 }, reminderSettings({}), now)).toBeNull();
+  });
+});
+
+describe('isOverdue', () => {
+  it('is overdue once the active days are over', () => {
+    expect(isOverdue(daysAgo(30), 30, now)).toBe(true);
+    expect(isOverdue(daysAgo(29), '30', now)).toBe(false);
+    expect(isOverdue(daysAgo(90), undefined, now)).toBe(false);
+  });
+});
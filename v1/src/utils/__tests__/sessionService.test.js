@@ -0,0 +1,121 @@
+jest.mock('../../queries/session.queries', () => ({}));
+
+const { createMemoryStore } = require('../sessionStore');
+const sessionService = require('../sessionService');
+
+const now = new Date('2024-05-01T10:00:00Z');
+const minutes = (count) => new Date(now.getTime() + count * 60 * 1000);
+const request = (headers = {}) => ({ headers, ip: '10.0.0.1' });
+const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+beforeEach(() => {
+  sessionService.setSessionStore(createMemoryStore());
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('startSession', () => {
+  it('records the device, ip and user agent of the sign-in', async () => {
+    const session = await sessionService.startSession('u1', request({ 'user-agent': chrome, 'x-forwarded-for': '203.0.113.7, 10.0.0.2' }), now);
+
+    expect(session).toMatchObject({ userid: 'u1', device: 'Chrome on Windows', ipaddress: '203.0.113.7', useragent: chrome });
+  });
+});
+
+describe('deviceOf', () => {
+  it('reads the browser and system', () => {
+    expect(sessionService.deviceOf('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile Safari/604.1')).toBe('Safari on iOS');
+    expect(sessionService.deviceOf('Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0')).toBe('Firefox on Linux');
+    expect(sessionService.deviceOf('curl/8.0')).toBe('Unknown device');
+  });
+});
+
+describe('validateSession', () => {
+  it('accepts an active session and keeps it alive', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.validateSession(sessionid, 'u1', minutes(10))).toMatchObject({ valid: true });
+    expect(await sessionService.validateSession(sessionid, 'u1', minutes(20))).toMatchObject({ valid: true });
+  });
+
+  it('refuses an idle session', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.validateSession(sessionid, 'u1', minutes(16))).toEqual({ valid: false, reason: 'expired' });
+  });
+
+  it('refuses a session of another user or without id', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.validateSession(sessionid, 'u2', now)).toEqual({ valid: false, reason: 'unknown' });
+    expect(await sessionService.validateSession(null, 'u1', now)).toEqual({ valid: false, reason: 'unknown' });
+  });
+
+  it('refuses a revoked session on the next request', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.revokeSession('u1', sessionid, 'u1', 'sign-out')).toBe(true);
+    expect(await sessionService.validateSession(sessionid, 'u1', now)).toEqual({ valid: false, reason: 'revoked' });
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('trades the current refresh token for a new one', async () => {
+    const session = await sessionService.startSession('u1', request(), now);
+
+    const rotation = await sessionService.rotateRefreshToken(session.sessionid, 'u1', session.refreshtokenid, minutes(5));
+
+    expect(rotation).toMatchObject({ valid: true });
+    expect(rotation.refreshTokenId).not.toBe(session.refreshtokenid);
+    expect(await sessionService.rotateRefreshToken(session.sessionid, 'u1', rotation.refreshTokenId, minutes(6))).toMatchObject({ valid: true });
+  });
+
+  it('revokes the whole session when an old refresh token is used again', async () => {
+    const session = await sessionService.startSession('u1', request(), now);
+    const rotation = await sessionService.rotateRefreshToken(session.sessionid, 'u1', session.refreshtokenid, now);
+
+    expect(await sessionService.rotateRefreshToken(session.sessionid, 'u1', session.refreshtokenid, now)).toEqual({ valid: false, reason: 'reused' });
+    expect(await sessionService.rotateRefreshToken(session.sessionid, 'u1', rotation.refreshTokenId, now)).toEqual({ valid: false, reason: 'revoked' });
+    expect(await sessionService.validateSession(session.sessionid, 'u1', now)).toEqual({ valid: false, reason: 'revoked' });
+  });
+
+  it('does not refresh an idle session', async () => {
+    const session = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.rotateRefreshToken(session.sessionid, 'u1', session.refreshtokenid, minutes(16))).toEqual({ valid: false, reason: 'expired' });
+  });
+});
+
+describe('revoking', () => {
+  it('does not let a user sign out a session of someone else', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.revokeSession('u2', sessionid, 'u2', 'sign-out')).toBe(false);
+  });
+
+  it('signs out every other session of the user', async () => {
+    const current = await sessionService.startSession('u1', request(), now);
+    await sessionService.startSession('u1', request(), now);
+    await sessionService.startSession('u1', request(), now);
+    const other = await sessionService.startSession('u2', request(), now);
+
+    expect(await sessionService.revokeUserSessions('u1', 'admin', 'force-logout', current.sessionid)).toBe(2);
+
+    const sessions = await sessionService.listSessions('u1', current.sessionid, now);
+    expect(sessions).toEqual([expect.objectContaining({ sessionId: current.sessionid, current: true })]);
+    expect(await sessionService.validateSession(other.sessionid, 'u2', now)).toMatchObject({ valid: true });
+  });
+});
+
+describe('deleteEndedSessions', () => {
+  it('removes sessions ended before the history period', async () => {
+    const { sessionid } = await sessionService.startSession('u1', request(), now);
+
+    expect(await sessionService.deleteEndedSessions(minutes(60 * 24))).toBe(0);
+    expect(await sessionService.deleteEndedSessions(minutes(60 * 24 * 8))).toBe(1);
+    expect(await sessionService.validateSession(sessionid, 'u1', now)).toEqual({ valid: false, reason: 'unknown' });
+  });
+});
@@ -0,0 +1,91 @@
+const mockModel = (tableName, primaryKeyAttribute) => ({
+  getTableName: () => tableName,
+  primaryKeyAttribute,
+  findAll: jest.fn().mockResolvedValue([]),
+  findOne: jest.fn(),
+  update: jest.fn(),
+  destroy: jest.fn()
+});
+
+jest.mock('../../setups/db', () => ({ transaction: jest.fn() }));
+jest.mock('../../queries/sheets.queries', () => ({ getLaterSheetChanges: jest.fn() }));
+jest.mock('../../models/master-sheets.model', () => mockModel('master_sheets', 'id'));
+jest.mock('../../models/master-sheets-changes.model', () => mockModel('master_sheets_changes', 'id'));
+jest.mock('../../models/project.model', () => mockModel('projects', 'projectIdentifier'));
+jest.mock('../../models/contact.model', () => mockModel('contacts', 'contactId'));
+jest.mock('../../models/contact-salary.model', () => mockModel('contactSalary', 'contactSalaryId'));
+jest.mock('../../models/teammembers.model', () => mockModel('teammembers', 'teamMemberId'));
+jest.mock('../../models/timesheet-tasks.model', () => mockModel('TimesheetTasks', 'taskId'));
+jest.mock('../../models/reconciliation.model', () => mockModel('Reconciliations', 'reconciliationIdentifier'));
+jest.mock('../../models/project-milestones.model', () => mockModel('projectMilestones', 'milestoneId'));
+jest.mock('../../models/master-survey.model', () => mockModel('master_survey', 'id'));
+jest.mock('../../models/documents.model', () => mockModel('Documents', 'documentId'));
+jest.mock('../../models/portfolio-projects.model', () => mockModel('portfolio_projects_Rel', 'portfolioId'));
+
+const sequelize = require('../../setups/db');
+const sheetsQueries = require('../../queries/sheets.queries');
+const MasterSheets = require('../../models/master-sheets.model');
+const MasterSheetsChanges = require('../../models/master-sheets-changes.model');
+const Project = require('../../models/project.model');
+const TeamMembers = require('../../models/teammembers.model');
+const TimesheetTasks = require('../../models/timesheet-tasks.model');
+const { findDependentRecords, rollbackSheet } = require('../sheetChanges');
+
+//what the sheet s1 wrote : a project, and a team member of it
+const changes = [
+  { sheetid: 's1', tablename: 'projects', recordid: '17', action: 'create' },
+  { sheetid: 's1', tablename: 'teammembers', recordid: 'tm1', action: 'create' }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const model of [Project, TeamMembers, TimesheetTasks, MasterSheetsChanges]) {
+    model.findAll.mockResolvedValue([]);
+  }
+  Project.findAll.mockResolvedValue([{ projectIdentifier: 17, projectId: 'P-17' }]);
+});
+
+describe('findDependentRecords', () => {
+  it('finds the records of a later upload or of the app pointing to a project the rollback removes', async () => {
+    TeamMembers.findAll.mockImplementation(({ where }) => Promise.resolve(where.projectId
+      ? [{ teamMemberId: 'tm1', projectId: 'P-17' }, { teamMemberId: 'tm2', projectId: 'P-17' }]
+      : []));
+    TimesheetTasks.findAll.mockImplementation(({ where }) => Promise.resolve(where.projectId
+      ? [{ taskId: 'task9', projectId: 'P-17' }]
+      : []));
+    MasterSheetsChanges.findAll.mockImplementation(({ where }) => Promise.resolve(where.tablename == 'teammembers'
+      ? [{ recordid: 'tm2', sheetid: 's2' }]
+      : []));
+
+    const dependents = await findDependentRecords('s1', changes);
+
+    expect(Project.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { projectIdentifier: ['17'] } }));
+    expect(dependents).toEqual([
+      { tableName: 'teammembers', recordId: 'tm2', column: 'projectId', dependsOn: { tableName: 'projects', recordId: '17' }, sheetId: 's2' },
+      { tableName: 'TimesheetTasks', recordId: 'task9', column: 'projectId', dependsOn: { tableName: 'projects', recordId: '17' }, sheetId: null }
+    ]);
+  });
+
+  it('leaves out the records the sheet created itself', async () => {
+    TeamMembers.findAll.mockResolvedValue([{ teamMemberId: 'tm1', projectId: 'P-17' }]);
+
+    expect(await findDependentRecords('s1', changes)).toEqual([]);
+  });
+});
+
+describe('rollbackSheet', () => {
+  it('refuses to remove a project other records point to', async () => {
+    MasterSheets.findOne.mockResolvedValue({ dataValues: { status: 'processed' } });
+    sheetsQueries.getLaterSheetChanges.mockResolvedValue([]);
+    MasterSheetsChanges.findAll.mockImplementation(({ where }) => Promise.resolve(where.sheetid ? changes : []));
+    TimesheetTasks.findAll.mockImplementation(({ where }) => Promise.resolve(where.projectId
+      ? [{ taskId: 'task9', projectId: 'P-17' }]
+      : []));
+
+    const rollback = await rollbackSheet('s1', 'u1');
+
+    expect(rollback.status).toBe('conflict');
+    expect(rollback.dependents).toHaveLength(1);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const {
+  decodeCsvBuffer,
+  detectDelimiter,
+  selectWorksheet,
+  readSheetRows,
+} = require('../sheetReader');
+
+describe('decodeCsvBuffer', () => {
+  it('detects utf-8 with and without bom', () => {
+    expect(decodeCsvBuffer(Buffer.from('﻿Name,Café', 'utf8'))).toEqual({ text: 'Name,Café', encoding: 'utf-8' });
+    expect(decodeCsvBuffer(Buffer.from('Name,Café', 'utf8')).encoding).toBe('utf-8');
+  });
+
+  it('detects utf-16 and windows-1252', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Name;Café', 'utf16le')]);
+    expect(decodeCsvBuffer(utf16)).toEqual({ text: 'Name;Café', encoding: 'utf-16le' });
+    expect(decodeCsvBuffer(Buffer.from('Name,Caf\xe9', 'latin1'))).toEqual({ text: 'Name,Café', encoding: 'windows-1252' });
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter that splits rows consistently', () => {
+    expect(detectDelimiter('Project ID;Project Name;Cost\n1;Alpha;1,5\n2;Beta;2,5')).toBe(';');
+    expect(detectDelimiter('Project ID\tName\n1\tAlpha, Inc')).toBe('\t');
+    expect(detectDelimiter('Project ID,Name\n1,"Alpha; Beta"')).toBe(',');
+  });
+});
+
+describe('selectWorksheet', () => {
+  const workbook = { SheetNames: ['Projects', 'Employees'] };
+
+  it('selects by name, case insensitive, or by index', () => {
+    expect(selectWorksheet(workbook)).toBe('Projects');
+    expect(selectWorksheet(workbook, ' employees ')).toBe('Employees');
+    expect(selectWorksheet(workbook, 1)).toBe('Employees');
+    expect(selectWorksheet(workbook, '1')).toBe('Employees');
+  });
+
+  it('reports the available worksheets', () => {
+    expect(() => selectWorksheet(workbook, 'Payroll')).toThrow('Available worksheets : Projects, Employees');
+  });
+});
+
+describe('readSheetRows', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheet-reader-'));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reads a semicolon csv keeping values as text', () => {
+    const filePath = path.join(dir, 'projects.csv');
+    fs.writeFileSync(filePath, 'Project ID;Start Date\n001;01/02/2024\n');
+    const { rows } = readSheetRows({ path: filePath, originalname: 'projects.csv' });
+    expect(rows).toEqual([['Project ID', 'Start Date'], ['001', '01/02/2024']]);
+  });
+
+  it('reads the chosen worksheet of a workbook', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Project ID'], ['P1']]), 'Projects');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Employee ID'], ['E1']]), 'Employees');
+    const filePath = path.join(dir, 'workbook.xlsx');
+    XLSX.writeFile(workbook, filePath);
+
+    const { sheetName, rows } = readSheetRows({ path: filePath, originalname: 'workbook.xlsx', worksheet: 'Employees' });
+    expect(sheetName).toBe('Employees');
+    expect(rows).toEqual([['Employee ID'], ['E1']]);
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  parseSheetDate,
+  parseSheetNumber,
+  matchSheetOption,
+  validateSheetRecord,
+} = require('../sheetValidator');
+
+describe('parseSheetDate', () => {
+  it('converts excel serial dates', () => {
+    expect(parseSheetDate(45322)).toBe('2024-01-31');
+    expect(parseSheetDate('45322')).toBe('2024-01-31');
+  });
+
+  it('parses locale date strings', () => {
+    expect(parseSheetDate('2024-01-31')).toBe('2024-01-31');
+    expect(parseSheetDate('01/31/2024')).toBe('2024-01-31');
+    expect(parseSheetDate('31/01/2024')).toBe('2024-01-31');
+    expect(parseSheetDate('05.01.2024')).toBe('2024-01-05');
+    expect(parseSheetDate('31-Jan-2024')).toBe('2024-01-31');
+    expect(parseSheetDate('Jan 31, 2024')).toBe('2024-01-31');
+  });
+
+  it('rejects impossible dates and text', () => {
+    expect(parseSheetDate('2024-02-30')).toBeNull();
+    expect(parseSheetDate('next week')).toBeNull();
+  });
+});
+
+describe('parseSheetNumber', () => {
+  it('accepts currency and separators', () => {
+    expect(parseSheetNumber('$1,200.50')).toBe(1200.5);
+    expect(parseSheetNumber('EUR 1.200,50')).toBe(1200.5);
+    expect(parseSheetNumber('(300)')).toBe(-300);
+    expect(parseSheetNumber('12%')).toBe(12);
+  });
+
+  it('rejects non numeric currency', () => {
+    expect(parseSheetNumber('12abc')).toBeNull();
+    expect(parseSheetNumber('USD')).toBeNull();
+  });
+
+  it('only takes off currency codes, other letters are not a number', () => {
+    expect(parseSheetNumber('USD 1,200')).toBe(1200);
+    expect(parseSheetNumber('1200 cad')).toBe(1200);
+    expect(parseSheetNumber('EMP123')).toBeNull();
+    expect(parseSheetNumber('ABC 5')).toBeNull();
+  });
+
+  it('reads a single dot group as a decimal unless the locale writes decimals with a comma', () => {
+    expect(parseSheetNumber('1.234')).toBe(1.234);
+    expect(parseSheetNumber('12.500')).toBe(12.5);
+    expect(parseSheetNumber('1.234.567')).toBe(1234567);
+    expect(parseSheetNumber('1.234', 'en-US')).toBe(1.234);
+    expect(parseSheetNumber('1.234', 'de-DE')).toBe(1234);
+    expect(parseSheetNumber('12.500', 'de-DE')).toBe(12500);
+    expect(parseSheetNumber('1,234', 'de-DE')).toBe(1.234);
+  });
+});
+
+describe('matchSheetOption', () => {
+  it('matches ignoring case and punctuation', () => {
+    expect(matchSheetOption('in-progress', ['In Progress', 'Done'])).toBe('In Progress');
+    expect(matchSheetOption('Started', ['In Progress', 'Done'])).toBeNull();
+  });
+});
+
+describe('validateSheetRecord', () => {
+  const mapper = { 'Start Date': 'startDate', 'End Date': 'endDate', 'Cost': 's_fte_cost', 'Status': 's_project_status' };
+  const types = { startDate: 'DATE', endDate: 'DATE', s_fte_cost: 'NUMBER', s_project_status: 'OPTIONS' };
+  const options = { s_project_status: ['Open', 'Closed'] };
+  const rules = [{ column: 'endDate', rule: 'ON_OR_AFTER', compareTo: 'startDate' }];
+
+  it('converts a valid row', () => {
+    const { values, errors } = validateSheetRecord(
+      { 'Start Date': '2024-01-01', 'End Date': 45322, Cost: '$10', Status: 'open', rownumber: 2 },
+      mapper, types, options, rules
+    );
+    expect(errors).toEqual([]);
+    expect(values).toMatchObject({ 'End Date': '2024-01-31', Cost: 10, Status: 'Open' });
+  });
+
+  it('reports every failing cell with its reason', () => {
+    const { errors } = validateSheetRecord(
+      { 'Start Date': '2024-02-01', 'End Date': '2024-01-01', Cost: 'ten', Status: 'Pending', rownumber: 3 },
+      mapper, types, options, rules
+    );
+    expect(errors.map(error => error.columnname)).toEqual(['Cost', 'Status', 'End Date']);
+    expect(errors[2].reason).toBe('End Date must be on or after Start Date');
+  });
+
+  it('reads the numbers of a column in its locale', () => {
+    const { values } = validateSheetRecord(
+      { Cost: '12.500', rownumber: 4 },
+      mapper, { s_fte_cost: { type: 'NUMBER', locale: 'de-DE' } }
+    );
+    expect(values.Cost).toBe(12500);
+  });
+});
@@ -0,0 +1,70 @@
+const { median, surveyFunnel, questionStats, spocResponseRates } = require('../surveyAnalytics');
+
+const survey = (status, overrides) => ({
+  status,
+  sentdate: '2024-03-01T00:00:00Z',
+  closedate: null,
+  otprequestedtime: null,
+  answeredcount: 0,
+  spocemail: 'a@x.com',
+  spocname: 'A',
+  caseid: 'case1',
+  ...overrides,
+});
+
+describe('surveyFunnel', () => {
+  it('counts each stage and the median time to respond', () => {
+    const funnel = surveyFunnel([
+      survey('NOT SENT', { sentdate: null }),
+      survey('SENT'),
+      survey('REMINDER SENT', { otprequestedtime: '2024-03-02', answeredcount: 3 }),
+      survey('RESPONSE RECEIVED', { closedate: '2024-03-03T00:00:00Z', answeredcount: 9 }),
+      survey('RESPONSE RECEIVED', { closedate: '2024-03-05T00:00:00Z', answeredcount: 9 }),
+      survey('REVOKED', { otprequestedtime: '2024-03-02' }),
+      survey('EXPIRED'),
+    ]);
+
+    expect(funnel).toMatchObject({
+      total: 7, notSent: 1, sent: 6, opened: 4, partiallySaved: 1, submitted: 2, revoked: 1, expired: 1, awaiting: 2,
+      responseRate: 33.33, medianResponseHours: 72, medianResponseDays: 3,
+    });
+  });
+
+  it('has no rates without sent surveys', () => {
+    expect(surveyFunnel([])).toMatchObject({ sent: 0, responseRate: null, medianResponseHours: null });
+  });
+});
+
+describe('questionStats', () => {
+  it('reports answer lengths and skip rates per question', () => {
+    const stats = questionStats([
+      { surveyId: 's1', questionId: 'q2', sequence: 2, question: 'Why?', answer: null },
+      { surveyId: 's1', questionId: 'q1', sequence: 1, question: 'What?', answer: 'abcd' },
+      { surveyId: 's2', questionId: 'q1', sequence: 1, question: 'What?', answer: ' ab ' },
+      { surveyId: 's2', questionId: 'q2', sequence: 2, question: 'Why?', answer: '[]' },
+    ]);
+
+    expect(stats).toEqual([
+      { questionId: 'q1', sequence: 1, question: 'What?', asked: 2, skipped: 0, answered: 2, skipRate: 0, averageAnswerLength: 3, medianAnswerLength: 3 },
+      { questionId: 'q2', sequence: 2, question: 'Why?', asked: 2, skipped: 2, answered: 0, skipRate: 100, averageAnswerLength: null, medianAnswerLength: null },
+    ]);
+  });
+});
+
+describe('spocResponseRates', () => {
+  it('puts the SPOCs who respond least first', () => {
+    const rates = spocResponseRates([
+      survey('RESPONSE RECEIVED', { closedate: '2024-03-02T00:00:00Z' }),
+      survey('SENT', { spocemail: 'A@x.com', caseid: 'case2' }),
+      survey('RESPONSE RECEIVED', { spocemail: 'b@x.com', spocname: 'B', closedate: '2024-03-02T00:00:00Z' }),
+      survey('SENT', { spocemail: 'c@x.com', spocname: 'C', sentdate: '2024-02-01T00:00:00Z' }),
+    ]);
+
+    expect(rates.map(rate => [rate.spocName, rate.responseRate, rate.cases])).toEqual([['C', 0, 1], ['A', 50, 2], ['B', 100, 1]]);
+    expect(rates[0].oldestAwaitingSentDate).toEqual(new Date('2024-02-01T00:00:00Z'));
+  });
+
+  it('takes the median of an even list as the middle average', () => {
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+});
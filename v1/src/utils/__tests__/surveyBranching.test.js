@@ -0,0 +1,83 @@
+const { matchesRule, normalizeBranching, applyBranching } = require('../surveyBranching');
+
+const question = (sequence, answer, branching) => ({ questionId: `q${sequence}`, sequence, answer, branching });
+
+const visibleSequences = (questions) => applyBranching(questions)
+  .filter(item => item.visible)
+  .map(item => item.sequence);
+
+describe('matchesRule', () => {
+  it('compares yes / no answers as text and hours as numbers', () => {
+    expect(matchesRule({ operator: 'eq', value: 'No' }, ' no ')).toBe(true);
+    expect(matchesRule({ operator: 'gt', value: 500 }, '1,200')).toBe(true);
+    expect(matchesRule({ operator: 'gt', value: 500 }, '500')).toBe(false);
+    expect(matchesRule({ operator: 'gt', value: 500 }, 'many')).toBe(false);
+  });
+
+  it('checks multi choice answers by their choices', () => {
+    expect(matchesRule({ operator: 'contains', value: 'Software' }, '["Hardware","Software"]')).toBe(true);
+    expect(matchesRule({ operator: 'in', value: ['Process', 'Hardware'] }, '["Hardware"]')).toBe(true);
+    expect(matchesRule({ operator: 'answered' }, '[]')).toBe(false);
+  });
+});
+
+describe('applyBranching', () => {
+  it('skips questions 3 to 5 when question 2 is No', () => {
+    const skip = [{ operator: 'eq', value: 'No', action: 'skip', targets: [3, 4, 5] }];
+    const questions = (answer) => [question(1, 'x'), question(2, answer, skip), question(3), question(4), question(5), question(6)];
+
+    expect(visibleSequences(questions('No'))).toEqual([1, 2, 6]);
+    expect(visibleSequences(questions('Yes'))).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(visibleSequences(questions(null))).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('shows a follow-up only when hours are over 500', () => {
+    const show = [{ operator: 'gt', value: 500, action: 'show', targets: [2] }];
+
+    expect(visibleSequences([question(1, '750', show), question(2)])).toEqual([1, 2]);
+    expect(visibleSequences([question(1, '120', show), question(2)])).toEqual([1]);
+    expect(visibleSequences([question(1, null, show), question(2)])).toEqual([1]);
+  });
+
+  it('ignores the rules of a skipped question', () => {
+    const questions = [
+      question(1, 'No', [{ operator: 'eq', value: 'No', action: 'skip', targets: [2] }]),
+      question(2, 'No', [{ operator: 'eq', value: 'No', action: 'skip', targets: [3] }]),
+      question(3),
+    ];
+    expect(visibleSequences(questions)).toEqual([1, 3]);
+  });
+
+  it('reads rules stored as JSON text and keys interactions by question id', () => {
+    const questions = [
+      { questionId: 'a', answer: 'No', branching: '[{"operator":"eq","value":"No","action":"skip","targets":["b"]}]' },
+      { questionId: 'b', answer: null },
+    ];
+    expect(applyBranching(questions, item => item.questionId).map(item => item.visible)).toEqual([true, false]);
+  });
+});
+
+describe('normalizeBranching', () => {
+  it('refuses unknown operators, missing values and targets that are not later questions', () => {
+    const { errors } = normalizeBranching([
+      question(1, null, [{ operator: 'eq', value: 'No', action: 'skip', targets: [1] }]),
+      question(2, null, [{ operator: 'between', action: 'hide', targets: [9] }]),
+      question(3, null, [{ operator: 'gt', value: 'lots', action: 'show', targets: [4] }]),
+      question(4),
+    ]);
+
+    expect(errors.map(error => error.index)).toEqual([0, 1, 2]);
+    expect(errors[0].reason).toMatch(/must come after/);
+    expect(errors[1].reason).toMatch(/operator 'between'.*action 'hide'.*9 is not a question/);
+    expect(errors[2].reason).toMatch(/needs a number/);
+  });
+
+  it('keeps valid rules and drops the value of answered rules', () => {
+    const { branching, errors } = normalizeBranching([
+      question(1, null, [{ operator: 'answered', value: 'x', action: 'show', targets: [2] }]),
+      question(2),
+    ]);
+    expect(errors).toEqual([]);
+    expect(branching).toEqual([[{ operator: 'answered', value: null, action: 'show', targets: [2] }], null]);
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  normalizeTemplateQuestions,
+  surveyVariables,
+  renderSurveyText,
+  checkSurveyAnswer,
+} = require('../surveyTemplates');
+
+describe('normalizeTemplateQuestions', () => {
+  it('numbers questions and keeps choice options', () => {
+    const { questions, errors } = normalizeTemplateQuestions([
+      { question: ' Work done in ${year1}? ', questiontype: 'text', required: true },
+      { question: 'Team size', questiontype: 'single', options: ['1-5', '6-10', '6-10', ''] },
+    ]);
+    expect(errors).toEqual([]);
+    expect(questions[0]).toMatchObject({ sequence: 1, question: 'Work done in ${year1}?', questiontype: 'text', required: true, options: null });
+    expect(questions[1]).toMatchObject({ sequence: 2, required: false, options: ['1-5', '6-10'] });
+  });
+
+  it('reports invalid questions', () => {
+    const { errors } = normalizeTemplateQuestions([
+      { question: '', questiontype: 'rating' },
+      { question: 'Pick one', questiontype: 'multi', options: ['A'] },
+      { question: 'In ${year3}?' },
+    ]);
+    expect(errors.map(error => error.index)).toEqual([0, 1, 2]);
+    expect(errors[0].reason).toMatch(/Question text is empty; Question type 'rating'/);
+    expect(errors[1].reason).toMatch(/at least two options/);
+    expect(errors[2].reason).toMatch(/Unknown variables \$\{year3\}/);
+    expect(normalizeTemplateQuestions([]).errors).toHaveLength(1);
+  });
+
+  it('checks branching rules against the question sequences', () => {
+    const skip = [{ operator: 'eq', value: 'No', action: 'skip', targets: [2] }];
+    const valid = normalizeTemplateQuestions([{ question: 'R&D?', questiontype: 'yesno', branching: skip }, { question: 'Describe it' }]);
+    expect(valid.errors).toEqual([]);
+    expect(valid.questions.map(question => question.branching)).toEqual([skip, null]);
+
+    const { errors } = normalizeTemplateQuestions([{ question: '', branching: skip }, { question: 'Back', branching: skip }]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0].reason).toMatch(/Question text is empty$/);
+    expect(errors[1].reason).toMatch(/must come after the question/);
+  });
+});
+
+describe('renderSurveyText', () => {
+  it('fills known variables and leaves the others', () => {
+    const variables = surveyVariables({ fiscalYear: '2024', companyName: 'Acme', projectName: null });
+    expect(renderSurveyText('From ${year1} to ${year2} at ${companyName} on ${projectName}', variables))
+      .toBe('From 2023 to 2024 at Acme on ${projectName}');
+  });
+});
+
+describe('checkSurveyAnswer', () => {
+  it('checks required answers and answer types', () => {
+    expect(checkSurveyAnswer({ questiontype: 'text', required: true }, ' ')).toMatch(/required/);
+    expect(checkSurveyAnswer({ questiontype: 'text', required: false }, '')).toBeNull();
+    expect(checkSurveyAnswer({ questiontype: 'yesno' }, 'yes')).toBeNull();
+    expect(checkSurveyAnswer({ questiontype: 'yesno' }, 'maybe')).toMatch(/Yes or No/);
+    expect(checkSurveyAnswer({ questiontype: 'number' }, '1,200')).toBeNull();
+    expect(checkSurveyAnswer({ questiontype: 'date' }, 'soon')).toMatch(/date/);
+    expect(checkSurveyAnswer({ questiontype: 'single', options: ['A', 'B'] }, 'C')).toMatch(/one of A, B/);
+    expect(checkSurveyAnswer({ questiontype: 'multi', options: ['A', 'B'] }, ['A', 'B'])).toBeNull();
+    expect(checkSurveyAnswer({ questiontype: 'multi', options: ['A', 'B'] }, '["A","C"]')).toMatch(/C not in/);
+    expect(checkSurveyAnswer({ questiontype: 'multi', required: true, options: ['A', 'B'] }, '[]')).toMatch(/required/);
+  });
+});
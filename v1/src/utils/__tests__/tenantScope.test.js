@@ -0,0 +1,225 @@
+jest.mock('../../queries/auth.queries', () => ({ getRolePermissions: jest.fn() }));
+jest.mock('../../queries/tenant.queries', () => ({ getRecordCompanies: jest.fn() }));
+jest.mock('../../middlewares/auth.middleware_jwt', () => ({
+  authorize_jwt: (req, res, next) => {
+    req.userProfile = { userId: 'u1', roleId: 2 };
+    req.companyAccess = ['own-company'];
+    next();
+  }
+}));
+
+const authQueries = require('../../queries/auth.queries');
+const tenantQueries = require('../../queries/tenant.queries');
+const { requestTenantIds, hasCompanyAccess, parseList, TENANT_FIELDS } = require('../tenantScope');
+const { scopeToCompanies } = require('../../middlewares/tenant.middleware');
+const { POLICY_FEATURES, POLICY_ACTIONS } = require('../../constants');
+
+//every record id starting with own- is of the company of the user, the others of another company
+const recordCompanies = async (kind, ids) => ids.map(id => ({ recordId: id, companyId: String(id).startsWith('own-') ? 'own-company' : 'other-company' }));
+
+const response = () => {
+  const res = { body: null, statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  res.sendStatus = jest.fn((code) => { res.statusCode = code; return res; });
+  return res;
+};
+
+//runs the middlewares of a route like express does, until one of them answers
+const run = async (handlers, req, res) => {
+  for (const handler of handlers) {
+    let called = false;
+    await handler(req, res, () => { called = true; });
+    if (!called) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const signedIn = (req) => ({ userProfile: { userId: 'u1' }, companyAccess: ['own-company'], params: {}, query: {}, body: {}, ...req });
+
+beforeEach(() => {
+  tenantQueries.getRecordCompanies.mockImplementation(recordCompanies);
+  authQueries.getRolePermissions.mockResolvedValue(POLICY_FEATURES.flatMap(feature => POLICY_ACTIONS.map(action => `${feature}:${action}`)));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('requestTenantIds', () => {
+  it('reads the ids of the params, query and body', () => {
+    const req = {
+      params: { user: 'u1', company: 'c1' },
+      query: { projectIds: "['p1','p2']", caseId: '7', search: 'x' },
+      body: { contactId: 'ct1', projectIds: ['p3'], name: 'y' }
+    };
+
+    expect(requestTenantIds(req)).toEqual([
+      { source: 'params', field: 'company', kind: 'company', ids: ['c1'], list: false },
+      { source: 'query', field: 'projectIds', kind: 'project', ids: ['p1', 'p2'], list: true },
+      { source: 'query', field: 'caseId', kind: 'case', ids: ['7'], list: false },
+      { source: 'body', field: 'contactId', kind: 'contact', ids: ['ct1'], list: false },
+      { source: 'body', field: 'projectIds', kind: 'project', ids: ['p3'], list: true }
+    ]);
+  });
+
+  it('reads the ids nested in the lists and objects of the body', () => {
+    const req = {
+      params: {},
+      query: {},
+      body: { reconciliations: [{ reconciliationId: 'r1', hours: 2 }, { reconciliationId: 'r2' }], survey: { answers: [{ questionId: 'q1' }] } }
+    };
+
+    expect(requestTenantIds(req)).toEqual([
+      { source: 'body', field: 'reconciliations[0].reconciliationId', kind: 'reconciliation', ids: ['r1'], list: false },
+      { source: 'body', field: 'reconciliations[1].reconciliationId', kind: 'reconciliation', ids: ['r2'], list: false },
+      { source: 'body', field: 'survey.answers[0].questionId', kind: 'surveyQuestion', ids: ['q1'], list: false }
+    ]);
+  });
+
+  it('skips ids sent empty', () => {
+    expect(requestTenantIds({ params: { company: 'undefined' }, query: { projectId: '' }, body: { companyId: null } })).toEqual([]);
+  });
+
+  it('parses list filters', () => {
+    expect(parseList("['a','b']")).toEqual(['a', 'b']);
+    expect(parseList('a, b')).toEqual(['a', 'b']);
+    expect(parseList(['a'])).toEqual(['a']);
+  });
+});
+
+describe('hasCompanyAccess', () => {
+  it('does not restrict users without company relations', () => {
+    expect(hasCompanyAccess(null, 'c1')).toBe(true);
+    expect(hasCompanyAccess([], 'c1')).toBe(true);
+    expect(hasCompanyAccess(['c1'], 'c2')).toBe(false);
+  });
+});
+
+describe('scopeToCompanies', () => {
+  it('refuses a record of another company', async () => {
+    const res = response();
+
+    expect(await run([scopeToCompanies], signedIn({ params: { reconciliationId: 'other-r1' } }), res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('lets the records of the user through', async () => {
+    const req = signedIn({ params: { company: 'own-company', project: 'own-p1' } });
+
+    expect(await run([scopeToCompanies], req, response())).toBe(true);
+  });
+
+  it('lets unknown records through, the controller answers they are not found', async () => {
+    tenantQueries.getRecordCompanies.mockResolvedValue([]);
+
+    expect(await run([scopeToCompanies], signedIn({ params: { project: 'missing' } }), response())).toBe(true);
+  });
+
+  it('keeps the accessible ids of the list filters and adds the companies of the user', async () => {
+    const req = signedIn({ query: { projectIds: "['own-p1','other-p2']" } });
+
+    expect(await run([scopeToCompanies], req, response())).toBe(true);
+    expect(JSON.parse(req.query.projectIds)).toEqual(['own-p1']);
+    expect(JSON.parse(req.query.companyIds)).toEqual(['own-company']);
+  });
+
+  it('refuses a list filter with nothing accessible', async () => {
+    const res = response();
+
+    expect(await run([scopeToCompanies], signedIn({ query: { companyIds: "['other-company']" } }), res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('refuses a body list with one record of another company', async () => {
+    const res = response();
+
+    expect(await run([scopeToCompanies], signedIn({ body: { surveyIds: ['own-s1', 'other-s2'] } }), res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('refuses a record of another company nested in a body list', async () => {
+    const res = response();
+    const req = signedIn({ body: { reconciliations: [{ reconciliationId: 'own-r1' }, { reconciliationId: 'other-r2' }] } });
+    tenantQueries.getRecordCompanies.mockClear();
+
+    expect(await run([scopeToCompanies], req, res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(tenantQueries.getRecordCompanies).toHaveBeenCalledTimes(1);
+    expect(tenantQueries.getRecordCompanies).toHaveBeenCalledWith('reconciliation', ['own-r1', 'other-r2']);
+  });
+
+  it('does not restrict users without company relations', async () => {
+    const req = signedIn({ companyAccess: [], params: { company: 'other-company' } });
+
+    expect(await run([scopeToCompanies], req, response())).toBe(true);
+    expect(req.query.companyIds).toBeUndefined();
+  });
+});
+
+//every route of the app with a policy, tried with ids of another company
+describe('cross tenant access on every route', () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { app } = require('../../setups/server/app');
+
+  const routes = [];
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      const policyAt = handlers.findIndex(handle => handle.policy);
+      const method = Object.keys(layer.route.methods)[0];
+      routes.push({ name: `${method.toUpperCase()} ${layer.route.path}`, path: layer.route.path, policy: handlers[policyAt].policy, stack: handlers, handlers: handlers.slice(0, handlers.indexOf(scopeToCompanies) + 1) });
+    } else if (layer.handle && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+  collect(app._router.stack);
+  console.log.mockRestore();
+  console.error.mockRestore();
+
+  const signedInRoutes = routes.filter(route => !route.policy.public);
+  const paramsOf = (path, id) => Object.fromEntries((path.match(/:\w+/g) || []).map(param => param.slice(1)).map(param => [param, TENANT_FIELDS[param] ? id : 'u1']));
+  const withTenantParams = signedInRoutes.filter(route => Object.keys(paramsOf(route.path, 'x')).some(param => TENANT_FIELDS[param]));
+
+  it('scopes every signed in route to the companies of the user', () => {
+    expect(signedInRoutes.length).toBeGreaterThan(100);
+    signedInRoutes.forEach(route => expect([route.name, route.handlers.includes(scopeToCompanies)]).toEqual([route.name, true]));
+  });
+
+  //multer reads the body after the policy
+  it('scopes the body of every multipart route after its upload', () => {
+    const multipart = signedInRoutes.filter(route => route.stack.some(handle => handle.name == 'multerMiddleware'));
+
+    expect(multipart.length).toBeGreaterThan(10);
+    multipart.forEach(route => {
+      const uploadAt = route.stack.findIndex(handle => handle.name == 'multerMiddleware');
+      expect([route.name, route.stack.lastIndexOf(scopeToCompanies) > uploadAt]).toEqual([route.name, true]);
+    });
+  });
+
+  it.each(withTenantParams.map(route => [route.name, route]))('%s refuses ids of another company in its url', async (name, route) => {
+    const res = response();
+
+    expect(await run(route.handlers, { headers: {}, params: paramsOf(route.path, 'other-1'), query: {}, body: {} }, res)).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it.each(withTenantParams.map(route => [route.name, route]))('%s accepts ids of the company of the user', async (name, route) => {
+    const req = { headers: {}, params: paramsOf(route.path, 'own-company'), query: {}, body: {} };
+
+    expect(await run(route.handlers, req, response())).toBe(true);
+  });
+
+  it.each(signedInRoutes.map(route => [route.name, route]))('%s refuses a company of another tenant in the query or body', async (name, route) => {
+    const fromQuery = response();
+    const fromBody = response();
+
+    expect(await run(route.handlers, { headers: {}, params: paramsOf(route.path, 'own-company'), query: { companyId: 'other-company' }, body: {} }, fromQuery)).toBe(false);
+    expect(await run(route.handlers, { headers: {}, params: paramsOf(route.path, 'own-company'), query: {}, body: { projectId: 'other-p1' } }, fromBody)).toBe(false);
+    expect([fromQuery.statusCode, fromBody.statusCode]).toEqual([403, 403]);
+  });
+});
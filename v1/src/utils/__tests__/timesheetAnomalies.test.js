@@ -0,0 +1,68 @@
+const { runAnomalyRules } = require('../timesheetAnomalies');
+
+const task = (overrides) => ({
+  contactId: 'c1',
+  employeeId: 'E1',
+  teamMemberId: 'tm1',
+  projectId: 'p1',
+  projectCode: 'P1',
+  taskDate: '2024-03-04',
+  taskEffort: 8,
+  taskDescription: 'Prototype',
+  reportedHourlyRate: null,
+  ...overrides,
+});
+
+const context = (overrides) => ({
+  projects: { p1: { projectCode: 'P1', startDate: '2024-01-01', endDate: '2024-06-30' } },
+  holidays: new Set(),
+  ratePeriods: { c1: [{ contactSalaryId: 's1', startDate: '2024-01-01', endDate: null, hourlyRate: 50 }] },
+  otherTasks: [],
+  ...overrides,
+});
+
+const rulesOf = (findings) => findings.map(finding => finding.rule);
+
+describe('runAnomalyRules', () => {
+  it('finds nothing in a clean timesheet', () => {
+    expect(runAnomalyRules([task(), task({ taskDate: '2024-03-05' })], context())).toEqual([]);
+  });
+
+  it('flags more than 24 hours per person per day', () => {
+    const findings = runAnomalyRules([
+      task({ taskEffort: 16, taskDescription: 'a' }),
+      task({ taskEffort: 9, taskDescription: 'b' }),
+    ], context());
+    expect(rulesOf(findings)).toEqual(['daily-hours']);
+    expect(findings[0].description).toMatch(/25 hours on 2024-03-04/);
+  });
+
+  it('flags weekends and company holidays', () => {
+    const findings = runAnomalyRules([
+      task({ taskDate: '2024-03-02' }),
+      task({ taskDate: '2024-03-08' }),
+    ], context({ holidays: new Set(['2024-03-08']) }));
+    expect(rulesOf(findings)).toEqual(['non-working-day']);
+    expect(findings[0].description).toMatch(/2024-03-02, 2024-03-08/);
+  });
+
+  it('flags tasks outside the project dates and employees outside the team', () => {
+    const findings = runAnomalyRules([
+      task({ taskDate: '2024-07-01', teamMemberId: null }),
+    ], context());
+    expect(rulesOf(findings)).toEqual(['outside-project-dates', 'not-team-member']);
+  });
+
+  it('flags rows duplicated in the sheet or uploaded before', () => {
+    expect(rulesOf(runAnomalyRules([task(), task()], context()))).toEqual(['duplicate-rows']);
+    const findings = runAnomalyRules([task()], context({ otherTasks: [task({ taskDescription: ' PROTOTYPE ' })] }));
+    expect(findings[0].description).toMatch(/earlier timesheet upload/);
+  });
+
+  it('flags timesheet rates far from the payroll rate', () => {
+    expect(runAnomalyRules([task({ reportedHourlyRate: 55 })], context())).toEqual([]);
+    const findings = runAnomalyRules([task({ reportedHourlyRate: 80 })], context());
+    expect(rulesOf(findings)).toEqual(['rate-mismatch']);
+    expect(findings[0].priority).toBe('high');
+  });
+});
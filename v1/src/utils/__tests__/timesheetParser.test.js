@@ -0,0 +1,64 @@
+const {
+  mapTimesheetColumns,
+  parseTimesheetRows,
+  sumTimesheetHours,
+} = require('../timesheetParser');
+
+describe('mapTimesheetColumns', () => {
+  it('matches header aliases ignoring case and punctuation', () => {
+    const { columns, missingColumns } = mapTimesheetColumns(['Emp. ID', 'project code', 'Work Date', 'Task', 'HOURS']);
+    expect(columns).toEqual({ employeeId: 0, projectCode: 1, taskDate: 2, taskDescription: 3, taskEffort: 4 });
+    expect(missingColumns).toEqual([]);
+  });
+
+  it('reports missing mandatory columns', () => {
+    expect(mapTimesheetColumns(['Employee ID', 'Date']).missingColumns).toEqual(['projectCode', 'taskEffort']);
+  });
+});
+
+describe('parseTimesheetRows', () => {
+  const header = ['Employee ID', 'Project ID', 'Date', 'Description', 'Hours', 'Classification'];
+
+  it('converts rows into tasks and skips empty rows', () => {
+    const { tasks, errors } = parseTimesheetRows([
+      header,
+      ['E1', 'P1', '2024-03-04', 'Prototype', '7.5', 'non routine'],
+      [null, null, null, null, null, null],
+      ['E2', 'P1', 45355, null, 8, null],
+    ]);
+    expect(errors).toEqual([]);
+    expect(tasks).toEqual([
+      { rownumber: 2, employeeId: 'E1', projectCode: 'P1', taskDate: '2024-03-04', taskDescription: 'Prototype', taskEffort: 7.5, taskClassification: 'Non-Routine', reportedHourlyRate: null },
+      { rownumber: 4, employeeId: 'E2', projectCode: 'P1', taskDate: '2024-03-04', taskDescription: null, taskEffort: 8, taskClassification: 'Pending', reportedHourlyRate: null },
+    ]);
+  });
+
+  it('rejects rows with invalid cells', () => {
+    const { tasks, errors } = parseTimesheetRows([
+      header,
+      ['E1', '', 'someday', 'x', '-2', 'Maybe'],
+    ]);
+    expect(tasks).toEqual([]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].rownumber).toBe(2);
+    expect(errors[0].reason).toMatch(/Project ID is empty/);
+    expect(errors[0].reason).toMatch(/not a valid date/);
+    expect(errors[0].reason).toMatch(/not a valid number of hours/);
+    expect(errors[0].reason).toMatch(/Classification 'Maybe'/);
+  });
+});
+
+describe('sumTimesheetHours', () => {
+  it('totals hours per project by classification', () => {
+    const totals = sumTimesheetHours([
+      { projectId: 'p1', taskEffort: 2.5, taskClassification: 'Non-Routine' },
+      { projectId: 'p1', taskEffort: 1, taskClassification: 'Routine' },
+      { projectId: 'p1', taskEffort: 3, taskClassification: 'Pending' },
+      { projectId: 'p2', taskEffort: 4, taskClassification: 'Uncertain' },
+    ]);
+    expect(totals).toEqual({
+      p1: { timesheetRnDHours: 2.5, timesheetNonRnDHours: 1, timesheetUncertainHours: 3 },
+      p2: { timesheetRnDHours: 0, timesheetNonRnDHours: 0, timesheetUncertainHours: 4 },
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// Versioned survey answers : every save names the version it was based on, a save on an older version is refused
+
+const answerText = (answer) => answer === undefined || answer === null ? '' : String(answer);
+
+const sameAnswer = (a, b) => answerText(a) === answerText(b);
+
+//a save without a version token is not checked, e.g. clients from before versioning
+const hasVersionToken = (version) => version !== undefined && version !== null && version !== '';
+
+/*
+ * Answers saved on a version that is no longer the current one, each with the text on the server now.
+ * Saving the same text as the server is no conflict, whatever version it was based on.
+ * answers : [{ questionId, answer, version }]
+ * current : { questionId: { version, answer, saveddate, modifiedby } } - saved answers of the survey
+ * Returns [{ questionId, version, yourVersion, answer, lastSaved, savedBy }]
+ */
+function staleAnswers(answers, current) {
+    let conflicts = [];
+    for (const { questionId, answer, version } of answers) {
+        if (!hasVersionToken(version)) {
+            continue;
+        }
+        const saved = current[questionId];
+        const currentVersion = saved ? Number(saved.version || 0) : 0;
+        if (Number(version) === currentVersion || sameAnswer(answer, saved ? saved.answer : null)) {
+            continue;
+        }
+        conflicts.push({
+            questionId,
+            version: currentVersion,
+            yourVersion: version,
+            answer: saved ? saved.answer : null,
+            lastSaved: saved ? saved.saveddate : null,
+            savedBy: saved ? saved.modifiedby : null
+        });
+    }
+    return conflicts;
+}
+
+module.exports = {
+    sameAnswer,
+    hasVersionToken,
+    staleAnswers
+};
@@ -0,0 +1,120 @@
+// Audit trail of the sensitive data, the evidence of who did what :
+// - auditModel adds Sequelize hooks to a model, every create / update / delete is recorded with the before and
+//   after of the fields changed. Bulk updates and deletes are run row by row so each row is recorded.
+// - recordRead records a read of salary or R&D expense data (policy() does it for AUDITED_READ_FEATURES).
+// Each entry carries the actor, request id, method, path and ip of the request (requestContext).
+// Changes made with raw SQL (sequelize.query) do not go through the hooks and are not recorded.
+const { v4: uuidv4 } = require('uuid');
+const auditQueries = require('../queries/audit.queries');
+const { currentContext } = require('./requestContext');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'read'];
+
+//bookkeeping fields, a change of only these is not recorded
+const IGNORED_FIELDS = new Set(['sysmodtime', 'modifiedtime']);
+
+//secrets are recorded as changed, never with their value
+const REDACTED_FIELDS = new Set(['password', 'mfa_secret', 'otp', 'cipher', 'refreshtoken', 'clientsecret']);
+const REDACTED = '[redacted]';
+
+const isNullish = (value) => value === null || value === undefined;
+
+const sameValue = (a, b) => {
+    if (isNullish(a) || isNullish(b)) {
+        return isNullish(a) && isNullish(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+//{ field: { before, after } } of the fields that differ, before is {} for a create and after is {} for a delete
+function auditChanges(before, after) {
+    before = before || {};
+    after = after || {};
+    let changes = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const name = field.toLowerCase();
+        if (IGNORED_FIELDS.has(name) || sameValue(before[field], after[field])) {
+            continue;
+        }
+        changes[field] = REDACTED_FIELDS.has(name)
+            ? { before: REDACTED, after: REDACTED }
+            : { before: isNullish(before[field]) ? null : before[field], after: isNullish(after[field]) ? null : after[field] };
+    }
+    return changes;
+}
+
+//an audit entry never stops what it records, a failure to write it is logged
+async function recordEntry(entry, context = currentContext(), transaction = null) {
+    context = context || {};
+    try {
+        await auditQueries.createAuditEntry({
+            id: uuidv4(),
+            ...entry,
+            actorid: context.userId || null,
+            requestid: context.requestId || null,
+            method: context.method || null,
+            path: context.path || null,
+            ipaddress: context.ipAddress || null,
+            createdtime: new Date()
+        }, transaction);
+    } catch (error) {
+        console.error(`Audit | entry not recorded | ${entry.action} ${entry.entity} ${entry.entityid || ''} :`, error);
+    }
+}
+
+/*
+ * Record the changes of a model. options :
+ * entity           name of the records in the audit log, e.g. 'project'
+ * idAttribute      id of a record, the primary key by default
+ * companyAttribute company of a record, or companyOf(instance) when it is found elsewhere
+ */
+function auditModel(model, { entity, idAttribute = model.primaryKeyAttribute, companyAttribute = null, companyOf = null }) {
+    const companyIdOf = async (instance) => {
+        const companyId = companyOf ? await companyOf(instance) : (companyAttribute ? instance.get(companyAttribute, { raw: true }) : null);
+        return isNullish(companyId) ? null : String(companyId);
+    };
+
+    const record = async (action, instance, changes, options) => {
+        if (Object.keys(changes).length === 0) {
+            return;
+        }
+        const entityId = instance.get(idAttribute, { raw: true });
+        await recordEntry({
+            action,
+            entity,
+            entityid: isNullish(entityId) ? null : String(entityId),
+            companyid: await companyIdOf(instance),
+            changes
+        }, currentContext(), options && options.transaction);
+    };
+
+    model.addHook('beforeBulkCreate', 'audit', (instances, options) => { options.individualHooks = true; });
+    model.addHook('beforeBulkUpdate', 'audit', (options) => { options.individualHooks = true; });
+    model.addHook('beforeBulkDestroy', 'audit', (options) => { options.individualHooks = true; });
+    //the values before the update, a bulk update saving row by row resets them before afterUpdate
+    model.addHook('beforeUpdate', 'audit', (instance) => { instance._auditBefore = { ...instance._previousDataValues }; });
+    model.addHook('afterCreate', 'audit', (instance, options) => record('create', instance, auditChanges({}, instance.get({ raw: true })), options));
+    model.addHook('afterUpdate', 'audit', (instance, options) => record('update', instance, auditChanges(instance._auditBefore || instance._previousDataValues, instance.get({ raw: true })), options));
+    model.addHook('afterDestroy', 'audit', (instance, options) => record('delete', instance, auditChanges(instance.get({ raw: true }), {}), options));
+}
+
+//a read of sensitive data, details says what was asked e.g. { feature, params, query }
+const recordRead = (entity, entityId, companyId, details = null, context = currentContext()) => recordEntry({
+    action: 'read',
+    entity,
+    entityid: isNullish(entityId) ? null : String(entityId),
+    companyid: isNullish(companyId) ? null : String(companyId),
+    changes: null,
+    details
+}, context);
+
+module.exports = {
+    AUDIT_ACTIONS,
+    REDACTED,
+    auditChanges,
+    auditModel,
+    recordRead
+};
@@ -130,8 +130,32 @@ async function uploadSheetToAzure(file) {
 }
 
 
+async function downloadSheetFromAzure(url, filePath) {
+    try {
+        // Create a BlobServiceClient using the provided connection string
+        const blobServiceClient = BlobServiceClient.fromConnectionString(AZURE_STORAGE_CONNECTION_STRING);
+
+        // Get a reference to a container
+        const containerClient = blobServiceClient.getContainerClient(CONTAINER_NAME);
+
+        // The blob name is the last segment of the stored sheet url
+        const blobName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        const blobClient = containerClient.getBlobClient(blobName);
+
+        // Download the blob to the given local path
+        await blobClient.downloadToFile(filePath);
+
+        return filePath;
+    } catch (error) {
+        console.error("Error downloading sheet from Azure Storage:", error.message);
+        throw error;
+    }
+}
+
+
 module.exports = {
     uploadFileToAzureStorage,
     downloadFileFromAzureStorage,
-    uploadSheetToAzure
+    uploadSheetToAzure,
+    downloadSheetFromAzure
 };
\ No newline at end of file
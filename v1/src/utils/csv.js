@@ -754,6 +754,91 @@ async function reportForTeamMemberSheet() {
     }
 }
 
+async function reportForSheetErrors(sheetName, errors) {
+    try {
+        // Create a new workbook
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Errors');
+
+        worksheet.columns = [
+            { header: 'Row Number', key: 'rowNumber', width: 12 },
+            { header: 'Column', key: 'columnName', width: 30 },
+            { header: 'Reason', key: 'reason', width: 60 },
+            { header: 'Stage', key: 'stage', width: 12 }
+        ];
+
+        worksheet.addRows(errors);
+
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.eachCell((cell) => {
+            cell.font = { bold: true, color: { argb: 'FFFFFF' } }; // Bold and white text
+            cell.alignment = { horizontal: 'center', vertical: 'middle' }; // Center align header
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4F81BD' } }; // Blue background
+        });
+
+        // Save the Excel file
+        let fileName = `ErrorReport_${sheetName}`.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, "_");
+        const filePath = `v1/src/files/${fileName}.xlsx`;
+        await workbook.xlsx.writeFile(filePath);
+
+        // Return the file path
+        return filePath;
+    } catch (error) {
+        console.error("Error while creating a file for sheet error report", error);
+        throw error;
+    }
+}
+
+//audit log entries for the SOC 2 evidence, changes and details written as json
+async function reportForAuditLog(entries) {
+    try {
+        // Create a new workbook
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Audit Log');
+
+        worksheet.columns = [
+            { header: 'Time', key: 'createdtime', width: 24 },
+            { header: 'Action', key: 'action', width: 10 },
+            { header: 'Entity', key: 'entity', width: 16 },
+            { header: 'Entity Id', key: 'entityid', width: 38 },
+            { header: 'Company Id', key: 'companyid', width: 38 },
+            { header: 'Actor Id', key: 'actorid', width: 38 },
+            { header: 'Request Id', key: 'requestid', width: 38 },
+            { header: 'Method', key: 'method', width: 8 },
+            { header: 'Path', key: 'path', width: 50 },
+            { header: 'IP Address', key: 'ipaddress', width: 18 },
+            { header: 'Changes', key: 'changes', width: 80 },
+            { header: 'Details', key: 'details', width: 60 }
+        ];
+
+        worksheet.addRows(entries.map(entry => ({
+            ...entry,
+            createdtime: entry.createdtime ? new Date(entry.createdtime).toISOString() : null,
+            changes: entry.changes ? JSON.stringify(entry.changes) : null,
+            details: entry.details ? JSON.stringify(entry.details) : null
+        })));
+
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.eachCell((cell) => {
+            cell.font = { bold: true, color: { argb: 'FFFFFF' } }; // Bold and white text
+            cell.alignment = { horizontal: 'center', vertical: 'middle' }; // Center align header
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '4F81BD' } }; // Blue background
+        });
+
+        // Save the Excel file
+        const filePath = `v1/src/files/AuditLog_${Date.now()}.xlsx`;
+        await workbook.xlsx.writeFile(filePath);
+
+        // Return the file path
+        return filePath;
+    } catch (error) {
+        console.error("Error while creating a file for audit log", error);
+        throw error;
+    }
+}
+
 async function generateSurveysReport(surveys, filePath, format) {
     try {
         if (format === 'pdf') {
@@ -1002,6 +1087,8 @@ module.exports = {
     reportForEmployeeSheet,
     reportForEmployeeWagesSheet,
     reportForTeamMemberSheet,
+    reportForSheetErrors,
+    reportForAuditLog,
     objectToDocument,
     projectSampleSheet
 }
\ No newline at end of file
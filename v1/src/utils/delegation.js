@@ -0,0 +1,123 @@
+// Forwarding a survey / interaction from its public page to another SPOC.
+// The chain is kept on the record as [{ id, fromName, fromEmail, toName, toEmail, message, url, delegatedAt }],
+// the last entry is the one answering now and only the link of that entry opens the form.
+const { MAX_DELEGATIONS } = require('../constants');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const maskEmail = (email) => String(email || '').replace(/^(.{2}).*?(@.*)$/, "$1****$2");
+
+//json column, a string when it comes from a raw query
+function parseDelegations(value) {
+    if (!value) {
+        return [];
+    }
+    if (typeof value == 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            return [];
+        }
+    }
+    return Array.isArray(value) ? value : [];
+}
+
+//text encrypted in a link : the record id, plus the delegation id for links of a delegate
+const delegationLinkText = (id, delegationId) => delegationId ? `${id}:${delegationId}` : String(id);
+
+function parseDelegationLink(text) {
+    const [id, delegationId] = String(text).split(':');
+    return { id, delegationId: delegationId || null };
+}
+
+/*
+ * Who answers now : the last delegate, or the SPOC the form was sent to.
+ * original : { name, email, url }
+ */
+function currentResponder(original, delegations) {
+    const chain = parseDelegations(delegations);
+    const last = chain[chain.length - 1];
+    if (!last) {
+        return { ...original, delegationId: null, delegatedBy: null };
+    }
+    return { name: last.toName, email: last.toEmail, url: last.url, delegationId: last.id, delegatedBy: last.fromName };
+}
+
+//only the newest link opens the form, links handed on before stop working
+function isActiveLink(delegations, delegationId) {
+    return currentResponder({}, delegations).delegationId === (delegationId || null);
+}
+
+//why an older link no longer opens the form, null for the active link
+function forwardedLinkMessage(delegations, delegationId, noun) {
+    if (isActiveLink(delegations, delegationId)) {
+        return null;
+    }
+    const responder = currentResponder({}, delegations);
+    return `This ${noun} was forwarded to ${maskEmail(responder.email)}, this link no longer opens it.`;
+}
+
+/*
+ * Reason a delegation can not be made, null when it can.
+ * delegate : { name, email }
+ */
+function checkDelegation(original, delegations, delegate) {
+    const chain = parseDelegations(delegations);
+    const responder = currentResponder(original, chain);
+    if (!delegate.name || !String(delegate.name).trim()) {
+        return "Name of the delegate is required.";
+    }
+    if (!delegate.email || !EMAIL_PATTERN.test(String(delegate.email).trim())) {
+        return "A valid email of the delegate is required.";
+    }
+    if (sameEmail(delegate.email, responder.email)) {
+        return "It is already assigned to this email.";
+    }
+    if (chain.length >= MAX_DELEGATIONS) {
+        return `It can be forwarded at most ${MAX_DELEGATIONS} times.`;
+    }
+    return null;
+}
+
+//chain entry of the current responder handing over to the delegate
+function delegationEntry(original, delegations, delegate, id, url, message) {
+    const responder = currentResponder(original, delegations);
+    return {
+        id,
+        fromName: responder.name,
+        fromEmail: responder.email,
+        toName: String(delegate.name).trim(),
+        toEmail: String(delegate.email).trim(),
+        message: message ? String(message).trim() : null,
+        url,
+        delegatedAt: new Date().toISOString()
+    };
+}
+
+//everyone who held the form before the current responder, the SPOC it was sent to first : [{ name, email }]
+function previousResponders(original, delegations) {
+    const chain = parseDelegations(delegations);
+    const responder = currentResponder(original, chain);
+    let responders = [];
+    for (const holder of [original, ...chain.map(entry => ({ name: entry.fromName, email: entry.fromEmail }))]) {
+        if (holder.email && !sameEmail(holder.email, responder.email) && !responders.some(item => sameEmail(item.email, holder.email))) {
+            responders.push({ name: holder.name, email: holder.email });
+        }
+    }
+    return responders;
+}
+
+module.exports = {
+    maskEmail,
+    parseDelegations,
+    delegationLinkText,
+    parseDelegationLink,
+    currentResponder,
+    isActiveLink,
+    forwardedLinkMessage,
+    checkDelegation,
+    delegationEntry,
+    previousResponders
+};
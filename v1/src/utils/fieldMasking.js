@@ -0,0 +1,33 @@
+// Field level masking of responses : the listed fields are set to null wherever they are in the body,
+// in nested objects and arrays too. Field names are matched without case (hourlyRate, hourlyrate ...).
+
+//plain copy of the body with the fields nulled, models and other objects with toJSON are serialized first
+function maskFields(value, fields, depth = 0) {
+    const names = fields instanceof Set ? fields : new Set(fields.map(field => field.toLowerCase()));
+    if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value) || depth > 32) {
+        return value;
+    }
+    if (typeof value.toJSON === 'function') {
+        return maskFields(value.toJSON(), names, depth + 1);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => maskFields(item, names, depth + 1));
+    }
+    let result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = names.has(key.toLowerCase()) ? null : maskFields(item, names, depth + 1);
+    }
+    return result;
+}
+
+//masks the fields in everything the request answers with res.json / res.send of an object
+function maskResponseFields(res, fields) {
+    const names = new Set(fields.map(field => field.toLowerCase()));
+    const json = res.json.bind(res);
+    res.json = (body) => json(maskFields(body, names));
+}
+
+module.exports = {
+    maskFields,
+    maskResponseFields
+};
@@ -8,15 +8,14 @@ const { axiosRequest } = require("../utils/axios");
 const sheetsQueries = require("../queries/sheets.queries");
 const MasterSheetsData = require("../models/master-sheets-data.model");
 const PlatformUsers = require("../models/platform-users.model");
-const { sendSheetFailMessage } = require("../utils/mailGraphApi");
+const { sendTemplateMail } = require("../utils/mailer");
 const Company = require('../models/company.model');
 const { uploadSheetToAzure } = require('../utils/azureBlobStorage');
 const MasterCase = require("../models/master-case.model");
 const caseQueries = require("../queries/case.queries");
 const SystemSurveyQuestion = require("../models/system-survey-question.model");
 const MasterSheet = require("../models/master-sheets.model");
-const { sendMailForUploadedSheets, sendMail } = require("../utils/mailGraphApi");
-const companyQueries = require("../queries/company.queries");
+const { sendMailForUploadedSheets } = require("../utils/mailer");
 const Contact = require("../models/contact.model");
 const TeamMembers = require("../models/teammembers.model");
 const ContactSalary = require("../models/contact-salary.model");
@@ -24,55 +23,42 @@ const constants = require("../constants");
 const projectQueries = require("../queries/project.queries");
 const assessmentQueries = require("../queries/assessment.queries");
 const MasterInteractions = require("../models/master-interactions.model");
+const { runImportJob, completeImportJob, recordSheetErrors, resetValidationErrors } = require("../utils/sheetImportJob");
+const { validateSheetRecord } = require("../utils/sheetValidator");
+const { readSheetRows } = require("../utils/sheetReader");
+const { recordSheetChange } = require("../utils/sheetChanges");
+const { toDateOnly, addDays, getRatePeriods, checkRatePeriod } = require("../utils/payrollRates");
 
 async function projectsSheetsProcessor(userId, sheetId, companyId, file) {
     try {
 
+        const processed = await basicSheetProcessing(userId, companyId, sheetId, file, 'projects');
+        //sheet was rejected as a whole (missing columns / unreadable), status is already set
+        if (!processed) {
+            fs.unlinkSync(file.path);
+            return;
+        }
+
         let {
             company,
             sheetData,
             acceptedRecords,
-            rejectedRecords,
             sheetcolumnnameTocolumnname,
-            emails, ccs, subject, highlight
-        } = await basicSheetProcessing(userId, companyId, sheetId, file, 'projects');
+            emails, ccs, highlight
+        } = processed;
 
         //insert data into projects
-        for (const record of acceptedRecords) {
+        await runImportJob(sheetId, companyId, acceptedRecords, async (record, transaction) => {
 
-            delete record.rownumber;
-
-            let projectData = {};
-            for (key in record) {
-                if (record[key] === '-') {
-                    delete record[key];
-                    continue;
-                }
-                const projectAttribute = sheetcolumnnameTocolumnname[key];
-                if (projectAttribute) {
-                    projectData[projectAttribute] = record[key];
-                }
-            }
-            projectData.companyId = companyId;
-
-            //conert the numbers to dates
-            const dateColumns = ["startDate", "endDate", "actualStartDate", "actualEndDate"];
-            Object.keys(projectData).forEach(key => {
-                if (projectData[key] === "-") {
-                    delete projectData[key]; // Remove key with value "-"
-                } else if (dateColumns.includes(key) && typeof projectData[key] === 'number') {
-                    // Convert Excel date numbers to JavaScript Date objects inline
-                    const excelDate = projectData[key];
-                    const unixTimestamp = (excelDate - 25569) * 86400 * 1000;
-                    projectData[key] = new Date(unixTimestamp).toISOString().split('T')[0]; // Format as 'YYYY-MM-DD'
-                }
-            });
+            const projectData = mapProjectRecord(record, sheetcolumnnameTocolumnname, companyId);
+            const change = { sheetId, companyId, rownumber: record.rownumber, transaction };
 
             let project = await Project.findOne({
                 where: {
                     companyId: companyId,
                     projectCode: projectData.projectCode
-                }
+                },
+                transaction
             })
 
 
@@ -85,40 +71,31 @@ async function projectsSheetsProcessor(userId, sheetId, companyId, file) {
                     where: {
                         projectIdentifier: project.projectIdentifier
                     },
+                    transaction
                 });
+                await recordSheetChange(change, Project, project.projectIdentifier, project, projectData);
 
                 console.log(`Projects | action : Update Project From Sheet | Project Code : ${projectData.projectCode} | Project Name : ${projectData.projectName}`);
 
             } else {
-                await Project.create(projectData);
+                const createdProject = await Project.create(projectData, { transaction });
+                await recordSheetChange(change, Project, createdProject.projectIdentifier, null, projectData);
                 console.log(`Projects | action : Create Project From Sheet | Project Code : ${projectData.projectCode} | Project Name : ${projectData.projectName}`);
                 await Project.update(projectData, {
                     where: {
                         projectCode: `'${projectData.projectCode}'`,
                         companyId: companyId
                     },
+                    transaction
                 });
             }
-        }
 
+            return null;
+        });
 
 
         //update master_sheet status to processed
-        const totalRecordsCount = sheetData.length;
-        const acceptedRecordsCount = acceptedRecords.length;
-        const rejectedRecordsCount = rejectedRecords.length;
-        await MasterSheets.update(
-            {
-                message: "Sheet processed successfully.",
-                status: "processed",
-                totalrecords: totalRecordsCount,
-                acceptedrecords: acceptedRecordsCount,
-                rejectedrecords: rejectedRecordsCount
-            },
-            {
-                where: { id: sheetId }
-            }
-        );
+        const { rejectedRecords } = await completeImportJob(sheetId, sheetData.length);
 
         await sheetQueries.updateProjectIds();
 
@@ -181,22 +158,9 @@ async function projectsSheetsProcessor(userId, sheetId, companyId, file) {
         // }
 
 
-        let sendFailedSheetMail = false;
-        for (const key in highlight) {
-            if (highlight[key].length > 0) {
-                sendFailedSheetMail = true;
-                break;
-            }
-        }
-        if (sendFailedSheetMail) {
-            const table = await generateHighlightedHTML(file, highlight);
-            const body = `
-                The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing values or incorrect data.</br>
-                File Name: ${file.originalname}</br>
-                Please review the sheet and upload again.
-                ${table}
-            `;
-            await sendSheetFailMessage(emails, ccs, subject, body);
+
+        if (rejectedRecords > 0) {
+            await sendSheetErrorReport(sheetId, company, file, highlight, rejectedRecords, emails, ccs);
         }
 
         fs.unlinkSync(file.path);
@@ -212,28 +176,272 @@ async function projectsSheetsProcessor(userId, sheetId, companyId, file) {
     }
 }
 
-async function generateHighlightedHTML(file, highlight) {
+//map a sheet row to model attributes, skipping empty ("-") cells
+function mapSheetRecord(record, sheetcolumnnameTocolumnname) {
+    let data = {};
+    for (const key in record) {
+        if (key === 'rownumber' || record[key] === '-') {
+            continue;
+        }
+        const attribute = sheetcolumnnameTocolumnname[key];
+        if (attribute) {
+            data[attribute] = record[key];
+        }
+    }
+    return data;
+}
+
+//sheet column name of a model attribute, used to point row errors at the right cell
+function sheetColumnOf(sheetcolumnnameTocolumnname, attribute) {
+    return Object.keys(sheetcolumnnameTocolumnname).find(key => sheetcolumnnameTocolumnname[key] === attribute) || attribute;
+}
+
+//the row by row error report of the uploaded sheets page replaces this mail, SHEET_ERROR_MAILS=true sends it as well
+const sheetErrorMailsEnabled = () => process.env.SHEET_ERROR_MAILS == 'true';
+
+async function sendSheetErrorReport(sheetId, company, file, highlight, rejectedRecords, emails, ccs) {
+    if (!sheetErrorMailsEnabled()) {
+        return;
+    }
+
+    //errors of both stages, import errors are not in the highlight yet
+    const rowErrors = await sheetQueries.getSheetErrors(sheetId);
+    for (const error of rowErrors) {
+        if (error.columnName && highlight[error.rowNumber] && !highlight[error.rowNumber].includes(error.columnName)) {
+            highlight[error.rowNumber].push(error.columnName);
+        }
+    }
+
+    const table = await generateHighlightedHTML(file, highlight, rowErrors);
+    await sendTemplateMail('SHEETS', 'ROW ERRORS', company.dataValues.companyId, {
+        accountName: company.dataValues.companyName,
+        fileName: file.originalname,
+        rejectedRows: rejectedRecords,
+        errorTable: table
+    }, { to: emails, cc: ccs }, { object: 'master_sheets', objectId: sheetId });
+}
+
+function mapProjectRecord(record, sheetcolumnnameTocolumnname, companyId) {
+    let projectData = mapSheetRecord(record, sheetcolumnnameTocolumnname);
+    projectData.companyId = companyId;
+
+    //conert the numbers to dates
+    const dateColumns = ["startDate", "endDate", "actualStartDate", "actualEndDate"];
+    Object.keys(projectData).forEach(key => {
+        if (dateColumns.includes(key) && typeof projectData[key] === 'number') {
+            // Convert Excel date numbers to JavaScript Date objects inline
+            const excelDate = projectData[key];
+            const unixTimestamp = (excelDate - 25569) * 86400 * 1000;
+            projectData[key] = new Date(unixTimestamp).toISOString().split('T')[0]; // Format as 'YYYY-MM-DD'
+        }
+    });
+
+    return projectData;
+}
+
+//normalize db and sheet values so that "12.50" == 12.5 and dates compare as YYYY-MM-DD
+function normalizePreviewValue(value) {
+    if (value === null || value === undefined || value === '' || value === '-') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    const text = String(value).trim();
+    if (text !== '' && !isNaN(Number(text))) {
+        return Number(text);
+    }
+    return text;
+}
+
+async function previewProjectsSheet(userId, companyId, file) {
+    try {
+        //a preview never creates the mapper, it has to exist already
+        const projectMapper = await sheetQueries.getCompanyMapper(companyId, 'projects');
+        if (!projectMapper) {
+            return {
+                status: 'failed',
+                message: 'Project mapper is not configured for the account.'
+            };
+        }
+
+        const processed = await basicSheetProcessing(userId, companyId, null, file, 'projects', { preview: true });
+        if (!processed) {
+            return {
+                status: 'failed',
+                message: 'Unable to process the sheet.'
+            };
+        }
+
+        if (processed.missingColumns) {
+            return {
+                status: 'failed',
+                message: 'Missing columns in the sheet.',
+                missingColumns: processed.missingColumns
+            };
+        }
+
+        const { sheetData, acceptedRecords, rejectedRecords, sheetcolumnnameTocolumnname, rowErrors } = processed;
+
+        let inserted = [];
+        let updated = {};
+        let unchanged = [];
+        let rejected = [];
+
+        for (const record of rejectedRecords) {
+            rejected.push({
+                rowNumber: record.rownumber,
+                projectCode: mapProjectRecord(record, sheetcolumnnameTocolumnname, companyId).projectCode || null,
+                errors: rowErrors
+                    .filter(error => error.rownumber === record.rownumber)
+                    .map(error => ({ column: error.columnname, reason: error.reason }))
+            });
+        }
+
+        //rows repeating a project code are compared against the earlier row, as the upload would apply them in order
+        let pendingProjects = {};
+
+        for (const record of acceptedRecords) {
+            const projectData = mapProjectRecord(record, sheetcolumnnameTocolumnname, companyId);
+            const projectCode = projectData.projectCode;
+
+            let current = pendingProjects[projectCode];
+            if (!current) {
+                const project = await Project.findOne({
+                    where: {
+                        companyId: companyId,
+                        projectCode: projectCode
+                    }
+                });
+                current = project ? project.dataValues : null;
+            }
+
+            if (!current) {
+                inserted.push({
+                    rowNumber: record.rownumber,
+                    projectCode: projectCode,
+                    projectName: projectData.projectName || null,
+                    values: projectData
+                });
+                pendingProjects[projectCode] = { ...projectData, isNew: true };
+                continue;
+            }
+
+            let changes = {};
+            for (const field in projectData) {
+                if (field === 'companyId') {
+                    continue;
+                }
+                const before = normalizePreviewValue(current[field]);
+                const after = normalizePreviewValue(projectData[field]);
+                if (before !== after) {
+                    changes[field] = { before, after };
+                }
+            }
+
+            pendingProjects[projectCode] = { ...current, ...projectData };
+
+            if (Object.keys(changes).length == 0) {
+                unchanged.push({ rowNumber: record.rownumber, projectCode: projectCode });
+                continue;
+            }
+
+            if (current.isNew) {
+                //a later row of a project inserted by this sheet only changes the values to be inserted
+                const insertedProject = inserted.find(item => item.projectCode === projectCode);
+                insertedProject.values = { ...insertedProject.values, ...projectData };
+                continue;
+            }
+
+            if (updated[projectCode]) {
+                //keep the database value as "before" when the code repeats in the sheet
+                for (const field in changes) {
+                    if (updated[projectCode].changes[field]) {
+                        changes[field].before = updated[projectCode].changes[field].before;
+                    }
+                }
+                changes = { ...updated[projectCode].changes, ...changes };
+            }
+
+            updated[projectCode] = {
+                rowNumber: record.rownumber,
+                projectId: current.projectId,
+                projectName: current.projectName,
+                changes: changes
+            };
+        }
+
+        return {
+            status: 'preview',
+            totalRecords: sheetData.length,
+            summary: {
+                insert: inserted.length,
+                update: Object.keys(updated).length,
+                unchanged: unchanged.length,
+                rejected: rejected.length
+            },
+            inserted,
+            updated,
+            unchanged,
+            rejected
+        };
+
+    } finally {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+}
+
+async function generateHighlightedHTML(file, highlight, rowErrors = []) {
     try {
-        const workbook = XLSX.readFile(file.path);
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '-' });
+        const { rows: data } = readSheetRows(file, { defval: '-' });
+
+        //reasons by row number and column : { 2: { "Start Date": ["'abc' is not a valid date"] } }
+        let reasons = {};
+        for (const error of rowErrors) {
+            const rowNumber = error.rownumber || error.rowNumber;
+            const column = error.columnname || error.columnName || '';
+            reasons[rowNumber] = reasons[rowNumber] || {};
+            reasons[rowNumber][column] = reasons[rowNumber][column] || [];
+            reasons[rowNumber][column].push(error.reason);
+        }
+        const showReasons = rowErrors.length > 0;
 
         let html = '<table border="1" cellpadding="5" style="border-collapse: collapse;">';
 
         for (let rowIndex = 0; rowIndex < data.length; rowIndex++) {
-            if ((rowIndex + 1 in highlight) && !(rowIndex + 1 == 1) && highlight[rowIndex + 1].length == 0) {
+            if ((rowIndex + 1 in highlight) && !(rowIndex + 1 == 1) && highlight[rowIndex + 1].length == 0 && !reasons[rowIndex + 1]) {
                 continue;
             }
+            const rowReasons = reasons[rowIndex + 1] || {};
+
             html += '<tr>';
             for (let colIndex = 0; colIndex < data[rowIndex].length; colIndex++) {
                 let highlightClass = '';
+                let title = '';
 
                 if (highlight[rowIndex + 1] && highlight[rowIndex + 1].includes(data[0][colIndex])) {
                     highlightClass = 'background-color: red;';
+                    if (rowReasons[data[0][colIndex]]) {
+                        title = ` title="${rowReasons[data[0][colIndex]].join('; ').replace(/"/g, '&quot;')}"`;
+                    }
                 }
 
-                html += `<td style="${highlightClass} padding: 5px;">${data[rowIndex][colIndex]}</td>`;
+                html += `<td style="${highlightClass} padding: 5px;"${title}>${data[rowIndex][colIndex]}</td>`;
+            }
+
+            //last column lists why the row was rejected, mail clients do not show the cell titles
+            if (showReasons) {
+                if (rowIndex == 0) {
+                    html += '<td style="padding: 5px;"><b>Errors</b></td>';
+                } else {
+                    const rowMessages = Object.keys(rowReasons).map(column => rowReasons[column].map(reason => column ? `${column}: ${reason}` : reason).join('; '));
+                    html += `<td style="padding: 5px;">${rowMessages.join('; ')}</td>`;
+                }
             }
             html += '</tr>';
         }
@@ -418,29 +626,18 @@ async function surveySheetsProcessor(files, userId, caseId) {
 
 
                 //send mail to the internal team
-                const email = process.env.SURVEY_CONFIRM_MAIL;
-                //get mail body
-                const masterCompanyMailConfiguration = await companyQueries.getOrCreateCompanyMailConfiguration(sheet.companyId, "SURVEY", "RESPONSE RECEIVED - SUPPORT TEAM");
-
-                body = masterCompanyMailConfiguration.dataValues.body;
-                body = body.replace("${name}", userName);
-                body = body.replace("${projectId}", sheet.projectId);
-                body = body.replace("${projectName}", sheet.projectName);
-                body = body.replace("${date}", new Date().toISOString().slice(0, 19).replace('T', ' '));
-
-                subject = masterCompanyMailConfiguration.dataValues.subject;
-                subject = subject.replace("${accountName}", sheet.companyName);
-                subject = subject.replace("${projectId}", sheet.projectId);
-                subject = subject.replace("${projectName}", sheet.projectName);
-
-                const ccMails = [];
-
-                await sendMail(email, body, subject, ccMails);
+                await sendTemplateMail("SURVEY", "RESPONSE RECEIVED - SUPPORT TEAM", sheet.companyId, {
+                    name: userName,
+                    date: new Date().toISOString().slice(0, 19).replace('T', ' '),
+                    projectId: sheet.projectId,
+                    projectName: sheet.projectName,
+                    accountName: sheet.companyName
+                }, { to: process.env.SURVEY_CONFIRM_MAIL }, { object: "master_survey", objectId: sheet.surveyId, userId });
             }
 
         }
 
-        await sendMailForUploadedSheets(acceptedFiles, rejectedFiles, userName, email);
+        await sendMailForUploadedSheets(acceptedFiles, rejectedFiles, userName, email, { userId, companyId: masterCase.companyid });
 
     } catch (error) {
         console.error("Error Updating Survey Answers From Sheet wages dates :", error);
@@ -546,579 +743,180 @@ async function evaluateSurveySheet(sheetData) {
 async function employeeSheetProcessor(userId, companyId, sheetId, file) {
     try {
 
-        //get company
-        const company = await Company.findOne({ where: { companyId: companyId } });
+        const processed = await basicSheetProcessing(userId, companyId, sheetId, file, 'employee');
+        //sheet was rejected as a whole (missing columns / unreadable), status is already set
+        if (!processed) {
+            fs.unlinkSync(file.path);
+            return;
+        }
 
-        //set status to processing
-        await MasterSheets.update(
-            { status: 'processing' },  // Fields to update
-            { where: { id: sheetId } }  // Condition to match
-        );
+        let {
+            company,
+            sheetData,
+            acceptedRecords,
+            sheetcolumnnameTocolumnname,
+            emails, ccs, highlight
+        } = processed;
 
-        // get projects sheet mapper
-        const sheetType = 'employee';
-        let employeeMapper = await sheetQueries.getCompanyMapper(companyId, sheetType);
-        //if there is no mapper create one
-        if (!employeeMapper) {
-            await sheetsQueries.createCompanyEmployeeMapper(companyId);
-            employeeMapper = await sheetQueries.getCompanyMapper(companyId, sheetType);
-        }
+        //insert data into contacts
+        await runImportJob(sheetId, companyId, acceptedRecords, async (record, transaction) => {
 
+            let contactData = mapSheetRecord(record, sheetcolumnnameTocolumnname);
+            contactData.companyId = companyId;
+            const change = { sheetId, companyId, rownumber: record.rownumber, transaction };
 
-        //convert xlsx data to json
-        const workbook = XLSX.readFile(file.path);
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        let sheetData = XLSX.utils.sheet_to_json(sheet);
-        fs.unlinkSync(file.path);
+            let contact = await Contact.findOne({
+                where: {
+                    companyId: companyId,
+                    employeeId: contactData.employeeId
+                },
+                transaction
+            })
 
 
-        //get user details for missing data in sheet for mail
-        let userEmail = await PlatformUsers.findOne({
-            where: {
-                userId: userId
+            if (contact) {
+                contact = contact.dataValues;
+
+                await Contact.update(contactData, {
+                    where: {
+                        contactId: contact.contactId
+                    },
+                    transaction
+                });
+                await recordSheetChange(change, Contact, contact.contactId, contact, contactData);
+
+                console.log(`Contacts | action : Update Contact From Sheet | Contact ID : ${contact.contactId}`);
+
+            } else {
+                contactData.contactId = uuidv4();
+                await Contact.create(contactData, { transaction });
+                await recordSheetChange(change, Contact, contactData.contactId, null, contactData);
+                console.log(`Contacts | action : Create Contact From Sheet | Contact ID : ${contactData.contactId}`);
             }
+
+            return null;
         });
-        userEmail = userEmail.dataValues.email;
-        //send a mail details
-        const subject = `Upload Employee Sheet Failed for ${company.dataValues.companyName}`;
-        const emails = [];
-        emails.push(process.env.SURVEY_SUPPORT_MAIL);
-        const ccs = [];
-        ccs.push(userEmail);
 
 
-        //check if mandatory columns are missing in sheet
-        const mandatorySheetColumns = await sheetQueries.getMandatorySheetColumns(companyId, sheetType);
-        //get sheet column names
-        const missingColumn = new Set();
-        for (const element of mandatorySheetColumns) {
-            let count = 0;
-            for (const record of sheetData) {
-                if (!(element in record)) {
-                    mandatoryColumnMissing = true;
-                    count++;
-                }
-            }
-            if (count == sheetData.length) {
-                missingColumn.add(element);
-            }
+        //update master_sheet status to processed
+        const { rejectedRecords } = await completeImportJob(sheetId, sheetData.length);
+
+        if (rejectedRecords > 0) {
+            await sendSheetErrorReport(sheetId, company, file, highlight, rejectedRecords, emails, ccs);
         }
 
+        fs.unlinkSync(file.path);
 
-        //Mandatory Columns missing : Send a Mail
-        if (missingColumn.size > 0) {
-            await MasterSheets.update(
-                {
-                    message: "Missing columns in the sheet.",
-                    status: "failed"
-                },
-                {
-                    where: { id: sheetId }
-                }
-            );
+    } catch (error) {
+        await MasterSheets.update(
+            {
+                status: 'failed',
+                message: 'Internal Server Error'
+            },
+            { where: { id: sheetId } }
+        );
+        console.error("Error processing employee sheet:", error.message);
+    }
+}
 
-            //send mail
-            let missingColumnNames = Array.from(missingColumn).join(', ');
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing columns.</br>
-            File Name: ${file.originalname}</br>
-            Missing Columns : ${missingColumnNames}.</br>
-            Please review the sheet and upload again.</br></br>
-            `;
 
-            await sendSheetFailMessage(emails, ccs, subject, body);
+async function projectTeamSheetProcessor(userId, companyId, sheetId, file) {
+    try {
 
+        const processed = await basicSheetProcessing(userId, companyId, sheetId, file, 'project team');
+        //sheet was rejected as a whole (missing columns / unreadable), status is already set
+        if (!processed) {
+            fs.unlinkSync(file.path);
             return;
         }
 
+        let {
+            company,
+            sheetData,
+            acceptedRecords,
+            sheetcolumnnameTocolumnname,
+            emails, ccs, highlight
+        } = processed;
 
-        //set the mssing values to "-"
-        const maxKeysObject = sheetData.reduce((maxObj, currentObj) => {
-            return Object.keys(currentObj).length > Object.keys(maxObj).length ? currentObj : maxObj;
-        }, {});
+        //deleteItems
+        const items = ["employementType", "employeeTitle", "firstName", "email", "phone", "Address", "Language", "status", "city", "state"];
 
-        // Get the keys of that object
-        const maxKeysArray = Object.keys(maxKeysObject);
+        //insert data into team members
+        await runImportJob(sheetId, companyId, acceptedRecords, async (record, transaction) => {
 
-        // Update all objects to ensure they have all the keys from maxKeysArray
-        const updatedSheetData = sheetData.map(obj => {
-            maxKeysArray.forEach(key => {
-                if (!obj.hasOwnProperty(key)) {
-                    obj[key] = "-";
-                }
-            });
-            return obj;
-        });
+            let teammemberData = mapSheetRecord(record, sheetcolumnnameTocolumnname);
+            teammemberData.companyId = companyId;
+            const change = { sheetId, companyId, rownumber: record.rownumber, transaction };
 
+            let project = await Project.findOne({ where: { companyId: companyId, projectCode: teammemberData.projectCode }, transaction });
+            if (!project) {
+                return { columnname: sheetColumnOf(sheetcolumnnameTocolumnname, 'projectCode'), reason: 'Project not found' };
+            }
 
-        //Filter which records to store in Projects Table
-        let acceptedRecords = [];
-        let rejectedRecords = [];
+            let teamMember = await TeamMembers.findOne({ where: { companyId: companyId, employeeid: teammemberData.employeeid, projectId: project.dataValues.projectId }, transaction });
+            let contact = await Contact.findOne({ where: { companyId: companyId, employeeId: teammemberData.employeeid }, transaction });
 
-        for (let record of sheetData) {
+            delete teammemberData.projectCode;
+            teammemberData.projectId = project.dataValues.projectId;
 
-            //validate the record
-            let mandatoryCellMissing = false;
-            for (const element of mandatorySheetColumns) {
-                if (record[element] == "-") {
-                    rejectedRecords.push(record);
-                    mandatoryCellMissing = true;
-                    break;
+            //contact details go to the contact, not the team member
+            let contactData = {};
+            for (const item of items) {
+                if (item in teammemberData) {
+                    contactData[item] = teammemberData[item];
+                    delete teammemberData[item];
                 }
             }
-            if (mandatoryCellMissing) {
-                continue;
-            }
 
-            acceptedRecords.push(record);
-        }
-
-
-        //insert records in master_sheets_data for accepted and rejected records
-        for (const record of acceptedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'accepted',
-                record: JSON.stringify(record)
-            });
-        }
-
-        for (const record of rejectedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'rejected',
-                record: JSON.stringify(record)
-            });
-        }
-
-
-        //Mandatory Cells missing : Send a Mail
-        if (rejectedRecords.length > 0) {
-
-            rejectedRecords = rejectedRecords.map(record => {
-                // Get the keys of the object and sort them
-                const sortedKeys = Object.keys(record).sort();
-
-                // Create a new object with the sorted keys
-                const sortedRecord = {};
-                sortedKeys.forEach(key => {
-                    sortedRecord[key] = record[key];
-                });
-
-                return sortedRecord;
-            });
-
-            let table = '<table border="1" cellpadding="10">';
-            table += '<tr>';
-            for (let key in rejectedRecords[0]) {
-                table += `<th>${key}</th>`;
-            }
-            table += '</tr>';
-            rejectedRecords.forEach(item => {
-                table += '<tr>';
-                for (let key in item) {
-                    table += `<td>${item[key]}</td>`;
-                }
-                table += '</tr>';
-            });
-            table += '</table>';
-
-
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing values.</br>
-            File Name: ${file.originalname}</br>
-            Please review the sheet and upload again.
-            ${table}
-            </br></br>
-            `;
-
-            await sendSheetFailMessage(emails, ccs, subject, body);
-        }
-
-
-        //get sheetColumnName wrt columnName
-        const sheetcolumnnameTocolumnname = await sheetQueries.getSheetcolumnnamesToColumnnames(companyId, sheetType);
-
-        //insert data into projects
-        for (const record of acceptedRecords) {
-
-            let contactData = {};
-            for (key in record) {
-                const contactAttribute = sheetcolumnnameTocolumnname[key];
-                if (contactAttribute) {
-                    contactData[contactAttribute] = record[key];
-                }
-            }
-            contactData.companyId = companyId;
-
-            let contact = await Contact.findOne({
-                where: {
-                    companyId: companyId,
-                    employeeId: contactData.employeeId
-                }
-            })
-
-
-            if (contact) {
-                contact = contact.dataValues;
-
-                await Contact.update(contactData, {
-                    where: {
-                        employeeId: contact.contactId
-                    },
-                });
-
-                console.log(`Contacts | action : Update Contact From Sheet | Contact ID : ${contact.contactId}`);
-
-            } else {
-                contactData.contactId = uuidv4();
-                await Contact.create(contactData);
-                console.log(`Contacts | action : Create Contact From Sheet | Contact ID : ${contactData.contactId}`);
-            }
-        }
-
-
-
-        //update master_sheet status to processed
-        const totalRecordsCount = sheetData.length;
-        const acceptedRecordsCount = acceptedRecords.length;
-        const rejectedRecordsCount = rejectedRecords.length;
-        await MasterSheets.update(
-            {
-                message: "Sheet processed successfully.",
-                status: "processed",
-                totalrecords: totalRecordsCount,
-                acceptedrecords: acceptedRecordsCount,
-                rejectedrecords: rejectedRecordsCount
-            },
-            {
-                where: { id: sheetId }
-            }
-        );
-
-    } catch (error) {
-        await MasterSheets.update(
-            {
-                status: 'failed',
-                message: 'Internal Server Error'
-            },
-            { where: { id: sheetId } }
-        );
-        console.error("Error processing employee sheet:", error.message);
-    }
-}
-
-
-async function projectTeamSheetProcessor(userId, companyId, sheetId, file) {
-    try {
-
-        //get company
-        const company = await Company.findOne({ where: { companyId: companyId } });
-
-        //set status to processing
-        await MasterSheets.update(
-            { status: 'processing' },  // Fields to update
-            { where: { id: sheetId } }  // Condition to match
-        );
-
-        // get projects sheet mapper
-        const sheetType = 'project team';
-        let employeeMapper = await sheetQueries.getCompanyMapper(companyId, sheetType);
-        //if there is no mapper create one
-        if (!employeeMapper) {
-            await sheetsQueries.createCompanyProjectTeamMapper(companyId);
-            employeeMapper = await sheetQueries.getCompanyMapper(companyId, sheetType);
-        }
-
-
-        //convert xlsx data to json
-        const workbook = XLSX.readFile(file.path);
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        let sheetData = XLSX.utils.sheet_to_json(sheet);
-        fs.unlinkSync(file.path);
-
-
-        //get user details for missing data in sheet for mail
-        let userEmail = await PlatformUsers.findOne({
-            where: {
-                userId: userId
-            }
-        });
-        userEmail = userEmail.dataValues.email;
-        //send a mail details
-        const subject = `Upload Project Team Sheet Failed for ${company.dataValues.companyName}`;
-        const emails = [];
-        emails.push(process.env.SURVEY_SUPPORT_MAIL);
-        const ccs = [];
-        ccs.push(userEmail);
-
-
-        //check if mandatory columns are missing in sheet
-        const mandatorySheetColumns = await sheetQueries.getMandatorySheetColumns(companyId, sheetType);
-        //get sheet column names
-        const missingColumn = new Set();
-        for (const element of mandatorySheetColumns) {
-            let count = 0;
-            for (const record of sheetData) {
-                if (!(element in record)) {
-                    mandatoryColumnMissing = true;
-                    count++;
-                }
-            }
-            if (count == sheetData.length) {
-                missingColumn.add(element);
-            }
-        }
-
-
-        //Mandatory Columns missing : Send a Mail
-        if (missingColumn.size > 0) {
-            await MasterSheets.update(
-                {
-                    message: "Missing columns in the sheet.",
-                    status: "failed"
-                },
-                {
-                    where: { id: sheetId }
-                }
-            );
-
-            //send mail
-            let missingColumnNames = Array.from(missingColumn).join(', ');
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing columns.</br>
-            File Name: ${file.originalname}</br>
-            Missing Columns : ${missingColumnNames}.</br>
-            Please review the sheet and upload again.</br></br>
-            `;
-
-            await sendSheetFailMessage(emails, ccs, subject, body);
-
-            return;
-        }
-
-
-        //set the mssing values to "-"
-        const maxKeysObject = sheetData.reduce((maxObj, currentObj) => {
-            return Object.keys(currentObj).length > Object.keys(maxObj).length ? currentObj : maxObj;
-        }, {});
-
-        // Get the keys of that object
-        const maxKeysArray = Object.keys(maxKeysObject);
-
-        // Update all objects to ensure they have all the keys from maxKeysArray
-        const updatedSheetData = sheetData.map(obj => {
-            maxKeysArray.forEach(key => {
-                if (!obj.hasOwnProperty(key)) {
-                    obj[key] = "-";
-                }
-            });
-            return obj;
-        });
-
-
-        //Filter which records to store in Projects Table
-        let acceptedRecords = [];
-        let rejectedRecords = [];
-
-        for (let record of sheetData) {
-
-            //validate the record
-            let mandatoryCellMissing = false;
-            for (const element of mandatorySheetColumns) {
-                if (record[element] == "-") {
-                    rejectedRecords.push(record);
-                    mandatoryCellMissing = true;
-                    break;
-                }
-            }
-            if (mandatoryCellMissing) {
-                continue;
-            }
-
-            acceptedRecords.push(record);
-        }
-
-
-        //insert records in master_sheets_data for accepted and rejected records
-        for (const record of acceptedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'accepted',
-                record: JSON.stringify(record)
-            });
-        }
-
-        for (const record of rejectedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'rejected',
-                record: JSON.stringify(record)
-            });
-        }
-
-        //get sheetColumnName wrt columnName
-        const sheetcolumnnameTocolumnname = await sheetQueries.getSheetcolumnnamesToColumnnames(companyId, sheetType);
-
-        //insert data into projects
-        for (const record of acceptedRecords) {
-
-            let teammemberData = {};
-            for (key in record) {
-                const contactAttribute = sheetcolumnnameTocolumnname[key];
-                if (contactAttribute) {
-                    teammemberData[contactAttribute] = record[key];
-                }
-            }
-            teammemberData.companyId = companyId;
-
-            let project = await Project.findOne({ where: { companyId: companyId, projectCode: teammemberData.projectCode } });
-            if (!project) {
-                rejectedRecords.push(record);
-                mandatoryCellMissing = true;
-                continue;
-            }
-
-            let teamMember = await TeamMembers.findOne({ where: { companyId: companyId, employeeid: teammemberData.employeeid, projectId: project.dataValues.projectId } });
-            let contact = await Contact.findOne({ where: { companyId: companyId, employeeId: teammemberData.employeeid } });
-
-            delete teammemberData.projectCode;
-            teammemberData.projectId = project.dataValues.projectId;
-
-            //deleteItems
-            const items = ["employementType", "employeeTitle", "firstName", "email", "phone", "Address", "Language", "status", "city", "state"];
-            //Team Member exists
-            if (teamMember && contact) {
-                teamMember = teamMember.dataValues;
-
-                //delete extras
-                for (let key in teammemberData) {
-                    for (const deleteKey of items) {
-                        if (deleteKey == key) {
-                            delete teammemberData[deleteKey];
-                        }
-                    }
-                }
+            //Team Member exists
+            if (teamMember && contact) {
+                teamMember = teamMember.dataValues;
 
+                //only the membership of this project, the contact can be on other projects too
                 await TeamMembers.update(teammemberData, {
                     where: {
-                        contactId: teamMember.contactId
+                        teamMemberId: teamMember.teamMemberId
                     },
+                    transaction
                 });
+                await recordSheetChange(change, TeamMembers, teamMember.teamMemberId, teamMember, teammemberData);
 
                 console.log(`Teammember | action : Update Project Team Member From Sheet | Teammember ID : ${teamMember.teamMemberId}`);
 
             } else if (!teamMember && contact) {
-                //delete extras
-                for (let key in teammemberData) {
-                    for (const deleteKey of items) {
-                        if (deleteKey == key) {
-                            delete teammemberData[deleteKey];
-                        }
-                    }
-                }
                 teammemberData.teamMemberId = uuidv4();
                 teammemberData.contactId = contact.dataValues.contactId;
-                await TeamMembers.create(teammemberData);
+                await TeamMembers.create(teammemberData, { transaction });
+                await recordSheetChange(change, TeamMembers, teammemberData.teamMemberId, null, teammemberData);
                 console.log(`Teammember | action : Create Project Team From Sheet | Teammember ID : ${teammemberData.teamMemberId}`);
             } else {
-                let contactData = {};
                 contactData.employeeId = teammemberData.employeeid;
                 contactData.contactId = uuidv4();
                 contactData.companyId = companyId;
-                for (const item of items) {
-                    if (item in teammemberData) {
-                        contactData[item] = teammemberData[item];
-                    }
-                }
 
-                for (let key in teammemberData) {
-                    for (const deleteKey of items) {
-                        if (deleteKey == key) {
-                            delete teammemberData[deleteKey];
-                        }
-                    }
-                }
                 teammemberData.teamMemberId = uuidv4();
                 teammemberData.contactId = contactData.contactId;
 
-                await Contact.create(contactData);
-                await TeamMembers.create(teammemberData);
+                await Contact.create(contactData, { transaction });
+                await TeamMembers.create(teammemberData, { transaction });
+                await recordSheetChange(change, Contact, contactData.contactId, null, contactData);
+                await recordSheetChange(change, TeamMembers, teammemberData.teamMemberId, null, teammemberData);
 
                 console.log(`Teammember | action : Create Project Team From Sheet | Teammember ID : ${teammemberData.teamMemberId}`);
             }
-        }
-
-
-        //Mandatory Cells missing : Send a Mail
-        if (rejectedRecords.length > 0) {
-
-            rejectedRecords = rejectedRecords.map(record => {
-                // Get the keys of the object and sort them
-                const sortedKeys = Object.keys(record).sort();
-
-                // Create a new object with the sorted keys
-                const sortedRecord = {};
-                sortedKeys.forEach(key => {
-                    sortedRecord[key] = record[key];
-                });
-
-                return sortedRecord;
-            });
 
-            let table = '<table border="1" cellpadding="10">';
-            table += '<tr>';
-            for (let key in rejectedRecords[0]) {
-                table += `<th>${key}</th>`;
-            }
-            table += '</tr>';
-            rejectedRecords.forEach(item => {
-                table += '<tr>';
-                for (let key in item) {
-                    table += `<td>${item[key]}</td>`;
-                }
-                table += '</tr>';
-            });
-            table += '</table>';
+            return null;
+        });
 
 
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing values.</br>
-            File Name: ${file.originalname}</br>
-            Please review the sheet and upload again.
-            ${table}
-            </br></br>
-            `;
+        //update master_sheet status to processed
+        const { rejectedRecords } = await completeImportJob(sheetId, sheetData.length);
 
-            await sendSheetFailMessage(emails, ccs, subject, body);
+        if (rejectedRecords > 0) {
+            await sendSheetErrorReport(sheetId, company, file, highlight, rejectedRecords, emails, ccs);
         }
 
-        //update master_sheet status to processed
-        const totalRecordsCount = sheetData.length;
-        const acceptedRecordsCount = acceptedRecords.length;
-        const rejectedRecordsCount = rejectedRecords.length;
-        await MasterSheets.update(
-            {
-                message: "Sheet processed successfully.",
-                status: "processed",
-                totalrecords: totalRecordsCount,
-                acceptedrecords: acceptedRecordsCount,
-                rejectedrecords: rejectedRecordsCount
-            },
-            {
-                where: { id: sheetId }
-            }
-        );
+        fs.unlinkSync(file.path);
 
     } catch (error) {
         await MasterSheets.update(
@@ -1128,7 +926,7 @@ async function projectTeamSheetProcessor(userId, companyId, sheetId, file) {
             },
             { where: { id: sheetId } }
         );
-        console.error("Error processing employee sheet:", error.message);
+        console.error("Error processing project team sheet:", error.message);
     }
 }
 
@@ -1136,30 +934,29 @@ async function projectTeamSheetProcessor(userId, companyId, sheetId, file) {
 async function payrollSheetProcessor(userId, companyId, sheetId, file) {
     try {
 
+        const processed = await basicSheetProcessing(userId, companyId, sheetId, file, 'payroll');
+        //sheet was rejected as a whole (missing columns / unreadable), status is already set
+        if (!processed) {
+            fs.unlinkSync(file.path);
+            return;
+        }
+
         let {
             company,
             sheetData,
             acceptedRecords,
-            rejectedRecords,
             sheetcolumnnameTocolumnname,
-            emails, ccs, subject
-        } = await basicSheetProcessing(userId, companyId, sheetId, file, 'payroll');
+            emails, ccs, highlight
+        } = processed;
 
-        //insert data into projects
-        for (const record of acceptedRecords) {
+        //insert data into contact salary
+        await runImportJob(sheetId, companyId, acceptedRecords, async (record, transaction) => {
 
-            let contactSalaryData = {};
-            for (key in record) {
-                const contactAttribute = sheetcolumnnameTocolumnname[key];
-                if (contactAttribute) {
-                    contactSalaryData[contactAttribute] = record[key];
-                }
-            }
+            let contactSalaryData = mapSheetRecord(record, sheetcolumnnameTocolumnname);
 
-            let contact = await Contact.findOne({ where: { companyId: companyId, employeeId: contactSalaryData.employeeId } });
+            let contact = await Contact.findOne({ where: { companyId: companyId, employeeId: contactSalaryData.employeeId }, transaction });
             if (!contact) {
-                rejectedRecords.push(record);
-                continue;
+                return { columnname: sheetColumnOf(sheetcolumnnameTocolumnname, 'employeeId'), reason: 'Employee not found' };
             }
             contact = contact.dataValues;
 
@@ -1168,69 +965,51 @@ async function payrollSheetProcessor(userId, companyId, sheetId, file) {
             contactSalaryData.createdBy = 'system';
             delete contactSalaryData.employeeId;
 
-            await ContactSalary.create(contactSalaryData);
-        }
-
+            const change = { sheetId, companyId, rownumber: record.rownumber, transaction };
+            const startColumn = sheetColumnOf(sheetcolumnnameTocolumnname, 'startDate');
+            const endColumn = sheetColumnOf(sheetcolumnnameTocolumnname, 'endDate');
 
-        //Mandatory Cells missing : Send a Mail
-        if (rejectedRecords.length > 0) {
+            //rate periods of the employee : the open one is closed, overlaps are rejected and gaps reported
+            const newPeriod = { startDate: toDateOnly(contactSalaryData.startDate), endDate: toDateOnly(contactSalaryData.endDate) };
+            const periods = await getRatePeriods(contact.contactId, transaction);
+            const { overlaps, toClose, gapBefore, gapAfter } = checkRatePeriod(periods, newPeriod);
 
-            rejectedRecords = rejectedRecords.map(record => {
-                // Get the keys of the object and sort them
-                const sortedKeys = Object.keys(record).sort();
+            if (overlaps.length > 0) {
+                const overlapping = overlaps.map(period => `${period.startDate} to ${period.endDate || 'open'}`).join(', ');
+                return { columnname: startColumn, reason: `Rate period overlaps existing period ${overlapping}` };
+            }
 
-                // Create a new object with the sorted keys
-                const sortedRecord = {};
-                sortedKeys.forEach(key => {
-                    sortedRecord[key] = record[key];
-                });
+            if (toClose) {
+                const endDate = addDays(newPeriod.startDate, -1);
+                await ContactSalary.update({ endDate: endDate, modifiedBy: userId }, { where: { contactSalaryId: toClose.contactSalaryId }, transaction });
+                await recordSheetChange(change, ContactSalary, toClose.contactSalaryId, { endDate: toClose.endDate }, { endDate: endDate });
+                console.log(`Contacts | action : Close Rate Period From Sheet | Contact Salary ID : ${toClose.contactSalaryId} | End Date : ${endDate}`);
+            }
 
-                return sortedRecord;
-            });
+            await ContactSalary.create(contactSalaryData, { transaction });
+            await recordSheetChange(change, ContactSalary, contactSalaryData.contactSalaryId, null, contactSalaryData);
 
-            let table = '<table border="1" cellpadding="10">';
-            table += '<tr>';
-            for (let key in rejectedRecords[0]) {
-                table += `<th>${key}</th>`;
+            let warnings = [];
+            if (gapBefore) {
+                warnings.push({ columnname: startColumn, stage: 'warning', reason: `No hourly rate from ${addDays(gapBefore.endDate, 1)} to ${addDays(newPeriod.startDate, -1)}` });
+            }
+            if (gapAfter) {
+                warnings.push({ columnname: endColumn, stage: 'warning', reason: `No hourly rate from ${addDays(newPeriod.endDate, 1)} to ${addDays(gapAfter.startDate, -1)}` });
             }
-            table += '</tr>';
-            rejectedRecords.forEach(item => {
-                table += '<tr>';
-                for (let key in item) {
-                    table += `<td>${item[key]}</td>`;
-                }
-                table += '</tr>';
-            });
-            table += '</table>';
+
+            return warnings.length > 0 ? warnings : null;
+        });
 
 
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing values.</br>
-            File Name: ${file.originalname}</br>
-            Please review the sheet and upload again.
-            ${table}
-            </br></br>
-            `;
+        //update master_sheet status to processed
+        const { rejectedRecords } = await completeImportJob(sheetId, sheetData.length);
 
-            await sendSheetFailMessage(emails, ccs, subject, body);
+        if (rejectedRecords > 0) {
+            await sendSheetErrorReport(sheetId, company, file, highlight, rejectedRecords, emails, ccs);
         }
 
-        //update master_sheet status to processed
-        const totalRecordsCount = sheetData.length;
-        const acceptedRecordsCount = acceptedRecords.length;
-        const rejectedRecordsCount = rejectedRecords.length;
-        await MasterSheets.update(
-            {
-                message: "Sheet processed successfully.",
-                status: "processed",
-                totalrecords: totalRecordsCount,
-                acceptedrecords: acceptedRecordsCount,
-                rejectedrecords: rejectedRecordsCount
-            },
-            {
-                where: { id: sheetId }
-            }
-        );
+        fs.unlinkSync(file.path);
+
     } catch (error) {
         await MasterSheets.update(
             {
@@ -1244,16 +1023,61 @@ async function payrollSheetProcessor(userId, companyId, sheetId, file) {
 }
 
 
-async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType) {
+//run the processor of a master sheet type, the promise resolves once the sheet is imported
+async function processUploadedSheet(userId, companyId, sheetId, sheetType, file) {
+    switch (sheetType) {
+        case 'projects': return projectsSheetsProcessor(userId, sheetId, companyId, file);
+        case 'employees': return employeeSheetProcessor(userId, companyId, sheetId, file);
+        case 'project team': return projectTeamSheetProcessor(userId, companyId, sheetId, file);
+        case 'payroll': return payrollSheetProcessor(userId, companyId, sheetId, file);
+        default: throw new Error(`Sheet type '${sheetType}' can not be processed.`);
+    }
+}
+
+//order in which the tabs of one workbook are imported, team members and salaries need the projects and employees
+const WORKBOOK_SHEET_TYPE_ORDER = ['projects', 'employees', 'project team', 'payroll'];
+
+/*
+ * Import several worksheets of one uploaded workbook, one master sheet each.
+ * sheets : [{ sheetId, sheetType, worksheet }]
+ * Every worksheet gets its own copy of the file as the processors remove the file they are given.
+ */
+async function workbookSheetsProcessor(userId, companyId, file, sheets) {
+    const orderedSheets = [...sheets].sort((a, b) => WORKBOOK_SHEET_TYPE_ORDER.indexOf(a.sheetType) - WORKBOOK_SHEET_TYPE_ORDER.indexOf(b.sheetType));
+
+    let sheetFiles = [];
+    try {
+        for (const sheet of orderedSheets) {
+            const sheetFile = { ...file, path: `${file.path}-${sheet.sheetId}`, worksheet: sheet.worksheet };
+            fs.copyFileSync(file.path, sheetFile.path);
+            sheetFiles.push({ sheet, file: sheetFile });
+        }
+    } finally {
+        fs.unlinkSync(file.path);
+    }
+
+    for (const { sheet, file: sheetFile } of sheetFiles) {
+        console.log(`Sheets | action : Workbook Import | Sheet ID : ${sheet.sheetId} | Sheet Type : ${sheet.sheetType} | Worksheet : ${sheet.worksheet}`);
+        await processUploadedSheet(userId, companyId, sheet.sheetId, sheet.sheetType, sheetFile);
+    }
+}
+
+
+async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType, options = {}) {
     try {
+        //preview runs the same validation and mapping without writing anything
+        const { preview = false } = options;
+
         //get company
         const company = await Company.findOne({ where: { companyId: companyId } });
 
         //set status to processing
-        await MasterSheets.update(
-            { status: 'processing' },  // Fields to update
-            { where: { id: sheetId } }  // Condition to match
-        );
+        if (!preview) {
+            await MasterSheets.update(
+                { status: 'processing' },  // Fields to update
+                { where: { id: sheetId } }  // Condition to match
+            );
+        }
 
         // get projects sheet mapper
         let sheetMapper = await sheetQueries.getCompanyMapper(companyId, sheetType);
@@ -1273,12 +1097,8 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
         }
 
 
-        //convert xlsx data to json
-        const workbook = XLSX.readFile(file.path);
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        // Convert sheet to JSON
-        let sheetData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+        //convert xlsx / csv data to json, from the worksheet picked by the uploader
+        let { rows: sheetData } = readSheetRows(file);
 
         // Get the headers from the first row
         const headers = sheetData[0];
@@ -1305,7 +1125,6 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
         });
         userEmail = userEmail.dataValues.email;
         //send a mail details
-        const subject = `Upload Sheet Failed for ${company.dataValues.companyName}`;
         const emails = [];
         emails.push(process.env.SURVEY_SUPPORT_MAIL);
         const ccs = [];
@@ -1332,6 +1151,10 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
 
         //Mandatory Columns missing : Send a Mail
         if (missingColumn.size > 0) {
+            if (preview) {
+                return { company, missingColumns: Array.from(missingColumn) };
+            }
+
             await MasterSheets.update(
                 {
                     message: "Missing columns in the sheet.",
@@ -1343,15 +1166,11 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
             );
 
             //send mail
-            let missingColumnNames = Array.from(missingColumn).join(', ');
-            const body = `
-            The sheet that you have uploaded for the Account : <b>${company.dataValues.companyName}</b> has some missing columns.</br>
-            File Name: ${file.originalname}</br>
-            Missing Columns : ${missingColumnNames}.</br>
-            Please review the sheet and upload again.</br></br>
-            `;
-
-            await sendSheetFailMessage(emails, ccs, subject, body);
+            await sendTemplateMail('SHEETS', 'MISSING COLUMNS', companyId, {
+                accountName: company.dataValues.companyName,
+                fileName: file.originalname,
+                missingColumns: Array.from(missingColumn).join(', ')
+            }, { to: emails, cc: ccs }, { object: 'master_sheets', objectId: sheetId, userId });
 
             return;
         }
@@ -1378,6 +1197,8 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
         //Filter which records to store in Projects Table
         let acceptedRecords = [];
         let rejectedRecords = [];
+        //row level errors for the error report : { rownumber, columnname, reason }
+        let rowErrors = [];
 
         for (let record of sheetData) {
 
@@ -1385,116 +1206,58 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
             let mandatoryCellMissing = false;
             for (const element of mandatorySheetColumns) {
                 if (record[element] == "-") {
-                    rejectedRecords.push(record);
                     mandatoryCellMissing = true;
 
                     highlight[record.rownumber].push(element);
-                    break;
+                    rowErrors.push({ rownumber: record.rownumber, columnname: element, reason: 'Mandatory value is missing' });
                 }
             }
             if (mandatoryCellMissing) {
+                rejectedRecords.push(record);
                 continue;
             }
 
             acceptedRecords.push(record);
         }
 
-
-        //insert records in master_sheets_data for accepted and rejected records
-        for (const record of acceptedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'accepted',
-                record: JSON.stringify(record)
-            });
-        }
-
-        for (const record of rejectedRecords) {
-            await MasterSheetsData.create({
-                id: uuidv4(),
-                companyid: companyId,
-                sheetid: sheetId,
-                status: 'rejected',
-                record: JSON.stringify(record)
-            });
-        }
-
         //get sheetColumnName wrt columnName
         const sheetcolumnnameTocolumnname = await sheetQueries.getSheetcolumnnamesToColumnnames(companyId, sheetType);
 
 
         //data type validation and conversion
-        let cellDataTypes;
+        let cellDataTypes = {};
+        let possibleOptions = {};
         switch (sheetType) {
             case 'payroll': cellDataTypes = constants.PAYROLL_SHEET_VALUE_DATA_TYPES;
                 break;
             case 'projects': cellDataTypes = constants.PROJECT_SHEET_VALUE_DATA_TYPES;
+                possibleOptions = await projectQueries.getProjectFiledOptions();
+                break;
+            case 'employee': cellDataTypes = constants.EMPLOYEE_SHEET_VALUE_DATA_TYPES;
+                possibleOptions = { employementType: constants.CONTACT_EMPLOYEMENT_TYPES };
+                break;
+            case 'project team': cellDataTypes = constants.PROJECT_TEAM_SHEET_VALUE_DATA_TYPES;
+                possibleOptions = { employementType: constants.CONTACT_EMPLOYEMENT_TYPES };
                 break;
         }
+        const crossFieldRules = constants.SHEET_CROSS_FIELD_RULES[sheetType] || [];
 
-        for (let i = 0; i < acceptedRecords.length; i++) {
-            let possibleOptions;
-            if (sheetType == 'projects') {
-                possibleOptions = await projectQueries.getProjectFiledOptions();
-            }
-
-            const record = acceptedRecords[i];
-            let hasError = false;
+        let validRecords = [];
+        for (const record of acceptedRecords) {
+            const { values, errors } = validateSheetRecord(record, sheetcolumnnameTocolumnname, cellDataTypes, possibleOptions, crossFieldRules);
 
-            for (const key in record) {
-                if (record[key] === '-') {
-                    continue;
+            if (errors.length > 0) {
+                for (const error of errors) {
+                    highlight[record.rownumber].push(error.columnname);
+                    rowErrors.push({ rownumber: record.rownumber, ...error });
                 }
-
-                if (sheetcolumnnameTocolumnname[key] in cellDataTypes) {
-                    const dataType = cellDataTypes[sheetcolumnnameTocolumnname[key]];
-
-                    try {
-                        if (dataType === 'NUMBER') {
-                            // Try to convert to float
-                            record[key] = parseFloat(record[key]);
-                            if (isNaN(record[key])) throw new Error('Invalid number');
-                        } else if (dataType === 'DATE') {
-                            const date = new Date((new Date(1899, 11, 31)).getTime() + (record[key] * 86400000));
-                            if (isNaN(date.getTime())) throw new Error('Invalid date');
-
-                            // Format the date to 'YYYY-MM-DD'
-                            record[key] = date.toISOString().split('T')[0];
-                        } else if (dataType === 'OPTIONS') {
-                            if (sheetcolumnnameTocolumnname[key] in possibleOptions) {
-                                const options = possibleOptions[sheetcolumnnameTocolumnname[key]];
-                                let optionAvailable = false;
-                                for (const opt of options) {
-                                    const databaseOption = opt.replace(/[^a-zA-Z0-9]/g, "").toLowerCase();
-                                    const sheetOption = record[key].replace(/[^a-zA-Z0-9]/g, "").toLowerCase();
-
-                                    if (databaseOption === sheetOption) {
-                                        record[key] = opt;
-                                        optionAvailable = true;
-                                        break;
-                                    }
-                                }
-                                if (optionAvailable == false) {
-                                    highlight[record.rownumber].push(key);
-                                    throw new Error('Invalid option');
-                                }
-                            }
-                        }
-                    } catch (error) {
-                        hasError = true;
-                        break; // Stop processing this record and move to the next one
-                    }
-                }
-            }
-
-            if (hasError) {
                 rejectedRecords.push(record);
-                acceptedRecords.splice(i, 1);
-                i--; // Adjust index to account for removed item
+                continue;
             }
+
+            validRecords.push(values);
         }
+        acceptedRecords = validRecords;
 
         if (sheetType == 'payroll') {
 
@@ -1509,12 +1272,9 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
 
             let groupedByEmployee = {};
 
-            let EMPID;
-            for (const key in sheetcolumnnameTocolumnname) {
-                if (sheetcolumnnameTocolumnname[key] == 'employeeId') {
-                    EMPID = key;
-                }
-            }
+            const EMPID = sheetColumnOf(sheetcolumnnameTocolumnname, 'employeeId');
+            const START_DATE = sheetColumnOf(sheetcolumnnameTocolumnname, 'startDate');
+            const END_DATE = sheetColumnOf(sheetcolumnnameTocolumnname, 'endDate');
             acceptedRecords.forEach(record => {
                 const empId = record[EMPID];
                 if (!groupedByEmployee[empId]) {
@@ -1532,10 +1292,12 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
 
                     for (let i = 0; i < records.length; i++) {
                         for (let j = i + 1; j < records.length; j++) {
-                            if (isOverlap(records[i]["Start Date"], records[i]["End Date"], records[j]["Start Date"], records[j]["End Date"])) {
+                            if (isOverlap(records[i][START_DATE], records[i][END_DATE], records[j][START_DATE], records[j][END_DATE])) {
                                 overlapFound = true;
                                 rejectedRecords.push(records[i]);
                                 rejectedRecords.push(records[j]);
+                                rowErrors.push({ rownumber: records[i].rownumber, columnname: START_DATE, reason: `Pay period overlaps with row ${records[j].rownumber}` });
+                                rowErrors.push({ rownumber: records[j].rownumber, columnname: START_DATE, reason: `Pay period overlaps with row ${records[i].rownumber}` });
                                 acceptedRecords = acceptedRecords.filter(r => r !== records[i] && r !== records[j]);
                             }
                         }
@@ -1550,16 +1312,66 @@ async function basicSheetProcessing(userId, companyId, sheetId, file, sheetType)
         }
 
 
+        //insert records in master_sheets_data for accepted and rejected records
+        if (!preview) {
+            //a resumed sheet is validated again, replace what the earlier run stored
+            await MasterSheetsData.destroy({ where: { sheetid: sheetId } });
+            await resetValidationErrors(sheetId);
+
+            for (const record of acceptedRecords) {
+                await MasterSheetsData.create({
+                    id: uuidv4(),
+                    companyid: companyId,
+                    sheetid: sheetId,
+                    status: 'accepted',
+                    record: JSON.stringify(record)
+                });
+            }
+
+            for (const record of rejectedRecords) {
+                await MasterSheetsData.create({
+                    id: uuidv4(),
+                    companyid: companyId,
+                    sheetid: sheetId,
+                    status: 'rejected',
+                    record: JSON.stringify(record)
+                });
+            }
+
+            await recordSheetErrors(sheetId, companyId, rowErrors, 'validation');
+
+            //counts before import so that the progress can be followed while the job runs
+            await MasterSheets.update(
+                {
+                    totalrecords: sheetData.length,
+                    acceptedrecords: acceptedRecords.length,
+                    rejectedrecords: rejectedRecords.length
+                },
+                {
+                    where: { id: sheetId }
+                }
+            );
+        }
+
         return {
             company,
             sheetData,
             acceptedRecords,
             rejectedRecords,
             sheetcolumnnameTocolumnname,
-            emails, ccs, subject, highlight
+            emails, ccs, highlight, rowErrors
         };
 
     } catch (error) {
+        if (!options.preview) {
+            await MasterSheets.update(
+                {
+                    status: 'failed',
+                    message: 'Internal Server Error'
+                },
+                { where: { id: sheetId } }
+            );
+        }
         console.log("Error processing sheet", error);
     }
 }
@@ -1746,7 +1558,7 @@ async function intearctionSheetsProcessor(files, userId) {
         }
 
         // Send Email Notification
-        await sendMailForUploadedSheets(acceptedFiles, rejectedSheets, userName, email);
+        await sendMailForUploadedSheets(acceptedFiles, rejectedSheets, userName, email, { userId });
 
     } catch (error) {
         console.error("Error Updating InteractionId Answers From Sheet:", error);
@@ -1815,10 +1627,14 @@ async function evaluateInteractionSheet(sheetData) {
 
 module.exports = {
     projectsSheetsProcessor,
+    previewProjectsSheet,
     surveySheetsProcessor,
     employeeSheetProcessor,
     projectTeamSheetProcessor,
     payrollSheetProcessor,
+    processUploadedSheet,
+    workbookSheetsProcessor,
+    WORKBOOK_SHEET_TYPE_ORDER,
     intearctionSheetsProcessor,
     evaluateInteractionSheet
 }
\ No newline at end of file
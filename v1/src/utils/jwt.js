@@ -1,11 +1,12 @@
 const jwt = require('jsonwebtoken');
-const {ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, USER_ID_KEY, ACCESS_TOKEN_EXPIRY} = require("../constants"); 
+const {ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, USER_ID_KEY, ACCESS_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY_DAYS} = require("../constants"); 
 const { decryptText } = require('./crypto');
 
-const generateAccessToken = (id,email) => {
+//sid : the login session the token belongs to, see utils/sessionService
+const generateAccessToken = (id,email,sid) => {
     return jwt.sign(
         {
-            id,email
+            id,email,sid
         },
         ACCESS_TOKEN_SECRET,
         {
@@ -14,35 +15,41 @@ const generateAccessToken = (id,email) => {
     )
 };
   
-const generateRefreshToken = (id,email) => {
+//one use only : jti is the current refresh token of the session sid, each refresh replaces it
+const generateRefreshToken = (id,email,sid,jti) => {
     return jwt.sign(
         {
-            id,email
+            id,email,sid
         },
         REFRESH_TOKEN_SECRET,
         {
-            expiresIn: "1y"
+            expiresIn: `${REFRESH_TOKEN_EXPIRY_DAYS}d`,
+            jwtid: jti
         }
     )
 };
+//user id of a valid access token, throws for an invalid or expired one
 const verifyAccessToken = (accessToken) => {
-    try {
-        const payload = jwt.verify(accessToken, ACCESS_TOKEN_SECRET);
-        const decrypt_userId = decryptText(payload.id, USER_ID_KEY );
-        return(decrypt_userId);
-      } catch (error) {
-        res.status(401).json({
-            status: 'fail',
-            message: 'Unauthorized!',
-          });
-      }
+    const payload = jwt.verify(accessToken, ACCESS_TOKEN_SECRET);
+    const decrypt_userId = decryptText(payload.id, USER_ID_KEY );
+    return(decrypt_userId);
 };
+//session of a valid access token, null for tokens issued without one
+const accessTokenSessionId = (accessToken) => {
+    const payload = jwt.verify(accessToken, ACCESS_TOKEN_SECRET);
+    return payload.sid || null;
+};
+//resolves { userId, email, sessionId, tokenId } of a valid refresh token
 const verifyRefreshToken = (refreshToken) => {
     return new Promise((resolve, reject) => {
-        jwt.verify(refreshToken, process.env.REFRESH_TOKEN, (err, payload) => {
+        jwt.verify(refreshToken, REFRESH_TOKEN_SECRET, (err, payload) => {
         if (err) return reject(err);
-        const userId = payload.id;
-        resolve(userId);
+        resolve({
+            userId: decryptText(payload.id, USER_ID_KEY),
+            email: payload.email,
+            sessionId: payload.sid,
+            tokenId: payload.jti
+        });
         });
     });
 };
@@ -50,4 +57,4 @@ const verifyRefreshToken = (refreshToken) => {
 
 
 
-module.exports = { generateAccessToken, generateRefreshToken, verifyRefreshToken, verifyAccessToken }
\ No newline at end of file
+module.exports = { generateAccessToken, generateRefreshToken, verifyRefreshToken, verifyAccessToken, accessTokenSessionId }
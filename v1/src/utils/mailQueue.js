@@ -0,0 +1,122 @@
+// Persistent mail queue on master_notification_outbox : a mail is stored first, sent right away when the
+// transport takes it and otherwise retried with a growing delay until MAIL_MAX_ATTEMPTS is reached.
+const notificationQueries = require("../queries/notification.queries");
+const { createTransport } = require("./mailTransports");
+
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 6;
+const MAIL_RETRY_BASE_SECONDS = parseInt(process.env.MAIL_RETRY_BASE_SECONDS) || 60;
+const MAIL_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const MAIL_QUEUE_INTERVAL_SECONDS = parseInt(process.env.MAIL_QUEUE_INTERVAL_SECONDS) || 30;
+
+let transport = null;
+let timer = null;
+let running = false;
+
+function getTransport() {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+}
+
+//1 minute after the first failure, then 2, 4, 8 ... capped at 6 hours. null once the attempts are used up.
+function nextAttemptTime(attempts, now = new Date(), maxAttempts = MAIL_MAX_ATTEMPTS) {
+    if (attempts >= maxAttempts) {
+        return null;
+    }
+    const delay = Math.min(MAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAIL_RETRY_MAX_SECONDS);
+    return new Date(now.getTime() + delay * 1000);
+}
+
+//one attempt at an outbox row, never throws : a failure is recorded on the row
+async function deliver(row) {
+    if (!await notificationQueries.claimMessage(row.id)) {
+        return row.status;
+    }
+    const attempts = (row.attempts || 0) + 1;
+    try {
+        const reference = await getTransport().send({
+            to: row.torecipients,
+            cc: row.ccrecipients || [],
+            subject: row.subject,
+            html: row.body,
+            attachments: row.attachments || []
+        });
+        await notificationQueries.markSent(row.id, attempts, reference);
+        return 'sent';
+    } catch (error) {
+        const retryAt = nextAttemptTime(attempts);
+        console.error(`Mail | action : send failed | id : ${row.id} | attempt : ${attempts} | ${retryAt ? `retry at ${retryAt.toISOString()}` : 'giving up'} | ${error.message}`);
+        try {
+            await notificationQueries.markAttemptFailed(row.id, attempts, error.message, retryAt);
+        } catch (markError) {
+            //already reported by the query, the claim expires and the mail is tried again
+        }
+        return retryAt ? 'queued' : 'failed';
+    }
+}
+
+/*
+ * Store a mail in the outbox and try to send it. A mail the transport refuses stays queued for the retries,
+ * so callers only see an error when the mail could not be stored at all.
+ * message : { to: [emails], cc: [emails], subject, html, attachments: [{ name, content (base64) }] }
+ * context : { feature, purpose, object, objectId, companyId, userId } - what the mail is about, for the outbox
+ * Returns { id, status }
+ */
+async function queueMail(message, context = {}) {
+    const to = (message.to || []).filter(Boolean);
+    if (to.length === 0) {
+        throw new Error("Mail has no recipient.");
+    }
+    const row = await notificationQueries.queueMessage(getTransport().name, { ...message, to, cc: (message.cc || []).filter(Boolean) }, context);
+    const status = await deliver(row);
+    return { id: row.id, status };
+}
+
+//send what is due, runs never overlap
+async function deliverQueuedMails(now = new Date()) {
+    if (running) {
+        return null;
+    }
+    running = true;
+    try {
+        let sent = 0;
+        let failed = 0;
+        for (const row of await notificationQueries.getDueMessages(now)) {
+            const status = await deliver(row);
+            if (status == 'sent') sent++;
+            if (status == 'failed') failed++;
+        }
+        return { sent, failed };
+    } catch (error) {
+        console.error("Mail | queue run failed :", error);
+        return null;
+    } finally {
+        running = false;
+    }
+}
+
+//MAIL_QUEUE_ENABLED=false leaves the retries to another instance
+function startMailQueue() {
+    if (timer || process.env.MAIL_QUEUE_ENABLED == 'false') {
+        return;
+    }
+    timer = setInterval(deliverQueuedMails, MAIL_QUEUE_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    console.log(`Mail | queue started | transport : ${getTransport().name} | every ${MAIL_QUEUE_INTERVAL_SECONDS} seconds`);
+}
+
+function stopMailQueue() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    nextAttemptTime,
+    queueMail,
+    deliverQueuedMails,
+    startMailQueue,
+    stopMailQueue
+};
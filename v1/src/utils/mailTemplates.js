@@ -0,0 +1,203 @@
+// Registry of the mails the platform sends. A template is a feature / purpose pair with the variables it can use,
+// its default text is in constants.companyDefaultMailConfigurations and written in DEFAULT_MAIL_LANGUAGE.
+// Companies override a template per language in master_company_mail_configuration, companyid 'ALL' overrides it
+// for every company. Variables are written ${name}, values are html escaped unless the template takes them as html.
+const constants = require('../constants');
+
+const PLATFORM = 'ALL';
+const LANGUAGE = /^[a-z]{2}(-[A-Z]{2})?$/;
+const COLOR = /^#[0-9a-fA-F]{6}$/;
+const VARIABLE = /\$\{(\w+)\}/g;
+
+//available in every template, from the branding of the company
+const BRANDING_VARIABLES = ['logoUrl', 'primaryColor', 'signature', 'footer'];
+const BRANDING_HTML_VARIABLES = ['signature', 'footer'];
+
+const MAIL_TEMPLATES = {
+    SURVEY: {
+        "OTP": { description: "One-time password to open the survey link", variables: ['spocName', 'otp', 'projectName', 'projectCode', 'accountName'] },
+        "SEND": { description: "Survey link sent to the SPOC, with the survey sheet attached", variables: ['spocName', 'url', 'projectName', 'projectId', 'accountName', 'fiscalYear'] },
+        "REMINDER": { description: "Reminder of an open survey, with the survey sheet attached", variables: ['receiverName', 'url', 'projectName', 'projectId', 'accountName', 'fiscalYear'] },
+        "REVOKED": { description: "Survey withdrawn, its link no longer opens", variables: ['spocName', 'projectName', 'projectId', 'accountName', 'support'] },
+        "RESPONSE RECEIVED - USER": { description: "Confirmation to the SPOC who submitted the survey", variables: ['name', 'date', 'support', 'projectName', 'projectId', 'accountName'] },
+        "RESPONSE RECEIVED - SUPPORT TEAM": { description: "Notice to the support team of a submitted survey", variables: ['name', 'date', 'projectName', 'projectId', 'accountName'] },
+        "DELEGATE": { description: "Survey forwarded to a delegate, with the new link", variables: ['delegateName', 'delegateEmail', 'delegatorName', 'message', 'url', 'projectName', 'projectCode', 'accountName'] },
+        "DELEGATED": { description: "Notice to the SPOCs who held the forwarded survey", variables: ['spocName', 'delegateName', 'delegateEmail', 'delegatorName', 'message', 'url', 'projectName', 'projectCode', 'accountName'] }
+    },
+    INTERACTION: {
+        "OTP": { description: "One-time password to open the interaction link", variables: ['spocName', 'otp', 'projectName', 'projectCode', 'accountName'] },
+        "SEND": { description: "Interaction link sent to the SPOC, with the questions attached", variables: ['spocName', 'url', 'interactionId', 'projectName', 'projectCode', 'accountName', 'fiscalYear'] },
+        "REMINDER": { description: "Reminder of an open interaction, with the questions attached", variables: ['spocName', 'url', 'interactionId', 'projectName', 'projectCode', 'accountName', 'fiscalYear'] },
+        "RESPONSE RECEIVED - USER": { description: "Confirmation to the SPOC who submitted the interaction", variables: ['name', 'date', 'support', 'interactionId', 'projectName', 'projectCode', 'accountName'] },
+        "RESPONSE RECEIVED - SUPPORT TEAM": { description: "Notice to the support team of a submitted interaction", variables: ['name', 'date', 'interactionId', 'projectName', 'projectCode', 'accountName'] },
+        "DELEGATE": { description: "Interaction forwarded to a delegate, with the new link", variables: ['delegateName', 'delegateEmail', 'delegatorName', 'message', 'url', 'projectName', 'projectCode', 'accountName'] },
+        "DELEGATED": { description: "Notice to the SPOCs who held the forwarded interaction", variables: ['spocName', 'delegateName', 'delegateEmail', 'delegatorName', 'message', 'url', 'projectName', 'projectCode', 'accountName'] },
+        "SPOC MISSING": { description: "Notice to the support team of an interaction without SPOC email", variables: ['interactionNumber', 'projectName', 'projectCode', 'accountName', 'fiscalYear'] }
+    },
+    SHEETS: {
+        "MISSING COLUMNS": { description: "Uploaded sheet rejected for missing mandatory columns", variables: ['accountName', 'fileName', 'missingColumns'] },
+        "ROW ERRORS": { description: "Uploaded sheet with rejected rows, with the highlighted rows", variables: ['accountName', 'fileName', 'rejectedRows', 'errorTable'], html: ['errorTable'] },
+        "UPLOAD SUMMARY": { description: "Accepted and rejected files of a survey / interaction sheets upload", variables: ['userName', 'acceptedFiles', 'rejectedFiles'], html: ['acceptedFiles', 'rejectedFiles'] }
+    },
+    SUPPORT: {
+        "CONTACT SUPPORT": { description: "Query of a user to the support team", variables: ['content', 'phone'] }
+    },
+    LOGIN: {
+        "OTP LOGIN": { description: "One-time password to log in", variables: ['name', 'otp', 'expiry', 'inMessage', 'username'] },
+        "OTP FORGOT PASSWORD": { description: "One-time password to reset the password", variables: ['name', 'otp', 'expiry', 'inMessage', 'username'] },
+        "OTP 2FA RESET": { description: "One-time password to reset the two-factor authentication", variables: ['name', 'otp', 'expiry', 'inMessage', 'username'] }
+    }
+};
+
+//values shown in a preview for the variables it is not given
+const SAMPLE_VALUES = {
+    spocName: "Alex Morgan", receiverName: "Alex Morgan", name: "Alex Morgan", userName: "Alex Morgan",
+    delegateName: "Sam Lee", delegateEmail: "sam.lee@example.com", delegatorName: "Alex Morgan",
+    message: "Sam led the work on this project.", otp: "123456", expiry: "10", inMessage: "Login",
+    url: "https://example.com/link", projectName: "Sample Project", projectCode: "PRJ-0001", projectId: "PRJ-0001",
+    accountName: "Sample Account", fiscalYear: "2024", interactionId: "1", interactionNumber: "000001",
+    date: "2024-05-01 10:00:00", support: "support@example.com", username: "support@example.com",
+    fileName: "projects.xlsx", missingColumns: "Project Code, Project Name", rejectedRows: "2",
+    errorTable: "<table border=\"1\"><tr><td>Row 2</td><td>Project Code is missing</td></tr></table>",
+    acceptedFiles: "<li>survey_PRJ-0001.xlsx</li>", rejectedFiles: "<li><strong>survey_PRJ-0002.xlsx</strong>: Survey not found</li>",
+    content: "I can not open the survey link.", phone: "Not Available"
+};
+
+const getTemplate = (feature, purpose) => (MAIL_TEMPLATES[feature] && MAIL_TEMPLATES[feature][purpose]) || null;
+
+const listTemplates = () => Object.entries(MAIL_TEMPLATES).flatMap(([feature, purposes]) =>
+    Object.entries(purposes).map(([purpose, template]) => ({
+        feature,
+        purpose,
+        description: template.description,
+        variables: [...template.variables, ...BRANDING_VARIABLES]
+    }))
+);
+
+const isValidLanguage = (language) => LANGUAGE.test(String(language || ''));
+const isValidColor = (color) => COLOR.test(String(color || ''));
+
+//'fr-CA' -> ['fr-CA', 'fr', 'en'], the default language is always the last resort
+function languageChain(language) {
+    const chain = isValidLanguage(language) ? [language, language.split('-')[0]] : [];
+    return [...new Set([...chain, constants.DEFAULT_MAIL_LANGUAGE])];
+}
+
+//variables a subject / body uses that the template does not have
+function unknownVariables(feature, purpose, ...texts) {
+    const template = getTemplate(feature, purpose);
+    const allowed = [...(template ? template.variables : []), ...BRANDING_VARIABLES];
+    const used = texts.flatMap(text => [...String(text || '').matchAll(VARIABLE)].map(match => match[1]));
+    return [...new Set(used.filter(name => !allowed.includes(name)))];
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+//put the values in the ${variables} of a text, a missing value is left empty
+function fillTemplate(text, values = {}, htmlVariables = [], escape = true) {
+    return String(text || '').replace(VARIABLE, (match, name) => {
+        const value = values[name];
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return escape && !htmlVariables.includes(name) ? escapeHtml(value) : String(value);
+    });
+}
+
+//branding of a company row, with the defaults for what it has not set
+function mailBranding(company = {}) {
+    const defaults = constants.DEFAULT_MAIL_BRANDING;
+    return {
+        logoUrl: company.mailLogoUrl || defaults.logoUrl,
+        primaryColor: isValidColor(company.mailPrimaryColor) ? company.mailPrimaryColor : defaults.primaryColor,
+        signature: company.mailSignature || defaults.signature,
+        footer: company.mailFooter || defaults.footer
+    };
+}
+
+//logo above the mail, footer below it and links in the company color
+function applyBranding(html, branding = {}) {
+    let result = String(html);
+    if (branding.primaryColor) {
+        result = result.replace(/<a (?![^>]*style=)/gi, `<a style="color: ${branding.primaryColor};" `);
+    }
+    if (branding.logoUrl) {
+        const logo = `<div style="margin-bottom: 16px;"><img src="${escapeHtml(branding.logoUrl)}" alt="logo" style="max-height: 60px;"></div>`;
+        result = /<body[^>]*>/i.test(result) ? result.replace(/<body[^>]*>/i, (body) => body + logo) : logo + result;
+    }
+    if (branding.footer) {
+        const footer = `<div style="margin-top: 24px; font-size: 12px; color: #666666;">${branding.footer}</div>`;
+        result = /<\/body>/i.test(result) ? result.replace(/<\/body>/i, footer + '</body>') : result + footer;
+    }
+    return result;
+}
+
+/*
+ * Template to use for a company in a language : for each language of the chain the company override,
+ * then the platform override, then the default. Legacy overrides without a language are in the default language.
+ * overrides : rows of master_company_mail_configuration of the company and of 'ALL' for the feature / purpose
+ * Returns { subject, body, language, source: 'company' | 'platform' | 'default' }, null for an unknown template
+ */
+function pickTemplate(overrides, companyId, language, feature, purpose) {
+    const defaults = constants.companyDefaultMailConfigurations[feature] && constants.companyDefaultMailConfigurations[feature][purpose];
+    for (const candidate of languageChain(language)) {
+        const inLanguage = (overrides || []).filter(row => (row.language || constants.DEFAULT_MAIL_LANGUAGE) == candidate);
+        const company = inLanguage.find(row => companyId && row.companyid == companyId && companyId != PLATFORM);
+        if (company) {
+            return { subject: company.subject, body: company.body, language: candidate, source: 'company' };
+        }
+        const platform = inLanguage.find(row => row.companyid == PLATFORM);
+        if (platform) {
+            return { subject: platform.subject, body: platform.body, language: candidate, source: 'platform' };
+        }
+        if (defaults && candidate == constants.DEFAULT_MAIL_LANGUAGE) {
+            return { subject: defaults.subject, body: defaults.body, language: candidate, source: 'default' };
+        }
+    }
+    return null;
+}
+
+//subject and html of a picked template, the subject is plain text and not escaped
+function renderTemplate(template, feature, purpose, values = {}, branding = mailBranding()) {
+    const registered = getTemplate(feature, purpose) || {};
+    const allValues = { ...branding, ...values };
+    const htmlVariables = [...(registered.html || []), ...BRANDING_HTML_VARIABLES];
+    return {
+        subject: fillTemplate(template.subject, allValues, htmlVariables, false).replace(/\s+/g, ' ').trim(),
+        html: applyBranding(fillTemplate(template.body, allValues, htmlVariables), branding)
+    };
+}
+
+//sample values of the template variables, the given ones first
+function previewValues(feature, purpose, values = {}) {
+    const template = getTemplate(feature, purpose);
+    let result = {};
+    for (const name of template ? template.variables : []) {
+        result[name] = values[name] !== undefined ? values[name] : SAMPLE_VALUES[name];
+    }
+    return result;
+}
+
+module.exports = {
+    PLATFORM,
+    MAIL_TEMPLATES,
+    BRANDING_VARIABLES,
+    getTemplate,
+    listTemplates,
+    isValidLanguage,
+    isValidColor,
+    languageChain,
+    unknownVariables,
+    escapeHtml,
+    fillTemplate,
+    mailBranding,
+    applyBranding,
+    pickTemplate,
+    renderTemplate,
+    previewValues
+};
@@ -0,0 +1,151 @@
+// Where mails go, picked with MAIL_TRANSPORT :
+// graph   - Microsoft Graph sendMail as the USER_NAME mailbox (default)
+// smtp    - any SMTP server, SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASSWORD, sent from MAIL_FROM
+// file    - one json file per mail in MAIL_FILE_DIRECTORY, for local runs and tests
+// console - only logged
+// A transport is { name, send(message) } and send resolves with a reference of the sent mail.
+// message : { to: [emails], cc: [emails], subject, html, attachments: [{ name, content (base64) }] }
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAIL_TRANSPORTS = ['graph', 'smtp', 'file', 'console'];
+
+const addresses = (emails) => (emails || []).map(address => ({ emailAddress: { address } }));
+
+function createGraphTransport() {
+    let token = null;
+    let tokenExpiry = 0;
+
+    //password grant of the sending mailbox, reused until a minute before it expires
+    async function accessToken() {
+        if (token && Date.now() < tokenExpiry) {
+            return token;
+        }
+        const tokenData = new URLSearchParams();
+        tokenData.append('client_id', process.env.CLIENT_ID);
+        tokenData.append('client_secret', process.env.CLIENT_SECRET);
+        tokenData.append('scope', 'https://graph.microsoft.com/.default');
+        tokenData.append('grant_type', 'password');
+        tokenData.append('username', process.env.USER_NAME);
+        tokenData.append('password', process.env.PASSWORD);
+
+        const tokenUrl = `https://login.microsoftonline.com/${process.env.TENANT_ID}/oauth2/v2.0/token`;
+        const response = await axios.post(tokenUrl, tokenData.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        token = response.data.access_token;
+        tokenExpiry = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+        return token;
+    }
+
+    return {
+        name: 'graph',
+        send: async (message) => {
+            const headers = {
+                'Authorization': 'Bearer ' + await accessToken(),
+                'Content-Type': 'application/json'
+            };
+            const messagePayload = {
+                "message": {
+                    "subject": message.subject,
+                    "body": {
+                        "contentType": "HTML",
+                        "content": message.html
+                    },
+                    "toRecipients": addresses(message.to),
+                    "ccRecipients": addresses(message.cc),
+                    "attachments": (message.attachments || []).map(attachment => ({
+                        "@odata.type": "#microsoft.graph.fileAttachment",
+                        "name": attachment.name,
+                        "contentBytes": attachment.content
+                    }))
+                },
+                "saveToSentItems": true
+            };
+            try {
+                const response = await axios.post('https://graph.microsoft.com/v1.0/me/sendMail', messagePayload, { headers });
+                return `graph ${response.status}`;
+            } catch (error) {
+                //a rejected token is fetched again on the next attempt
+                if (error.response && error.response.status == 401) {
+                    token = null;
+                }
+                const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+                throw new Error(`Graph sendMail failed : ${detail}`);
+            }
+        }
+    };
+}
+
+function createSmtpTransport() {
+    //only loaded when smtp is used
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE == 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail({
+                from: process.env.MAIL_FROM || process.env.SMTP_USER,
+                to: message.to,
+                cc: message.cc,
+                subject: message.subject,
+                html: message.html,
+                attachments: (message.attachments || []).map(attachment => ({
+                    filename: attachment.name,
+                    content: Buffer.from(attachment.content, 'base64')
+                }))
+            });
+            return info.messageId;
+        }
+    };
+}
+
+function createFileTransport(directory = process.env.MAIL_FILE_DIRECTORY || 'v1/src/files/mails') {
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(directory, { recursive: true });
+            const subject = String(message.subject || 'mail').replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 60);
+            const filePath = path.join(directory, `${Date.now()}_${subject}.json`);
+            await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+            console.log(`Mail | transport : file | to : ${message.to.join(',')} | subject : ${message.subject} | file : ${filePath}`);
+            return filePath;
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        send: async (message) => {
+            console.log(`Mail | transport : console | to : ${message.to.join(',')} | cc : ${(message.cc || []).join(',')} | subject : ${message.subject} | attachments : ${(message.attachments || []).length}`);
+            return null;
+        }
+    };
+}
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'graph') {
+    switch (name) {
+        case 'graph': return createGraphTransport();
+        case 'smtp': return createSmtpTransport();
+        case 'file': return createFileTransport();
+        case 'console': return createConsoleTransport();
+        default: throw new Error(`Unknown MAIL_TRANSPORT '${name}', use one of ${MAIL_TRANSPORTS.join(', ')}.`);
+    }
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createTransport,
+    createGraphTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport
+};
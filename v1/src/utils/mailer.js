@@ -0,0 +1,122 @@
+// Mails of the platform. Every mail goes through the outbox queue to the transport set in MAIL_TRANSPORT,
+// context tells the outbox what the mail is about : { feature, purpose, object, objectId, companyId, userId }
+// Texts come from the template registry (utils/mailTemplates) in the language and branding of the company.
+const fs = require('fs').promises;
+const path = require('path');
+const companyQueries = require("../queries/company.queries");
+const mailTemplateQueries = require("../queries/mail-template.queries");
+const { queueMail } = require("./mailQueue");
+const { PLATFORM, pickTemplate, renderTemplate, mailBranding, escapeHtml } = require("./mailTemplates");
+
+/*
+ * Subject and html of a template for a company : its override in its language, else the platform one, else the default.
+ * companyId : null / 'ALL' for mails that are not about a company (login), they get the default branding
+ * language : of the recipient when known, the company language otherwise
+ * Returns { subject, html, language, source }
+ */
+async function renderMail(feature, purpose, companyId, values = {}, language = null) {
+    const settings = companyId && companyId != PLATFORM ? await companyQueries.getMailSettingsByCompanyId(companyId) : null;
+    const overrides = await mailTemplateQueries.getTemplateOverrides(companyId, feature, purpose);
+    const template = pickTemplate(overrides, companyId, language || (settings && settings.language), feature, purpose);
+    if (!template) {
+        throw new Error(`Unknown mail template ${feature} / ${purpose}.`);
+    }
+    const { subject, html } = renderTemplate(template, feature, purpose, values, settings ? settings.branding : mailBranding());
+    return { subject, html, language: template.language, source: template.source };
+}
+
+/*
+ * Render a template and queue it.
+ * mail : { to, cc, filePath (attached, can be deleted once this returns), language }
+ */
+async function sendTemplateMail(feature, purpose, companyId, values, mail, context = {}) {
+    const { subject, html } = await renderMail(feature, purpose, companyId, values, mail.language);
+    const to = Array.isArray(mail.to) ? mail.to : [mail.to];
+    const attachments = mail.filePath ? [await attachmentOf(mail.filePath)] : [];
+
+    const { id, status } = await queueMail(
+        { to, cc: mail.cc || [], subject, html, attachments },
+        { feature, purpose, companyId: companyId && companyId != PLATFORM ? companyId : null, ...context }
+    );
+    return {
+        id,
+        mailSentStatus: status,
+        status: true
+    };
+}
+
+async function attachmentOf(filePath) {
+    const fileContent = await fs.readFile(filePath);
+    return { name: path.basename(filePath), content: fileContent.toString('base64') };
+}
+
+async function sendOtpOverMail(email, name, message, otp, context = {}) {
+    let purpose;
+    let inMessage;
+    switch (message) {
+        case "Email verification for Forgot passowrd": purpose = "OTP FORGOT PASSWORD";
+            inMessage = "Forgot Password";
+            break;
+        case "Email verification for Login": purpose = "OTP LOGIN";
+            inMessage = "Login";
+            break;
+        case "Email verification for 2FA reset": purpose = "OTP 2FA RESET";
+            inMessage = "2FA Reset";
+            break;
+    }
+
+    const { mailSentStatus } = await sendTemplateMail("LOGIN", purpose, PLATFORM, {
+        name,
+        inMessage,
+        expiry: process.env.OTP_EXPIRY_MINUTES || 'X',
+        otp,
+        username: process.env.USER_NAME
+    }, { to: email }, context);
+
+    return {
+        otp,
+        mailSentStatus,
+        status: true
+    };
+}
+
+async function sendMail(email, body, subject, ccs = [], context = {}) {
+    const { id, status } = await queueMail({ to: [email], cc: ccs, subject, html: body }, context);
+    return {
+        id,
+        mailSentStatus: status,
+        status: true
+    };
+}
+
+//the file is read when queueing, it can be deleted as soon as this returns
+async function sendFile(email, body, subject, filePath, ccs = [], context = {}) {
+    const attachments = [await attachmentOf(filePath)];
+
+    const { id, status } = await queueMail({ to: [email], cc: ccs, subject, html: body, attachments }, context);
+    return {
+        id,
+        mailSentStatus: status,
+        status: true
+    };
+}
+
+//accepted and rejected files of a survey / interaction sheets upload, to the user who uploaded them
+async function sendMailForUploadedSheets(acceptedFiles, rejectedFiles, userName, email, context = {}) {
+    try {
+        const acceptedFilesHtml = acceptedFiles.map(file => `<li>${escapeHtml(file.fileName)}</li>`).join('');
+        const rejectedFilesHtml = rejectedFiles.map(file => `<li><strong>${escapeHtml(file.fileName)}</strong>: ${escapeHtml(file.message)}</li>`).join('');
+
+        await sendTemplateMail("SHEETS", "UPLOAD SUMMARY", context.companyId || null, {
+            userName,
+            acceptedFiles: acceptedFilesHtml,
+            rejectedFiles: rejectedFilesHtml
+        }, { to: email }, context);
+    } catch (error) {
+        console.error('Error sending mail for uploaded sheets:', error.message);
+    }
+}
+
+module.exports = {
+    renderMail, sendTemplateMail, sendOtpOverMail, sendFile, sendMail, sendMailForUploadedSheets
+}
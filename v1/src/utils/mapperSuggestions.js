@@ -0,0 +1,260 @@
+// Propose a company mapper (sheet column name -> model attribute) from the headers of an uploaded sheet
+const { readSheetRows } = require("./sheetReader");
+const constants = require("../constants");
+const Project = require("../models/project.model");
+const Contact = require("../models/contact.model");
+const ContactSalary = require("../models/contact-salary.model");
+const TeamMembers = require("../models/teammembers.model");
+
+const SHEET_TYPE_MODELS = {
+    projects: Project,
+    employee: Contact,
+    "project team": TeamMembers,
+    payroll: ContactSalary
+};
+
+const SHEET_TYPE_MANDATORY_COLUMNS = {
+    projects: constants.PROJECT_SHEETS_MANDATORY_COLUMNS,
+    employee: constants.EMPLOYEE_SHEETS_MANDATORY_COLUMNS,
+    "project team": constants.PROJECT_TEAM_SHEETS_MANDATORY_COLUMNS,
+    payroll: constants.PAYROLL_SHEETS_MANDATORY_COLUMNS
+};
+
+//attributes filled by the platform, never by a sheet
+const SYSTEM_ATTRIBUTES = ['companyid', 'projectid', 'contactid', 'createdby', 'createdtime', 'modifiedby', 'modifiedtime', 'sysmodtime'];
+
+//below this similarity a header is not proposed for an attribute
+const FUZZY_THRESHOLD = 0.6;
+
+const CONFIDENCE = {
+    mapper: 1,
+    history: 0.97,
+    normalized: 0.95,
+    otherCompanies: 0.9,
+    fuzzy: 0.9
+};
+
+const normalizeHeader = (text) => String(text).toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+
+//split "Project Cost - FTE", "s_fte_cost" and "actualStartDate" into lower case words
+function tokenizeHeader(text) {
+    const tokens = String(text)
+        .replace(/&/g, ' and ')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token !== '');
+    //the s_ prefix of the summary columns is not part of the name
+    return tokens[0] === 's' && tokens.length > 1 ? tokens.slice(1) : tokens;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+//words match when equal or when one is an abbreviation (prefix of 3+ letters) of the other
+const tokensMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a)));
+
+/*
+ * Similarity between two headers in [0, 1], the best of
+ * the edit distance ratio of the normalized texts and the share of matching words (dice coefficient).
+ */
+function headerSimilarity(a, b) {
+    const left = normalizeHeader(a);
+    const right = normalizeHeader(b);
+    if (left === '' || right === '') {
+        return 0;
+    }
+    if (left === right) {
+        return 1;
+    }
+
+    const editRatio = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+    const leftTokens = tokenizeHeader(a);
+    const rightTokens = [...tokenizeHeader(b)];
+    let matched = 0;
+    for (const token of leftTokens) {
+        const index = rightTokens.findIndex(other => tokensMatch(token, other));
+        if (index !== -1) {
+            matched++;
+            rightTokens.splice(index, 1);
+        }
+    }
+    const tokenRatio = (2 * matched) / (leftTokens.length + tokenizeHeader(b).length);
+
+    return Math.max(editRatio, tokenRatio);
+}
+
+/*
+ * Attributes a header can be mapped to for a sheet type : the default mapper, the company mapper
+ * and the model attributes. Each candidate carries the names it is known by.
+ * companyMapper : rows of sheetsQueries.getCompanyMapper, null when the company has no mapper yet
+ */
+function buildMapperCandidates(sheetType, companyMapper) {
+    const model = SHEET_TYPE_MODELS[sheetType];
+    const defaults = constants.DEFAULT_SHEET_MAPPER_COLUMNS[sheetType] || {};
+    const mandatoryColumns = SHEET_TYPE_MANDATORY_COLUMNS[sheetType] || [];
+
+    let candidates = {};
+    const addCandidate = (columnName, label) => {
+        const key = columnName.toLowerCase();
+        if (!candidates[key]) {
+            candidates[key] = {
+                columnName: columnName,
+                labels: [columnName],
+                mappedSheetColumnName: null,
+                mandatory: mandatoryColumns.some(column => column.toLowerCase() === key)
+            };
+        }
+        if (label && !candidates[key].labels.includes(label)) {
+            candidates[key].labels.push(label);
+        }
+        return candidates[key];
+    };
+
+    for (const row of companyMapper || []) {
+        if (row.columnName === 'extras') {
+            continue;
+        }
+        const candidate = addCandidate(row.columnName, row.sheetColumnName);
+        candidate.mappedSheetColumnName = row.sheetColumnName;
+        candidate.mandatory = candidate.mandatory || row.status === 'mandatory';
+    }
+
+    for (const columnName in defaults) {
+        addCandidate(columnName, defaults[columnName]);
+    }
+
+    for (const attribute in model.rawAttributes) {
+        if (model.rawAttributes[attribute].primaryKey || SYSTEM_ATTRIBUTES.includes(attribute.toLowerCase())) {
+            continue;
+        }
+        addCandidate(attribute);
+    }
+
+    return Object.values(candidates);
+}
+
+/*
+ * Score one header against one candidate, returns { confidence, source } or null.
+ * history : previously accepted mappings [{ sheetColumnName, columnName, acceptedCount, ownCompany }]
+ */
+function scoreHeader(header, candidate, history) {
+    if (candidate.mappedSheetColumnName && String(candidate.mappedSheetColumnName).trim() === header) {
+        return { confidence: CONFIDENCE.mapper, source: 'mapper' };
+    }
+
+    const normalized = normalizeHeader(header);
+    const accepted = history.filter(element =>
+        element.columnName.toLowerCase() === candidate.columnName.toLowerCase() &&
+        normalizeHeader(element.sheetColumnName) === normalized
+    );
+    if (accepted.some(element => element.ownCompany)) {
+        return { confidence: CONFIDENCE.history, source: 'history' };
+    }
+
+    if (candidate.labels.some(label => normalizeHeader(label) === normalized)) {
+        return { confidence: CONFIDENCE.normalized, source: 'normalized' };
+    }
+
+    if (accepted.length > 0) {
+        return { confidence: CONFIDENCE.otherCompanies, source: 'history' };
+    }
+
+    const similarity = Math.max(...candidate.labels.map(label => headerSimilarity(header, label)));
+    if (similarity >= FUZZY_THRESHOLD) {
+        return { confidence: Math.round(similarity * CONFIDENCE.fuzzy * 100) / 100, source: 'fuzzy' };
+    }
+
+    return null;
+}
+
+/*
+ * Propose one attribute per header. Pairs are assigned best score first so an attribute
+ * is never proposed for two headers.
+ * Returns { proposals, unmatchedHeaders, unmappedColumns, missingMandatory }
+ */
+function suggestMapping(headers, candidates, history = []) {
+    let scores = [];
+    let alternatives = {};
+
+    for (const header of headers) {
+        alternatives[header] = [];
+        for (const candidate of candidates) {
+            const score = scoreHeader(header, candidate, history);
+            if (score) {
+                scores.push({ header, candidate, ...score });
+                alternatives[header].push({ columnName: candidate.columnName, confidence: score.confidence });
+            }
+        }
+        alternatives[header].sort((a, b) => b.confidence - a.confidence);
+    }
+
+    scores.sort((a, b) => b.confidence - a.confidence);
+
+    let assignedHeaders = {};
+    let assignedColumns = new Set();
+    for (const score of scores) {
+        if (assignedHeaders[score.header] || assignedColumns.has(score.candidate.columnName)) {
+            continue;
+        }
+        assignedHeaders[score.header] = score;
+        assignedColumns.add(score.candidate.columnName);
+    }
+
+    let proposals = [];
+    let unmatchedHeaders = [];
+    for (const header of headers) {
+        const score = assignedHeaders[header];
+        if (!score) {
+            unmatchedHeaders.push(header);
+            continue;
+        }
+        proposals.push({
+            sheetColumnName: header,
+            columnName: score.candidate.columnName,
+            confidence: score.confidence,
+            source: score.source,
+            alternatives: alternatives[header]
+                .filter(alternative => alternative.columnName !== score.candidate.columnName)
+                .slice(0, 3)
+        });
+    }
+
+    const unmappedCandidates = candidates.filter(candidate => !assignedColumns.has(candidate.columnName));
+
+    return {
+        proposals,
+        unmatchedHeaders,
+        unmappedColumns: unmappedCandidates.map(candidate => candidate.columnName),
+        missingMandatory: unmappedCandidates.filter(candidate => candidate.mandatory).map(candidate => candidate.columnName)
+    };
+}
+
+//header row of the selected worksheet (file.worksheet), empty cells dropped
+function readSheetHeaders(file) {
+    const { rows } = readSheetRows(file);
+    const headers = (rows[0] || [])
+        .map(header => header === undefined || header === null ? '' : String(header).trim())
+        .filter(header => header !== '');
+    return [...new Set(headers)];
+}
+
+module.exports = {
+    SHEET_TYPE_MODELS,
+    normalizeHeader,
+    headerSimilarity,
+    buildMapperCandidates,
+    suggestMapping,
+    readSheetHeaders
+};
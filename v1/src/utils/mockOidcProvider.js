@@ -0,0 +1,140 @@
+// OpenID Connect provider for local runs and tests, it signs in whoever it is asked to without a password :
+// the login_hint of the authorization request, or the email query parameter, is the user signed in.
+// Run it with `node v1/src/utils/mockOidcProvider.js`, then set up an identity provider for a company with
+// issuer http://127.0.0.1:4010 (MOCK_OIDC_PORT), client id / secret MOCK_OIDC_CLIENT_ID / MOCK_OIDC_CLIENT_SECRET.
+// http issuers on this machine are refused when NODE_ENV is production.
+// Never mounted in the app.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_EXPIRY_SECONDS = 60;
+const TOKEN_EXPIRY_SECONDS = 300;
+
+/*
+ * options :
+ * clientId, clientSecret  the client the provider accepts
+ * users                   { email: extra claims } signing in, e.g. { 'a@client.com': { given_name: 'Ann' } },
+ *                         every email when not set. Extra claims override the ones of the id token.
+ */
+function createMockOidcProvider({ clientId = 'mock-client', clientSecret = 'mock-secret', users = null } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const issuerOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        const issuer = issuerOf(req);
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            code_challenge_methods_supported: ['S256'],
+            scopes_supported: ['openid', 'email', 'profile']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint, email } = req.query;
+        if (client_id !== clientId || !redirect_uri) {
+            return res.status(400).json({ error: 'invalid_request', error_description: 'unknown client or no redirect_uri' });
+        }
+
+        const back = new URL(redirect_uri);
+        if (state) {
+            back.searchParams.set('state', state);
+        }
+        const user = String(login_hint || email || '').trim().toLowerCase();
+        if (response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+            back.searchParams.set('error', 'invalid_request');
+        } else if (!user || (users && !users[user])) {
+            back.searchParams.set('error', 'access_denied');
+        } else {
+            const code = crypto.randomBytes(24).toString('base64url');
+            codes.set(code, { user, nonce, redirectUri: redirect_uri, codeChallenge: code_challenge, expires: Date.now() + CODE_EXPIRY_SECONDS * 1000 });
+            back.searchParams.set('code', code);
+        }
+        return res.redirect(302, back.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        let [id, secret] = [req.body.client_id, req.body.client_secret];
+        const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+        if (basic) {
+            [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+        if (id !== clientId || secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        //a code is used once
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+        const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+        if (req.body.grant_type !== 'authorization_code' || !grant || grant.expires < Date.now()
+            || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const name = grant.user.split('@')[0].split(/[._-]/);
+        const claims = {
+            email: grant.user,
+            email_verified: true,
+            given_name: name[0],
+            family_name: name.slice(1).join(' ') || undefined,
+            nonce: grant.nonce,
+            ...((users && users[grant.user]) || {})
+        };
+        const idToken = jwt.sign(claims, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: issuerOf(req),
+            audience: clientId,
+            subject: crypto.createHash('sha256').update(grant.user).digest('hex').slice(0, 24),
+            expiresIn: TOKEN_EXPIRY_SECONDS
+        });
+        return res.json({ access_token: crypto.randomBytes(24).toString('base64url'), token_type: 'Bearer', expires_in: TOKEN_EXPIRY_SECONDS, id_token: idToken });
+    });
+
+    return app;
+}
+
+//listening provider, port 0 for any free port, issuer is its url
+function startMockOidcProvider({ port = 0, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createMockOidcProvider(options).listen(port, '127.0.0.1', () => {
+            resolve({
+                server,
+                issuer: `http://127.0.0.1:${server.address().port}`,
+                stop: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    createMockOidcProvider,
+    startMockOidcProvider
+};
+
+if (require.main === module) {
+    startMockOidcProvider({
+        port: parseInt(process.env.MOCK_OIDC_PORT) || 4010,
+        clientId: process.env.MOCK_OIDC_CLIENT_ID || 'mock-client',
+        clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret'
+    }).then(({ issuer }) => console.log(`Mock OIDC provider | issuer : ${issuer}`));
+}
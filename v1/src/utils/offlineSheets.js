@@ -0,0 +1,214 @@
+// Pre-filled survey / interaction workbooks that can be answered offline and uploaded back.
+// A very hidden sheet carries the signed metadata that ties the rows to their questions.
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+
+const META_SHEET = '_metadata';
+const OFFLINE_SHEET_KINDS = ['survey', 'interaction'];
+const CONFLICT_RESOLUTIONS = ['online', 'sheet'];
+
+function signingKey() {
+    const key = process.env.OFFLINE_SHEET_SECRET || process.env.SURVEY_CIPHER_KEY;
+    if (!key) {
+        throw new Error("OFFLINE_SHEET_SECRET is not set.");
+    }
+    return key;
+}
+
+const signMetadata = (text) => crypto.createHmac('sha256', signingKey()).update(text).digest('hex');
+
+function verifySignature(text, signature) {
+    const expected = Buffer.from(signMetadata(text), 'hex');
+    const given = Buffer.from(String(signature || ''), 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+//same text, same fingerprint : blanks and outer spaces do not count as a change
+const normalizeAnswer = (answer) => answer === undefined || answer === null ? '' : String(answer).trim();
+const answerFingerprint = (answer) => {
+    const text = normalizeAnswer(answer);
+    return text === '' ? '' : crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+};
+
+//plain text of a cell, whatever excel made of it
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value == 'object') {
+        if (Array.isArray(value.richText)) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        return null;
+    }
+    return String(value);
+}
+
+/*
+ * Write the workbook of one survey or interaction.
+ * sheet : { kind, id, companyId, templateId, templateVersion, userId, title, details: [[label, value]],
+ *           questions: [{ questionId, question, description, answer }] }
+ */
+async function createOfflineWorkbook(sheet, filePath) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheet.title);
+    worksheet.columns = [{ width: 92.86 }, { width: 50 }, { width: 86 }];
+
+    worksheet.addRow(['Question', 'Answer', 'Notes']);
+    for (const [label, value] of sheet.details) {
+        worksheet.addRow([label, value === undefined ? null : value, '']);
+    }
+    const firstRow = worksheet.rowCount + 1;
+    for (const question of sheet.questions) {
+        worksheet.addRow([question.question, question.answer === undefined ? null : question.answer, question.description || '']);
+    }
+
+    const header = worksheet.getRow(1);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.eachCell(cell => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+    });
+    worksheet.eachRow((row, rowNumber) => {
+        row.getCell(1).font = { bold: true };
+        if (rowNumber >= firstRow) {
+            row.alignment = { horizontal: 'left', vertical: 'middle', wrapText: true };
+        }
+    });
+    //only the answers can be edited
+    for (let rowNumber = firstRow; rowNumber < firstRow + sheet.questions.length; rowNumber++) {
+        worksheet.getCell(`B${rowNumber}`).protection = { locked: false };
+    }
+    await worksheet.protect('', { selectLockedCells: true, selectUnlockedCells: true, formatRows: true, formatColumns: true });
+
+    const metadata = JSON.stringify({
+        kind: sheet.kind,
+        id: sheet.id,
+        companyId: sheet.companyId,
+        templateId: sheet.templateId || null,
+        templateVersion: sheet.templateVersion || null,
+        sheetName: sheet.title,
+        firstRow,
+        questionIds: sheet.questions.map(question => question.questionId),
+        baseline: sheet.questions.map(question => answerFingerprint(question.answer)),
+        exportedBy: sheet.userId || null,
+        exportedAt: new Date().toISOString()
+    });
+    const meta = workbook.addWorksheet(META_SHEET, { state: 'veryHidden' });
+    meta.getCell('A1').value = metadata;
+    meta.getCell('A2').value = signMetadata(metadata);
+
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+}
+
+/*
+ * Read an uploaded workbook back. Returns { metadata, answers: [{ questionId, answer }] }
+ * or { error } when the metadata is missing, does not match its signature or the sheet lost rows.
+ */
+async function readOfflineWorkbook(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.readFile(filePath);
+    } catch (error) {
+        return { error: "The file is not a readable excel workbook." };
+    }
+
+    const meta = workbook.getWorksheet(META_SHEET);
+    const text = meta ? cellText(meta.getCell('A1').value) : null;
+    if (!text) {
+        return { error: "The workbook has no export metadata, download a new sheet from the platform." };
+    }
+    if (!verifySignature(text, cellText(meta.getCell('A2').value))) {
+        return { error: "The export metadata of the workbook was changed, download a new sheet from the platform." };
+    }
+
+    const metadata = JSON.parse(text);
+    const worksheet = workbook.getWorksheet(metadata.sheetName);
+    if (!worksheet) {
+        return { error: `Sheet '${metadata.sheetName}' is missing from the workbook.` };
+    }
+    if (worksheet.rowCount < metadata.firstRow + metadata.questionIds.length - 1) {
+        return { error: "Question rows were removed from the sheet." };
+    }
+
+    const answers = metadata.questionIds.map((questionId, index) => ({
+        questionId,
+        answer: cellText(worksheet.getCell(`B${metadata.firstRow + index}`).value)
+    }));
+
+    return { metadata, answers };
+}
+
+/*
+ * Merge the answers of a sheet into the answers saved online, question by question, using the answers
+ * the sheet was exported with to tell who changed what :
+ * unchanged - same answer on both sides
+ * updated   - only the sheet changed it, the sheet answer is saved
+ * kept      - only the online answer changed since the export, it stays
+ * conflict  - both changed it differently, resolved by onConflict ('online' keeps the saved answer, 'sheet' overwrites it)
+ * invalid   - the sheet answer does not fit the question, checkAnswer(question, answer) gives the reason
+ * questions : current questions [{ questionId, sequence, question, answer }]
+ * Returns { updates: [{ questionId, answer }], report: [...] }
+ */
+function mergeOfflineAnswers(questions, metadata, sheetAnswers, onConflict = 'online', checkAnswer = () => null) {
+    const byId = new Map(questions.map(question => [question.questionId, question]));
+    let updates = [];
+
+    const report = sheetAnswers.map(({ questionId, answer }) => {
+        const index = metadata.questionIds.indexOf(questionId);
+        const question = byId.get(questionId);
+        const entry = {
+            questionId,
+            sequence: question ? question.sequence : null,
+            question: question ? question.question : null,
+            sheetAnswer: normalizeAnswer(answer) === '' ? null : normalizeAnswer(answer),
+            onlineAnswer: question && normalizeAnswer(question.answer) !== '' ? question.answer : null
+        };
+        if (!question) {
+            return { ...entry, outcome: 'invalid', reason: "Question is no longer part of this form." };
+        }
+
+        const sheetPrint = answerFingerprint(answer);
+        const onlinePrint = answerFingerprint(question.answer);
+        const basePrint = metadata.baseline[index];
+
+        if (sheetPrint === onlinePrint) {
+            return { ...entry, outcome: 'unchanged' };
+        }
+        if (sheetPrint === basePrint) {
+            return { ...entry, outcome: 'kept' };
+        }
+        const reason = entry.sheetAnswer === null ? null : checkAnswer(question, entry.sheetAnswer);
+        if (reason) {
+            return { ...entry, outcome: 'invalid', reason };
+        }
+        if (onlinePrint !== basePrint) {
+            if (onConflict == 'sheet') {
+                updates.push({ questionId, answer: entry.sheetAnswer });
+            }
+            return { ...entry, outcome: 'conflict', resolution: onConflict };
+        }
+        updates.push({ questionId, answer: entry.sheetAnswer });
+        return { ...entry, outcome: 'updated' };
+    });
+
+    return { updates, report };
+}
+
+module.exports = {
+    OFFLINE_SHEET_KINDS,
+    CONFLICT_RESOLUTIONS,
+    answerFingerprint,
+    createOfflineWorkbook,
+    readOfflineWorkbook,
+    mergeOfflineAnswers
+};
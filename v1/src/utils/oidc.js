@@ -0,0 +1,292 @@
+// OpenID Connect sign in with the identity provider of a company (authorization code flow with PKCE) :
+// - the provider is found from the email domain of the user (providerForDomain), only once the company proved it
+//   owns the domain with a DNS TXT record (verifyDomain)
+// - authorizationUrl sends the browser to the provider, state / nonce / code verifier are kept in a short lived
+//   signed cookie (signSsoState / readSsoState) until the provider redirects back
+// - exchangeCode trades the code for the tokens and verifyIdToken checks the id token : signature with the keys
+//   of the provider (jwks_uri), issuer, audience, expiry and nonce.
+// The provider is described by its /.well-known/openid-configuration, cached for DISCOVERY_CACHE_MINUTES.
+// utils/mockOidcProvider is a provider to run it against locally.
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const constants = require('../constants');
+
+const DISCOVERY_CACHE_MINUTES = 60;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+//asymmetric only, a token signed with a shared secret is refused
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+//TXT record the company publishes to prove a domain is theirs : _certainti-sso.client.com "certainti-sso-verification=<token>"
+const DOMAIN_RECORD_PREFIX = '_certainti-sso';
+const DOMAIN_RECORD_VALUE = 'certainti-sso-verification';
+
+//a failed sign in, reason is sent back to the login page
+class OidcError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'OidcError';
+        this.reason = reason;
+    }
+}
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const normalizeIssuer = (issuer) => String(issuer || '').trim().replace(/\/+$/, '');
+
+const emailDomain = (email) => {
+    const at = String(email || '').lastIndexOf('@');
+    return at > 0 ? String(email).slice(at + 1).trim().toLowerCase() : null;
+};
+
+//"client.com, Client.ca" or ["client.com"] to ['client.com', 'client.ca'], null when one is not a domain
+function parseDomains(value) {
+    const list = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(domain => String(domain).trim().toLowerCase())
+        .filter(Boolean);
+    if (list.length === 0 || list.some(domain => !DOMAIN_PATTERN.test(domain))) {
+        return null;
+    }
+    return [...new Set(list)];
+}
+
+const jsonList = (value) => {
+    const list = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(list) ? list : [];
+};
+
+const domainsOf = (provider) => jsonList(provider.domains);
+
+//domains of the provider whose TXT record was found, the only ones signing in with it
+const verifiedDomainsOf = (provider) => {
+    const verified = jsonList(provider.verifieddomains);
+    return domainsOf(provider).filter(domain => verified.includes(domain));
+};
+
+//enabled provider of the email domain, a domain belongs to one company
+const providerForDomain = (providers, domain) => domain
+    ? providers.find(provider => provider.enabled && verifiedDomainsOf(provider).includes(domain.toLowerCase())) || null
+    : null;
+
+const domainVerificationRecord = (provider, domain) => ({
+    domain,
+    name: `${DOMAIN_RECORD_PREFIX}.${domain}`,
+    value: `${DOMAIN_RECORD_VALUE}=${provider.verificationtoken}`
+});
+
+//whether the TXT record of the provider is published for the domain, a domain without TXT records is not verified
+async function verifyDomain(provider, domain) {
+    if (!provider.verificationtoken) {
+        return false;
+    }
+    const { name, value } = domainVerificationRecord(provider, domain);
+    try {
+        const records = await dns.promises.resolveTxt(name);
+        return records.some(chunks => chunks.join('').trim() === value);
+    } catch (error) {
+        if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function getJson(url) {
+    const response = await axios.get(url, { timeout: HTTP_TIMEOUT_MS, headers: { Accept: 'application/json' } });
+    return response.data;
+}
+
+//openid-configuration of the issuer, it has to name the same issuer
+async function discover(issuer, now = Date.now()) {
+    issuer = normalizeIssuer(issuer);
+    const cached = discoveryCache.get(issuer);
+    if (cached && now - cached.fetchedAt < DISCOVERY_CACHE_MINUTES * 60 * 1000) {
+        return cached.config;
+    }
+
+    let config;
+    try {
+        config = await getJson(`${issuer}/.well-known/openid-configuration`);
+    } catch (error) {
+        throw new OidcError('provider_unavailable', `Identity provider ${issuer} not reachable: ${error.message}`);
+    }
+    if (!config || normalizeIssuer(config.issuer) !== issuer || !config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+        throw new OidcError('provider_invalid', `Identity provider ${issuer} has no valid openid-configuration`);
+    }
+    discoveryCache.set(issuer, { config, fetchedAt: now });
+    return config;
+}
+
+//signing key of the id token, the keys are fetched again once for a kid not seen yet (key rotation)
+async function signingKey(config, kid) {
+    const pick = (keys) => {
+        const candidates = keys.filter(key => key.use !== 'enc');
+        return kid ? candidates.find(key => key.kid === kid) : (candidates.length === 1 ? candidates[0] : null);
+    };
+
+    let keys = jwksCache.get(config.jwks_uri);
+    let key = keys ? pick(keys) : null;
+    if (!key) {
+        const jwks = await getJson(config.jwks_uri);
+        keys = Array.isArray(jwks && jwks.keys) ? jwks.keys : [];
+        jwksCache.set(config.jwks_uri, keys);
+        key = pick(keys);
+    }
+    if (!key) {
+        throw new OidcError('invalid_token', `No signing key ${kid || ''} at ${config.jwks_uri}`);
+    }
+    return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+//PKCE S256 : the verifier stays with us, the challenge goes to the provider
+function createPkce() {
+    const codeVerifier = randomToken();
+    return { codeVerifier, codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url') };
+}
+
+function authorizationUrl(config, provider, { redirectUri, state, nonce, codeChallenge, loginHint }) {
+    const url = new URL(config.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientid);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', provider.scopes || constants.SSO_DEFAULT_SCOPES);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) {
+        url.searchParams.set('login_hint', loginHint);
+    }
+    return url.toString();
+}
+
+//tokens for the code, the client authenticates with basic auth unless the provider only takes it in the body
+async function exchangeCode(config, provider, clientSecret, { code, codeVerifier, redirectUri }) {
+    const body = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: codeVerifier });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (clientSecret && methods.includes('client_secret_basic')) {
+        headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(provider.clientid)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.clientid);
+        if (clientSecret) {
+            body.set('client_secret', clientSecret);
+        }
+    }
+
+    try {
+        const response = await axios.post(config.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+        if (!response.data || !response.data.id_token) {
+            throw new Error('no id_token in the token response');
+        }
+        return response.data;
+    } catch (error) {
+        const detail = error.response && error.response.data && error.response.data.error;
+        throw new OidcError('token_exchange_failed', `Code exchange with ${provider.issuer} failed: ${detail || error.message}`);
+    }
+}
+
+//claims of a valid id token of the provider for this sign in
+async function verifyIdToken(config, provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new OidcError('invalid_token', 'id token is not a signed JWT');
+    }
+
+    const key = await signingKey(config, decoded.header.kid);
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: config.issuer,
+            audience: provider.clientid,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (error) {
+        throw new OidcError('invalid_token', `id token refused: ${error.message}`);
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+        throw new OidcError('invalid_token', 'id token nonce does not match the sign in');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientid) {
+        throw new OidcError('invalid_token', 'id token issued to another client');
+    }
+    return claims;
+}
+
+//the user of the claims, only a verified email of a verified domain of the provider signs in
+function profileOf(provider, claims) {
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+    if (!email) {
+        throw new OidcError('email_missing', 'The identity provider sent no email, ask for the email scope');
+    }
+    if (claims.email_verified === false || claims.email_verified === 'false') {
+        throw new OidcError('email_not_verified', `Email ${email} is not verified by the identity provider`);
+    }
+    if (!verifiedDomainsOf(provider).includes(emailDomain(email))) {
+        throw new OidcError('domain_not_allowed', `Email ${email} is not of a domain of the identity provider`);
+    }
+
+    const names = String(claims.name || '').trim().split(/\s+/);
+    return {
+        email,
+        subject: claims.sub,
+        firstName: (claims.given_name || names[0] || '').slice(0, 32) || null,
+        lastName: (claims.family_name || names.slice(1).join(' ') || '').slice(0, 32) || null
+    };
+}
+
+const ssoStateSecret = () => process.env.SSO_STATE_SECRET || constants.REFRESH_TOKEN_SECRET;
+
+//what the callback has to check, in the state cookie : provider, state, nonce, code verifier, redirect uri
+const signSsoState = (values) => jwt.sign(values, ssoStateSecret(), { expiresIn: `${constants.SSO_STATE_EXPIRY_MINUTES}m` });
+
+function readSsoState(cookie) {
+    try {
+        return cookie ? jwt.verify(cookie, ssoStateSecret()) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+//constant time, the state of the url against the one of the cookie
+const sameState = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const clearOidcCache = () => {
+    discoveryCache.clear();
+    jwksCache.clear();
+};
+
+module.exports = {
+    OidcError,
+    normalizeIssuer,
+    emailDomain,
+    parseDomains,
+    domainsOf,
+    verifiedDomainsOf,
+    providerForDomain,
+    domainVerificationRecord,
+    verifyDomain,
+    discover,
+    randomToken,
+    createPkce,
+    authorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    profileOf,
+    signSsoState,
+    readSsoState,
+    sameState,
+    clearOidcCache
+};
@@ -0,0 +1,155 @@
+// Effective dated hourly rates from ContactSalary : rate periods, overlap / gap checks and task pricing
+const ContactSalary = require("../models/contact-salary.model");
+const constants = require("../constants");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+//'YYYY-MM-DD' of a date, date string or excel serial already converted by the sheet validator, null when empty
+function toDateOnly(value) {
+    if (value === null || value === undefined || value === '' || value === '-') {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+function addDays(dateOnly, days) {
+    return toDateOnly(new Date(new Date(dateOnly).getTime() + days * DAY));
+}
+
+//an open period (no end date) runs until the next one closes it
+const periodEnd = (period) => period.endDate || '9999-12-31';
+
+const periodsOverlap = (a, b) => a.startDate <= periodEnd(b) && b.startDate <= periodEnd(a);
+
+//rate periods of a contact as { contactSalaryId, startDate, endDate, hourlyRate, annualRate }, oldest first
+async function getRatePeriods(contactId, transaction) {
+    const rows = await ContactSalary.findAll({
+        where: { contactId: contactId },
+        order: [['startDate', 'ASC']],
+        transaction
+    });
+
+    return rows.map(row => ({
+        contactSalaryId: row.contactSalaryId,
+        startDate: toDateOnly(row.startDate),
+        endDate: toDateOnly(row.endDate),
+        hourlyRate: row.hourlyRate === null ? null : Number(row.hourlyRate),
+        annualRate: row.annualRate === null ? null : Number(row.annualRate)
+    }));
+}
+
+//period in effect on a date, the latest starting one when periods overlap
+function findRatePeriod(periods, date) {
+    const day = toDateOnly(date);
+    if (!day) {
+        return null;
+    }
+    let found = null;
+    for (const period of periods) {
+        if (period.startDate && period.startDate <= day && day <= periodEnd(period)) {
+            if (!found || period.startDate > found.startDate) {
+                found = period;
+            }
+        }
+    }
+    return found;
+}
+
+//hourly rate of a contact on a date, null when no rate period covers it
+async function getHourlyRate(contactId, date) {
+    const period = findRatePeriod(await getRatePeriods(contactId), date);
+    return period ? period.hourlyRate : null;
+}
+
+/*
+ * Check a new rate period against the stored ones of the same contact.
+ * An open period that started before the new one is closed the day before it (toClose),
+ * any other overlap rejects the new period. A gap with the neighbouring period is only reported.
+ * Returns { overlaps: [period], toClose: period | null, gapBefore: period | null, gapAfter: period | null }
+ */
+function checkRatePeriod(periods, newPeriod) {
+    let toClose = null;
+    let overlaps = [];
+
+    for (const period of periods) {
+        if (!period.endDate && period.startDate < newPeriod.startDate) {
+            toClose = !toClose || period.startDate > toClose.startDate ? period : toClose;
+            continue;
+        }
+        if (periodsOverlap(period, newPeriod)) {
+            overlaps.push(period);
+        }
+    }
+
+    //the closed period must not overlap either
+    const remaining = periods
+        .filter(period => period !== toClose)
+        .concat(toClose ? [{ ...toClose, endDate: addDays(newPeriod.startDate, -1) }] : []);
+
+    const before = remaining
+        .filter(period => period.endDate && period.endDate < newPeriod.startDate)
+        .sort((a, b) => (a.endDate < b.endDate ? 1 : -1))[0];
+    const after = newPeriod.endDate
+        ? remaining
+            .filter(period => period.startDate > newPeriod.endDate)
+            .sort((a, b) => (a.startDate > b.startDate ? 1 : -1))[0]
+        : null;
+
+    return {
+        overlaps,
+        toClose,
+        gapBefore: before && addDays(before.endDate, 1) < newPeriod.startDate ? before : null,
+        gapAfter: after && addDays(newPeriod.endDate, 1) < after.startDate ? after : null
+    };
+}
+
+/*
+ * Price a timesheet task with an hourly rate. The effort of R&D classified tasks
+ * (constants.RND_TASK_CLASSIFICATIONS) is the R&D expense.
+ */
+function priceTask(task, hourlyRate) {
+    const effort = Number(task.taskEffort) || 0;
+    const totalExpense = Math.round(effort * hourlyRate * 100) / 100;
+    return {
+        taskHourlyRate: hourlyRate,
+        taskTotalExpense: totalExpense,
+        RnDExpense: constants.RND_TASK_CLASSIFICATIONS.includes(task.taskClassification) ? totalExpense : 0
+    };
+}
+
+/*
+ * Price tasks of contacts by their task dates, loading the rate periods once per contact.
+ * tasks : [{ contactId, taskDate, taskEffort, taskClassification, ... }]
+ * Tasks with no rate period on their date are returned as they are with rateSource 'timesheet'.
+ */
+async function priceTasksByDate(tasks) {
+    let periodsByContact = {};
+    let priced = [];
+
+    for (const task of tasks) {
+        if (!(task.contactId in periodsByContact)) {
+            periodsByContact[task.contactId] = await getRatePeriods(task.contactId);
+        }
+        const period = findRatePeriod(periodsByContact[task.contactId], task.taskDate);
+
+        if (!period || period.hourlyRate === null) {
+            priced.push({ ...task, rateSource: 'timesheet' });
+            continue;
+        }
+        priced.push({ ...task, ...priceTask(task, period.hourlyRate), rateSource: 'payroll' });
+    }
+
+    return priced;
+}
+
+module.exports = {
+    toDateOnly,
+    addDays,
+    getRatePeriods,
+    findRatePeriod,
+    getHourlyRate,
+    checkRatePeriod,
+    priceTask,
+    priceTasksByDate
+};
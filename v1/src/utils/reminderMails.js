@@ -0,0 +1,153 @@
+// Survey and interaction mails shared by the user actions, the scheduled reminders and the public page
+const fs = require('fs').promises;
+const { Sequelize } = require("sequelize");
+const Company = require("../models/company.model");
+const Project = require("../models/project.model");
+const MasterSurvey = require("../models/master-survey.model");
+const MasterInteractions = require("../models/master-interactions.model");
+const SystemStatus = require("../models/system-status.model");
+const surveyQueries = require("../queries/survey.queries");
+const { sendTemplateMail } = require("./mailer");
+const { createExcelFile, createCSVforInteraction } = require("./csv");
+const { currentResponder, previousResponders, parseDelegations } = require("./delegation");
+
+//the survey / interaction a mail is about, for the outbox
+const mailObject = (feature, objectId) => ({
+    object: feature == 'SURVEY' ? 'master_survey' : 'master_interactions',
+    objectId
+});
+
+/*
+ * Mail the SPOC of a survey a reminder with the survey sheet attached,
+ * then mark the survey REMINDER SENT and count the reminder.
+ * A forwarded survey reminds the delegate answering it, the SPOCs who held it before are copied.
+ */
+async function sendSurveyReminder(surveyId) {
+    const surveyDetails = await surveyQueries.getSurveyDetails(surveyId);
+    const original = { name: surveyDetails.name, email: surveyDetails.userEmail, url: surveyDetails.url };
+    const responder = currentResponder(original, surveyDetails.delegations);
+
+    //get cc mails
+    const company = await Company.findOne({
+        where: {
+            companyId: surveyDetails.companyId
+        }
+    });
+    let companyCCMails = company.dataValues.ccmails;
+    companyCCMails = companyCCMails ? companyCCMails.split(',') : [];
+
+    //project cc mails
+    const project = await Project.findOne({ where: { projectCode: surveyDetails.projectId, companyId: surveyDetails.companyId } });
+    let projectCCMails = project ? project.dataValues.surveyCCMails : null;
+    projectCCMails = projectCCMails ? projectCCMails.split(',') : [];
+
+    const csvFilePath = await createExcelFile(surveyId);
+
+    //send mail
+    const ccMails = [...companyCCMails, ...projectCCMails, ...previousResponders(original, surveyDetails.delegations).map(holder => holder.email)];
+    try {
+        await sendTemplateMail("SURVEY", "REMINDER", company.dataValues.companyId, {
+            receiverName: responder.name,
+            url: responder.url,
+            projectId: surveyDetails.projectId,
+            projectName: surveyDetails.projectName,
+            accountName: company.dataValues.companyName,
+            fiscalYear: company.dataValues.fiscalYear
+        }, { to: responder.email, cc: ccMails, filePath: csvFilePath }, mailObject('SURVEY', surveyId));
+    } finally {
+        await fs.unlink(csvFilePath);
+    }
+
+    const surveyStatus = await SystemStatus.findOne({
+        where: {
+            object: 'master_survey',
+            status: 'REMINDER SENT'
+        }
+    });
+    await MasterSurvey.update(
+        {
+            surveystatusid: surveyStatus.id,
+            reminderssent: Sequelize.literal('COALESCE(reminderssent, 0) + 1'),
+            lastremindertime: new Date(),
+            modifiedtime: new Date()
+        },
+        { where: { id: surveyId } }
+    );
+}
+
+/*
+ * Mail an interaction to its SPOC with the questions attached, purpose is 'SEND' or 'REMINDER'.
+ * interaction : a row of assessmentQueries.getUnsentInteractionsByUser
+ */
+async function sendInteractionMail(interaction, purpose) {
+    const original = { name: interaction.spocName, email: interaction.spocEmail, url: interaction.url };
+    const responder = currentResponder(original, interaction.delegations);
+    const csvFilePath = await createCSVforInteraction(interaction.id);
+
+    //send mail
+    const companyCCMails = interaction.interactionccMails ? interaction.interactionccMails.split(',') : [];
+    const projectCCMails = interaction.interactionCCMails ? interaction.interactionCCMails.split(',') : [];
+    const previousMails = previousResponders(original, interaction.delegations).map(holder => holder.email);
+    try {
+        await sendTemplateMail('INTERACTION', purpose, interaction.companyId, {
+            spocName: responder.name,
+            url: responder.url,
+            interactionId: interaction.interactionsid,
+            projectName: interaction.projectName,
+            projectCode: interaction.projectCode,
+            accountName: interaction.companyName,
+            fiscalYear: interaction.fiscalYear
+        }, { to: responder.email, cc: [...companyCCMails, ...projectCCMails, ...previousMails], filePath: csvFilePath }, mailObject('INTERACTION', interaction.id));
+    } finally {
+        await fs.unlink(csvFilePath);
+    }
+
+    //update interaction status to SENT or REMINDER SENT
+    const interactionsStatus = await SystemStatus.findOne({
+        where: {
+            object: 'master_interactions',
+            status: purpose == 'REMINDER' ? 'REMINDER SENT' : 'SENT'
+        }
+    });
+    const values = purpose == 'REMINDER'
+        ? { reminderssent: Sequelize.literal('COALESCE(reminderssent, 0) + 1'), lastremindertime: new Date() }
+        : { sentdate: new Date(), reminderssent: 0, lastremindertime: null };
+    await MasterInteractions.update(
+        { statusid: interactionsStatus.dataValues.id, ...values },
+        { where: { id: interaction.id } }
+    );
+}
+
+/*
+ * Mails of a survey / interaction forwarded from its public page : the new link to the delegate,
+ * and a notice to the SPOCs who held it before, the first of them addressed and the others copied.
+ * feature : 'SURVEY' or 'INTERACTION', project : { accountName, projectCode, projectName }
+ * original : { name, email } of the SPOC it was sent to, delegations : the chain, newest entry last
+ * objectId : id of the survey / interaction
+ */
+async function sendDelegationMails(feature, companyId, project, original, delegations, objectId) {
+    const chain = parseDelegations(delegations);
+    const entry = chain[chain.length - 1];
+    const values = {
+        ...project,
+        delegateName: entry.toName,
+        delegateEmail: entry.toEmail,
+        delegatorName: entry.fromName,
+        message: entry.message,
+        url: entry.url
+    };
+
+    await sendTemplateMail(feature, 'DELEGATE', companyId, values, { to: entry.toEmail }, mailObject(feature, objectId));
+
+    const [first, ...others] = previousResponders(original, chain);
+    if (!first) {
+        return;
+    }
+    await sendTemplateMail(feature, 'DELEGATED', companyId, { ...values, spocName: first.name }, { to: first.email, cc: others.map(holder => holder.email) }, mailObject(feature, objectId));
+}
+
+module.exports = {
+    sendSurveyReminder,
+    sendInteractionMail,
+    sendDelegationMails
+};
@@ -0,0 +1,90 @@
+// When automatic reminders are due and when open surveys / interactions are overdue
+const constants = require("../constants");
+
+const DAY = 24 * 60 * 60 * 1000;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+//'3, 7,14' -> [3, 7, 14]
+function parseReminderDays(days) {
+    const values = Array.isArray(days) ? days : String(days || '').split(',');
+    return [...new Set(values.map(day => parseInt(day)).filter(day => !isNaN(day) && day > 0))].sort((a, b) => a - b);
+}
+
+const isValidTime = (time) => TIME.test(String(time || ''));
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+//reminder settings of a company row, with the defaults for what it has not set
+function reminderSettings(company = {}) {
+    const defaults = constants.DEFAULT_REMINDER_SETTINGS;
+    return {
+        reminderDays: company.reminderDays ? parseReminderDays(company.reminderDays) : defaults.reminderDays,
+        maxReminders: company.maxReminders === null || company.maxReminders === undefined ? defaults.maxReminders : Number(company.maxReminders),
+        quietHoursStart: isValidTime(company.quietHoursStart) ? company.quietHoursStart : defaults.quietHoursStart,
+        quietHoursEnd: isValidTime(company.quietHoursEnd) ? company.quietHoursEnd : defaults.quietHoursEnd,
+        timeZone: company.timeZone && isValidTimeZone(company.timeZone) ? company.timeZone : defaults.timeZone
+    };
+}
+
+//'HH:mm' of a moment in a time zone
+function localTime(date, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }).format(date);
+}
+
+//quiet hours can run over midnight, e.g. 20:00 to 07:00
+function isQuietTime(settings, now) {
+    if (!settings.quietHoursStart || !settings.quietHoursEnd || settings.quietHoursStart == settings.quietHoursEnd) {
+        return false;
+    }
+    const time = localTime(now, settings.timeZone);
+    return settings.quietHoursStart < settings.quietHoursEnd
+        ? time >= settings.quietHoursStart && time < settings.quietHoursEnd
+        : time >= settings.quietHoursStart || time < settings.quietHoursEnd;
+}
+
+const daysSince = (date, now) => Math.floor((now.getTime() - new Date(date).getTime()) / DAY);
+
+/*
+ * Number of the reminder due for a sent survey or interaction, or null.
+ * The next reminder is due once the day of the cadence after sentdate is reached. Reminders sent by users
+ * count too, at most one goes out a day and never more than maxReminders.
+ * item : { sentdate, reminderssent, lastremindertime }
+ */
+function dueReminder(item, settings, now) {
+    const sent = Number(item.reminderssent) || 0;
+    const next = sent + 1;
+
+    if (!item.sentdate || next > settings.maxReminders || next > settings.reminderDays.length) {
+        return null;
+    }
+    if (daysSince(item.sentdate, now) < settings.reminderDays[next - 1]) {
+        return null;
+    }
+    if (item.lastremindertime && daysSince(item.lastremindertime, now) < 1) {
+        return null;
+    }
+    return next;
+}
+
+//open for activeDays after it was sent
+function isOverdue(sentdate, activeDays, now) {
+    const days = parseInt(activeDays);
+    return Boolean(sentdate) && !isNaN(days) && days > 0 && now.getTime() >= new Date(sentdate).getTime() + days * DAY;
+}
+
+module.exports = {
+    parseReminderDays,
+    isValidTime,
+    isValidTimeZone,
+    reminderSettings,
+    isQuietTime,
+    dueReminder,
+    isOverdue
+};
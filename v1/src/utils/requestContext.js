@@ -0,0 +1,51 @@
+// Context of the request being served, reachable where the req is not (model hooks ...) :
+// { requestId, method, path, ipAddress, userId }. The request id is the X-Request-Id sent by the client or
+// proxy, or a new one, and is sent back in X-Request-Id. userId is set once the user is signed in (authorize_jwt).
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = new AsyncLocalStorage();
+
+//ids from outside are kept only when they are plain, e.g. a uuid or a trace id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+//the first forwarded address when behind a proxy
+const ipAddressOf = (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? String(forwarded).split(',')[0].trim() : (req.ip || (req.socket && req.socket.remoteAddress) || null);
+};
+
+function requestContext(req, res, next) {
+    const sent = req.headers['x-request-id'];
+    const requestId = sent && REQUEST_ID_PATTERN.test(sent) ? sent : uuidv4();
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    storage.run({
+        requestId,
+        method: req.method,
+        path: String(req.originalUrl || req.url).split('?')[0].slice(0, 512),
+        ipAddress: ipAddressOf(req),
+        userId: null
+    }, next);
+}
+
+//context of the current request, null outside of one
+const currentContext = () => storage.getStore() || null;
+
+function setContextUser(userId) {
+    const context = storage.getStore();
+    if (context) {
+        context.userId = userId;
+    }
+}
+
+//runs fn in a context of its own, for tests and jobs that act for a user
+const runWithContext = (context, fn) => storage.run({ requestId: null, method: null, path: null, ipAddress: null, userId: null, ...context }, fn);
+
+module.exports = {
+    ipAddressOf,
+    requestContext,
+    currentContext,
+    setContextUser,
+    runWithContext
+};
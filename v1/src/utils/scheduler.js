@@ -0,0 +1,151 @@
+// In-process scheduler : expires overdue surveys / interactions and sends the automatic reminders
+const schedulerQueries = require("../queries/scheduler.queries");
+const assessmentQueries = require("../queries/assessment.queries");
+const { sendSurveyReminder, sendInteractionMail } = require("./reminderMails");
+const { reminderSettings, isQuietTime, dueReminder, isOverdue } = require("./reminderSchedule");
+
+const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 60;
+const INTERACTION_ACTIVE_DAYS = process.env.INTERACTION_ACTIVE_DAYS || process.env.SURVEY_ACTIVE_DAYS;
+
+let timer = null;
+let running = false;
+
+//every action goes to the console and master_scheduler_log, a failing log write never stops the job
+async function logAction(entry) {
+    console.log(`Scheduler | job : ${entry.job} | action : ${entry.action} | ${entry.object} : ${entry.objectid} | status : ${entry.status}${entry.message ? ` | ${entry.message}` : ''}`);
+    try {
+        await schedulerQueries.logAction(entry);
+    } catch (error) {
+        //already reported by the query
+    }
+}
+
+async function expireItems(items, object, activeDaysOf, expire, now) {
+    let expired = 0;
+    for (const item of items) {
+        if (!isOverdue(item.sentdate, activeDaysOf(item), now)) {
+            continue;
+        }
+        const entry = { job: 'expiry-sweep', action: 'expire', object, objectid: item.id, companyid: item.companyId };
+        try {
+            await expire(item);
+            expired++;
+            await logAction({ ...entry, status: 'done', message: `Sent on ${new Date(item.sentdate).toISOString().slice(0, 10)}, open for ${activeDaysOf(item)} days` });
+        } catch (error) {
+            await logAction({ ...entry, status: 'failed', message: error.message });
+        }
+    }
+    return expired;
+}
+
+//surveys and interactions still open after their active days move to EXPIRED
+async function runExpirySweep(now = new Date()) {
+    const surveys = await expireItems(
+        await schedulerQueries.getOpenSurveys(),
+        'master_survey',
+        survey => survey.activedays || process.env.SURVEY_ACTIVE_DAYS,
+        survey => schedulerQueries.expireSurvey(survey.id, survey.surveyControlId),
+        now
+    );
+    const interactions = await expireItems(
+        await schedulerQueries.getOpenInteractions(),
+        'master_interactions',
+        () => INTERACTION_ACTIVE_DAYS,
+        interaction => schedulerQueries.expireInteraction(interaction.id),
+        now
+    );
+    return { surveys, interactions };
+}
+
+async function remindItems(items, object, remind, now) {
+    let sent = 0;
+    let quiet = 0;
+    for (const item of items) {
+        const settings = reminderSettings(item);
+        const reminder = dueReminder(item, settings, now);
+        if (!reminder) {
+            continue;
+        }
+        //held until the quiet hours are over, the next run picks it up
+        if (isQuietTime(settings, now)) {
+            quiet++;
+            continue;
+        }
+        const entry = { job: 'reminders', action: 'reminder', object, objectid: item.id, companyid: item.companyId };
+        try {
+            await remind(item);
+            sent++;
+            await logAction({ ...entry, status: 'done', message: `Reminder ${reminder} of ${Math.min(settings.maxReminders, settings.reminderDays.length)}, day ${settings.reminderDays[reminder - 1]} after sending` });
+        } catch (error) {
+            await logAction({ ...entry, status: 'failed', message: error.message });
+        }
+    }
+    return { sent, quiet };
+}
+
+//reminders due on the cadence of each company, surveys first then interactions
+async function runReminders(now = new Date()) {
+    const surveys = await remindItems(
+        await schedulerQueries.getOpenSurveys(),
+        'master_survey',
+        survey => sendSurveyReminder(survey.id),
+        now
+    );
+    const interactions = await remindItems(
+        await schedulerQueries.getOpenInteractions(),
+        'master_interactions',
+        async (interaction) => {
+            const [details] = await assessmentQueries.getUnsentInteractionsByUser([interaction.id]);
+            await sendInteractionMail(details, 'REMINDER');
+        },
+        now
+    );
+    if (surveys.quiet + interactions.quiet > 0) {
+        console.log(`Scheduler | job : reminders | held for quiet hours : ${surveys.quiet + interactions.quiet}`);
+    }
+    return { surveys: surveys.sent, interactions: interactions.sent };
+}
+
+//one run of every job, expiry first so nothing overdue gets a reminder. Runs never overlap.
+async function runScheduledJobs(now = new Date()) {
+    if (running) {
+        console.log("Scheduler | previous run still in progress, skipped");
+        return null;
+    }
+    running = true;
+    try {
+        const expired = await runExpirySweep(now);
+        const reminded = await runReminders(now);
+        return { expired, reminded };
+    } catch (error) {
+        console.error("Scheduler | run failed :", error);
+        return null;
+    } finally {
+        running = false;
+    }
+}
+
+//SCHEDULER_ENABLED=false turns it off, e.g. on all but one instance
+function startScheduler() {
+    if (timer || process.env.SCHEDULER_ENABLED == 'false') {
+        return;
+    }
+    timer = setInterval(runScheduledJobs, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    console.log(`Scheduler | started | every ${SCHEDULER_INTERVAL_MINUTES} minutes`);
+}
+
+function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runExpirySweep,
+    runReminders,
+    runScheduledJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -1,31 +1,193 @@
-// sessionService.js
+// Login sessions : one per sign-in, carried in the access and refresh tokens as sid. A session ends after
+// SESSION_TIMEOUT minutes without a request or when it is revoked, authorize_jwt reads the store on every
+// request so a revocation applies right away on every instance.
+// Refresh tokens are single use : each refresh gives a new one, and a refresh token used twice means it was
+// stolen, so the whole session (every token of the family) is revoked.
+const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('./sessionStore');
+const { ipAddressOf } = require('./requestContext');
 
-const sessions = {}; // In-memory session store
+const SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT) || 15; // Default 15 minutes
+const SESSION_CLEANUP_TIMEOUT = parseInt(process.env.SESSION_CLEANUP_TIMEOUT) || (60 * 24 * 7); // Default 7 days in minutes
+const SESSION_TOUCH_SECONDS = 60; // last activity is written at most once a minute
+const SESSION_CLEANUP_INTERVAL_MINUTES = 60;
 
-const SESSION_TIMEOUT = process.env.SESSION_TIMEOUT || 15; // Default 15 minutes
+let store = null;
+let timer = null;
 
-const getSession = (sessionId) => sessions[sessionId];
+function getStore() {
+    if (!store) {
+        store = createSessionStore();
+    }
+    return store;
+}
 
-const createOrUpdateSession = (sessionId, data) => {
-    sessions[sessionId] = { ...data, lastActivity: Date.now() };
-};
+//tests run on a memory store
+function setSessionStore(sessionStore) {
+    store = sessionStore;
+}
 
-const deleteSession = (sessionId) => {
-    delete sessions[sessionId];
-};
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['PostmanRuntime/', 'Postman']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
 
-const isSessionExpired = (sessionId) => {
-    const session = getSession(sessionId);
-    if (!session) return true;
+//browser and system of a user agent, e.g. Chrome on Windows
+function deviceOf(userAgent) {
+    if (!userAgent) {
+        return null;
+    }
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+    const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+    if (!browser && !system) {
+        return 'Unknown device';
+    }
+    return [browser ? browser[1] : 'Unknown browser', system ? system[1] : null].filter(Boolean).join(' on ');
+}
 
-    const currentTime = Date.now();
-    const timeDiff = (currentTime - session.lastActivity) / (1000 * 60); // in minutes
-    return timeDiff > SESSION_TIMEOUT;
-};
+//ip, user agent and device of the request signing in, the first forwarded address when behind a proxy
+function requestMetadata(req) {
+    const userAgent = req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 512) : null;
+    return {
+        ipaddress: ipAddressOf(req),
+        useragent: userAgent,
+        device: deviceOf(userAgent)
+    };
+}
+
+const isSessionExpired = (session, now = new Date()) =>
+    (now.getTime() - new Date(session.lastactivity).getTime()) / (1000 * 60) > SESSION_TIMEOUT;
+
+//new session for a sign-in, its id goes in the tokens and refreshtokenid is the jti of its first refresh token
+async function startSession(userId, req, now = new Date()) {
+    const session = await getStore().create({
+        sessionid: uuidv4(),
+        userid: userId,
+        ...requestMetadata(req),
+        refreshtokenid: uuidv4(),
+        createdtime: now,
+        lastactivity: now
+    });
+    console.log(`Session | action : start | user : ${userId} | session : ${session.sessionid} | device : ${session.device || '-'} | ip : ${session.ipaddress || '-'}`);
+    return session;
+}
+
+/*
+ * Session of a request, with its activity updated.
+ * Returns { valid: true, session } or { valid: false, reason: 'unknown' | 'revoked' | 'expired' }
+ */
+async function validateSession(sessionId, userId, now = new Date()) {
+    const session = sessionId ? await getStore().get(sessionId) : null;
+    if (!session || session.userid != userId) {
+        return { valid: false, reason: 'unknown' };
+    }
+    if (session.revokedtime) {
+        return { valid: false, reason: 'revoked' };
+    }
+    if (isSessionExpired(session, now)) {
+        return { valid: false, reason: 'expired' };
+    }
+    if (now.getTime() - new Date(session.lastactivity).getTime() > SESSION_TOUCH_SECONDS * 1000) {
+        await getStore().touch(sessionId, now);
+    }
+    return { valid: true, session };
+}
+
+/*
+ * Trade a refresh token for the next one. Refreshing is not activity : an idle session can not be refreshed.
+ * Returns { valid: true, session, refreshTokenId } or { valid: false, reason: 'unknown' | 'revoked' | 'expired' | 'reused' }
+ */
+async function rotateRefreshToken(sessionId, userId, tokenId, now = new Date()) {
+    const session = sessionId ? await getStore().get(sessionId) : null;
+    if (!session || session.userid != userId) {
+        return { valid: false, reason: 'unknown' };
+    }
+    if (session.revokedtime) {
+        return { valid: false, reason: 'revoked' };
+    }
+    if (isSessionExpired(session, now)) {
+        return { valid: false, reason: 'expired' };
+    }
+    const refreshTokenId = uuidv4();
+    if (!tokenId || !await getStore().rotate(sessionId, tokenId, refreshTokenId)) {
+        await getStore().revoke([sessionId], { revokedtime: now, revokedby: userId, revokereason: 'refresh-reuse' });
+        console.log(`Session | action : refresh-reuse | user : ${userId} | session : ${sessionId} | session revoked`);
+        return { valid: false, reason: 'reused' };
+    }
+    return { valid: true, session, refreshTokenId };
+}
+
+//sessions of a user still in use, the one of the request marked current
+async function listSessions(userId, currentSessionId = null, now = new Date()) {
+    const sessions = await getStore().listByUser(userId);
+    return sessions
+        .filter(session => !isSessionExpired(session, now))
+        .map(session => ({
+            sessionId: session.sessionid,
+            device: session.device,
+            ipAddress: session.ipaddress,
+            userAgent: session.useragent,
+            createdTime: session.createdtime,
+            lastActivity: session.lastactivity,
+            current: session.sessionid == currentSessionId
+        }));
+}
+
+//one session of the user, false when it is not one of theirs or already ended
+async function revokeSession(userId, sessionId, revokedBy, reason) {
+    const session = await getStore().get(sessionId);
+    if (!session || session.userid != userId) {
+        return false;
+    }
+    const revoked = await getStore().revoke([sessionId], { revokedtime: new Date(), revokedby: revokedBy, revokereason: reason });
+    console.log(`Session | action : ${reason} | user : ${userId} | session : ${sessionId} | by : ${revokedBy}`);
+    return revoked > 0;
+}
+
+//every session of the user except the one kept, number of sessions revoked
+async function revokeUserSessions(userId, revokedBy, reason, keepSessionId = null) {
+    const sessions = await getStore().listByUser(userId);
+    const sessionIds = sessions.map(session => session.sessionid).filter(sessionId => sessionId != keepSessionId);
+    const revoked = await getStore().revoke(sessionIds, { revokedtime: new Date(), revokedby: revokedBy, revokereason: reason });
+    console.log(`Session | action : ${reason} | user : ${userId} | sessions : ${revoked} | by : ${revokedBy}`);
+    return revoked;
+}
+
+//ended sessions are kept SESSION_CLEANUP_TIMEOUT minutes for the history, then removed
+async function deleteEndedSessions(now = new Date()) {
+    try {
+        return await getStore().deleteBefore(new Date(now.getTime() - SESSION_CLEANUP_TIMEOUT * 60 * 1000));
+    } catch (error) {
+        console.error("Session | cleanup failed :", error);
+        return null;
+    }
+}
+
+function startSessionCleanup() {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(deleteEndedSessions, SESSION_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
+function stopSessionCleanup() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
 
 module.exports = {
-    getSession,
-    createOrUpdateSession,
-    deleteSession,
+    setSessionStore,
+    deviceOf,
+    requestMetadata,
     isSessionExpired,
+    startSession,
+    validateSession,
+    rotateRefreshToken,
+    listSessions,
+    revokeSession,
+    revokeUserSessions,
+    deleteEndedSessions,
+    startSessionCleanup,
+    stopSessionCleanup
 };
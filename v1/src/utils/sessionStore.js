@@ -0,0 +1,87 @@
+// Where login sessions are kept, picked with SESSION_STORE :
+// database - master_user_sessions, shared by every instance and kept over restarts (default)
+// memory   - a map in the process, for tests and single instance local runs
+// A store is { name, create, get, touch, rotate, listByUser, revoke, deleteBefore } working on master_user_sessions rows.
+const sessionQueries = require("../queries/session.queries");
+
+const SESSION_STORES = ['database', 'memory'];
+
+function createDatabaseStore() {
+    return {
+        name: 'database',
+        create: (session) => sessionQueries.createSession(session),
+        get: (sessionId) => sessionQueries.getSession(sessionId),
+        touch: (sessionId, lastActivity) => sessionQueries.touchSession(sessionId, lastActivity),
+        rotate: (sessionId, fromTokenId, toTokenId) => sessionQueries.rotateRefreshToken(sessionId, fromTokenId, toTokenId),
+        listByUser: (userId) => sessionQueries.getUserSessions(userId),
+        revoke: (sessionIds, revocation) => sessionQueries.revokeSessions(sessionIds, revocation),
+        deleteBefore: (before) => sessionQueries.deleteSessionsBefore(before)
+    };
+}
+
+function createMemoryStore() {
+    const sessions = new Map();
+
+    return {
+        name: 'memory',
+        create: async (session) => {
+            sessions.set(session.sessionid, { revokedtime: null, revokedby: null, revokereason: null, ...session });
+            return { ...sessions.get(session.sessionid) };
+        },
+        get: async (sessionId) => sessions.has(sessionId) ? { ...sessions.get(sessionId) } : null,
+        touch: async (sessionId, lastActivity) => {
+            const session = sessions.get(sessionId);
+            if (session && !session.revokedtime) {
+                session.lastactivity = lastActivity;
+            }
+        },
+        rotate: async (sessionId, fromTokenId, toTokenId) => {
+            const session = sessions.get(sessionId);
+            if (!session || session.revokedtime || session.refreshtokenid != fromTokenId) {
+                return false;
+            }
+            session.refreshtokenid = toTokenId;
+            return true;
+        },
+        listByUser: async (userId) => [...sessions.values()]
+            .filter(session => session.userid == userId && !session.revokedtime)
+            .sort((a, b) => new Date(b.lastactivity) - new Date(a.lastactivity))
+            .map(session => ({ ...session })),
+        revoke: async (sessionIds, revocation) => {
+            let revoked = 0;
+            for (const sessionId of sessionIds) {
+                const session = sessions.get(sessionId);
+                if (session && !session.revokedtime) {
+                    Object.assign(session, revocation);
+                    revoked++;
+                }
+            }
+            return revoked;
+        },
+        deleteBefore: async (before) => {
+            let deleted = 0;
+            for (const [sessionId, session] of sessions) {
+                if ((session.revokedtime && session.revokedtime < before) || session.lastactivity < before) {
+                    sessions.delete(sessionId);
+                    deleted++;
+                }
+            }
+            return deleted;
+        }
+    };
+}
+
+function createSessionStore(name = process.env.SESSION_STORE || 'database') {
+    switch (name) {
+        case 'database': return createDatabaseStore();
+        case 'memory': return createMemoryStore();
+        default: throw new Error(`Unknown SESSION_STORE '${name}', use one of ${SESSION_STORES.join(', ')}.`);
+    }
+}
+
+module.exports = {
+    SESSION_STORES,
+    createSessionStore,
+    createDatabaseStore,
+    createMemoryStore
+};
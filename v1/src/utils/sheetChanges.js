@@ -0,0 +1,206 @@
+const sequelize = require("../setups/db");
+const { v4: uuidv4 } = require("uuid");
+const MasterSheets = require("../models/master-sheets.model");
+const MasterSheetsChanges = require("../models/master-sheets-changes.model");
+const sheetsQueries = require("../queries/sheets.queries");
+const Project = require("../models/project.model");
+const Contact = require("../models/contact.model");
+const ContactSalary = require("../models/contact-salary.model");
+const TeamMembers = require("../models/teammembers.model");
+const TimesheetTasks = require("../models/timesheet-tasks.model");
+const Reconciliations = require("../models/reconciliation.model");
+const ProjectMilestones = require("../models/project-milestones.model");
+const MasterSurvey = require("../models/master-survey.model");
+const Documents = require("../models/documents.model");
+const Portfolio_Projects_Rel = require("../models/portfolio-projects.model");
+
+//records written by sheet imports, keyed by table name, with the attribute identifying a record
+const TRACKED_MODELS = {
+    [Project.getTableName()]: { model: Project, key: 'projectIdentifier' },
+    [Contact.getTableName()]: { model: Contact, key: 'contactId' },
+    [ContactSalary.getTableName()]: { model: ContactSalary, key: 'contactSalaryId' },
+    [TeamMembers.getTableName()]: { model: TeamMembers, key: 'teamMemberId' }
+};
+
+//records pointing to others are undone first when two changes happened at the same time
+const ROLLBACK_TABLE_ORDER = [TeamMembers.getTableName(), ContactSalary.getTableName(), Contact.getTableName(), Project.getTableName()];
+
+const ROLLBACK_STATUSES = ['processed', 'failed', 'interrupted'];
+
+//records of other tables pointing to a record a rollback removes : table -> its id they point to, [model, attribute] of them
+const DEPENDENT_MODELS = {
+    [Project.getTableName()]: {
+        parentKey: 'projectId',
+        children: [[TeamMembers, 'projectId'], [TimesheetTasks, 'projectId'], [Reconciliations, 'projectId'], [ProjectMilestones, 'projectId'],
+            [MasterSurvey, 'projectId'], [Documents, 'projectId'], [Portfolio_Projects_Rel, 'projectId']]
+    },
+    [Contact.getTableName()]: {
+        parentKey: 'contactId',
+        children: [[ContactSalary, 'contactId'], [TeamMembers, 'contactId']]
+    },
+    [TeamMembers.getTableName()]: {
+        parentKey: 'teamMemberId',
+        children: [[TimesheetTasks, 'teamMemberId']]
+    }
+};
+
+const pickValues = (source, keys) => keys.reduce((values, key) => {
+    values[key] = source[key] === undefined ? null : source[key];
+    return values;
+}, {});
+
+/*
+ * Remember a record written by a sheet so the sheet can be rolled back.
+ * context : { sheetId, companyId, rownumber, transaction }
+ * before : the record as it was, null when the sheet created it
+ * values : the attributes the sheet wrote
+ */
+async function recordSheetChange(context, Model, recordId, before, values) {
+    const keys = Object.keys(values);
+
+    await MasterSheetsChanges.create(
+        {
+            id: uuidv4(),
+            sheetid: context.sheetId,
+            companyid: context.companyId,
+            rownumber: context.rownumber,
+            tablename: Model.getTableName(),
+            recordid: String(recordId),
+            action: before ? 'update' : 'create',
+            previousvalues: before ? pickValues(before, keys) : null,
+            newvalues: pickValues(values, keys),
+            createdtime: new Date()
+        },
+        { transaction: context.transaction }
+    );
+}
+
+/*
+ * Records that point to a record the sheet created and would be left behind when the rollback removes it :
+ * team members / timesheet tasks / reconciliations ... of a project, salaries of a contact, added by a later
+ * upload or in the app. The ones the sheet created itself are removed with it.
+ * Returns [{ tableName, recordId, column, dependsOn: { tableName, recordId }, sheetId }], sheetId of the later upload that created it.
+ */
+async function findDependentRecords(sheetId, changes) {
+    const removedIds = (tableName) => changes
+        .filter(change => change.action == 'create' && change.tablename == tableName)
+        .map(change => change.recordid);
+    let dependents = [];
+
+    for (const [tableName, { parentKey, children }] of Object.entries(DEPENDENT_MODELS)) {
+        const ids = removedIds(tableName);
+        if (ids.length == 0) {
+            continue;
+        }
+
+        //the id children point to, when it is not the one the changes are recorded with (projectId of a projectIdentifier)
+        const { model, key } = TRACKED_MODELS[tableName];
+        let parentOf = new Map(ids.map(id => [id, id]));
+        if (key != parentKey) {
+            const parents = await model.findAll({ where: { [key]: ids }, attributes: [key, parentKey], raw: true });
+            parentOf = new Map(parents.filter(parent => parent[parentKey]).map(parent => [String(parent[parentKey]), String(parent[key])]));
+        }
+        if (parentOf.size == 0) {
+            continue;
+        }
+
+        for (const [child, column] of children) {
+            const childKey = child.primaryKeyAttribute;
+            const rows = await child.findAll({ where: { [column]: [...parentOf.keys()] }, attributes: [childKey, column], raw: true });
+            const ownIds = new Set(removedIds(child.getTableName()));
+            const left = rows.filter(row => !ownIds.has(String(row[childKey])));
+            if (left.length == 0) {
+                continue;
+            }
+
+            const createdBy = await MasterSheetsChanges.findAll({
+                where: { tablename: child.getTableName(), recordid: left.map(row => String(row[childKey])), action: 'create' },
+                attributes: ['recordid', 'sheetid'],
+                raw: true
+            });
+            for (const row of left) {
+                const created = createdBy.find(change => change.recordid == String(row[childKey]) && change.sheetid != sheetId);
+                dependents.push({
+                    tableName: child.getTableName(),
+                    recordId: String(row[childKey]),
+                    column,
+                    dependsOn: { tableName, recordId: parentOf.get(String(row[column])) },
+                    sheetId: created ? created.sheetid : null
+                });
+            }
+        }
+    }
+    return dependents;
+}
+
+/*
+ * Restore the records written by a sheet to their state before it, latest change first.
+ * Refused when a later upload that is not rolled back wrote one of the same records, or when other records
+ * point to a record the sheet created (findDependentRecords).
+ * Returns { status: 'rolled back', restored, removed } or { status: 'conflict' | 'invalid', message, conflicts, dependents }
+ */
+async function rollbackSheet(sheetId, userId) {
+    const sheet = await MasterSheets.findOne({ where: { id: sheetId } });
+    if (!ROLLBACK_STATUSES.includes(sheet.dataValues.status)) {
+        return { status: 'invalid', message: `Sheet with status '${sheet.dataValues.status}' can not be rolled back.` };
+    }
+
+    const conflicts = await sheetsQueries.getLaterSheetChanges(sheetId);
+    if (conflicts.length > 0) {
+        return { status: 'conflict', message: "Records of this sheet were changed by later uploads. Roll back those uploads first.", conflicts, dependents: [] };
+    }
+
+    const changes = await MasterSheetsChanges.findAll({ where: { sheetid: sheetId } });
+
+    const dependents = await findDependentRecords(sheetId, changes);
+    if (dependents.length > 0) {
+        return {
+            status: 'conflict',
+            message: "Records created by this sheet are used by other records. Remove them or roll back the uploads that added them first.",
+            conflicts: [],
+            dependents
+        };
+    }
+
+    changes.sort((a, b) =>
+        (b.createdtime - a.createdtime) ||
+        (ROLLBACK_TABLE_ORDER.indexOf(a.tablename) - ROLLBACK_TABLE_ORDER.indexOf(b.tablename))
+    );
+
+    let restored = 0;
+    let removed = 0;
+    await sequelize.transaction(async (transaction) => {
+        for (const change of changes) {
+            const { model, key } = TRACKED_MODELS[change.tablename];
+            const where = { [key]: change.recordid };
+
+            if (change.action == 'create') {
+                await model.destroy({ where, transaction });
+                removed++;
+            } else {
+                await model.update(change.previousvalues, { where, transaction });
+                restored++;
+            }
+        }
+
+        await MasterSheets.update(
+            {
+                status: 'rolled back',
+                message: `Sheet rolled back, ${restored} records restored and ${removed} records removed.`,
+                modifiedby: userId,
+                modifiedtime: new Date()
+            },
+            { where: { id: sheetId }, transaction }
+        );
+    });
+
+    console.log(`Sheets | action : Rollback Sheet | Sheet ID : ${sheetId} | Restored : ${restored} | Removed : ${removed}`);
+
+    return { status: 'rolled back', restored, removed };
+}
+
+module.exports = {
+    recordSheetChange,
+    findDependentRecords,
+    rollbackSheet
+};
@@ -0,0 +1,150 @@
+const { Op } = require("sequelize");
+const sequelize = require("../setups/db");
+const { v4: uuidv4 } = require("uuid");
+const MasterSheets = require("../models/master-sheets.model");
+const MasterSheetsErrors = require("../models/master-sheets-errors.model");
+
+const IMPORT_CHUNK_SIZE = parseInt(process.env.SHEET_IMPORT_CHUNK_SIZE) || 100;
+
+//store row level errors of a sheet, stage is 'validation' (before import) or 'import'.
+//an error can carry its own stage, 'warning' marks a row that was imported but needs a look
+async function recordSheetErrors(sheetId, companyId, rowErrors, stage, transaction) {
+    if (!rowErrors || rowErrors.length == 0) {
+        return;
+    }
+
+    await MasterSheetsErrors.bulkCreate(
+        rowErrors.map(error => ({
+            id: uuidv4(),
+            sheetid: sheetId,
+            companyid: companyId,
+            rownumber: error.rownumber,
+            columnname: error.columnname || null,
+            reason: error.reason,
+            stage: error.stage || stage
+        })),
+        { transaction }
+    );
+}
+
+//validation is re-run when a sheet is resumed, so its errors are replaced instead of appended
+async function resetValidationErrors(sheetId) {
+    await MasterSheetsErrors.destroy({ where: { sheetid: sheetId, stage: 'validation' } });
+}
+
+/*
+ * Import the accepted records of a sheet in chunks. Every chunk runs in its own transaction
+ * together with the progress checkpoint on master_sheets, so a crash never leaves a chunk half written
+ * and a resumed job continues after the last committed row.
+ *
+ * Each row runs in a savepoint of the chunk transaction, a rejected row is rolled back as a whole.
+ *
+ * processRecord(record, transaction) returns null when the row is imported,
+ * { columnname, reason } when the row has to be rejected, or a list of them where
+ * the ones with stage 'warning' are only reported.
+ */
+async function runImportJob(sheetId, companyId, records, processRecord) {
+    const masterSheet = await MasterSheets.findOne({ where: { id: sheetId } });
+    const lastProcessedRow = masterSheet && masterSheet.dataValues.lastprocessedrow ? masterSheet.dataValues.lastprocessedrow : 0;
+    let processedRecords = masterSheet && masterSheet.dataValues.processedrecords ? masterSheet.dataValues.processedrecords : 0;
+
+    const pendingRecords = records
+        .filter(record => record.rownumber > lastProcessedRow)
+        .sort((a, b) => a.rownumber - b.rownumber);
+
+    if (lastProcessedRow > 0) {
+        console.log(`Sheets | action : Resume Import | Sheet ID : ${sheetId} | After Row : ${lastProcessedRow}`);
+    }
+
+    for (let i = 0; i < pendingRecords.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = pendingRecords.slice(i, i + IMPORT_CHUNK_SIZE);
+
+        await sequelize.transaction(async (transaction) => {
+            let rowErrors = [];
+
+            for (const record of chunk) {
+                try {
+                    //a savepoint per row, a row failing halfway leaves none of its writes behind
+                    const issues = await sequelize.transaction({ transaction }, (savepoint) => processRecord(record, savepoint));
+                    for (const issue of [].concat(issues || [])) {
+                        rowErrors.push({ rownumber: record.rownumber, ...issue });
+                    }
+                } catch (error) {
+                    rowErrors.push({ rownumber: record.rownumber, columnname: null, reason: error.message });
+                }
+            }
+
+            await recordSheetErrors(sheetId, companyId, rowErrors, 'import', transaction);
+
+            await MasterSheets.update(
+                {
+                    processedrecords: processedRecords + chunk.length,
+                    lastprocessedrow: chunk[chunk.length - 1].rownumber
+                },
+                {
+                    where: { id: sheetId },
+                    transaction
+                }
+            );
+        });
+
+        processedRecords += chunk.length;
+    }
+}
+
+//final counts are derived from the stored errors so they stay correct across resumed runs
+async function completeImportJob(sheetId, totalRecords) {
+    const rejectedRecords = await MasterSheetsErrors.count({
+        where: { sheetid: sheetId, stage: { [Op.ne]: 'warning' } },
+        distinct: true,
+        col: 'rownumber'
+    });
+
+    await MasterSheets.update(
+        {
+            message: "Sheet processed successfully.",
+            status: "processed",
+            totalrecords: totalRecords,
+            acceptedrecords: totalRecords - rejectedRecords,
+            rejectedrecords: rejectedRecords
+        },
+        {
+            where: { id: sheetId }
+        }
+    );
+
+    return { acceptedRecords: totalRecords - rejectedRecords, rejectedRecords };
+}
+
+//sheets still in processing when the server starts were cut off by a crash or restart
+async function markInterruptedImports() {
+    try {
+        const [count] = await MasterSheets.update(
+            {
+                status: 'interrupted',
+                message: 'Import was interrupted. Resume the sheet to continue.'
+            },
+            {
+                where: {
+                    status: 'processing',
+                    sheettype: { [Op.in]: ['projects', 'employees', 'project team', 'payroll'] }
+                }
+            }
+        );
+
+        if (count > 0) {
+            console.log(`Sheets | action : Mark Interrupted Imports | Count : ${count}`);
+        }
+    } catch (error) {
+        console.error("Error marking interrupted imports:", error.message);
+    }
+}
+
+module.exports = {
+    IMPORT_CHUNK_SIZE,
+    recordSheetErrors,
+    resetValidationErrors,
+    runImportJob,
+    completeImportJob,
+    markInterruptedImports
+};
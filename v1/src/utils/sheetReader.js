@@ -0,0 +1,156 @@
+// Read uploaded sheets (xlsx, xls, csv, tsv) and pick the worksheet the uploader asked for
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+
+const CSV_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+const CSV_MIMETYPES = ['text/csv', 'text/plain', 'text/tab-separated-values', 'application/csv'];
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+//lines looked at to guess the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+
+function isCsvFile(file) {
+    const extension = path.extname(file.originalname || file.path || '').toLowerCase();
+    if (CSV_EXTENSIONS.includes(extension)) {
+        return true;
+    }
+    return !extension && CSV_MIMETYPES.includes(file.mimetype);
+}
+
+/*
+ * Decode a csv buffer. A byte order mark decides utf-8 / utf-16, otherwise the text is utf-8 when it decodes
+ * without errors and windows-1252 (excel's default "CSV" export on windows) when it does not.
+ * Returns { text, encoding }
+ */
+function decodeCsvBuffer(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+        return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+    }
+}
+
+//count a delimiter in one line, ignoring the ones inside quoted values
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/*
+ * Guess the delimiter from the first lines : the one found on the header line that splits
+ * the most lines into the same number of columns as the header, ties going to the order of CSV_DELIMITERS.
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES);
+    if (lines.length === 0) {
+        return ',';
+    }
+
+    let best = { delimiter: ',', consistentLines: -1, columns: 0 };
+    for (const delimiter of CSV_DELIMITERS) {
+        const headerCount = countDelimiter(lines[0], delimiter);
+        if (headerCount === 0) {
+            continue;
+        }
+        const consistentLines = lines.filter(line => countDelimiter(line, delimiter) === headerCount).length;
+        if (consistentLines > best.consistentLines || (consistentLines === best.consistentLines && headerCount > best.columns)) {
+            best = { delimiter, consistentLines, columns: headerCount };
+        }
+    }
+    return best.delimiter;
+}
+
+/*
+ * Load an uploaded file as a workbook. Csv files become a single worksheet, their values are kept
+ * as text so dates and numbers are converted by the sheet validator and not guessed here.
+ */
+function readWorkbook(file) {
+    if (!isCsvFile(file)) {
+        return XLSX.readFile(file.path);
+    }
+
+    const { text, encoding } = decodeCsvBuffer(fs.readFileSync(file.path));
+    const delimiter = detectDelimiter(text);
+    console.log(`Sheets | action : Read CSV | File : ${file.originalname} | Encoding : ${encoding} | Delimiter : ${JSON.stringify(delimiter)}`);
+
+    return XLSX.read(text, { type: 'string', FS: delimiter, raw: true });
+}
+
+/*
+ * Name of the worksheet to read. worksheet is a worksheet name (case and surrounding spaces ignored)
+ * or a zero based index, the first worksheet when it is not given.
+ */
+function selectWorksheet(workbook, worksheet) {
+    if (worksheet === undefined || worksheet === null || String(worksheet).trim() === '') {
+        return workbook.SheetNames[0];
+    }
+
+    const wanted = String(worksheet).trim();
+    if (workbook.SheetNames.includes(wanted)) {
+        return wanted;
+    }
+    const byName = workbook.SheetNames.find(name => name.trim().toLowerCase() === wanted.toLowerCase());
+    if (byName) {
+        return byName;
+    }
+    if (/^\d+$/.test(wanted) && Number(wanted) < workbook.SheetNames.length) {
+        return workbook.SheetNames[Number(wanted)];
+    }
+
+    throw new Error(`Worksheet '${wanted}' not found. Available worksheets : ${workbook.SheetNames.join(', ')}.`);
+}
+
+/*
+ * Rows of the selected worksheet as arrays (first row is the header).
+ * file.worksheet holds the worksheet chosen by the uploader.
+ */
+function readSheetRows(file, options = {}) {
+    const workbook = readWorkbook(file);
+    const sheetName = selectWorksheet(workbook, file.worksheet);
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, ...options });
+    return { sheetName, rows };
+}
+
+function listWorksheets(file) {
+    return readWorkbook(file).SheetNames;
+}
+
+//checked at upload time so a wrong worksheet is reported to the uploader, null when the file can be read
+function checkWorksheet(file, worksheet = file.worksheet) {
+    try {
+        selectWorksheet(readWorkbook(file), worksheet);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+module.exports = {
+    isCsvFile,
+    decodeCsvBuffer,
+    detectDelimiter,
+    readWorkbook,
+    selectWorksheet,
+    readSheetRows,
+    listWorksheets,
+    checkWorksheet
+};
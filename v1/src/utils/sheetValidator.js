@@ -0,0 +1,256 @@
+// Typed validation of uploaded sheet cells (NUMBER, DATE, OPTIONS) and cross field rules
+
+// days between the excel epoch (1899-12-30) and 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+// serial of 9999-12-31, the last date excel can show
+const EXCEL_MAX_SERIAL = 2958465;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+//build a UTC date and reject impossible ones like 2024-02-30
+function buildDate(year, month, day) {
+    if (year < 100) {
+        year += year < 50 ? 2000 : 1900;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return formatDate(date);
+}
+
+function monthIndex(name) {
+    const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+}
+
+/*
+ * Parse an excel serial date or a date string into 'YYYY-MM-DD', null when it is not a date.
+ * Supported strings : 2024-01-31, 2024/01/31, 01/31/2024, 31/01/2024 (day first when the first part is > 12),
+ * 31.01.2024 (dotted dates are day first), 31-Jan-2024, 31 January 2024, Jan 31, 2024
+ */
+function parseSheetDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : formatDate(value);
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value) || value < 1 || value > EXCEL_MAX_SERIAL) {
+            return null;
+        }
+        return formatDate(new Date(Math.round((value - EXCEL_EPOCH_OFFSET) * 86400) * 1000));
+    }
+
+    const text = String(value).trim();
+    if (text === '') {
+        return null;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return parseSheetDate(Number(text));
+    }
+
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    if (match) {
+        return buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    match = text.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})$/);
+    if (match) {
+        const first = Number(match[1]);
+        const second = Number(match[3]);
+        const dayFirst = first > 12 || match[2] === '.';
+        return dayFirst
+            ? buildDate(Number(match[4]), second, first)
+            : buildDate(Number(match[4]), first, second);
+    }
+
+    match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3,9})\.?[\s,-]+(\d{4}|\d{2})$/);
+    if (match && monthIndex(match[2])) {
+        return buildDate(Number(match[3]), monthIndex(match[2]), Number(match[1]));
+    }
+
+    match = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+    if (match && monthIndex(match[1])) {
+        return buildDate(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+    }
+
+    return null;
+}
+
+//currency codes taken off a number, any other letters reject it ('EMP123' is a code, not 123)
+const CURRENCY_CODES = new Set(['USD', 'CAD', 'EUR', 'GBP', 'AUD', 'NZD', 'INR', 'JPY', 'CNY', 'CHF', 'SEK', 'NOK', 'DKK', 'MXN', 'BRL', 'SGD', 'HKD', 'ZAR']);
+
+//',' for a locale writing 1.234,5 (de-DE, fr-CA ...), '.' otherwise, null for an unknown locale
+function decimalSeparatorOf(locale) {
+    try {
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal');
+        return part ? part.value : '.';
+    } catch (error) {
+        return null;
+    }
+}
+
+/*
+ * Parse a number or a currency/percent string into a number, null when it is not numeric.
+ * Accepts symbols ($ € £ ¥ ₹), ISO codes of CURRENCY_CODES (USD 1,200), thousands separators
+ * (1,200.50 / 1.200,50 / 1.234.567), negatives as -12 or (12) and a trailing %. Anything else left in the
+ * text rejects the value.
+ * 1.234 or 12.500 is read as a decimal (1.234 / 12.5) unless locale writes decimals with a comma,
+ * then it is 1234 / 12500 and 1,234 is 1.234.
+ */
+function parseSheetNumber(value, locale = null) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+    }
+
+    let text = String(value).trim();
+    if (text === '') {
+        return null;
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+
+    const leadingCode = /^([A-Za-z]{3})\s*/.exec(text);
+    if (leadingCode && CURRENCY_CODES.has(leadingCode[1].toUpperCase())) {
+        text = text.slice(leadingCode[0].length);
+    }
+    const trailingCode = /\s*([A-Za-z]{3})$/.exec(text);
+    if (trailingCode && CURRENCY_CODES.has(trailingCode[1].toUpperCase())) {
+        text = text.slice(0, trailingCode.index);
+    }
+    text = text
+        .replace(/[$€£¥₹]/g, '')
+        .replace(/%$/, '')
+        .replace(/\s/g, '');
+
+    const decimalComma = locale ? decimalSeparatorOf(locale) === ',' : false;
+    if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) && !(decimalComma && /^-?\d{1,3},\d{3}$/.test(text))) {
+        text = text.replace(/,/g, '');
+    } else if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text) && (decimalComma || !/^-?\d{1,3}\.\d{3}$/.test(text))) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (/^-?\d+,\d+$/.test(text)) {
+        text = text.replace(',', '.');
+    }
+
+    if (!/^-?(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+        return null;
+    }
+
+    const number = Number(text);
+    return negative ? -number : number;
+}
+
+//match a cell against the allowed values ignoring case, spaces and punctuation
+function matchSheetOption(value, options) {
+    const normalize = (option) => String(option).replace(/[^a-zA-Z0-9]/g, "").toLowerCase();
+    const sheetOption = normalize(value);
+    for (const option of options) {
+        if (normalize(option) === sheetOption) {
+            return option;
+        }
+    }
+    return null;
+}
+
+/*
+ * Validate and convert one sheet row.
+ * record : row keyed by sheet column names, "-" marks an empty cell
+ * sheetcolumnnameTocolumnname : company mapper, sheet column name -> model attribute
+ * cellDataTypes : model attribute -> NUMBER | DATE | OPTIONS, or { type: 'NUMBER', locale: 'de-DE' } for
+ *                 numbers written in a locale
+ * possibleOptions : model attribute -> allowed values for OPTIONS
+ * crossFieldRules : [{ column, rule, compareTo }] on model attributes
+ *
+ * Returns the converted record and the failing cells as [{ columnname, reason }].
+ */
+function validateSheetRecord(record, sheetcolumnnameTocolumnname, cellDataTypes = {}, possibleOptions = {}, crossFieldRules = []) {
+    let values = { ...record };
+    let errors = [];
+    let attributeToSheetColumn = {};
+
+    for (const key in record) {
+        const attribute = sheetcolumnnameTocolumnname[key];
+        if (key === 'rownumber' || !attribute) {
+            continue;
+        }
+        attributeToSheetColumn[attribute] = key;
+
+        const value = record[key];
+        if (value === '-' || value === null || value === undefined || value === '') {
+            continue;
+        }
+
+        const dataType = cellDataTypes[attribute];
+        switch (dataType && typeof dataType === 'object' ? dataType.type : dataType) {
+            case 'NUMBER': {
+                const number = parseSheetNumber(value, dataType.locale || null);
+                if (number === null) {
+                    errors.push({ columnname: key, reason: `'${value}' is not a valid number` });
+                } else {
+                    values[key] = number;
+                }
+                break;
+            }
+            case 'DATE': {
+                const date = parseSheetDate(value);
+                if (date === null) {
+                    errors.push({ columnname: key, reason: `'${value}' is not a valid date` });
+                } else {
+                    values[key] = date;
+                }
+                break;
+            }
+            case 'OPTIONS': {
+                const options = possibleOptions[attribute];
+                if (!options) {
+                    break;
+                }
+                const option = matchSheetOption(value, options);
+                if (option === null) {
+                    errors.push({ columnname: key, reason: `'${value}' is not one of ${options.join(', ')}` });
+                } else {
+                    values[key] = option;
+                }
+                break;
+            }
+        }
+    }
+
+    for (const { column, rule, compareTo } of crossFieldRules) {
+        const columnKey = attributeToSheetColumn[column];
+        const compareKey = attributeToSheetColumn[compareTo];
+        if (!columnKey || !compareKey) {
+            continue;
+        }
+        //only compare cells that passed their own type check
+        if (errors.some(error => error.columnname === columnKey || error.columnname === compareKey)) {
+            continue;
+        }
+
+        const left = values[columnKey];
+        const right = values[compareKey];
+        if (left === '-' || right === '-' || left === undefined || right === undefined) {
+            continue;
+        }
+
+        if (rule === 'ON_OR_AFTER' && left < right) {
+            errors.push({ columnname: columnKey, reason: `${columnKey} must be on or after ${compareKey}` });
+        }
+    }
+
+    return { values, errors };
+}
+
+module.exports = {
+    parseSheetDate,
+    parseSheetNumber,
+    matchSheetOption,
+    validateSheetRecord
+};
@@ -0,0 +1,120 @@
+// Survey response numbers of a case : completion funnel, response times, question skip rates and SPOC response rates
+
+const HOUR = 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '' || String(value).trim() == '[]';
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+    const sorted = values.filter(value => value !== null && !isNaN(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return null;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+//hours between sending and the response, null until the survey is submitted
+const responseHours = (survey) => survey.status == 'RESPONSE RECEIVED' && survey.sentdate && survey.closedate
+    ? (new Date(survey.closedate) - new Date(survey.sentdate)) / HOUR
+    : null;
+
+/*
+ * Where each survey of a case stands. Opened, saved and submitted count every survey that got that far,
+ * revoked / expired ones included, so the stages read as a funnel.
+ * surveys : [{ status, sentdate, closedate, otprequestedtime, answeredcount }]
+ */
+function surveyFunnel(surveys) {
+    const sent = surveys.filter(survey => survey.sentdate && survey.status != 'NOT SENT');
+    const submitted = sent.filter(survey => survey.status == 'RESPONSE RECEIVED');
+    const hours = submitted.map(responseHours);
+    const medianHours = median(hours);
+
+    return {
+        total: surveys.length,
+        notSent: surveys.length - sent.length,
+        sent: sent.length,
+        opened: sent.filter(survey => survey.otprequestedtime || Number(survey.answeredcount) > 0 || survey.status == 'RESPONSE RECEIVED').length,
+        partiallySaved: sent.filter(survey => Number(survey.answeredcount) > 0 && survey.status != 'RESPONSE RECEIVED').length,
+        submitted: submitted.length,
+        revoked: sent.filter(survey => survey.status == 'REVOKED').length,
+        expired: sent.filter(survey => survey.status == 'EXPIRED').length,
+        awaiting: sent.filter(survey => ['SENT', 'REMINDER SENT', 'GRANTED'].includes(survey.status)).length,
+        responseRate: sent.length > 0 ? round(submitted.length / sent.length * 100) : null,
+        medianResponseHours: round(medianHours),
+        medianResponseDays: medianHours === null ? null : round(medianHours / 24)
+    };
+}
+
+/*
+ * Answer length and skip rate of each question over the submitted surveys that were asked it.
+ * answers : [{ surveyId, questionId, sequence, question, answer }] - one row per question of each submitted survey
+ */
+function questionStats(answers) {
+    let questions = new Map();
+    for (const row of answers) {
+        if (!questions.has(row.questionId)) {
+            questions.set(row.questionId, { questionId: row.questionId, sequence: row.sequence, question: row.question, asked: 0, skipped: 0, lengths: [] });
+        }
+        const question = questions.get(row.questionId);
+        question.asked++;
+        if (isBlank(row.answer)) {
+            question.skipped++;
+        } else {
+            question.lengths.push(String(row.answer).trim().length);
+        }
+    }
+
+    return [...questions.values()]
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(({ lengths, ...question }) => ({
+            ...question,
+            answered: lengths.length,
+            skipRate: question.asked > 0 ? round(question.skipped / question.asked * 100) : null,
+            averageAnswerLength: lengths.length > 0 ? round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length) : null,
+            medianAnswerLength: median(lengths)
+        }));
+}
+
+/*
+ * Response rate of each SPOC over all the surveys they were sent, slowest responders first
+ * so the ones to chase come at the top.
+ * surveys : [{ spocemail, spocname, caseid, status, sentdate, closedate }]
+ */
+function spocResponseRates(surveys) {
+    let spocs = new Map();
+    for (const survey of surveys.filter(item => item.sentdate && item.status != 'NOT SENT')) {
+        const key = String(survey.spocemail || '').trim().toLowerCase();
+        if (!spocs.has(key)) {
+            spocs.set(key, { spocEmail: survey.spocemail, spocName: survey.spocname, cases: new Set(), surveys: [] });
+        }
+        spocs.get(key).cases.add(survey.caseid);
+        spocs.get(key).surveys.push(survey);
+    }
+
+    return [...spocs.values()]
+        .map(({ cases, surveys: spocSurveys, ...spoc }) => {
+            const funnel = surveyFunnel(spocSurveys);
+            const awaiting = spocSurveys.filter(survey => ['SENT', 'REMINDER SENT', 'GRANTED'].includes(survey.status));
+            return {
+                ...spoc,
+                cases: cases.size,
+                sent: funnel.sent,
+                submitted: funnel.submitted,
+                awaiting: funnel.awaiting,
+                expired: funnel.expired,
+                responseRate: funnel.responseRate,
+                medianResponseDays: funnel.medianResponseDays,
+                oldestAwaitingSentDate: awaiting.length > 0 ? awaiting.map(survey => new Date(survey.sentdate)).sort((a, b) => a - b)[0] : null
+            };
+        })
+        .sort((a, b) => (a.responseRate === null ? 100 : a.responseRate) - (b.responseRate === null ? 100 : b.responseRate) || b.awaiting - a.awaiting);
+}
+
+module.exports = {
+    median,
+    surveyFunnel,
+    questionStats,
+    spocResponseRates
+};
@@ -0,0 +1,182 @@
+// Skip / show rules of survey and interaction questions : which questions apply given the answers so far
+const constants = require("../constants");
+const { parseSheetNumber } = require("./sheetValidator");
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const NUMBER_OPERATORS = {
+    gt: (answer, value) => answer > value,
+    gte: (answer, value) => answer >= value,
+    lt: (answer, value) => answer < value,
+    lte: (answer, value) => answer <= value
+};
+
+//values of an answer : the choices of a multi choice answer (JSON list), otherwise the answer itself
+function answerValues(answer) {
+    if (Array.isArray(answer)) {
+        return answer.filter(value => !isBlank(value)).map(value => String(value).trim());
+    }
+    if (isBlank(answer)) {
+        return [];
+    }
+    if (typeof answer == 'string' && answer.trim().startsWith('[')) {
+        try {
+            const parsed = JSON.parse(answer);
+            if (Array.isArray(parsed)) {
+                return answerValues(parsed);
+            }
+        } catch (error) {
+            //not a list, plain text
+        }
+    }
+    return [String(answer).trim()];
+}
+
+//numbers compare as numbers (500 = 500.00), everything else as trimmed, case insensitive text
+function sameValue(answer, value) {
+    const answerNumber = parseSheetNumber(answer);
+    const valueNumber = isBlank(value) ? null : parseSheetNumber(value);
+    if (answerNumber !== null && valueNumber !== null) {
+        return answerNumber === valueNumber;
+    }
+    return String(answer).trim().toLowerCase() === String(value).trim().toLowerCase();
+}
+
+//does the answer meet the condition of a rule
+function matchesRule(rule, answer) {
+    const values = answerValues(answer);
+
+    switch (rule.operator) {
+        case 'answered':
+            return values.length > 0;
+        case 'unanswered':
+            return values.length === 0;
+        case 'eq':
+            return values.length === 1 && sameValue(values[0], rule.value);
+        case 'neq':
+            return values.length > 0 && !(values.length === 1 && sameValue(values[0], rule.value));
+        case 'in':
+            return values.some(item => [].concat(rule.value).some(value => sameValue(item, value)));
+        case 'contains':
+            return values.some(item => sameValue(item, rule.value) || item.toLowerCase().includes(String(rule.value).trim().toLowerCase()));
+        default: {
+            const compare = NUMBER_OPERATORS[rule.operator];
+            const number = values.length === 1 ? parseSheetNumber(values[0]) : null;
+            const value = isBlank(rule.value) ? null : parseSheetNumber(rule.value);
+            return Boolean(compare) && number !== null && value !== null && compare(number, value);
+        }
+    }
+}
+
+//stored rules come back as JSON text from raw queries
+function parseBranching(branching) {
+    if (typeof branching == 'string') {
+        try {
+            branching = JSON.parse(branching);
+        } catch (error) {
+            return [];
+        }
+    }
+    return Array.isArray(branching) ? branching : [];
+}
+
+/*
+ * Check and tidy the rules of a list of questions, in the order they are asked.
+ * A rule only targets questions after its own, so the rules can not loop.
+ * keyOf : how targets name a question, the sequence for templates and the question id for interactions
+ * Returns { branching: [rules of each question or null], errors: [{ index, reason }] }
+ */
+function normalizeBranching(questions, keyOf = (question) => question.sequence) {
+    const positions = new Map(questions.map((question, index) => [String(keyOf(question, index)), index]));
+    let errors = [];
+
+    const branching = questions.map((question, index) => {
+        if (question.branching === undefined || question.branching === null) {
+            return null;
+        }
+        if (!Array.isArray(question.branching)) {
+            errors.push({ index, reason: "Branching must be a list of rules" });
+            return null;
+        }
+
+        let reasons = [];
+        const rules = question.branching.map(rule => {
+            const operator = rule && rule.operator;
+            const action = rule && rule.action;
+            const targets = rule && Array.isArray(rule.targets) ? rule.targets : [];
+
+            if (!constants.SURVEY_BRANCHING_OPERATORS.includes(operator)) {
+                reasons.push(`Branching operator '${operator}' is not one of ${constants.SURVEY_BRANCHING_OPERATORS.join(', ')}`);
+            } else if (!['answered', 'unanswered'].includes(operator) && (rule.value === undefined || rule.value === null || (operator == 'in' && !Array.isArray(rule.value)))) {
+                reasons.push(operator == 'in' ? "Branching operator 'in' needs a list of values" : `Branching operator '${operator}' needs a value`);
+            } else if (NUMBER_OPERATORS[operator] && parseSheetNumber(rule.value) === null) {
+                reasons.push(`Branching operator '${operator}' needs a number, got '${rule.value}'`);
+            }
+            if (!constants.SURVEY_BRANCHING_ACTIONS.includes(action)) {
+                reasons.push(`Branching action '${action}' is not one of ${constants.SURVEY_BRANCHING_ACTIONS.join(', ')}`);
+            }
+            if (targets.length === 0) {
+                reasons.push("Branching rules need at least one target question");
+            }
+            for (const target of targets) {
+                const position = positions.get(String(target));
+                if (position === undefined) {
+                    reasons.push(`Branching target ${target} is not a question`);
+                } else if (position <= index) {
+                    reasons.push(`Branching target ${target} must come after the question`);
+                }
+            }
+
+            return {
+                operator,
+                value: ['answered', 'unanswered'].includes(operator) ? null : rule.value,
+                action,
+                targets
+            };
+        });
+
+        if (reasons.length > 0) {
+            errors.push({ index, reason: [...new Set(reasons)].join('; ') });
+        }
+        return rules.length > 0 ? rules : null;
+    });
+
+    return { branching, errors };
+}
+
+/*
+ * Mark each question visible or not from the answers it has, questions in the order they are asked.
+ * Targets of show rules start hidden. A hidden question's rules are not applied, as if it had no answer,
+ * and when rules disagree on a question the later question's rule wins.
+ * Returns the questions with visible : true / false
+ */
+function applyBranching(questions, keyOf = (question) => question.sequence) {
+    const rulesOf = questions.map(question => parseBranching(question.branching));
+    const hidden = new Set(
+        rulesOf.flat().filter(rule => rule.action == 'show').flatMap(rule => rule.targets || []).map(String)
+    );
+
+    return questions.map((question, index) => {
+        const visible = !hidden.has(String(keyOf(question, index)));
+        if (visible) {
+            for (const rule of rulesOf[index]) {
+                const matched = matchesRule(rule, question.answer);
+                for (const target of (rule.targets || []).map(String)) {
+                    if (rule.action == 'skip' && matched) {
+                        hidden.add(target);
+                    } else if (rule.action == 'show') {
+                        matched ? hidden.delete(target) : hidden.add(target);
+                    }
+                }
+            }
+        }
+        return { ...question, visible };
+    });
+}
+
+module.exports = {
+    matchesRule,
+    parseBranching,
+    normalizeBranching,
+    applyBranching
+};
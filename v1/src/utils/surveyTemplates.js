@@ -0,0 +1,159 @@
+// Survey template questions : validation, ${variable} placeholders and answer checks by question type
+const constants = require("../constants");
+const { parseSheetDate, parseSheetNumber, matchSheetOption } = require("./sheetValidator");
+const { normalizeBranching } = require("./surveyBranching");
+
+const PLACEHOLDER = /\$\{(\w+)\}/g;
+
+const YES_NO_OPTIONS = ['Yes', 'No'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const findPlaceholders = (text) => [...String(text || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+
+/*
+ * Check and tidy the questions of a template before they are saved, sequences follow the list order.
+ * questions : [{ question, description, questiontype, required, options, branching }]
+ * branching : [{ operator, value, action, targets: [sequences] }], e.g. skip 3, 4 and 5 when the answer is No
+ * Returns { questions, errors: [{ index, reason }] }
+ */
+function normalizeTemplateQuestions(questions) {
+    let errors = [];
+    if (!Array.isArray(questions) || questions.length === 0) {
+        return { questions: [], errors: [{ index: null, reason: "A template needs at least one question." }] };
+    }
+
+    const normalized = questions.map((question, index) => {
+        const questiontype = question.questiontype || 'text';
+        let reasons = [];
+
+        if (isBlank(question.question)) {
+            reasons.push("Question text is empty");
+        }
+        if (!constants.SURVEY_QUESTION_TYPES.includes(questiontype)) {
+            reasons.push(`Question type '${questiontype}' is not one of ${constants.SURVEY_QUESTION_TYPES.join(', ')}`);
+        }
+
+        let options = null;
+        if (constants.SURVEY_CHOICE_QUESTION_TYPES.includes(questiontype)) {
+            options = Array.isArray(question.options)
+                ? [...new Set(question.options.filter(option => !isBlank(option)).map(option => String(option).trim()))]
+                : [];
+            if (options.length < 2) {
+                reasons.push("Choice questions need at least two options");
+            }
+        }
+
+        const unknown = [question.question, question.description]
+            .flatMap(findPlaceholders)
+            .filter(name => !constants.SURVEY_TEMPLATE_VARIABLES.includes(name));
+        if (unknown.length > 0) {
+            reasons.push(`Unknown variables ${[...new Set(unknown)].map(name => '${' + name + '}').join(', ')}, available : ${constants.SURVEY_TEMPLATE_VARIABLES.join(', ')}`);
+        }
+
+        if (reasons.length > 0) {
+            errors.push({ index, reason: reasons.join('; ') });
+        }
+
+        return {
+            sequence: index + 1,
+            question: isBlank(question.question) ? question.question : String(question.question).trim(),
+            description: isBlank(question.description) ? null : String(question.description).trim(),
+            questiontype,
+            required: question.required === true || question.required === 'true',
+            options
+        };
+    });
+
+    const branching = normalizeBranching(questions, (question, index) => index + 1);
+    for (const error of branching.errors) {
+        const existing = errors.find(item => item.index === error.index);
+        if (existing) {
+            existing.reason = `${existing.reason}; ${error.reason}`;
+        } else {
+            errors.push(error);
+        }
+    }
+    normalized.forEach((question, index) => question.branching = branching.branching[index]);
+
+    return { questions: normalized, errors: errors.sort((a, b) => a.index - b.index) };
+}
+
+//values of the template variables for a survey
+function surveyVariables({ fiscalYear, companyName, projectName, projectCode }) {
+    const year = parseInt(fiscalYear);
+    return {
+        year1: isNaN(year) ? null : year - 1,
+        year2: isNaN(year) ? null : year,
+        companyName,
+        projectName,
+        projectCode
+    };
+}
+
+//replace the ${variable} placeholders that have a value, the others are left as they are
+function renderSurveyText(text, variables) {
+    if (text === null || text === undefined) {
+        return text;
+    }
+    return String(text).replace(PLACEHOLDER, (placeholder, name) =>
+        variables[name] === null || variables[name] === undefined ? placeholder : String(variables[name])
+    );
+}
+
+/*
+ * Check one answer against its question, returns the reason it is refused or null.
+ * Multi choice answers are a list (or its JSON text), other answers a single value.
+ */
+function checkSurveyAnswer(question, answer) {
+    const values = question.questiontype == 'multi' ? parseMultiAnswer(answer) : null;
+    const empty = values ? values.length === 0 : isBlank(answer);
+
+    if (empty) {
+        return question.required ? "This question is required." : null;
+    }
+
+    switch (question.questiontype) {
+        case 'yesno':
+            return matchSheetOption(answer, YES_NO_OPTIONS) ? null : "Answer must be Yes or No.";
+        case 'number':
+            return parseSheetNumber(answer) === null ? "Answer must be a number." : null;
+        case 'date':
+            return parseSheetDate(answer) === null ? "Answer must be a date." : null;
+        case 'single':
+            return (question.options || []).includes(String(answer).trim()) ? null : `Answer must be one of ${(question.options || []).join(', ')}.`;
+        case 'multi': {
+            const invalid = values.filter(value => !(question.options || []).includes(value));
+            return invalid.length === 0 ? null : `${invalid.join(', ')} not in ${(question.options || []).join(', ')}.`;
+        }
+        default:
+            return null;
+    }
+}
+
+function parseMultiAnswer(answer) {
+    if (Array.isArray(answer)) {
+        return answer.filter(value => !isBlank(value)).map(value => String(value).trim());
+    }
+    if (isBlank(answer)) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(answer);
+        return Array.isArray(parsed) ? parseMultiAnswer(parsed) : [String(answer).trim()];
+    } catch (error) {
+        return [String(answer).trim()];
+    }
+}
+
+//answers are stored as text, multi choice answers as a JSON list
+const serializeSurveyAnswer = (answer) => Array.isArray(answer) ? JSON.stringify(answer) : answer;
+
+module.exports = {
+    findPlaceholders,
+    normalizeTemplateQuestions,
+    surveyVariables,
+    renderSurveyText,
+    checkSurveyAnswer,
+    serializeSurveyAnswer
+};
@@ -0,0 +1,112 @@
+// Tenant scoping of a request : which companies and records of a company it names, in its route params,
+// query and body, and whether the user has access to them. req.companyAccess holds the companies of the
+// user, a user without company relations is not restricted.
+
+//request fields naming one company or one record of a company, and the kind of record
+const TENANT_FIELDS = {
+    company: 'company',
+    companyId: 'company',
+    companyid: 'company',
+    caseCompanyId: 'company',
+    targetCompanyId: 'company',
+    project: 'project',
+    projectId: 'project',
+    projectid: 'project',
+    contact: 'contact',
+    contactId: 'contact',
+    reconciliationId: 'reconciliation',
+    timesheetId: 'timesheet',
+    caseId: 'case',
+    surveyId: 'survey',
+    interactionId: 'interaction',
+    questionId: 'surveyQuestion',
+    noteId: 'note',
+    alertId: 'alert',
+    portfolio: 'portfolio',
+    portfolioId: 'portfolio',
+    summaryId: 'summary',
+    sheetId: 'sheet',
+    templateId: 'surveyTemplate'
+};
+
+//request fields holding a list of them, the list filters of the query are json like "['id1','id2']"
+const TENANT_LIST_FIELDS = {
+    companyIds: 'company',
+    projectIds: 'project',
+    surveyIds: 'survey',
+    interactionsIds: 'interaction'
+};
+
+const isUnrestricted = (companyAccess) => !companyAccess || companyAccess.length === 0;
+
+const hasCompanyAccess = (companyAccess, companyId) =>
+    isUnrestricted(companyAccess) || companyAccess.some(accessId => accessId == companyId);
+
+//ids sent empty by the client ('', 'null', 'undefined') name nothing
+const isBlank = (id) => id === null || id === undefined || ['', 'null', 'undefined'].includes(String(id).trim());
+
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return [value];
+    }
+    try {
+        const list = JSON.parse(value.replace(/'/g, '"'));
+        return Array.isArray(list) ? list : [list];
+    } catch (error) {
+        return value.split(',').map(id => id.trim());
+    }
+}
+
+//nesting of the body walked for tenant fields, bodies go deeper than any form of the app
+const MAX_DEPTH = 8;
+
+const has = (fields, field) => Object.prototype.hasOwnProperty.call(fields, field);
+
+function collectTenantIds(source, values, path, depth, found) {
+    if (depth > MAX_DEPTH) {
+        return;
+    }
+    const entries = Array.isArray(values) ? values.map((value, index) => [index, value]) : Object.entries(values);
+    for (const [key, value] of entries) {
+        const field = Array.isArray(values) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+        const list = !Array.isArray(values) && has(TENANT_LIST_FIELDS, key);
+        if (list || (!Array.isArray(values) && has(TENANT_FIELDS, key))) {
+            const ids = (list ? parseList(value) : [value]).filter(id => !isBlank(id) && typeof id !== 'object');
+            if (ids.length > 0) {
+                found.push({ source, field, kind: list ? TENANT_LIST_FIELDS[key] : TENANT_FIELDS[key], ids, list });
+            }
+        }
+        if (value && typeof value === 'object') {
+            collectTenantIds(source, value, field, depth + 1, found);
+        }
+    }
+}
+
+/*
+ * Tenant ids of a request, one entry per field found :
+ * [{ source: 'params' | 'query' | 'body', field, kind, ids, list }]
+ * Nested objects and lists of the query and body are walked too, field is then the path of the id,
+ * e.g. 'reconciliations[0].reconciliationId'.
+ */
+function requestTenantIds(req) {
+    let found = [];
+    for (const source of ['params', 'query', 'body']) {
+        const values = req[source];
+        if (values && typeof values === 'object') {
+            collectTenantIds(source, values, '', 0, found);
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    TENANT_FIELDS,
+    TENANT_LIST_FIELDS,
+    isUnrestricted,
+    hasCompanyAccess,
+    parseList,
+    requestTenantIds
+};
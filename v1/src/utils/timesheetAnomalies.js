@@ -0,0 +1,285 @@
+// Timesheet anomaly rules run after a timesheet is parsed, each finding is raised as an Alert on the timesheet
+const { Sequelize } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const sequelize = require("../setups/db");
+const constants = require("../constants");
+const { toDateOnly, getRatePeriods, findRatePeriod } = require("./payrollRates");
+const Alerts = require("../models/alerts.model");
+const Project = require("../models/project.model");
+const companyQueries = require("../queries/company.queries");
+
+const ALERT_RELATED_TO = 'timesheets';
+const ALERT_OPEN_STATUS = 'open';
+
+//dates listed in one alert before the rest is summed up
+const LISTED_DATES = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isWeekend = (date) => [0, 6].includes(new Date(date).getUTCDay());
+
+function listDates(dates) {
+    const sorted = [...new Set(dates)].sort();
+    const listed = sorted.slice(0, LISTED_DATES).join(', ');
+    return sorted.length > LISTED_DATES ? `${listed} and ${sorted.length - LISTED_DATES} more` : listed;
+}
+
+//group items by a key, keeping the first seen order
+function groupBy(items, keyOf) {
+    let groups = new Map();
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+const employeeOf = (task) => task.employeeId || task.contactId;
+
+const taskFingerprint = (task) => [
+    task.contactId,
+    task.projectId,
+    task.taskDate,
+    round(Number(task.taskEffort) || 0),
+    String(task.taskDescription || '').trim().toLowerCase()
+].join('|');
+
+/*
+ * Rules run on the tasks of a timesheet. detect(tasks, context) returns findings as { description }.
+ * tasks : [{ contactId, employeeId, teamMemberId, projectId, projectCode, taskDate, taskEffort, taskDescription, reportedHourlyRate }]
+ * context : { projects: { projectId: { projectCode, startDate, endDate } }, holidays: Set of dates,
+ *             ratePeriods: { contactId: [period] }, otherTasks: [tasks of the company's other timesheets] }
+ */
+const TIMESHEET_ANOMALY_RULES = [
+    {
+        code: 'daily-hours',
+        title: `More than ${constants.TIMESHEET_MAX_DAILY_HOURS} hours booked in a day`,
+        priority: 'high',
+        detect: (tasks) => {
+            let findings = [];
+            for (const [, dayTasks] of groupBy(tasks, task => `${task.contactId}|${task.taskDate}`)) {
+                const hours = round(dayTasks.reduce((total, task) => total + (Number(task.taskEffort) || 0), 0));
+                if (hours > constants.TIMESHEET_MAX_DAILY_HOURS) {
+                    findings.push({ description: `Employee '${employeeOf(dayTasks[0])}' booked ${hours} hours on ${dayTasks[0].taskDate}.` });
+                }
+            }
+            return findings;
+        }
+    },
+    {
+        code: 'non-working-day',
+        title: 'Work booked on weekends or holidays',
+        priority: 'low',
+        detect: (tasks, context) => {
+            const flagged = tasks.filter(task => isWeekend(task.taskDate) || context.holidays.has(task.taskDate));
+            let findings = [];
+            for (const [, employeeTasks] of groupBy(flagged, task => task.contactId)) {
+                findings.push({ description: `Employee '${employeeOf(employeeTasks[0])}' booked work on ${listDates(employeeTasks.map(task => task.taskDate))}.` });
+            }
+            return findings;
+        }
+    },
+    {
+        code: 'outside-project-dates',
+        title: 'Tasks dated outside the project dates',
+        priority: 'medium',
+        detect: (tasks, context) => {
+            const flagged = tasks.filter(task => {
+                const project = context.projects[task.projectId];
+                return project && (
+                    (project.startDate && task.taskDate < project.startDate) ||
+                    (project.endDate && task.taskDate > project.endDate)
+                );
+            });
+            let findings = [];
+            for (const [projectId, projectTasks] of groupBy(flagged, task => task.projectId)) {
+                const project = context.projects[projectId];
+                findings.push({
+                    description: `Project '${project.projectCode}' runs from ${project.startDate || '-'} to ${project.endDate || '-'} but has tasks on ${listDates(projectTasks.map(task => task.taskDate))}.`
+                });
+            }
+            return findings;
+        }
+    },
+    {
+        code: 'not-team-member',
+        title: 'Tasks of employees not in the project team',
+        priority: 'medium',
+        detect: (tasks) => {
+            let findings = [];
+            for (const [, memberTasks] of groupBy(tasks.filter(task => !task.teamMemberId), task => `${task.contactId}|${task.projectId}`)) {
+                const hours = round(memberTasks.reduce((total, task) => total + (Number(task.taskEffort) || 0), 0));
+                findings.push({ description: `Employee '${employeeOf(memberTasks[0])}' is not a team member of project '${memberTasks[0].projectCode}' but booked ${hours} hours on it.` });
+            }
+            return findings;
+        }
+    },
+    {
+        code: 'duplicate-rows',
+        title: 'Duplicated timesheet rows',
+        priority: 'medium',
+        detect: (tasks, context) => {
+            const uploadedBefore = new Set(context.otherTasks.map(taskFingerprint));
+            let findings = [];
+            for (const [, duplicates] of groupBy(tasks, taskFingerprint)) {
+                const task = duplicates[0];
+                const where = [
+                    duplicates.length > 1 ? `${duplicates.length} times in this timesheet` : null,
+                    uploadedBefore.has(taskFingerprint(task)) ? 'in an earlier timesheet upload' : null
+                ].filter(Boolean);
+                if (where.length > 0) {
+                    findings.push({ description: `Task of employee '${employeeOf(task)}' on project '${task.projectCode}' on ${task.taskDate} (${task.taskEffort} hours) appears ${where.join(' and ')}.` });
+                }
+            }
+            return findings;
+        }
+    },
+    {
+        code: 'rate-mismatch',
+        title: 'Hourly rates far from the payroll rate',
+        priority: 'high',
+        detect: (tasks, context) => {
+            const flagged = tasks
+                .filter(task => task.reportedHourlyRate !== null && task.reportedHourlyRate !== undefined)
+                .map(task => ({ task, period: findRatePeriod(context.ratePeriods[task.contactId] || [], task.taskDate) }))
+                .filter(({ task, period }) => period && period.hourlyRate &&
+                    Math.abs(Number(task.reportedHourlyRate) - period.hourlyRate) / period.hourlyRate > constants.TIMESHEET_RATE_TOLERANCE);
+            let findings = [];
+            for (const [, mismatches] of groupBy(flagged, ({ task, period }) => `${task.contactId}|${task.reportedHourlyRate}|${period.contactSalaryId}`)) {
+                const { task, period } = mismatches[0];
+                findings.push({
+                    description: `Employee '${employeeOf(task)}' is charged ${task.reportedHourlyRate} per hour but the payroll rate is ${period.hourlyRate} on ${listDates(mismatches.map(mismatch => mismatch.task.taskDate))}.`
+                });
+            }
+            return findings;
+        }
+    }
+];
+
+//run every rule, returns [{ rule, title, priority, description }]
+function runAnomalyRules(tasks, context) {
+    let findings = [];
+    for (const rule of TIMESHEET_ANOMALY_RULES) {
+        for (const finding of rule.detect(tasks, context)) {
+            findings.push({ rule: rule.code, title: rule.title, priority: rule.priority, description: finding.description });
+        }
+    }
+    return findings;
+}
+
+//stored tasks of a timesheet in the shape the rules expect, the employee is the one stored with the task (also for
+//those not in the project team) or the one of its team member, tasks of neither can not be traced and are left out
+async function getStoredTimesheetTasks(timesheetId) {
+    const tasks = await sequelize.query(
+        `
+        SELECT tt.taskId, tt.teamMemberId, tt.projectId, tt.taskDate, tt.taskEffort, tt.taskDescription,
+            tt.taskHourlyRate AS reportedHourlyRate, COALESCE(tt.contactId, tm.contactId) AS contactId, ct.employeeId, p.projectCode
+        FROM TimesheetTasks tt
+        LEFT JOIN TeamMembers tm ON tm.teamMemberId = tt.teamMemberId
+        LEFT JOIN contacts ct ON ct.contactId = COALESCE(tt.contactId, tm.contactId)
+        LEFT JOIN projects p ON p.projectId = tt.projectId
+        WHERE tt.timesheetId = :timesheetId
+        `,
+        {
+            replacements: { timesheetId },
+            type: Sequelize.QueryTypes.SELECT
+        }
+    );
+    return tasks
+        .filter(task => task.contactId)
+        .map(task => ({
+            ...task,
+            taskDate: toDateOnly(task.taskDate),
+            reportedHourlyRate: task.reportedHourlyRate === null || task.reportedHourlyRate === '' ? null : Number(task.reportedHourlyRate)
+        }));
+}
+
+//tasks of the company's other timesheets on the same dates, to find rows uploaded twice
+async function getOtherTimesheetTasks(timesheetId, companyId, tasks) {
+    const dates = tasks.map(task => task.taskDate).sort();
+    if (dates.length === 0) {
+        return [];
+    }
+    const rows = await sequelize.query(
+        `
+        SELECT tt.projectId, tt.taskDate, tt.taskEffort, tt.taskDescription, COALESCE(tt.contactId, tm.contactId) AS contactId
+        FROM TimesheetTasks tt
+        LEFT JOIN TeamMembers tm ON tm.teamMemberId = tt.teamMemberId
+        WHERE tt.companyId = :companyId AND tt.timesheetId <> :timesheetId
+            AND COALESCE(tt.contactId, tm.contactId) IS NOT NULL
+            AND tt.taskDate BETWEEN :startDate AND :endDate
+        `,
+        {
+            replacements: { companyId, timesheetId, startDate: dates[0], endDate: dates[dates.length - 1] },
+            type: Sequelize.QueryTypes.SELECT
+        }
+    );
+    return rows.map(row => ({ ...row, taskDate: toDateOnly(row.taskDate) }));
+}
+
+async function loadAnomalyContext(timesheetId, companyId, tasks) {
+    const projects = await Project.findAll({
+        where: { projectId: [...new Set(tasks.map(task => task.projectId))] },
+        attributes: ['projectId', 'projectCode', 'startDate', 'endDate']
+    });
+
+    let ratePeriods = {};
+    for (const contactId of new Set(tasks.map(task => task.contactId))) {
+        ratePeriods[contactId] = await getRatePeriods(contactId);
+    }
+
+    return {
+        projects: Object.fromEntries(projects.map(project => [project.projectId, {
+            projectCode: project.projectCode,
+            startDate: toDateOnly(project.startDate),
+            endDate: toDateOnly(project.endDate)
+        }])),
+        holidays: new Set(await companyQueries.getHolidaysByCompanyId(companyId)),
+        ratePeriods,
+        otherTasks: await getOtherTimesheetTasks(timesheetId, companyId, tasks)
+    };
+}
+
+/*
+ * Run the anomaly rules on a timesheet and raise one Alert per finding, related to the timesheet.
+ * Open alerts of an earlier run on the same timesheet are replaced, handled ones are kept.
+ * tasks : the parsed tasks (see TIMESHEET_ANOMALY_RULES), read from TimesheetTasks when not given
+ */
+async function detectTimesheetAnomalies({ timesheetId, companyId, userId, tasks }) {
+    const timesheetTasks = tasks || await getStoredTimesheetTasks(timesheetId);
+    const context = await loadAnomalyContext(timesheetId, companyId, timesheetTasks);
+    const findings = runAnomalyRules(timesheetTasks, context);
+
+    await sequelize.transaction(async (transaction) => {
+        await Alerts.destroy({
+            where: { companyId, relatedTo: ALERT_RELATED_TO, relationId: timesheetId, status: ALERT_OPEN_STATUS },
+            transaction
+        });
+        await Alerts.bulkCreate(findings.map(finding => ({
+            alertId: uuidv4(),
+            companyId,
+            relatedTo: ALERT_RELATED_TO,
+            relationId: timesheetId,
+            alertTitle: finding.title,
+            alertDesc: finding.description,
+            status: ALERT_OPEN_STATUS,
+            statusTime: new Date(),
+            priority: finding.priority,
+            createdBy: userId,
+            createdTime: new Date()
+        })), { transaction });
+    });
+
+    console.log(`Timesheets | action : Detect Anomalies | Timesheet ID : ${timesheetId} | Tasks : ${timesheetTasks.length} | Alerts : ${findings.length}`);
+
+    return findings;
+}
+
+module.exports = {
+    TIMESHEET_ANOMALY_RULES,
+    runAnomalyRules,
+    detectTimesheetAnomalies
+};
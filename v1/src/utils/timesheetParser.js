@@ -0,0 +1,320 @@
+// Native timesheet import : read a csv / xlsx timesheet, price its tasks from ContactSalary and fill the timesheet hour totals
+const fs = require("fs");
+const { Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const sequelize = require("../setups/db");
+const constants = require("../constants");
+const { readSheetRows } = require("./sheetReader");
+const { normalizeHeader } = require("./mapperSuggestions");
+const { parseSheetDate, parseSheetNumber, matchSheetOption } = require("./sheetValidator");
+const { getRatePeriods, findRatePeriod, priceTask } = require("./payrollRates");
+const { detectTimesheetAnomalies } = require("./timesheetAnomalies");
+const TimesheetUploadLog = require("../models/timesheet-upload-log.model");
+const TimesheetTasks = require("../models/timesheet-tasks.model");
+const Timesheets = require("../models/timesheet.model");
+const Project = require("../models/project.model");
+const Contact = require("../models/contact.model");
+const TeamMembers = require("../models/teammembers.model");
+
+const TASK_CLASSIFICATIONS = ['Routine', 'Non-Routine', 'Uncertain', 'Pending'];
+
+//Timesheets hour totals filled from the task classifications
+const HOUR_TOTALS = {
+    timesheetRnDHours: constants.RND_TASK_CLASSIFICATIONS,
+    timesheetNonRnDHours: ['Routine'],
+    timesheetUncertainHours: ['Uncertain', 'Pending']
+};
+
+//TimesheetTasks.taskDescription is a STRING(45)
+const DESCRIPTION_LENGTH = 45;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/*
+ * Column index of each timesheet attribute in the header row, matched against constants.TIMESHEET_COLUMN_ALIASES
+ * ignoring case, spaces and punctuation. Returns { columns: { attribute: index }, missingColumns: [attribute] }
+ */
+function mapTimesheetColumns(headers) {
+    const normalizedHeaders = headers.map(header => isEmpty(header) ? '' : normalizeHeader(header));
+    let columns = {};
+
+    for (const attribute in constants.TIMESHEET_COLUMN_ALIASES) {
+        const aliases = [attribute, ...constants.TIMESHEET_COLUMN_ALIASES[attribute]].map(normalizeHeader);
+        const index = normalizedHeaders.findIndex(header => header !== '' && aliases.includes(header));
+        if (index !== -1) {
+            columns[attribute] = index;
+        }
+    }
+
+    return {
+        columns,
+        missingColumns: constants.TIMESHEET_MANDATORY_COLUMNS.filter(attribute => !(attribute in columns))
+    };
+}
+
+/*
+ * Convert the rows of a timesheet (header first) into tasks.
+ * Rows failing a cell are left out and reported as { rownumber, reason }, rownumber being the sheet row (header is 1).
+ * Returns { tasks: [{ rownumber, employeeId, projectCode, taskDate, taskDescription, taskEffort, taskClassification, reportedHourlyRate }], errors, missingColumns }
+ */
+function parseTimesheetRows(rows) {
+    const { columns, missingColumns } = mapTimesheetColumns(rows[0] || []);
+    if (missingColumns.length > 0) {
+        return { tasks: [], errors: [], missingColumns };
+    }
+
+    const cell = (row, attribute) => attribute in columns ? row[columns[attribute]] : undefined;
+    let tasks = [];
+    let errors = [];
+
+    rows.slice(1).forEach((row, index) => {
+        const rownumber = index + 2;
+        if (!row || row.every(isEmpty)) {
+            return;
+        }
+
+        let reasons = [];
+        const employeeId = isEmpty(cell(row, 'employeeId')) ? null : String(cell(row, 'employeeId')).trim();
+        const projectCode = isEmpty(cell(row, 'projectCode')) ? null : String(cell(row, 'projectCode')).trim();
+        const taskDate = isEmpty(cell(row, 'taskDate')) ? null : parseSheetDate(cell(row, 'taskDate'));
+        const taskEffort = isEmpty(cell(row, 'taskEffort')) ? null : parseSheetNumber(cell(row, 'taskEffort'));
+        const reportedHourlyRate = isEmpty(cell(row, 'taskHourlyRate')) ? null : parseSheetNumber(cell(row, 'taskHourlyRate'));
+
+        if (!employeeId) {
+            reasons.push("Employee ID is empty");
+        }
+        if (!projectCode) {
+            reasons.push("Project ID is empty");
+        }
+        if (!taskDate) {
+            reasons.push(`Date '${cell(row, 'taskDate') ?? ''}' is not a valid date`);
+        }
+        if (taskEffort === null || taskEffort < 0) {
+            reasons.push(`Hours '${cell(row, 'taskEffort') ?? ''}' is not a valid number of hours`);
+        }
+
+        if (!isEmpty(cell(row, 'taskHourlyRate')) && (reportedHourlyRate === null || reportedHourlyRate < 0)) {
+            reasons.push(`Hourly rate '${cell(row, 'taskHourlyRate')}' is not a valid rate`);
+        }
+
+        let taskClassification = constants.TIMESHEET_DEFAULT_CLASSIFICATION;
+        if (!isEmpty(cell(row, 'taskClassification'))) {
+            taskClassification = matchSheetOption(cell(row, 'taskClassification'), TASK_CLASSIFICATIONS);
+            if (!taskClassification) {
+                reasons.push(`Classification '${cell(row, 'taskClassification')}' is not one of ${TASK_CLASSIFICATIONS.join(', ')}`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            errors.push({ rownumber, reason: reasons.join('; ') });
+            return;
+        }
+
+        const description = isEmpty(cell(row, 'taskDescription')) ? null : String(cell(row, 'taskDescription')).trim();
+        tasks.push({
+            rownumber,
+            employeeId,
+            projectCode,
+            taskDate,
+            taskDescription: description ? description.slice(0, DESCRIPTION_LENGTH) : null,
+            taskEffort,
+            taskClassification,
+            reportedHourlyRate
+        });
+    });
+
+    return { tasks, errors, missingColumns };
+}
+
+//read the selected worksheet of an uploaded timesheet (file.worksheet) into tasks
+function parseTimesheet(file) {
+    const { rows } = readSheetRows(file, { raw: true, defval: null });
+    return parseTimesheetRows(rows);
+}
+
+//hour totals per project of priced tasks : { projectId: { timesheetRnDHours, timesheetNonRnDHours, timesheetUncertainHours } }
+function sumTimesheetHours(tasks) {
+    let totals = {};
+    for (const task of tasks) {
+        if (!totals[task.projectId]) {
+            totals[task.projectId] = { timesheetRnDHours: 0, timesheetNonRnDHours: 0, timesheetUncertainHours: 0 };
+        }
+        for (const total in HOUR_TOTALS) {
+            if (HOUR_TOTALS[total].includes(task.taskClassification)) {
+                totals[task.projectId][total] = Math.round((totals[task.projectId][total] + task.taskEffort) * 100) / 100;
+            }
+        }
+    }
+    return totals;
+}
+
+/*
+ * Import an uploaded timesheet into TimesheetTasks and Timesheets, replacing the tasks of a previous upload
+ * of the same timesheet. Employees and projects are matched on employeeId / projectCode within the company,
+ * unknown ones reject the row. Tasks are priced from the payroll rate on their date, the rate given in the sheet
+ * when there is none, and are kept unpriced with a warning otherwise.
+ * The imported tasks then go through the anomaly rules (utils/timesheetAnomalies.js).
+ * The upload log ends with status 'processed' or 'failed', its processingErrors listing the rejected rows.
+ */
+async function importTimesheet(context) {
+    const { timesheetId, companyId, userId, file } = context;
+
+    await TimesheetUploadLog.update({ status: 'processing', message: null, processingErrors: null, updatedOn: new Date() }, { where: { timesheetId } });
+
+    try {
+        const parsed = parseTimesheet(file);
+        if (parsed.missingColumns.length > 0) {
+            const message = `Mandatory columns missing : ${parsed.missingColumns.join(', ')}`;
+            await TimesheetUploadLog.update({ status: 'failed', message, updatedOn: new Date() }, { where: { timesheetId } });
+            return { status: 'failed', message };
+        }
+
+        let errors = [...parsed.errors];
+        let warnings = [];
+
+        const projects = await Project.findAll({
+            where: { companyId, projectCode: [...new Set(parsed.tasks.map(task => task.projectCode))] },
+            attributes: ['projectId', 'projectCode']
+        });
+        const contacts = await Contact.findAll({
+            where: { companyId, employeeId: [...new Set(parsed.tasks.map(task => task.employeeId))] },
+            attributes: ['contactId', 'employeeId']
+        });
+        const projectByCode = Object.fromEntries(projects.map(project => [project.projectCode, project.projectId]));
+        const contactByEmployee = Object.fromEntries(contacts.map(contact => [contact.employeeId, contact.contactId]));
+
+        const teamMembers = await TeamMembers.findAll({
+            where: { companyId, projectId: projects.map(project => project.projectId), contactId: contacts.map(contact => contact.contactId) },
+            attributes: ['teamMemberId', 'projectId', 'contactId']
+        });
+        const teamMemberOf = Object.fromEntries(teamMembers.map(member => [`${member.projectId}|${member.contactId}`, member.teamMemberId]));
+
+        let periodsByContact = {};
+        let tasks = [];
+        let anomalyTasks = [];
+        for (const task of parsed.tasks) {
+            const projectId = projectByCode[task.projectCode];
+            const contactId = contactByEmployee[task.employeeId];
+            if (!projectId || !contactId) {
+                errors.push({
+                    rownumber: task.rownumber,
+                    reason: [
+                        !contactId ? `Employee '${task.employeeId}' not found` : null,
+                        !projectId ? `Project '${task.projectCode}' not found` : null
+                    ].filter(Boolean).join('; ')
+                });
+                continue;
+            }
+
+            const teamMemberId = teamMemberOf[`${projectId}|${contactId}`] || null;
+            if (!teamMemberId) {
+                warnings.push({ rownumber: task.rownumber, reason: `Employee '${task.employeeId}' is not a team member of project '${task.projectCode}'` });
+            }
+
+            if (!(contactId in periodsByContact)) {
+                periodsByContact[contactId] = await getRatePeriods(contactId);
+            }
+            const period = findRatePeriod(periodsByContact[contactId], task.taskDate);
+            let pricing = { taskHourlyRate: null, taskTotalExpense: null, RnDExpense: null };
+            if (period && period.hourlyRate !== null) {
+                pricing = priceTask(task, period.hourlyRate);
+            } else if (task.reportedHourlyRate !== null) {
+                pricing = priceTask(task, task.reportedHourlyRate);
+                warnings.push({ rownumber: task.rownumber, reason: `No payroll rate for employee '${task.employeeId}' on ${task.taskDate}, priced at the timesheet rate` });
+            } else {
+                warnings.push({ rownumber: task.rownumber, reason: `No hourly rate for employee '${task.employeeId}' on ${task.taskDate}` });
+            }
+
+            anomalyTasks.push({
+                ...task,
+                contactId,
+                projectId,
+                teamMemberId
+            });
+            tasks.push({
+                taskId: uuidv4(),
+                timesheetId,
+                companyId,
+                teamMemberId,
+                contactId,
+                projectId,
+                taskDate: task.taskDate,
+                taskDescription: task.taskDescription,
+                taskEffort: task.taskEffort,
+                taskClassification: task.taskClassification,
+                ...pricing,
+                createdBy: userId,
+                createdTime: new Date()
+            });
+        }
+
+        const totals = sumTimesheetHours(tasks);
+        const upload = await TimesheetUploadLog.findOne({ where: { timesheetId } });
+
+        await sequelize.transaction(async (transaction) => {
+            await TimesheetTasks.destroy({ where: { timesheetId }, transaction });
+            await TimesheetTasks.bulkCreate(tasks, { transaction });
+
+            //the projects no longer in the upload, all of them when no row was imported (NOT IN () would keep them)
+            const projectIds = Object.keys(totals);
+            await Timesheets.destroy({ where: projectIds.length > 0 ? { timesheetId, projectId: { [Op.notIn]: projectIds } } : { timesheetId }, transaction });
+            for (const projectId in totals) {
+                const values = {
+                    ...totals[projectId],
+                    timesheetName: upload.originalFileName ? upload.originalFileName.slice(0, 45) : null,
+                    timesheetMonth: upload.month,
+                    timesheetYear: upload.year,
+                    uploadedOn: upload.uploadedOn
+                };
+                const existing = await Timesheets.findOne({ where: { timesheetId, projectId }, transaction });
+                if (existing) {
+                    await Timesheets.update({ ...values, modifiedBy: userId, modifiedTime: new Date() }, { where: { timesheetId, projectId }, transaction });
+                } else {
+                    await Timesheets.create({ ...values, timesheetId, projectId, companyId, createdBy: userId }, { transaction });
+                }
+            }
+        });
+
+        //the tasks are imported, failing rules do not fail the upload, they can be rerun with detect-anomalies
+        let anomalies = [];
+        let anomalyResult = '';
+        try {
+            anomalies = await detectTimesheetAnomalies({ timesheetId, companyId, userId, tasks: anomalyTasks });
+            anomalyResult = `${anomalies.length} anomalies.`;
+        } catch (error) {
+            console.error("Error detecting timesheet anomalies:", error);
+            anomalyResult = 'anomaly detection failed.';
+        }
+
+        const status = tasks.length > 0 || parsed.tasks.length + parsed.errors.length === 0 ? 'processed' : 'failed';
+        const message = `${tasks.length} tasks imported, ${errors.length} rows rejected, ${warnings.length} warnings, ${anomalyResult}`;
+        await TimesheetUploadLog.update(
+            {
+                status,
+                message,
+                processingErrors: errors.length + warnings.length > 0 ? { errors, warnings } : null,
+                updatedOn: new Date()
+            },
+            { where: { timesheetId } }
+        );
+
+        console.log(`Timesheets | action : Import Timesheet | Timesheet ID : ${timesheetId} | Tasks : ${tasks.length} | Rejected : ${errors.length} | Warnings : ${warnings.length}`);
+
+        return { status, message, tasks: tasks.length, errors, warnings, anomalies };
+    } catch (error) {
+        await TimesheetUploadLog.update({ status: 'failed', message: String(error.message).slice(0, 255), updatedOn: new Date() }, { where: { timesheetId } });
+        throw error;
+    } finally {
+        if (file.path && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+}
+
+module.exports = {
+    mapTimesheetColumns,
+    parseTimesheetRows,
+    parseTimesheet,
+    sumTimesheetHours,
+    importTimesheet
+};
@@ -0,0 +1,54 @@
+// Timesheet processors run after a timesheet is stored, picked with TIMESHEET_PROCESSOR (native by default)
+const fs = require("fs");
+const { axiosRequest } = require("./axios");
+const { importTimesheet } = require("./timesheetParser");
+
+/*
+ * Hand the timesheet over to the external ETL : WEBHOOK_UPLOAD_URL for a new timesheet,
+ * WEBHOOK_REUPLOAD_URL when it replaces a previous upload. The ETL reads the stored blob, not the local file.
+ */
+async function webhookProcessor(context) {
+    const { timesheetId, blobName, reupload, file } = context;
+    if (file && file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+    }
+
+    const url = reupload ? process.env.WEBHOOK_REUPLOAD_URL : process.env.WEBHOOK_UPLOAD_URL;
+    const response = await axiosRequest("post", url, { id: timesheetId, timesheetName: blobName });
+    if (response && response.error) {
+        throw new Error(response.error);
+    }
+    return response;
+}
+
+const TIMESHEET_PROCESSORS = {
+    native: importTimesheet,
+    webhook: webhookProcessor
+};
+
+function getTimesheetProcessor(name = process.env.TIMESHEET_PROCESSOR || 'native') {
+    const processor = TIMESHEET_PROCESSORS[name];
+    if (!processor) {
+        throw new Error(`Unknown timesheet processor '${name}'. Available processors : ${Object.keys(TIMESHEET_PROCESSORS).join(', ')}.`);
+    }
+    return processor;
+}
+
+/*
+ * Process a stored timesheet in the background, errors are logged and left on the upload log by the processor.
+ * context : { timesheetId, companyId, userId, file, blobName, reupload }
+ */
+function runTimesheetProcessor(context) {
+    const name = process.env.TIMESHEET_PROCESSOR || 'native';
+    console.log(`Timesheets | action : Process Timesheet | Timesheet ID : ${context.timesheetId} | Processor : ${name}`);
+
+    return Promise.resolve()
+        .then(() => getTimesheetProcessor(name)(context))
+        .catch(error => console.error(`Error processing timesheet ${context.timesheetId} : `, error));
+}
+
+module.exports = {
+    TIMESHEET_PROCESSORS,
+    getTimesheetProcessor,
+    runTimesheetProcessor
+};
@@ -52,6 +52,8 @@ const updateInteractionSpoc = async (ids, spocName, spocEmail) => {
                     oldspocname: masterInteraction.dataValues.spocname,
                     oldspocemail: masterInteraction.dataValues.spocemail,
                     otp: null,
+                    //the new SPOC answers, not a delegate of the previous one
+                    delegations: null,
                     statusid: status.dataValues.id
                 },
                 {
@@ -88,6 +90,8 @@ const updateSurveySpoc = async (ids, spocName, spocEmail) => {
                     {
                         spocname: spocName,
                         spocemail: spocEmail,
+                        //the new SPOC answers, not a delegate of the previous one
+                        delegations: null,
                     },
                     {
                         where: {